@@ -0,0 +1,235 @@
+jest.mock('../src/db/supabaseClient', () => require('../tests/helpers/fakeSupabase').create());
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const supabase = require('../src/db/supabaseClient');
+const authRoutes = require('../src/controllers/auth');
+const { startMockServer } = require('../tests/helpers/mockServer');
+
+// Provedor OIDC local no lugar do Google: descoberta, tela de login (devolve o code direto),
+// troca do code (confere PKCE, client_secret e redirect_uri) e chaves públicas (JWKS)
+// O id_token leva as claims definidas pelo teste em `account`
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'test-key', alg: 'RS256', use: 'sig' };
+
+let idp;
+let account;
+let codes;
+
+beforeAll(async () => {
+  idp = await startMockServer(app => {
+    app.get('/.well-known/openid-configuration', (req, res) => res.json({
+      issuer: idp.url,
+      authorization_endpoint: `${idp.url}/authorize`,
+      token_endpoint: `${idp.url}/token`,
+      jwks_uri: `${idp.url}/jwks`
+    }));
+    app.get('/jwks', (req, res) => res.json({ keys: [jwk] }));
+    app.get('/authorize', (req, res) => {
+      const code = crypto.randomBytes(12).toString('hex');
+      codes[code] = { ...req.query };
+      const callback = new URL(req.query.redirect_uri);
+      callback.searchParams.set('code', code);
+      callback.searchParams.set('state', req.query.state);
+      res.redirect(callback.toString());
+    });
+    app.post('/token', (req, res) => {
+      const attempt = codes[req.body.code];
+      delete codes[req.body.code];
+      const challenge = req.body.code_verifier &&
+        crypto.createHash('sha256').update(req.body.code_verifier).digest('base64url');
+      if (!attempt || challenge !== attempt.code_challenge || req.body.client_secret !== 'google-secret' ||
+        req.body.redirect_uri !== attempt.redirect_uri) {
+        return res.status(400).json({ error: 'invalid_grant' });
+      }
+      const idToken = jwt.sign({ ...account, nonce: attempt.nonce }, privateKey, {
+        algorithm: 'RS256',
+        keyid: jwk.kid,
+        issuer: idp.url,
+        audience: 'google-client-id',
+        expiresIn: 300
+      });
+      res.json({ access_token: 'google-access-token', token_type: 'Bearer', id_token: idToken });
+    });
+  });
+
+  process.env.GOOGLE_OIDC_ISSUER = idp.url;
+  process.env.GOOGLE_CLIENT_ID = 'google-client-id';
+  process.env.GOOGLE_CLIENT_SECRET = 'google-secret';
+  // Endereço fixo do callback: cada chamada do supertest sobe o app numa porta diferente
+  process.env.PUBLIC_URL = 'http://hypex.test';
+});
+
+afterAll(async () => {
+  delete process.env.GOOGLE_OIDC_ISSUER;
+  delete process.env.GOOGLE_CLIENT_ID;
+  delete process.env.GOOGLE_CLIENT_SECRET;
+  delete process.env.PUBLIC_URL;
+  await idp.close();
+});
+
+let app;
+
+beforeEach(() => {
+  codes = {};
+  idp.requests.length = 0;
+  supabase.reset({ users: [], user_sessions: [] });
+
+  app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+});
+
+/**
+ * Percorre o login com Google como o navegador: /auth/google -> tela do provedor -> callback
+ * @returns {Object} - { session } (fragmento #login decodificado) ou { error } (?oauth_error)
+ */
+async function googleLogin({ tamperState = false } = {}) {
+  const start = await request(app).get('/api/auth/google').expect(302);
+  const cookie = start.headers['set-cookie'][0].split(';')[0];
+
+  const authorizeUrl = new URL(start.headers.location);
+  expect(authorizeUrl.origin).toBe(idp.url);
+  const authorize = await request(idp.url).get(`${authorizeUrl.pathname}${authorizeUrl.search}`).expect(302);
+
+  const callback = new URL(authorize.headers.location);
+  expect(`${callback.origin}${callback.pathname}`).toBe('http://hypex.test/api/auth/google/callback');
+  if (tamperState) callback.searchParams.set('state', 'outro-state');
+
+  const done = await request(app)
+    .get(`${callback.pathname}${callback.search}`)
+    .set('Cookie', cookie)
+    .expect(302);
+
+  const location = done.headers.location;
+  const login = location.match(/#login=([\w-]+)$/);
+  if (login) return { session: JSON.parse(Buffer.from(login[1], 'base64url').toString('utf8')) };
+  return { error: new URL(location, 'http://hypex.test').searchParams.get('oauth_error') };
+}
+
+function user(email) {
+  return supabase.table('users').find(u => u.email === email);
+}
+
+describe('GET /api/auth/google', () => {
+  test('cria a conta sem senha no primeiro login', async () => {
+    account = { sub: 'google-1', email: 'Nova.Cliente@gmail.com', email_verified: true, name: 'Nova Cliente' };
+
+    const { session } = await googleLogin();
+
+    expect(session.token).toBeTruthy();
+    expect(session.refresh_token).toBeTruthy();
+    expect(session.user).toMatchObject({ email: 'nova.cliente@gmail.com', name: 'Nova Cliente', email_verified: true });
+    expect(user('nova.cliente@gmail.com')).toMatchObject({
+      google_sub: 'google-1',
+      password_hash: null,
+      role: 'customer',
+      email_verified: true
+    });
+    expect(supabase.table('user_sessions')).toHaveLength(1);
+
+    // PKCE e segredo do cliente conferidos pelo provedor
+    const tokenRequest = idp.requests.find(r => r.path === '/token');
+    expect(tokenRequest.body).toMatchObject({ grant_type: 'authorization_code', client_id: 'google-client-id' });
+
+    // O próximo login acha a conta pelo google_sub, mesmo que o email mude no Google
+    account = { ...account, email: 'outro@gmail.com' };
+    const again = await googleLogin();
+    expect(again.session.user.id).toBe(session.user.id);
+    expect(supabase.table('users')).toHaveLength(1);
+  });
+
+  test('vincula a conta existente com email confirmado e mantém a senha', async () => {
+    supabase.reset({
+      users: [{ id: 'user-1', email: 'Maria@Hypex.test', name: 'Maria', password_hash: 'hash-da-maria', role: 'customer', email_verified: true, google_sub: null }],
+      user_sessions: [{ id: 'sess-1', user_id: 'user-1', revoked_at: null }]
+    });
+    account = { sub: 'google-maria', email: 'maria@hypex.test', email_verified: true, name: 'Maria G' };
+
+    const { session } = await googleLogin();
+
+    expect(session.user.id).toBe('user-1');
+    expect(user('Maria@Hypex.test')).toMatchObject({ google_sub: 'google-maria', password_hash: 'hash-da-maria' });
+    expect(supabase.table('user_sessions').find(s => s.id === 'sess-1').revoked_at).toBeNull();
+    expect(supabase.table('users')).toHaveLength(1);
+  });
+
+  test('ao vincular conta com email não confirmado, remove a senha e encerra as sessões', async () => {
+    supabase.reset({
+      users: [{ id: 'user-2', email: 'joao@hypex.test', name: 'Quem cadastrou', password_hash: 'senha-de-outra-pessoa', role: 'customer', email_verified: false, google_sub: null }],
+      user_sessions: [{ id: 'sess-2', user_id: 'user-2', revoked_at: null }]
+    });
+    account = { sub: 'google-joao', email: 'joao@hypex.test', email_verified: true, name: 'João' };
+
+    const { session } = await googleLogin();
+
+    expect(session.user).toMatchObject({ id: 'user-2', email_verified: true });
+    expect(user('joao@hypex.test')).toMatchObject({ google_sub: 'google-joao', password_hash: null, email_verified: true });
+    expect(supabase.table('user_sessions').find(s => s.id === 'sess-2').revoked_at).toBeTruthy();
+    // Só a sessão aberta agora pelo Google continua ativa
+    expect(supabase.table('user_sessions').filter(s => !s.revoked_at)).toHaveLength(1);
+  });
+
+  test('recusa conta Google com email não confirmado', async () => {
+    supabase.reset({
+      users: [{ id: 'user-3', email: 'ana@hypex.test', password_hash: 'hash-da-ana', role: 'customer', email_verified: true, google_sub: null }],
+      user_sessions: []
+    });
+    account = { sub: 'google-ana', email: 'ana@hypex.test', email_verified: false, name: 'Ana' };
+
+    const { session, error } = await googleLogin();
+
+    expect(session).toBeUndefined();
+    expect(error).toMatch(/Confirme seu email na conta Google/);
+    expect(user('ana@hypex.test')).toMatchObject({ google_sub: null, password_hash: 'hash-da-ana' });
+    expect(supabase.table('user_sessions')).toHaveLength(0);
+  });
+
+  test('não escolhe entre contas com o mesmo email em maiúsculas diferentes', async () => {
+    supabase.reset({
+      users: [
+        { id: 'user-6', email: 'Lucas@Hypex.test', password_hash: 'hash-1', role: 'customer', email_verified: true, google_sub: null, created_at: '2024-01-01T00:00:00Z' },
+        { id: 'user-7', email: 'lucas@hypex.test', password_hash: 'hash-2', role: 'customer', email_verified: false, google_sub: null, created_at: '2024-02-01T00:00:00Z' }
+      ],
+      user_sessions: []
+    });
+    account = { sub: 'google-lucas', email: 'lucas@hypex.test', email_verified: true, name: 'Lucas' };
+
+    const { session, error } = await googleLogin();
+
+    expect(session).toBeUndefined();
+    expect(error).toMatch(/mais de uma conta com este email/);
+    expect(supabase.table('users').every(u => u.google_sub === null)).toBe(true);
+    expect(supabase.table('users')).toHaveLength(2);
+  });
+
+  test('recusa callback com state diferente do cookie', async () => {
+    account = { sub: 'google-4', email: 'pedro@gmail.com', email_verified: true };
+
+    const { error } = await googleLogin({ tamperState: true });
+
+    expect(error).toMatch(/expirou/);
+    expect(idp.requests.some(r => r.path === '/token')).toBe(false);
+    expect(supabase.table('users')).toHaveLength(0);
+  });
+});
+
+describe('POST /api/auth/login com conta criada pelo Google', () => {
+  test('responde como senha errada e conta a falha no bloqueio', async () => {
+    supabase.reset({
+      users: [{ id: 'user-5', email: 'sem.senha@gmail.com', password_hash: null, role: 'customer', google_sub: 'google-5' }],
+      user_sessions: []
+    });
+    const login = () => request(app).post('/api/auth/login').send({ email: 'sem.senha@gmail.com', password: 'qualquer' });
+
+    for (let i = 0; i < 4; i++) {
+      const res = await login().expect(400);
+      expect(res.body.error).toBe('Credenciais inválidas');
+    }
+    const locked = await login().expect(429);
+    expect(locked.body.code).toBe('rate_limited');
+    expect(supabase.table('user_sessions')).toHaveLength(0);
+  });
+});
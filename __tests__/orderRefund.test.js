@@ -0,0 +1,261 @@
+jest.mock('../src/db/supabaseClient', () => require('../tests/helpers/fakeSupabase').create());
+
+const express = require('express');
+const request = require('supertest');
+const supabase = require('../src/db/supabaseClient');
+const efibankService = require('../src/services/efibank');
+const sessionService = require('../src/services/sessions');
+const orderRoutes = require('../src/controllers/orders');
+const { startMockServer } = require('../tests/helpers/mockServer');
+
+// Efí Bank local: token OAuth, consulta da cobrança e devolução PIX
+// A devolução recusa valores acima do PIX recebido e repete a resposta para o mesmo id
+let efi;
+let devolucoes;
+let failNextRefund;
+
+beforeAll(async () => {
+  efi = await startMockServer(app => {
+    app.post('/oauth/token', (req, res) => res.json({ access_token: 'efi-token', expires_in: 3600 }));
+    app.get('/v2/cob/:txid', (req, res) => res.json({
+      txid: req.params.txid,
+      status: 'CONCLUIDA',
+      valor: { original: '100.00' },
+      pix: [{ endToEndId: `E2E${req.params.txid}`, horario: '2024-05-01T12:00:00Z', valor: '100.00' }]
+    }));
+    app.put('/v2/pix/:e2eid/devolucao/:id', (req, res) => {
+      if (failNextRefund) {
+        failNextRefund = false;
+        return res.status(400).json({ nome: 'valor_devolucao_atingido', mensagem: 'Valor de devolução excede o PIX recebido' });
+      }
+      const key = `${req.params.e2eid}/${req.params.id}`;
+      if (!devolucoes[key]) {
+        devolucoes[key] = {
+          id: req.params.id,
+          rtrId: `D${req.params.id.slice(-10)}`,
+          valor: req.body.valor,
+          horario: { solicitacao: new Date().toISOString() },
+          status: 'EM_PROCESSAMENTO'
+        };
+      }
+      res.status(201).json(devolucoes[key]);
+    });
+  });
+  efibankService.baseURL = efi.url;
+  efibankService.clientId = 'client-id';
+  efibankService.clientSecret = 'client-secret';
+});
+
+afterAll(() => efi.close());
+
+const admin = { id: 'admin-1', email: 'admin@hypex.test', role: 'admin' };
+const customer = { id: 'user-1', email: 'cliente@hypex.test', role: 'customer' };
+
+function paidOrder(overrides = {}) {
+  return {
+    id: 'order-1',
+    user_id: customer.id,
+    total: 100,
+    status: 'pedido feito',
+    items: [
+      { product_id: 'prod-1', variation_id: null, name: 'Camiseta', price: 30, qty: 2 },
+      { product_id: 'prod-2', variation_id: 'var-1', name: 'Boné', price: 40, qty: 1 }
+    ],
+    payment: { txid: 'tx1', provider: 'efibank', method: 'pix', status: 'paid', e2eid: 'E2Etx1' },
+    ...overrides
+  };
+}
+
+let app;
+let adminToken;
+
+beforeEach(() => {
+  devolucoes = {};
+  failNextRefund = false;
+  efi.requests.length = 0;
+
+  supabase.reset({
+    users: [admin, customer],
+    user_sessions: [
+      { id: 'sess-admin', user_id: admin.id, revoked_at: null },
+      { id: 'sess-user', user_id: customer.id, revoked_at: null }
+    ],
+    orders: [paidOrder()],
+    products: [{ id: 'prod-1', name: 'Camiseta', stock: 5 }, { id: 'prod-2', name: 'Boné', stock: 0 }],
+    product_variations: [{ id: 'var-1', product_id: 'prod-2', name: 'Boné preto', stock: 1 }]
+  });
+
+  supabase.functions.restock_items = ({ p_items }, db) => {
+    p_items.forEach(item => {
+      const row = item.variation_id
+        ? db.table('product_variations').find(v => v.id === item.variation_id)
+        : db.table('products').find(p => p.id === item.product_id);
+      row.stock += item.qty;
+    });
+    return p_items.length;
+  };
+
+  app = express();
+  app.use(express.json());
+  app.use('/api/orders', orderRoutes);
+  adminToken = sessionService.accessToken(admin, 'sess-admin');
+});
+
+function refund(body, token = adminToken) {
+  return request(app)
+    .post('/api/orders/order-1/refund')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+}
+
+function refundRequests() {
+  return efi.requests.filter(r => r.method === 'PUT');
+}
+
+describe('EfibankService.requestRefund', () => {
+  test('devolve parte do PIX com o id informado', async () => {
+    const result = await efibankService.requestRefund('E2Etx1', 30.5, 'Dparcial1');
+
+    expect(refundRequests()).toHaveLength(1);
+    expect(refundRequests()[0].path).toBe('/v2/pix/E2Etx1/devolucao/Dparcial1');
+    expect(refundRequests()[0].body).toEqual({ valor: '30.50' });
+    expect(refundRequests()[0].headers.authorization).toBe('Bearer efi-token');
+    expect(result).toMatchObject({ id: 'Dparcial1', amount: 30.5, status: 'EM_PROCESSAMENTO' });
+    expect(result.rtr_id).toBeTruthy();
+  });
+
+  test('devolve o valor total gerando o id da devolução', async () => {
+    const result = await efibankService.requestRefund('E2Etx1', 100);
+
+    expect(result.id).toMatch(/^[a-zA-Z0-9]{1,35}$/);
+    expect(result.amount).toBe(100);
+    expect(refundRequests()[0].body).toEqual({ valor: '100.00' });
+  });
+
+  test('repassa a mensagem de erro do Efí Bank', async () => {
+    failNextRefund = true;
+    await expect(efibankService.requestRefund('E2Etx1', 10)).rejects.toThrow('Valor de devolução excede o PIX recebido');
+  });
+
+  test('recusa valor inválido sem chamar o Efí Bank', async () => {
+    await expect(efibankService.requestRefund('E2Etx1', 0)).rejects.toThrow('maior que zero');
+    expect(refundRequests()).toHaveLength(0);
+  });
+});
+
+describe('POST /api/orders/:id/refund', () => {
+  test('exige admin', async () => {
+    await request(app).post('/api/orders/order-1/refund').send({}).expect(401);
+    await refund({}, sessionService.accessToken(customer, 'sess-user')).expect(403);
+    expect(refundRequests()).toHaveLength(0);
+  });
+
+  test('devolução parcial e depois o saldo restante', async () => {
+    const partial = await refund({ amount: 40, reason: 'Item com defeito' }).expect(200);
+    expect(partial.body.refund).toMatchObject({ amount: 40, status: 'EM_PROCESSAMENTO', reason: 'Item com defeito', requested_by: admin.id });
+    expect(partial.body.order.payment.status).toBe('partially_refunded');
+
+    const rest = await refund({}).expect(200);
+    expect(rest.body.refund.amount).toBe(60);
+    expect(rest.body.order.payment.status).toBe('refunded');
+    expect(refundRequests().map(r => r.body.valor)).toEqual(['40.00', '60.00']);
+
+    const stored = supabase.table('orders')[0].payment;
+    expect(stored.refunds).toHaveLength(2);
+    expect(stored.refunds.some(r => r.pending)).toBe(false);
+
+    const exceeded = await refund({ amount: 1 }).expect(400);
+    expect(exceeded.body.error).toMatch(/saldo disponível/);
+    expect(refundRequests()).toHaveLength(2);
+  });
+
+  test('recusa valor acima do saldo', async () => {
+    const res = await refund({ amount: 100.01 }).expect(400);
+    expect(res.body.error).toMatch(/R\$ 100\.00/);
+    expect(refundRequests()).toHaveLength(0);
+  });
+
+  test('busca o endToEndId na cobrança de pedidos antigos', async () => {
+    supabase.table('orders')[0].payment = { txid: 'tx9', provider: 'efibank', status: 'paid' };
+
+    const res = await refund({ amount: 10 }).expect(200);
+    expect(refundRequests()[0].path).toMatch(/^\/v2\/pix\/E2Etx9\/devolucao\//);
+    expect(res.body.order.payment.e2eid).toBe('E2Etx9');
+  });
+
+  test('devolve os itens ao estoque uma única vez', async () => {
+    const res = await refund({ amount: 100, restock: true }).expect(200);
+
+    expect(res.body.refund.restocked).toBe(true);
+    expect(res.body.order.payment.restocked_at).toBeTruthy();
+    expect(supabase.table('products').find(p => p.id === 'prod-1').stock).toBe(7);
+    expect(supabase.table('product_variations')[0].stock).toBe(2);
+    // Item com variação volta para a variação, não para o produto
+    expect(supabase.table('products').find(p => p.id === 'prod-2').stock).toBe(0);
+
+    supabase.table('orders')[0].total = 200;
+    const again = await refund({ amount: 10, restock: true }).expect(409);
+    expect(again.body.error).toMatch(/já foram devolvidos ao estoque/);
+    expect(supabase.table('products').find(p => p.id === 'prod-1').stock).toBe(7);
+    expect(refundRequests()).toHaveLength(1);
+  });
+
+  test('não marca o estoque como devolvido se o Efí Bank recusar', async () => {
+    failNextRefund = true;
+    await refund({ amount: 100, restock: true }).expect(500);
+
+    const payment = supabase.table('orders')[0].payment;
+    expect(payment.refunds).toEqual([]);
+    expect(payment.restocked_at).toBeUndefined();
+    expect(supabase.table('products').find(p => p.id === 'prod-1').stock).toBe(5);
+
+    // O valor volta a ficar disponível
+    await refund({ amount: 100, restock: true }).expect(200);
+  });
+
+  test('recusa devolver ao estoque numa devolução parcial', async () => {
+    const res = await refund({ amount: 40, restock: true }).expect(400);
+    expect(res.body.error).toMatch(/todo o saldo/);
+    expect(refundRequests()).toHaveLength(0);
+    expect(supabase.table('orders')[0].payment.restocked_at).toBeUndefined();
+
+    // A devolução que quita o saldo ainda pode devolver os itens
+    await refund({ amount: 40 }).expect(200);
+    const rest = await refund({ restock: true }).expect(200);
+    expect(rest.body.refund).toMatchObject({ amount: 60, restocked: true });
+    expect(supabase.table('products').find(p => p.id === 'prod-1').stock).toBe(7);
+  });
+
+  test('não devolve ao estoque itens de pedido pago sem estoque', async () => {
+    supabase.table('orders')[0].payment.refund_required = { reason: 'Pago sem estoque disponível' };
+
+    const res = await refund({ restock: true }).expect(409);
+    expect(res.body.error).toMatch(/não foram baixados do estoque/);
+    expect(refundRequests()).toHaveLength(0);
+
+    const done = await refund({}).expect(200);
+    expect(done.body.order.payment.status).toBe('refunded');
+    expect(done.body.order.payment.refund_required).toBeUndefined();
+    expect(supabase.table('products').find(p => p.id === 'prod-1').stock).toBe(5);
+    expect(supabase.table('product_variations')[0].stock).toBe(1);
+  });
+
+  test('devoluções simultâneas não passam do total pago', async () => {
+    const [first, second] = await Promise.all([refund({ amount: 80 }), refund({ amount: 80 })]);
+
+    expect([first.status, second.status].sort()).toEqual([200, 400]);
+    expect(refundRequests()).toHaveLength(1);
+    const payment = supabase.table('orders')[0].payment;
+    expect(payment.refunds).toHaveLength(1);
+    expect(payment.refunds[0].amount).toBe(80);
+  });
+
+  test('devoluções simultâneas dentro do saldo ficam todas registradas', async () => {
+    const results = await Promise.all([refund({ amount: 30 }), refund({ amount: 30 }), refund({ amount: 40 })]);
+
+    results.forEach(res => expect(res.status).toBe(200));
+    const payment = supabase.table('orders')[0].payment;
+    expect(payment.refunds.map(r => r.amount).sort()).toEqual([30, 30, 40]);
+    expect(payment.status).toBe('refunded');
+  });
+});
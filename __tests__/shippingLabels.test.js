@@ -0,0 +1,328 @@
+jest.mock('../src/db/supabaseClient', () => require('../tests/helpers/fakeSupabase').create());
+
+const express = require('express');
+const request = require('supertest');
+const supabase = require('../src/db/supabaseClient');
+const melhorEnvioService = require('../src/services/melhorenvio');
+const sessionService = require('../src/services/sessions');
+const orderRoutes = require('../src/controllers/orders');
+const { startMockServer } = require('../tests/helpers/mockServer');
+
+// Melhor Envio local: cotação, carrinho, compra, geração, impressão e rastreio
+// A compra pode falhar uma vez (saldo insuficiente) e o rastreio devolve o que o teste definir em `tracking`
+let me;
+let failNextCheckout;
+let tracking;
+
+beforeAll(async () => {
+  me = await startMockServer(app => {
+    app.post('/me/shipment/calculate', (req, res) => res.json([
+      { id: 1, name: 'PAC', price: '22.50', packages: [{ dimensions: { height: 12, width: 16, length: 24 }, weight: '1.10' }] },
+      { id: 2, name: 'SEDEX', price: '38.90', packages: [{ dimensions: { height: 12, width: 16, length: 24 }, weight: '1.10' }] }
+    ]));
+    app.post('/me/cart', (req, res) => res.status(201).json({ id: 'me-cart-1', protocol: 'ORD-202405001', status: 'pending', price: 22.5 }));
+    app.post('/me/shipment/checkout', (req, res) => {
+      if (failNextCheckout) {
+        failNextCheckout = false;
+        return res.status(422).json({ message: 'Saldo insuficiente', errors: { balance: ['Adicione saldo à carteira'] } });
+      }
+      res.json({ purchase: { id: 'purchase-1', status: 'paid', orders: req.body.orders.map(id => ({ id })) } });
+    });
+    app.post('/me/shipment/generate', (req, res) => res.json(Object.fromEntries(req.body.orders.map(id => [id, { status: true }]))));
+    app.post('/me/shipment/print', (req, res) => res.json({ url: `https://melhorenvio.test/imprimir/${req.body.orders.join(',')}` }));
+    app.post('/me/shipment/tracking', (req, res) => res.json(Object.fromEntries(req.body.orders
+      .filter(id => tracking[id])
+      .map(id => [id, tracking[id]]))));
+  });
+});
+
+afterAll(() => me.close());
+
+const admin = { id: 'admin-1', email: 'admin@hypex.test', role: 'admin' };
+const customer = { id: 'user-1', name: 'Maria Souza', email: 'maria@hypex.test', role: 'customer' };
+
+function cepOrder(overrides = {}) {
+  return {
+    id: 'order-1',
+    user_id: customer.id,
+    total: 142.5,
+    status: 'pedido feito',
+    items: [{ product_id: 'prod-1', variation_id: null, name: 'Camiseta', size: 'M', price: 60, qty: 2 }],
+    address: {
+      firstName: 'Maria',
+      lastName: 'Souza',
+      telefone: '(11) 98888-7777',
+      rua: 'Rua das Flores',
+      numero: '100',
+      bairro: 'Centro',
+      cidade: 'São Paulo',
+      estado: 'SP',
+      cep: '01310-100'
+    },
+    shipping: { type: 'cep', cepDestino: '01310100', service_code: '1', service_name: 'PAC', price: 22.5 },
+    shipping_label: null,
+    tracking_code: null,
+    ...overrides
+  };
+}
+
+let app;
+let adminToken;
+
+beforeEach(() => {
+  failNextCheckout = false;
+  tracking = {};
+  me.requests.length = 0;
+  melhorEnvioService.baseUrl = me.url;
+  melhorEnvioService.token = 'me-token';
+
+  supabase.reset({
+    users: [admin, customer],
+    user_sessions: [{ id: 'sess-admin', user_id: admin.id, revoked_at: null }],
+    orders: [cepOrder()],
+    products: [{ id: 'prod-1', name: 'Camiseta', price: 60, weight: 0.4, width: 20, height: 4, length: 25 }]
+  });
+
+  app = express();
+  app.use(express.json());
+  app.use('/api/orders', orderRoutes);
+  adminToken = sessionService.accessToken(admin, 'sess-admin');
+});
+
+function purchaseLabel(orderId = 'order-1', body = {}) {
+  return request(app)
+    .post(`/api/orders/${orderId}/label`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(body);
+}
+
+function callsTo(path) {
+  return me.requests.filter(r => r.path === path);
+}
+
+function storedOrder(id = 'order-1') {
+  return supabase.table('orders').find(o => o.id === id);
+}
+
+describe('POST /api/orders/:id/label', () => {
+  test('coloca no carrinho, compra, gera e imprime a etiqueta', async () => {
+    tracking['me-cart-1'] = { status: 'released', tracking: 'BR123456789BR' };
+
+    const res = await purchaseLabel('order-1', { document: '123.456.789-09' }).expect(200);
+
+    expect(me.requests.map(r => r.path)).toEqual([
+      '/me/shipment/calculate',
+      '/me/cart',
+      '/me/shipment/checkout',
+      '/me/shipment/generate',
+      '/me/shipment/print',
+      '/me/shipment/tracking'
+    ]);
+    me.requests.forEach(r => expect(r.headers.authorization).toBe('Bearer me-token'));
+
+    const cart = callsTo('/me/cart')[0].body;
+    expect(cart.service).toBe(1);
+    expect(cart.to).toMatchObject({
+      name: 'Maria Souza',
+      phone: '11988887777',
+      email: 'maria@hypex.test',
+      document: '12345678909',
+      postal_code: '01310100',
+      state_abbr: 'SP'
+    });
+    expect(cart.products).toEqual([{ name: 'Camiseta (M)', quantity: 2, unitary_value: 60 }]);
+    // Volumes da cotação do mesmo serviço (o frete foi cobrado assim)
+    expect(cart.volumes).toEqual([{ height: 12, width: 16, length: 24, weight: 1.1 }]);
+    expect(cart.options).toMatchObject({ insurance_value: 120, non_commercial: true, tags: [{ tag: 'order-1' }] });
+    expect(callsTo('/me/shipment/checkout')[0].body).toEqual({ orders: ['me-cart-1'] });
+
+    expect(res.body.tracking_code).toBe('BR123456789BR');
+    expect(res.body.label).toMatchObject({
+      melhorenvio_id: 'me-cart-1',
+      protocol: 'ORD-202405001',
+      status: 'generated',
+      purchase_id: 'purchase-1',
+      price: 22.5,
+      print_url: 'https://melhorenvio.test/imprimir/me-cart-1',
+      tracking_status: 'released'
+    });
+    expect(storedOrder().shipping_label.status).toBe('generated');
+  });
+
+  test('com nota fiscal não vai como declaração de conteúdo', async () => {
+    await purchaseLabel('order-1', { invoice_key: '3524 0512 3456 7800 0199 5500 1000 0012 3410 0001 2345' }).expect(200);
+
+    const { options } = callsTo('/me/cart')[0].body;
+    expect(options.non_commercial).toBe(false);
+    expect(options.invoice).toEqual({ key: '35240512345678000199550010000012341000012345' });
+  });
+
+  test('continua de onde parou sem comprar a etiqueta duas vezes', async () => {
+    failNextCheckout = true;
+
+    const failed = await purchaseLabel().expect(400);
+    expect(failed.body.error).toMatch(/Saldo insuficiente: Adicione saldo à carteira/);
+    expect(storedOrder().shipping_label).toMatchObject({ status: 'cart', melhorenvio_id: 'me-cart-1' });
+
+    const res = await purchaseLabel().expect(200);
+    expect(res.body.label.status).toBe('generated');
+    expect(callsTo('/me/cart')).toHaveLength(1);
+    expect(callsTo('/me/shipment/checkout')).toHaveLength(2);
+
+    // Etiqueta já gerada: só um novo link de impressão
+    await purchaseLabel().expect(200);
+    expect(callsTo('/me/shipment/checkout')).toHaveLength(2);
+    expect(callsTo('/me/shipment/generate')).toHaveLength(1);
+    expect(callsTo('/me/shipment/print')).toHaveLength(2);
+  });
+
+  test('não compra duas etiquetas em chamadas simultâneas', async () => {
+    const results = await Promise.all([purchaseLabel(), purchaseLabel()]);
+
+    expect(results.map(r => r.status).sort()).toEqual([200, 409]);
+    expect(callsTo('/me/cart')).toHaveLength(1);
+    expect(callsTo('/me/shipment/checkout')).toHaveLength(1);
+  });
+
+  test('recusa pedidos sem frete do Melhor Envio ou já enviados', async () => {
+    supabase.table('orders').push(
+      cepOrder({ id: 'order-pickup', shipping: { type: 'pickup', method_id: 1, price: 0 } }),
+      cepOrder({ id: 'order-sent', status: 'enviado' })
+    );
+
+    const pickup = await purchaseLabel('order-pickup').expect(400);
+    expect(pickup.body.error).toMatch(/transportadora do Melhor Envio/);
+    await purchaseLabel('order-sent').expect(409);
+    await purchaseLabel('order-missing').expect(404);
+    expect(callsTo('/me/cart')).toHaveLength(0);
+  });
+
+  test('sem MELHOR_ENVIO_TOKEN responde 503', async () => {
+    melhorEnvioService.token = undefined;
+
+    await purchaseLabel().expect(503);
+    expect(me.requests).toHaveLength(0);
+  });
+
+  test('exige admin', async () => {
+    await request(app).post('/api/orders/order-1/label').send({}).expect(401);
+    expect(me.requests).toHaveLength(0);
+  });
+});
+
+describe('GET /api/orders/:id/label/print', () => {
+  function printLabel() {
+    return request(app)
+      .get('/api/orders/order-1/label/print')
+      .set('Authorization', `Bearer ${adminToken}`);
+  }
+
+  test('gera um novo link para a etiqueta gerada', async () => {
+    storedOrder().shipping_label = { melhorenvio_id: 'me-cart-9', status: 'generated', print_url: null };
+
+    const res = await printLabel().expect(200);
+    expect(res.body.url).toBe('https://melhorenvio.test/imprimir/me-cart-9');
+    expect(callsTo('/me/shipment/print')[0].body).toEqual({ mode: 'public', orders: ['me-cart-9'] });
+    expect(storedOrder().shipping_label.print_url).toBe(res.body.url);
+  });
+
+  test('recusa etiqueta ainda não gerada', async () => {
+    storedOrder().shipping_label = { melhorenvio_id: 'me-cart-9', status: 'purchased' };
+
+    await printLabel().expect(400);
+    expect(me.requests).toHaveLength(0);
+  });
+});
+
+describe('POST /api/orders/tracking/sync', () => {
+  function sync() {
+    return request(app)
+      .post('/api/orders/tracking/sync')
+      .set('Authorization', `Bearer ${adminToken}`);
+  }
+
+  function labeled(id, status, melhorenvioId, labelStatus = 'generated') {
+    return cepOrder({ id, status, shipping_label: { melhorenvio_id: melhorenvioId, status: labelStatus } });
+  }
+
+  beforeEach(() => {
+    supabase.reset({
+      users: [admin, customer],
+      user_sessions: [{ id: 'sess-admin', user_id: admin.id, revoked_at: null }],
+      orders: [
+        labeled('order-posted', 'em separacao', 'me-1'),
+        labeled('order-delivered', 'pedido feito', 'me-2'),
+        labeled('order-canceled', 'pedido feito', 'me-3'),
+        labeled('order-cart', 'pedido feito', 'me-4', 'cart'),
+        labeled('order-done', 'entregue', 'me-5')
+      ]
+    });
+  });
+
+  test('atualiza código e status dos pedidos pelo rastreio', async () => {
+    tracking = {
+      'me-1': { status: 'posted', tracking: 'BR000000001BR', posted_at: '2024-05-02 10:00:00' },
+      'me-2': { status: 'delivered', melhorenvio_tracking: 'ME000000002', delivered_at: '2024-05-05 15:00:00' },
+      'me-3': { status: 'canceled' }
+    };
+
+    const res = await sync().expect(200);
+
+    expect(res.body).toEqual({ checked: 3, updated: 2, errors: 0 });
+    // Só pedidos com etiqueta comprada/gerada e ainda não entregues
+    expect(callsTo('/me/shipment/tracking')[0].body).toEqual({ orders: ['me-1', 'me-2', 'me-3'] });
+
+    expect(storedOrder('order-posted')).toMatchObject({ status: 'enviado', tracking_code: 'BR000000001BR' });
+    expect(storedOrder('order-posted').shipping_label).toMatchObject({ tracking_status: 'posted', posted_at: '2024-05-02 10:00:00' });
+    expect(storedOrder('order-delivered')).toMatchObject({ status: 'entregue', tracking_code: 'ME000000002' });
+    expect(storedOrder('order-canceled').status).toBe('pedido feito');
+    expect(storedOrder('order-canceled').shipping_label.status).toBe('canceled');
+
+    // Etapas intermediárias ficam no histórico
+    const history = supabase.table('order_status_history')
+      .filter(h => h.order_id === 'order-delivered')
+      .map(h => `${h.from_status} -> ${h.to_status}`);
+    expect(history).toEqual(['pedido feito -> em separacao', 'em separacao -> enviado', 'enviado -> entregue']);
+  });
+
+  test('falha do Melhor Envio conta como erro sem mudar os pedidos', async () => {
+    melhorEnvioService.baseUrl = `${me.url}/fora-do-ar`;
+
+    const res = await sync().expect(200);
+
+    expect(res.body).toEqual({ checked: 3, updated: 0, errors: 3 });
+    expect(storedOrder('order-posted').status).toBe('em separacao');
+  });
+});
+
+describe('POST /api/orders/checkout com frete por CEP', () => {
+  function checkout(cepDestino, cep) {
+    return request(app)
+      .post('/api/orders/checkout')
+      .set('Authorization', `Bearer ${sessionService.accessToken(customer, 'sess-user')}`)
+      .send({
+        items: [{ product_id: 'prod-1', qty: 1, checked: true }],
+        address: { ...cepOrder().address, cep },
+        shipping: { type: 'cep', cepDestino, service_code: '1' }
+      });
+  }
+
+  beforeEach(() => {
+    supabase.table('user_sessions').push({ id: 'sess-user', user_id: customer.id, revoked_at: null });
+  });
+
+  test('recusa cotação feita para outro CEP', async () => {
+    const res = await checkout('69900000', '01310-100').expect(400);
+
+    expect(res.body.error).toMatch(/CEP do frete não confere/);
+    expect(callsTo('/me/shipment/calculate')).toHaveLength(0);
+    expect(supabase.table('pending_orders')).toHaveLength(0);
+  });
+
+  test('cota o frete para o CEP do endereço', async () => {
+    await checkout('01310100', '01310-100');
+
+    const [quote] = callsTo('/me/shipment/calculate');
+    expect(quote.body.to.postal_code).toBe('01310100');
+  });
+});
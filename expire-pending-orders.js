@@ -0,0 +1,17 @@
+require('dotenv').config();
+const pendingOrderExpiryService = require('./src/services/pendingOrderExpiry');
+
+// Expira pedidos pendentes com cobrança PIX vencida e libera as reservas de estoque
+// Uso: node expire-pending-orders.js (ex.: em um cron do servidor a cada 15 minutos)
+async function expirePendingOrders() {
+  try {
+    const summary = await pendingOrderExpiryService.sweep();
+    console.log('Resultado:', summary);
+    process.exit(summary.failed > 0 ? 1 : 0);
+  } catch (err) {
+    console.error('Erro ao expirar pedidos pendentes:', err);
+    process.exit(1);
+  }
+}
+
+expirePendingOrders();
@@ -21,22 +21,90 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   });
 
+  // PIX manual (contingência quando o Efí Bank está fora): aguardando confirmação do admin
+  const manualPixList = document.getElementById('manual-pix-list');
+
+  async function loadManualPixOrders() {
+    try {
+      const res = await fetch('/api/orders/pending/manual', { headers: { Authorization: `Bearer ${token}` }});
+      const data = await res.json();
+      const pendingOrders = data.pending_orders || [];
+      if (!res.ok || !pendingOrders.length) {
+        manualPixList.style.display = 'none';
+        return;
+      }
+
+      manualPixList.style.display = 'block';
+      manualPixList.innerHTML = `
+        <h4>PIX manual aguardando confirmação (${pendingOrders.length})</h4>
+        <p><small>Confira o recebimento no extrato da conta (valor e identificador) antes de confirmar.</small></p>
+        ${pendingOrders.map(o => `
+          <div class="order-card">
+            <p><strong>${o.user_name}</strong> ${o.user_email ? `(${o.user_email})` : ''}</p>
+            <p>Identificador: <code>${o.payment_id}</code> · Valor: <strong>R$ ${Number(o.total).toFixed(2)}</strong></p>
+            <p><small>Criado em ${new Date(o.created_at).toLocaleString('pt-BR')}${o.payment_status === 'expired' ? ' · expirado' : ''}</small></p>
+            <ul>
+              ${(o.items || []).map(i => `<li>${i.name} x${i.qty}${i.size ? ` (Tamanho: ${i.size})` : ''}</li>`).join('')}
+            </ul>
+            <div class="admin-actions">
+              <button class="btn btn-primary confirm-manual-pix" data-id="${o.id}">Confirmar pagamento</button>
+            </div>
+          </div>
+        `).join('')}
+      `;
+
+      manualPixList.querySelectorAll('.confirm-manual-pix').forEach(btn => {
+        btn.addEventListener('click', async () => {
+          if (!confirm('Confirmar que o PIX deste pedido foi recebido?')) return;
+          btn.disabled = true;
+          try {
+            const res = await fetch(`/api/orders/pending/${btn.dataset.id}/confirm-manual`, {
+              method: 'POST',
+              headers: { Authorization: `Bearer ${token}` }
+            });
+            const result = await res.json();
+            if (!res.ok) throw new Error(result.error || 'Erro ao confirmar pagamento');
+            alert('Pagamento confirmado. Pedido criado.');
+            location.reload();
+          } catch (err) {
+            btn.disabled = false;
+            alert(err.message);
+          }
+        });
+      });
+    } catch (err) {
+      console.error('Erro ao carregar PIX manuais:', err);
+    }
+  }
+
+  loadManualPixOrders();
+
   // Load Orders
   const ordersList = document.getElementById('orders-list');
-  fetch('/api/orders', { headers: { Authorization: `Bearer ${token}` }})
-    .then(r => r.json())
-    .then(data => {
+  Promise.all([
+    fetch('/api/orders', { headers: { Authorization: `Bearer ${token}` }}).then(r => r.json()),
+    fetch('/api/orders/statuses', { headers: { Authorization: `Bearer ${token}` }}).then(r => r.json()).catch(() => ({}))
+  ])
+    .then(([data, statusData]) => {
       if (!data.orders) {
         ordersList.innerHTML = '<p>Sem pedidos ou acesso negado.</p>';
         return;
       }
 
+      // Ciclo de vida dos pedidos (definido no servidor)
+      const statusNames = {};
+      (statusData.statuses || []).forEach(s => { statusNames[s.value] = s.label; });
+      const transitions = statusData.transitions || {};
+
       // Organizar pedidos por status
       const ordersByStatus = {
         'pedido feito': [],
         'em separacao': [],
         'enviado': [],
         'entregue': [],
+        'devolucao solicitada': [],
+        'devolvido': [],
+        'cancelado': [],
         'outros': []
       };
 
@@ -50,12 +118,15 @@ document.addEventListener('DOMContentLoaded', () => {
       });
 
       // Ordem de exibição: pedido feito primeiro (destacado), depois os outros
-      const statusOrder = ['pedido feito', 'em separacao', 'enviado', 'entregue', 'outros'];
+      const statusOrder = ['pedido feito', 'em separacao', 'enviado', 'entregue', 'devolucao solicitada', 'devolvido', 'cancelado', 'outros'];
       const statusLabels = {
         'pedido feito': 'Pedidos Feitos',
         'em separacao': 'Em Separação',
         'enviado': 'Enviados',
         'entregue': 'Entregues',
+        'devolucao solicitada': 'Devoluções Solicitadas',
+        'devolvido': 'Devolvidos',
+        'cancelado': 'Cancelados',
         'outros': 'Outros Status'
       };
 
@@ -193,21 +264,104 @@ document.addEventListener('DOMContentLoaded', () => {
   const deliveryAddress = o.address || o.user_address;
   const formattedAddress = formatAddress(deliveryAddress);
 
+  // Formatar frete escolhido no checkout
+  function formatShipping(shipping) {
+    if (!shipping) return '<em class="text-muted">— sem informações de frete —</em>';
+
+    const parts = [];
+    if (shipping.type === 'pickup') {
+      parts.push(`<strong>${shipping.method_id && shipping.service_name ? shipping.service_name : 'Retirada no local'}</strong>`);
+      if (shipping.location_name) parts.push(shipping.location_name);
+      if (shipping.address) parts.push(shipping.address);
+      if (shipping.hours) parts.push(`Horário: ${shipping.hours}`);
+      if (shipping.contact) parts.push(`📞 ${shipping.contact}`);
+    } else if (shipping.type === 'local') {
+      parts.push(`<strong>${shipping.service_name || 'Entrega local'}</strong>`);
+      if (shipping.cepDestino) parts.push(`CEP destino: ${shipping.cepDestino}`);
+      if (shipping.fee_note && !Number(shipping.price)) parts.push(`Taxa: ${shipping.fee_note}`);
+      if (shipping.contact) parts.push(`📞 ${shipping.contact}`);
+    } else if (shipping.type === 'moto-uber') {
+      parts.push('<strong>Entrega via Moto/Uber (a combinar)</strong>');
+      if (shipping.contact) parts.push(`📞 ${shipping.contact}`);
+    } else {
+      const service = shipping.service_name || 'Frete';
+      parts.push(`<strong>${service}</strong>${shipping.service_code ? ` <small>(código ${shipping.service_code})</small>` : ''}`);
+      if (shipping.cepDestino) parts.push(`CEP destino: ${shipping.cepDestino}`);
+      if (shipping.prazo) parts.push(`Prazo: ${shipping.prazo} dia(s) úteis`);
+    }
+    parts.push(`Valor: R$ ${Number(shipping.price || 0).toFixed(2)}`);
+    if (o.delivery_estimate) {
+      parts.push(`Previsão de entrega: ${new Date(o.delivery_estimate).toLocaleDateString('pt-BR')}`);
+    }
+    return parts.join('<br>');
+  }
+
+  // Devoluções (PIX ou estorno no cartão) já feitas e saldo ainda devolvível
+  // Boletos não têm estorno pelo Efí Bank
+  const paymentMethod = (o.payment && o.payment.method) || 'pix';
+  const paymentLabels = { pix: 'PIX', card: 'Cartão de Crédito', boleto: 'Boleto Bancário' };
+  const refunds = (o.payment && Array.isArray(o.payment.refunds)) ? o.payment.refunds : [];
+  const refundedTotal = refunds
+    .filter(r => !r.failed && r.status !== 'NAO_REALIZADO')
+    .reduce((sum, r) => sum + Number(r.amount || 0), 0);
+  const refundable = (o.payment && o.payment.txid && paymentMethod !== 'boleto')
+    ? Math.max(0, Number(o.total || 0) - refundedTotal)
+    : 0;
+  const refundsHtml = refunds.length ? `
+    <div class="order-items">
+      <h5><i class="fas fa-undo"></i> Devoluções</h5>
+      <ul>
+        ${refunds.map(r => `<li>R$ ${Number(r.amount || 0).toFixed(2)} — ${r.status} — ${new Date(r.requested_at).toLocaleString('pt-BR')}${r.restocked ? ' (itens devolvidos ao estoque)' : ''}${r.reason ? ` — ${r.reason}` : ''}</li>`).join('')}
+      </ul>
+    </div>` : '';
+  // Pedido pago sem estoque (ex.: pagamento depois da expiração do checkout): devolver o pagamento
+  const refundRequired = o.payment && o.payment.refund_required && o.payment.status !== 'refunded' ? o.payment.refund_required : null;
+  const refundRequiredHtml = refundRequired ? `
+    <div class="order-refund-required">
+      <i class="fas fa-exclamation-triangle"></i> ${refundRequired.reason || 'Este pedido precisa ser devolvido'}
+    </div>` : '';
+
+  // Etiqueta do Melhor Envio (frete de transportadora)
+  const label = o.shipping_label && o.shipping_label.status !== 'canceled' ? o.shipping_label : null;
+  const labelStatusNames = { creating: 'criando', cart: 'no carrinho do Melhor Envio', purchased: 'comprada', generated: 'gerada' };
+  const hasCarrierShipping = o.shipping && o.shipping.type === 'cep' && /^\d+$/.test(String(o.shipping.service_code || ''));
+  const canBuyLabel = hasCarrierShipping && (label || ['pedido feito', 'em separacao'].includes(o.status || 'pedido feito'));
+  const labelHtml = (label || o.tracking_code) ? `
+    <div class="address-display">
+      ${label ? `Etiqueta: ${labelStatusNames[label.status] || label.status}${label.protocol ? ` (${label.protocol})` : ''}${label.price ? ` — R$ ${Number(label.price).toFixed(2)}` : ''}<br>` : ''}
+      ${o.tracking_code ? `Rastreio: <strong>${o.tracking_code}</strong>${label && label.tracking_status ? ` <small>(${label.tracking_status})</small>` : ''}` : ''}
+    </div>` : '';
+
+  // Opções de status: o atual + as transições permitidas
+  const currentStatus = o.status || 'pedido feito';
+  const nextStatuses = transitions[currentStatus] || Object.keys(statusNames);
+  const statusOptionsHtml = [currentStatus, ...nextStatuses.filter(s => s !== currentStatus)]
+    .map(s => `<option value="${s}">${statusNames[s] || s}</option>`)
+    .join('');
+
   el.innerHTML = `
     <div class="order-header">
-      <h4>Pedido #${o.id.substring(0, 8)}... — <small>${o.status}</small></h4>
+      <h4>Pedido #${o.id.substring(0, 8)}... — <small>${statusNames[o.status] || o.status}</small></h4>
       <div class="order-meta">
         <div><strong>Cliente:</strong> ${o.user_name || 'Usuário'} ${o.user_email ? `(${o.user_email})` : ''}</div>
         <div><strong>Total:</strong> R$ ${Number(o.total || 0).toFixed(2)}</div>
+        <div><strong>Pagamento:</strong> ${o.payment ? (paymentLabels[paymentMethod] || paymentMethod) : '-'}</div>
         <div><strong>Data:</strong> ${new Date(o.created_at).toLocaleString('pt-BR')}</div>
       </div>
     </div>
+    ${refundRequiredHtml}
 
     <div class="order-address-section">
       <h5><i class="fas fa-map-marker-alt"></i> Endereço de Entrega</h5>
       <div class="address-display">${formattedAddress}</div>
     </div>
 
+    <div class="order-address-section">
+      <h5><i class="fas fa-truck"></i> Entrega</h5>
+      <div class="address-display">${formatShipping(o.shipping)}</div>
+      ${labelHtml}
+    </div>
+
     <div class="order-items">
       <h5><i class="fas fa-shopping-bag"></i> Itens do Pedido</h5>
       <ul>
@@ -217,13 +371,16 @@ document.addEventListener('DOMContentLoaded', () => {
 
     <div class="admin-actions">
       <select data-order-id="${o.id}" class="status-select">
-        <option value="pedido feito">Pedido feito</option>
-        <option value="em separacao">Em separação</option>
-        <option value="enviado">Enviado</option>
-        <option value="entregue">Entregue</option>
+        ${statusOptionsHtml}
       </select>
-      <button data-order-id="${o.id}" class="save-status btn btn-outline">Salvar Status</button>
+      <input type="text" data-order-id="${o.id}" class="status-note" placeholder="Observação (opcional)">
+      <label><input type="checkbox" data-order-id="${o.id}" class="status-notify" checked> Avisar cliente por email</label>
+      <button data-order-id="${o.id}" class="save-status btn btn-outline" ${nextStatuses.length ? '' : 'disabled'}>Salvar Status</button>
+      ${canBuyLabel && (!label || label.status !== 'generated') ? `<button data-order-id="${o.id}" class="buy-label btn btn-outline">${label ? 'Continuar Etiqueta' : 'Gerar Etiqueta'}</button>` : ''}
+      ${label && label.status === 'generated' ? `<button data-order-id="${o.id}" class="print-label btn btn-outline">Imprimir Etiqueta</button>` : ''}
+      ${refundable > 0 ? `<button data-order-id="${o.id}" data-refundable="${refundable.toFixed(2)}" data-method="${paymentMethod}" data-restockable="${o.payment.refund_required ? 'false' : 'true'}" class="refund-order btn btn-outline">${paymentMethod === 'card' ? 'Estornar Cartão' : 'Devolver PIX'}</button>` : ''}
     </div>
+    ${refundsHtml}
   `;
 
   // setar o valor atual do select (pois as opções são estáticas)
@@ -247,12 +404,18 @@ document.addEventListener('DOMContentLoaded', () => {
         btn.addEventListener('click', async (e) => {
           const id = btn.getAttribute('data-order-id');
           const sel = document.querySelector(`.status-select[data-order-id="${id}"]`);
+          const noteInput = document.querySelector(`.status-note[data-order-id="${id}"]`);
+          const notifyInput = document.querySelector(`.status-notify[data-order-id="${id}"]`);
           const status = sel.value;
           try {
             const res = await fetch(`/api/orders/${id}/status`, {
               method: 'PUT',
               headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
-              body: JSON.stringify({ status })
+              body: JSON.stringify({
+                status,
+                note: noteInput ? noteInput.value.trim() : '',
+                notify_customer: notifyInput ? notifyInput.checked : false
+              })
             });
             const json = await res.json();
             if (res.ok) {
@@ -267,11 +430,108 @@ document.addEventListener('DOMContentLoaded', () => {
           }
         });
       });
+
+      document.querySelectorAll('.buy-label').forEach(btn => {
+        btn.addEventListener('click', async () => {
+          const id = btn.getAttribute('data-order-id');
+          if (!confirm('Comprar a etiqueta no Melhor Envio? O valor é descontado do saldo da conta.')) return;
+          const documentInput = prompt('CPF/CNPJ do destinatário (opcional, exigido para declaração de conteúdo):', '');
+          if (documentInput === null) return;
+          const invoiceKey = prompt('Chave da nota fiscal (deixe em branco para declaração de conteúdo):', '');
+          if (invoiceKey === null) return;
+          btn.disabled = true;
+          try {
+            const res = await fetch(`/api/orders/${id}/label`, {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+              body: JSON.stringify({ document: documentInput.trim(), invoice_key: invoiceKey.trim() })
+            });
+            const json = await res.json();
+            if (!res.ok) throw new Error(json.error || 'Erro ao gerar etiqueta');
+            if (json.label && json.label.print_url) window.open(json.label.print_url, '_blank');
+            alert(`Etiqueta gerada${json.tracking_code ? `. Rastreio: ${json.tracking_code}` : ''}`);
+            location.reload();
+          } catch (err) {
+            alert(err.message);
+            btn.disabled = false;
+          }
+        });
+      });
+
+      document.querySelectorAll('.print-label').forEach(btn => {
+        btn.addEventListener('click', async () => {
+          const id = btn.getAttribute('data-order-id');
+          try {
+            const res = await fetch(`/api/orders/${id}/label/print`, {
+              headers: { Authorization: `Bearer ${token}` }
+            });
+            const json = await res.json();
+            if (!res.ok || !json.url) throw new Error(json.error || 'Erro ao imprimir etiqueta');
+            window.open(json.url, '_blank');
+          } catch (err) {
+            alert(err.message);
+          }
+        });
+      });
+
+      document.querySelectorAll('.refund-order').forEach(btn => {
+        btn.addEventListener('click', async () => {
+          const id = btn.getAttribute('data-order-id');
+          const refundable = btn.getAttribute('data-refundable');
+          const amountInput = prompt(`Valor a devolver (máximo R$ ${refundable}):`, refundable);
+          if (amountInput === null) return;
+          const amount = Number(String(amountInput).replace(',', '.'));
+          if (!amount || amount <= 0) {
+            alert('Valor inválido');
+            return;
+          }
+          const reason = prompt('Motivo da devolução (opcional):') || '';
+          // Devolução parcial e pedido marcado para devolução (estoque nunca baixado) não devolvem itens ao estoque
+          const restockable = btn.getAttribute('data-restockable') === 'true' && amount >= Number(refundable);
+          const restock = restockable && confirm('Devolver os itens deste pedido ao estoque?');
+          const via = btn.getAttribute('data-method') === 'card' ? 'estorno no cartão' : 'PIX';
+          if (!confirm(`Confirmar devolução de R$ ${amount.toFixed(2)} via ${via}?`)) return;
+          try {
+            const res = await fetch(`/api/orders/${id}/refund`, {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+              body: JSON.stringify({ amount, reason, restock })
+            });
+            const json = await res.json();
+            if (!res.ok) throw new Error(json.error || 'Erro ao devolver');
+            alert(`Devolução solicitada: ${json.refund.status}`);
+            location.reload();
+          } catch (err) {
+            alert(err.message);
+          }
+        });
+      });
     }).catch(err => {
       ordersList.innerHTML = '<p>Erro ao carregar pedidos.</p>';
       console.error(err);
     });
 
+  const syncTrackingBtn = document.getElementById('sync-tracking');
+  if (syncTrackingBtn) {
+    syncTrackingBtn.addEventListener('click', async () => {
+      syncTrackingBtn.disabled = true;
+      try {
+        const res = await fetch('/api/orders/tracking/sync', {
+          method: 'POST',
+          headers: { Authorization: `Bearer ${token}` }
+        });
+        const json = await res.json();
+        if (!res.ok) throw new Error(json.error || 'Erro ao atualizar rastreios');
+        alert(`${json.checked} envio(s) consultado(s), ${json.updated} pedido(s) atualizado(s)${json.errors ? `, ${json.errors} erro(s)` : ''}`);
+        if (json.updated) location.reload();
+      } catch (err) {
+        alert(err.message);
+      } finally {
+        syncTrackingBtn.disabled = false;
+      }
+    });
+  }
+
   // Products Management
   const productModal = document.getElementById('product-modal');
   const productForm = document.getElementById('product-form');
@@ -282,12 +542,21 @@ document.addEventListener('DOMContentLoaded', () => {
   // Load Products
   async function loadProducts() {
     try {
-      const res = await fetch('/api/products');
-      const data = await res.json();
-      if (!data.products) throw new Error('Sem produtos.');
+      // A listagem é paginada: buscar todas as páginas (100 produtos por vez)
+      const products = [];
+      let cursor = null;
+      do {
+        const params = new URLSearchParams({ limit: 100 });
+        if (cursor) params.set('cursor', cursor);
+        const res = await fetch(`/api/products?${params}`);
+        const data = await res.json();
+        if (!data.products) throw new Error('Sem produtos.');
+        products.push(...data.products);
+        cursor = data.next_cursor;
+      } while (cursor);
 
       productsGrid.innerHTML = '';
-      data.products.forEach(p => {
+      products.forEach(p => {
         const el = document.createElement('div');
         el.className = 'product-card';
         const img = p.image || (p.images && p.images.length ? p.images[0] : null) || 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="300" height="400"%3E%3Crect fill="%23f8f9fa" width="300" height="400"/%3E%3C/svg%3E';
@@ -355,6 +624,10 @@ document.addEventListener('DOMContentLoaded', () => {
       size: '',
       price: '',
       stock: '',
+      weight: '',
+      width: '',
+      height: '',
+      length: '',
       images: []
     };
     
@@ -413,6 +686,29 @@ document.addEventListener('DOMContentLoaded', () => {
           </div>
         </div>
         
+        <small style="display: block; color: #666; margin-bottom: 0.5rem;">Peso e dimensões para o frete (deixe em branco para usar os do produto)</small>
+        <div class="form-row">
+          <div class="form-group">
+            <label>Peso (kg)</label>
+            <input type="number" class="variation-weight" data-variation-id="${variation.id}" value="${variation.weight}" min="0" step="0.001" placeholder="Ex: 0.3">
+          </div>
+          <div class="form-group">
+            <label>Largura (cm)</label>
+            <input type="number" class="variation-width" data-variation-id="${variation.id}" value="${variation.width}" min="0" step="0.1" placeholder="Ex: 20">
+          </div>
+        </div>
+        
+        <div class="form-row">
+          <div class="form-group">
+            <label>Altura (cm)</label>
+            <input type="number" class="variation-height" data-variation-id="${variation.id}" value="${variation.height}" min="0" step="0.1" placeholder="Ex: 6">
+          </div>
+          <div class="form-group">
+            <label>Comprimento (cm)</label>
+            <input type="number" class="variation-length" data-variation-id="${variation.id}" value="${variation.length}" min="0" step="0.1" placeholder="Ex: 20">
+          </div>
+        </div>
+        
         <div class="form-group">
           <label>Imagens da Variação</label>
           <input type="file" class="variation-images" data-variation-id="${variation.id}" multiple accept="image/*">
@@ -464,6 +760,14 @@ document.addEventListener('DOMContentLoaded', () => {
       if (variation) variation.stock = e.target.value;
     });
     
+    ['weight', 'width', 'height', 'length'].forEach(field => {
+      variationElement.querySelector(`.variation-${field}`).addEventListener('input', (e) => {
+        const id = e.target.dataset.variationId;
+        const variation = productVariations.find(v => v.id === id);
+        if (variation) variation[field] = e.target.value;
+      });
+    });
+    
     // Add event listener for image upload
     const imageInput = variationElement.querySelector('.variation-images');
     imageInput.addEventListener('change', (e) => {
@@ -522,6 +826,10 @@ document.addEventListener('DOMContentLoaded', () => {
             size: variation.size || '',
             price: variation.price || '',
             stock: variation.stock || '',
+            weight: variation.weight || '',
+            width: variation.width || '',
+            height: variation.height || '',
+            length: variation.length || '',
             images: variation.images || []
           });
           
@@ -533,6 +841,10 @@ document.addEventListener('DOMContentLoaded', () => {
             size: variation.size || '',
             price: variation.price || '',
             stock: variation.stock || '',
+            weight: variation.weight || '',
+            width: variation.width || '',
+            height: variation.height || '',
+            length: variation.length || '',
             images: variation.images || []
           });
         });
@@ -651,6 +963,10 @@ document.addEventListener('DOMContentLoaded', () => {
     productForm.querySelector('[name=type]').value = product.type || '';
     productForm.querySelector('[name=color]').value = product.color || '';
     productForm.querySelector('[name=brand]').value = product.brand || '';
+    productForm.querySelector('[name=weight]').value = product.weight || '';
+    productForm.querySelector('[name=width]').value = product.width || '';
+    productForm.querySelector('[name=height]').value = product.height || '';
+    productForm.querySelector('[name=length]').value = product.length || '';
 
     // Limpar checkboxes de tamanhos
     productForm.querySelectorAll('[name=sizes]').forEach(cb => {
@@ -731,6 +1047,10 @@ document.addEventListener('DOMContentLoaded', () => {
         variationFormData.append('size', variation.size || '');
         variationFormData.append('price', Number(variation.price || 0));
         variationFormData.append('stock', Number(variation.stock || 0));
+        variationFormData.append('weight', variation.weight || '');
+        variationFormData.append('width', variation.width || '');
+        variationFormData.append('height', variation.height || '');
+        variationFormData.append('length', variation.length || '');
         
         // Add image files
         for (let i = 0; i < variation.imageFiles.length; i++) {
@@ -772,7 +1092,11 @@ document.addEventListener('DOMContentLoaded', () => {
           color: variation.color || '',
           size: variation.size || '',
           price: Number(variation.price || 0),
-          stock: Number(variation.stock || 0)
+          stock: Number(variation.stock || 0),
+          weight: variation.weight || '',
+          width: variation.width || '',
+          height: variation.height || '',
+          length: variation.length || ''
         };
         
         if (variation.id && !variation.id.startsWith('new_')) {
@@ -841,7 +1165,12 @@ document.addEventListener('DOMContentLoaded', () => {
         type: formData.get('type') || null,
         color: formData.get('color') || null,
         brand: formData.get('brand') || null,
-        sizes: selectedSizes.length > 0 ? selectedSizes : []
+        sizes: selectedSizes.length > 0 ? selectedSizes : [],
+        // Peso e dimensões do frete (vazio = pacote padrão)
+        weight: formData.get('weight') || '',
+        width: formData.get('width') || '',
+        height: formData.get('height') || '',
+        length: formData.get('length') || ''
       };
 
       // Handle main product images upload
@@ -1168,6 +1497,515 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  // Shipping Rules Management
+  const shippingRulesList = document.getElementById('shipping-rules-list');
+
+  const SHIPPING_RULE_TYPES = {
+    free_shipping: 'Frete grátis',
+    flat_rate: 'Frete fixo',
+    discount: 'Desconto no frete',
+    local_delivery: 'Entrega local (taxa fixa)'
+  };
+
+  function describeShippingRule(r) {
+    const parts = [];
+    if (r.type === 'flat_rate' || r.type === 'local_delivery') {
+      parts.push(`R$ ${Number(r.amount || 0).toFixed(2)}`);
+    } else if (r.type === 'discount') {
+      parts.push(r.discount_type === 'percentage' ? `${r.amount}% de desconto` : `R$ ${Number(r.amount || 0).toFixed(2)} de desconto`);
+    }
+    if (r.min_subtotal) parts.push(`acima de R$ ${Number(r.min_subtotal).toFixed(2)}`);
+    if (r.cep_start || r.cep_end) parts.push(`CEP ${r.cep_start || '...'} a ${r.cep_end || '...'}`);
+    if (r.states && r.states.length) parts.push(`UF: ${r.states.join(', ')}`);
+    if (r.service_codes && r.service_codes.length) parts.push(`serviços: ${r.service_codes.join(', ')}`);
+    if (r.type === 'local_delivery' && r.delivery_days) parts.push(`${r.delivery_days} dia(s)`);
+    return parts.join(' · ');
+  }
+
+  async function loadShippingRules() {
+    try {
+      const res = await fetch('/api/shipping/rules', {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Erro ao carregar regras de frete');
+      const rules = data.rules || [];
+
+      shippingRulesList.innerHTML = `
+        <div class="section-header">
+          <button class="btn btn-primary" id="add-shipping-rule">
+            <i class="fas fa-plus"></i> Nova Regra
+          </button>
+        </div>
+        <div class="coupons-grid"></div>
+      `;
+      document.getElementById('add-shipping-rule').addEventListener('click', () => showShippingRuleModal());
+
+      const grid = shippingRulesList.querySelector('.coupons-grid');
+      if (rules.length === 0) {
+        grid.innerHTML = '<p>Nenhuma regra cadastrada. Clique em "Nova Regra" para adicionar uma.</p>';
+        return;
+      }
+
+      rules.forEach(r => {
+        const el = document.createElement('div');
+        el.className = 'coupon-card';
+        el.innerHTML = `
+          <div class="coupon-info">
+            <h4>${r.name}</h4>
+            <p>${SHIPPING_RULE_TYPES[r.type] || r.type}${r.active ? '' : ' <small>(inativa)</small>'}</p>
+            <p><small>${describeShippingRule(r) || 'Sem condições'}</small></p>
+            <div class="admin-actions">
+              <button class="btn btn-outline edit-shipping-rule">Editar</button>
+              <button class="btn btn-outline delete-shipping-rule">Excluir</button>
+            </div>
+          </div>
+        `;
+        grid.appendChild(el);
+
+        el.querySelector('.edit-shipping-rule').addEventListener('click', () => showShippingRuleModal(r));
+        el.querySelector('.delete-shipping-rule').addEventListener('click', async () => {
+          if (!confirm('Tem certeza que deseja excluir esta regra de frete?')) return;
+          try {
+            const res = await fetch(`/api/shipping/rules/${r.id}`, {
+              method: 'DELETE',
+              headers: { Authorization: `Bearer ${token}` }
+            });
+            if (!res.ok) throw new Error('Erro ao excluir regra de frete.');
+            el.remove();
+          } catch (err) {
+            alert(err.message);
+          }
+        });
+      });
+    } catch (err) {
+      shippingRulesList.innerHTML = `<p>Erro ao carregar regras de frete: ${err.message}</p>`;
+      console.error(err);
+    }
+  }
+
+  function showShippingRuleModal(rule = null) {
+    const modal = document.createElement('div');
+    modal.className = 'admin-modal';
+    modal.style.display = 'flex';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h4>${rule ? 'Editar' : 'Nova'} Regra de Frete</h4>
+          <button class="close-modal">&times;</button>
+        </div>
+        <form id="shipping-rule-form" class="admin-form">
+          <div class="form-group">
+            <label for="rule-name">Nome</label>
+            <input type="text" id="rule-name" name="name" required value="${rule?.name || ''}" placeholder="Ex: Frete grátis acima de R$ 199">
+          </div>
+          <div class="form-row">
+            <div class="form-group">
+              <label for="rule-type">Tipo</label>
+              <select id="rule-type" name="type" required>
+                ${Object.entries(SHIPPING_RULE_TYPES).map(([value, label]) => `
+                  <option value="${value}" ${rule?.type === value ? 'selected' : ''}>${label}</option>
+                `).join('')}
+              </select>
+            </div>
+            <div class="form-group">
+              <label for="rule-active">Situação</label>
+              <select id="rule-active" name="active">
+                <option value="true" ${rule?.active !== false ? 'selected' : ''}>Ativa</option>
+                <option value="false" ${rule?.active === false ? 'selected' : ''}>Inativa</option>
+              </select>
+            </div>
+          </div>
+          <div class="form-row">
+            <div class="form-group rule-amount">
+              <label for="rule-amount">Valor</label>
+              <input type="number" id="rule-amount" name="amount" min="0" step="0.01" value="${rule?.amount ?? ''}">
+            </div>
+            <div class="form-group rule-discount-type">
+              <label for="rule-discount-type">Tipo de Desconto</label>
+              <select id="rule-discount-type" name="discount_type">
+                <option value="percentage" ${rule?.discount_type === 'percentage' ? 'selected' : ''}>Porcentagem</option>
+                <option value="fixed" ${rule?.discount_type === 'fixed' ? 'selected' : ''}>Valor Fixo</option>
+              </select>
+            </div>
+            <div class="form-group rule-delivery-days">
+              <label for="rule-delivery-days">Prazo (dias)</label>
+              <input type="number" id="rule-delivery-days" name="delivery_days" min="0" step="1" value="${rule?.delivery_days ?? ''}">
+            </div>
+          </div>
+          <p style="margin:.5rem 0;color:#666;"><small>Condições (deixe em branco para valer em qualquer caso)</small></p>
+          <div class="form-group">
+            <label for="rule-min-subtotal">Subtotal mínimo dos produtos (R$)</label>
+            <input type="number" id="rule-min-subtotal" name="min_subtotal" min="0" step="0.01" value="${rule?.min_subtotal ?? ''}">
+          </div>
+          <div class="form-row">
+            <div class="form-group">
+              <label for="rule-cep-start">CEP inicial</label>
+              <input type="text" id="rule-cep-start" name="cep_start" value="${rule?.cep_start || ''}" placeholder="Ex: 32600-000">
+            </div>
+            <div class="form-group">
+              <label for="rule-cep-end">CEP final</label>
+              <input type="text" id="rule-cep-end" name="cep_end" value="${rule?.cep_end || ''}" placeholder="Ex: 32699-999">
+            </div>
+          </div>
+          <div class="form-row">
+            <div class="form-group">
+              <label for="rule-states">Estados (UF)</label>
+              <input type="text" id="rule-states" name="states" value="${(rule?.states || []).join(', ')}" placeholder="Ex: MG, SP">
+            </div>
+            <div class="form-group rule-service-codes">
+              <label for="rule-service-codes">Serviços (códigos do Melhor Envio)</label>
+              <input type="text" id="rule-service-codes" name="service_codes" value="${(rule?.service_codes || []).join(', ')}" placeholder="Ex: 1, 2">
+            </div>
+          </div>
+          <div class="form-actions">
+            <button type="submit" class="btn btn-primary">Salvar Regra</button>
+            <button type="button" class="btn btn-outline close-modal">Cancelar</button>
+          </div>
+        </form>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    modal.querySelectorAll('.close-modal').forEach(btn => {
+      btn.addEventListener('click', () => modal.remove());
+    });
+
+    // Mostrar apenas os campos usados pelo tipo escolhido
+    const typeSelect = modal.querySelector('[name=type]');
+    const toggleFields = () => {
+      const type = typeSelect.value;
+      modal.querySelector('.rule-amount').style.display = type === 'free_shipping' ? 'none' : '';
+      modal.querySelector('.rule-discount-type').style.display = type === 'discount' ? '' : 'none';
+      modal.querySelector('.rule-delivery-days').style.display = type === 'local_delivery' ? '' : 'none';
+      modal.querySelector('.rule-service-codes').style.display = type === 'local_delivery' ? 'none' : '';
+    };
+    typeSelect.addEventListener('change', toggleFields);
+    toggleFields();
+
+    const form = modal.querySelector('#shipping-rule-form');
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const data = Object.fromEntries(new FormData(form));
+      const payload = {
+        name: data.name.trim(),
+        type: data.type,
+        active: data.active === 'true',
+        amount: data.type === 'free_shipping' ? '' : data.amount,
+        discount_type: data.type === 'discount' ? data.discount_type : '',
+        delivery_days: data.type === 'local_delivery' ? data.delivery_days : '',
+        min_subtotal: data.min_subtotal,
+        cep_start: data.cep_start.trim(),
+        cep_end: data.cep_end.trim(),
+        states: data.states,
+        service_codes: data.type === 'local_delivery' ? '' : data.service_codes
+      };
+
+      try {
+        const res = await fetch(rule ? `/api/shipping/rules/${rule.id}` : '/api/shipping/rules', {
+          method: rule ? 'PUT' : 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${token}`
+          },
+          body: JSON.stringify(payload)
+        });
+        const json = await res.json();
+        if (!res.ok) {
+          throw new Error(json.messages && json.messages.length ? json.messages.join('\n') : (json.error || 'Erro ao salvar regra de frete.'));
+        }
+        modal.remove();
+        loadShippingRules();
+      } catch (err) {
+        alert(err.message);
+        console.error('Erro ao salvar regra de frete:', err);
+      }
+    });
+  }
+
+  // Delivery Methods Management (retirada e entrega local)
+  const deliveryMethodsList = document.getElementById('delivery-methods-list');
+
+  const DELIVERY_METHOD_KINDS = {
+    pickup: 'Retirada no local',
+    local: 'Entrega local (moto/uber)'
+  };
+
+  function describeDeliveryMethod(m) {
+    const parts = [];
+    parts.push(Number(m.fee) > 0 ? `Taxa R$ ${Number(m.fee).toFixed(2)}` : (m.fee_note || 'Sem taxa'));
+    if (m.kind === 'pickup') {
+      const locations = m.pickup_locations || [];
+      parts.push(`${locations.length} ponto(s) de retirada`);
+    } else {
+      if (m.cep_prefixes && m.cep_prefixes.length) parts.push(`CEPs: ${m.cep_prefixes.join(', ')}`);
+      if (Number(m.radius_km) > 0) parts.push(`raio de ${m.radius_km} km`);
+    }
+    if (m.contact) parts.push(`📞 ${m.contact}`);
+    return parts.join(' · ');
+  }
+
+  async function loadDeliveryMethods() {
+    try {
+      const res = await fetch('/api/delivery-methods/all', {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Erro ao carregar formas de entrega');
+      const methods = data.methods || [];
+
+      deliveryMethodsList.innerHTML = `
+        <div class="section-header">
+          <button class="btn btn-primary" id="add-delivery-method">
+            <i class="fas fa-plus"></i> Nova Forma de Entrega
+          </button>
+        </div>
+        <div class="coupons-grid"></div>
+      `;
+      document.getElementById('add-delivery-method').addEventListener('click', () => showDeliveryMethodModal());
+
+      const grid = deliveryMethodsList.querySelector('.coupons-grid');
+      if (methods.length === 0) {
+        grid.innerHTML = '<p>Nenhuma forma de entrega cadastrada. Clique em "Nova Forma de Entrega" para adicionar uma.</p>';
+        return;
+      }
+
+      methods.forEach(m => {
+        const el = document.createElement('div');
+        el.className = 'coupon-card';
+        el.innerHTML = `
+          <div class="coupon-info">
+            <h4>${m.name}</h4>
+            <p>${DELIVERY_METHOD_KINDS[m.kind] || m.kind}${m.active ? '' : ' <small>(inativa)</small>'}</p>
+            <p><small>${describeDeliveryMethod(m)}</small></p>
+            <div class="admin-actions">
+              <button class="btn btn-outline edit-delivery-method">Editar</button>
+              <button class="btn btn-outline delete-delivery-method">Excluir</button>
+            </div>
+          </div>
+        `;
+        grid.appendChild(el);
+
+        el.querySelector('.edit-delivery-method').addEventListener('click', () => showDeliveryMethodModal(m));
+        el.querySelector('.delete-delivery-method').addEventListener('click', async () => {
+          if (!confirm('Tem certeza que deseja excluir esta forma de entrega?')) return;
+          try {
+            const res = await fetch(`/api/delivery-methods/${m.id}`, {
+              method: 'DELETE',
+              headers: { Authorization: `Bearer ${token}` }
+            });
+            if (!res.ok) throw new Error('Erro ao excluir forma de entrega.');
+            el.remove();
+          } catch (err) {
+            alert(err.message);
+          }
+        });
+      });
+    } catch (err) {
+      deliveryMethodsList.innerHTML = `<p>Erro ao carregar formas de entrega: ${err.message}</p>`;
+      console.error(err);
+    }
+  }
+
+  function renderPickupLocationRow(location = {}) {
+    return `
+      <div class="pickup-location-row" data-location-id="${location.id || ''}" style="border:1px solid #eee;border-radius:4px;padding:.5rem;margin-bottom:.5rem;">
+        <div class="form-row">
+          <div class="form-group">
+            <label>Nome do ponto</label>
+            <input type="text" class="location-name" value="${location.name || ''}" placeholder="Ex: Loja Petrovale">
+          </div>
+          <div class="form-group">
+            <label>Telefone</label>
+            <input type="text" class="location-phone" value="${location.phone || ''}" placeholder="Ex: (31) 97507-4666">
+          </div>
+        </div>
+        <div class="form-group">
+          <label>Endereço</label>
+          <input type="text" class="location-address" value="${location.address || ''}" placeholder="Rua, número – Bairro, Cidade">
+        </div>
+        <div class="form-group">
+          <label>Horário de funcionamento</label>
+          <input type="text" class="location-hours" value="${location.hours || ''}" placeholder="Ex: Seg a Sex, 9h às 18h">
+        </div>
+        <button type="button" class="btn btn-outline remove-pickup-location">Remover ponto</button>
+      </div>
+    `;
+  }
+
+  function showDeliveryMethodModal(method = null) {
+    const modal = document.createElement('div');
+    modal.className = 'admin-modal';
+    modal.style.display = 'flex';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h4>${method ? 'Editar' : 'Nova'} Forma de Entrega</h4>
+          <button class="close-modal">&times;</button>
+        </div>
+        <form id="delivery-method-form" class="admin-form">
+          <div class="form-group">
+            <label for="method-name">Nome</label>
+            <input type="text" id="method-name" name="name" required value="${method?.name || ''}" placeholder="Ex: Retirada no Local">
+          </div>
+          <div class="form-row">
+            <div class="form-group">
+              <label for="method-kind">Tipo</label>
+              <select id="method-kind" name="kind" required>
+                ${Object.entries(DELIVERY_METHOD_KINDS).map(([value, label]) => `
+                  <option value="${value}" ${method?.kind === value ? 'selected' : ''}>${label}</option>
+                `).join('')}
+              </select>
+            </div>
+            <div class="form-group">
+              <label for="method-active">Situação</label>
+              <select id="method-active" name="active">
+                <option value="true" ${method?.active !== false ? 'selected' : ''}>Ativa</option>
+                <option value="false" ${method?.active === false ? 'selected' : ''}>Inativa</option>
+              </select>
+            </div>
+            <div class="form-group">
+              <label for="method-sort-order">Ordem</label>
+              <input type="number" id="method-sort-order" name="sort_order" step="1" value="${method?.sort_order ?? 0}">
+            </div>
+          </div>
+          <div class="form-group">
+            <label for="method-description">Descrição (exibida no carrinho)</label>
+            <textarea id="method-description" name="description" rows="2">${method?.description || ''}</textarea>
+          </div>
+          <div class="form-row">
+            <div class="form-group">
+              <label for="method-fee">Taxa (R$)</label>
+              <input type="number" id="method-fee" name="fee" min="0" step="0.01" value="${method?.fee ?? 0}">
+            </div>
+            <div class="form-group">
+              <label for="method-fee-note">Texto quando sem taxa</label>
+              <input type="text" id="method-fee-note" name="fee_note" value="${method?.fee_note || ''}" placeholder="Ex: A combinar">
+            </div>
+            <div class="form-group">
+              <label for="method-contact">Contato (WhatsApp)</label>
+              <input type="text" id="method-contact" name="contact" value="${method?.contact || ''}" placeholder="Ex: (31) 97507-4666">
+            </div>
+          </div>
+          <div class="method-local-fields">
+            <p style="margin:.5rem 0;color:#666;"><small>Área atendida (deixe em branco para atender qualquer CEP)</small></p>
+            <div class="form-group">
+              <label for="method-cep-prefixes">Prefixos de CEP</label>
+              <input type="text" id="method-cep-prefixes" name="cep_prefixes" value="${(method?.cep_prefixes || []).join(', ')}" placeholder="Ex: 326, 3068">
+            </div>
+            <div class="form-row">
+              <div class="form-group">
+                <label for="method-radius">Raio (km)</label>
+                <input type="number" id="method-radius" name="radius_km" min="0" step="0.1" value="${method?.radius_km ?? ''}">
+              </div>
+              <div class="form-group">
+                <label for="method-origin-lat">Latitude de origem</label>
+                <input type="number" id="method-origin-lat" name="origin_lat" step="any" value="${method?.origin_lat ?? ''}">
+              </div>
+              <div class="form-group">
+                <label for="method-origin-lng">Longitude de origem</label>
+                <input type="number" id="method-origin-lng" name="origin_lng" step="any" value="${method?.origin_lng ?? ''}">
+              </div>
+            </div>
+          </div>
+          <div class="method-pickup-fields">
+            <p style="margin:.5rem 0;color:#666;"><small>Pontos de retirada</small></p>
+            <div class="pickup-locations">
+              ${(method?.pickup_locations || []).map(l => renderPickupLocationRow(l)).join('')}
+            </div>
+            <button type="button" class="btn btn-outline add-pickup-location"><i class="fas fa-plus"></i> Adicionar ponto</button>
+          </div>
+          <div class="form-actions">
+            <button type="submit" class="btn btn-primary">Salvar Forma de Entrega</button>
+            <button type="button" class="btn btn-outline close-modal">Cancelar</button>
+          </div>
+        </form>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    modal.querySelectorAll('.close-modal').forEach(btn => {
+      btn.addEventListener('click', () => modal.remove());
+    });
+
+    const locationsContainer = modal.querySelector('.pickup-locations');
+    const bindLocationRows = () => {
+      locationsContainer.querySelectorAll('.remove-pickup-location').forEach(btn => {
+        btn.onclick = () => btn.closest('.pickup-location-row').remove();
+      });
+    };
+    modal.querySelector('.add-pickup-location').addEventListener('click', () => {
+      locationsContainer.insertAdjacentHTML('beforeend', renderPickupLocationRow());
+      bindLocationRows();
+    });
+    bindLocationRows();
+
+    // Mostrar apenas os campos usados pelo tipo escolhido
+    const kindSelect = modal.querySelector('[name=kind]');
+    const toggleFields = () => {
+      const kind = kindSelect.value;
+      modal.querySelector('.method-pickup-fields').style.display = kind === 'pickup' ? '' : 'none';
+      modal.querySelector('.method-local-fields').style.display = kind === 'local' ? '' : 'none';
+      if (kind === 'pickup' && !locationsContainer.children.length) {
+        locationsContainer.insertAdjacentHTML('beforeend', renderPickupLocationRow());
+        bindLocationRows();
+      }
+    };
+    kindSelect.addEventListener('change', toggleFields);
+    toggleFields();
+
+    const form = modal.querySelector('#delivery-method-form');
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const data = Object.fromEntries(new FormData(form));
+      const payload = {
+        name: data.name.trim(),
+        kind: data.kind,
+        active: data.active === 'true',
+        sort_order: data.sort_order,
+        description: data.description.trim(),
+        fee: data.fee,
+        fee_note: data.fee_note.trim(),
+        contact: data.contact.trim(),
+        cep_prefixes: data.kind === 'local' ? data.cep_prefixes : '',
+        radius_km: data.kind === 'local' ? data.radius_km : '',
+        origin_lat: data.kind === 'local' ? data.origin_lat : '',
+        origin_lng: data.kind === 'local' ? data.origin_lng : '',
+        pickup_locations: data.kind === 'pickup'
+          ? Array.from(locationsContainer.querySelectorAll('.pickup-location-row')).map(row => ({
+            id: row.dataset.locationId || undefined,
+            name: row.querySelector('.location-name').value.trim(),
+            address: row.querySelector('.location-address').value.trim(),
+            hours: row.querySelector('.location-hours').value.trim(),
+            phone: row.querySelector('.location-phone').value.trim()
+          })).filter(l => l.address)
+          : []
+      };
+
+      try {
+        const res = await fetch(method ? `/api/delivery-methods/${method.id}` : '/api/delivery-methods', {
+          method: method ? 'PUT' : 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${token}`
+          },
+          body: JSON.stringify(payload)
+        });
+        const json = await res.json();
+        if (!res.ok) {
+          throw new Error(json.messages && json.messages.length ? json.messages.join('\n') : (json.error || 'Erro ao salvar forma de entrega.'));
+        }
+        modal.remove();
+        loadDeliveryMethods();
+      } catch (err) {
+        alert(err.message);
+        console.error('Erro ao salvar forma de entrega:', err);
+      }
+    });
+  }
+
   // Load Site Settings
   async function loadSiteSettings() {
     const settingsList = document.getElementById('site-settings-list');
@@ -1257,6 +2095,18 @@ document.addEventListener('DOMContentLoaded', () => {
             <button type="button" class="btn btn-primary save-setting" data-key="hero_banner_subtitle">Salvar</button>
           </div>
 
+          <div class="setting-item">
+            <label for="checkout_require_verified_email">
+              <strong>Exigir Email Confirmado na Compra</strong>
+              <small>Contas que ainda não confirmaram o email pelo link do cadastro não finalizam pedidos nem geram cobranças</small>
+            </label>
+            <select id="checkout_require_verified_email">
+              <option value="false" ${settings.checkout_require_verified_email?.value !== 'true' ? 'selected' : ''}>Não (qualquer conta pode comprar)</option>
+              <option value="true" ${settings.checkout_require_verified_email?.value === 'true' ? 'selected' : ''}>Sim (só emails confirmados)</option>
+            </select>
+            <button type="button" class="btn btn-primary save-setting" data-key="checkout_require_verified_email">Salvar</button>
+          </div>
+
           <!-- Nova seção para configuração de fundo do site -->
           <div class="setting-item">
             <label>
@@ -1552,6 +2402,69 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  // Checkouts abandonados (pedidos pendentes que expiraram sem pagamento)
+  const abandonedList = document.getElementById('abandoned-list');
+  const abandonedPeriod = document.getElementById('abandoned-period');
+
+  async function loadAbandonedReport() {
+    abandonedList.innerHTML = '<p>Carregando relatório...</p>';
+    try {
+      const days = Number(abandonedPeriod.value || 30);
+      const from = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+      const res = await fetch(`/api/orders/abandoned?from=${encodeURIComponent(from)}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const report = await res.json();
+      if (!res.ok) throw new Error(report.error || 'Erro ao carregar relatório');
+
+      if (!report.count) {
+        abandonedList.innerHTML = '<p>Nenhum checkout abandonado no período.</p>';
+        return;
+      }
+
+      abandonedList.innerHTML = `
+        <div class="order-card">
+          <p><strong>${report.count}</strong> checkout(s) abandonado(s) de <strong>${report.customers}</strong> cliente(s)</p>
+          <p>Valor não convertido: <strong>R$ ${Number(report.total_value).toFixed(2)}</strong></p>
+          <h4>Produtos mais abandonados</h4>
+          <ul>
+            ${report.top_products.map(p => `<li>${p.name || p.product_id} — ${p.qty} un. (R$ ${Number(p.value).toFixed(2)})</li>`).join('')}
+          </ul>
+        </div>
+        ${report.orders.map(o => `
+          <div class="order-card">
+            <p><strong>${o.user_name}</strong> ${o.user_email ? `(${o.user_email})` : ''}</p>
+            <p><small>Criado em ${new Date(o.created_at).toLocaleString('pt-BR')} · expirou em ${o.expired_at ? new Date(o.expired_at).toLocaleString('pt-BR') : '-'}</small></p>
+            <ul>
+              ${(o.items || []).map(i => `<li>${i.name} x${i.qty}${i.size ? ` (Tamanho: ${i.size})` : ''} - R$ ${(Number(i.price) * Number(i.qty)).toFixed(2)}</li>`).join('')}
+            </ul>
+            <p>Total: <strong>R$ ${Number(o.total).toFixed(2)}</strong>${o.coupon_code ? ` · Cupom: ${o.coupon_code}` : ''}</p>
+          </div>
+        `).join('')}
+      `;
+    } catch (err) {
+      abandonedList.innerHTML = `<p>Erro ao carregar relatório: ${err.message}</p>`;
+      console.error('Erro ao carregar checkouts abandonados:', err);
+    }
+  }
+
+  abandonedPeriod.addEventListener('change', loadAbandonedReport);
+
+  document.getElementById('expire-pending-now').addEventListener('click', async () => {
+    try {
+      const res = await fetch('/api/orders/pending/expire', {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Erro ao expirar pedidos pendentes');
+      alert(`${data.expired} pedido(s) expirado(s), ${data.paid} pago(s) encontrado(s).`);
+      loadAbandonedReport();
+    } catch (err) {
+      alert(err.message);
+    }
+  });
+
   // Carregar configurações quando a seção for ativada
   let settingsLoaded = false;
   document.querySelectorAll('.admin-nav-link').forEach(link => {
@@ -1561,6 +2474,15 @@ document.addEventListener('DOMContentLoaded', () => {
         loadSiteSettings();
         settingsLoaded = true;
       }
+      if (section === 'abandoned') {
+        loadAbandonedReport();
+      }
+      if (section === 'shipping-rules') {
+        loadShippingRules();
+      }
+      if (section === 'delivery-methods') {
+        loadDeliveryMethods();
+      }
     });
   });
 
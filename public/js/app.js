@@ -54,26 +54,8 @@ function createCartModalContent() {
             <div id="shipping-results" style="font-size: 0.9rem; color: var(--text-secondary); min-height: 1.25rem;"></div>
           </div>
           
-          <!-- Opção 2: Retirada no Local -->
-          <label style="display: block; padding: 0.75rem; border: 1px solid #ddd; border-radius: 4px; margin-bottom: 0.5rem; cursor: pointer;">
-            <input type="radio" name="delivery-option" value="pickup" style="margin-right: 0.5rem;">
-            <strong>Retirada no Local (Grátis)</strong>
-          </label>
-          <div id="pickup-section" style="display: none; padding: 0.75rem; background: #f0f8ff; border-radius: 4px; margin-bottom: 0.75rem; border-left: 3px solid #007bff;">
-            <p style="margin: 0 0 0.5rem 0; font-size: 0.9rem;">🛑️ Retirar seu pedido pessoalmente no endereço abaixo:</p>
-            <p style="margin: 0 0 0.25rem 0; font-size: 0.9rem;"><strong>📍 Rua Camboja, nº 133 – Bairro Petrovale, Betim</strong></p>
-            <p style="margin: 0; font-size: 0.9rem;">📞 Telefone: (31) 97507-4666</p>
-          </div>
-          
-          <!-- Opção 3: Moto-Uber -->
-          <label style="display: block; padding: 0.75rem; border: 1px solid #ddd; border-radius: 4px; margin-bottom: 0.5rem; cursor: pointer;">
-            <input type="radio" name="delivery-option" value="moto-uber" style="margin-right: 0.5rem;">
-            <strong>Entrega via Moto/Uber (A combinar)</strong>
-          </label>
-          <div id="moto-uber-section" style="display: none; padding: 0.75rem; background: #fff8e1; border-radius: 4px; margin-bottom: 0.75rem; border-left: 3px solid #ffc107;">
-            <p style="margin: 0 0 0.5rem 0; font-size: 0.9rem;">📦 Entregamos por moto-Uber, com o valor a combinar diretamente pelo WhatsApp.</p>
-            <p style="margin: 0; font-size: 0.9rem;"><strong>📲 Contato: (31) 97507-4666</strong></p>
-          </div>
+          <!-- Retirada e entregas locais (cadastradas no admin) -->
+          <div id="delivery-methods-options"></div>
         </div>
         <div class="cart-total" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.5rem;">
           <span>Subtotal:</span>
@@ -534,6 +516,118 @@ async function loadProducts() {
   updateCartCount();
 }
 
+// Texto digitado pelo usuário exibido em HTML
+function escapeSuggestion(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+// Sugestões enquanto o usuário digita na barra de busca (GET /api/products/suggest)
+function setupSearchSuggestions(searchInput) {
+  const bar = searchInput.closest('.search-bar');
+  if (!bar) return;
+
+  const box = document.createElement('div');
+  box.className = 'search-suggestions';
+  box.hidden = true;
+  bar.appendChild(box);
+
+  let timer = null;
+  let controller = null;
+  let activeIndex = -1;
+
+  const close = () => {
+    box.hidden = true;
+    activeIndex = -1;
+  };
+
+  const items = () => Array.from(box.querySelectorAll('.suggestion-item'));
+
+  function render(query, data) {
+    const groups = [];
+    if (data.products.length) {
+      groups.push('<div class="suggestion-group">Produtos</div>' + data.products.map(p => `
+        <a href="${p.url}" class="suggestion-item">
+          ${p.thumbnail ? `<img src="${p.thumbnail}" alt="" class="suggestion-thumb">` : '<span class="suggestion-thumb"></span>'}
+          <span class="suggestion-name">${escapeSuggestion(p.name)}</span>
+          <small>R$ ${Number(p.price).toFixed(2)}</small>
+        </a>
+      `).join(''));
+    }
+    if (data.brands.length) {
+      groups.push('<div class="suggestion-group">Marcas</div>' + data.brands.map(b => `
+        <a href="${b.url}" class="suggestion-item"><i class="fas fa-tag"></i><span class="suggestion-name">${escapeSuggestion(b.label)}</span></a>
+      `).join(''));
+    }
+    if (data.categories.length) {
+      groups.push('<div class="suggestion-group">Categorias</div>' + data.categories.map(c => `
+        <a href="${c.url}" class="suggestion-item"><i class="fas fa-layer-group"></i><span class="suggestion-name">${escapeSuggestion(c.label)}</span></a>
+      `).join(''));
+    }
+
+    if (!groups.length) {
+      close();
+      return;
+    }
+
+    box.innerHTML = groups.join('') + `
+      <a href="/pages/pesquisa.html?q=${encodeURIComponent(query)}" class="suggestion-item suggestion-all">
+        Ver todos os resultados para "${escapeSuggestion(query)}"
+      </a>
+    `;
+    activeIndex = -1;
+    box.hidden = false;
+  }
+
+  searchInput.setAttribute('autocomplete', 'off');
+
+  searchInput.addEventListener('input', () => {
+    clearTimeout(timer);
+    const query = searchInput.value.trim();
+    if (query.length < 2) {
+      close();
+      return;
+    }
+
+    timer = setTimeout(async () => {
+      // Resposta de uma digitação anterior não interessa mais
+      if (controller) controller.abort();
+      controller = new AbortController();
+      try {
+        const res = await fetch(`/api/products/suggest?q=${encodeURIComponent(query)}`, { signal: controller.signal });
+        if (!res.ok) return;
+        const data = await res.json();
+        if (searchInput.value.trim() === query) render(query, data);
+      } catch (err) {
+        if (err.name !== 'AbortError') console.error('Erro ao buscar sugestões:', err);
+      }
+    }, 150);
+  });
+
+  // Setas navegam pelas sugestões; Enter abre a sugestão marcada; Esc fecha
+  searchInput.addEventListener('keydown', (e) => {
+    if (box.hidden) return;
+    const list = items();
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      activeIndex = e.key === 'ArrowDown'
+        ? (activeIndex + 1) % list.length
+        : (activeIndex - 1 + list.length) % list.length;
+      list.forEach((item, idx) => item.classList.toggle('active', idx === activeIndex));
+    } else if (e.key === 'Enter' && activeIndex >= 0) {
+      e.preventDefault();
+      window.location.href = list[activeIndex].href;
+    } else if (e.key === 'Escape') {
+      close();
+    }
+  });
+
+  // Manter o foco no campo ao clicar numa sugestão
+  box.addEventListener('mousedown', (e) => e.preventDefault());
+  searchInput.addEventListener('blur', close);
+}
+
 // Função para realizar a busca de produtos
 async function searchProducts(query) {
   // Redirecionar para a página de pesquisa
@@ -899,6 +993,66 @@ function saveCart(cart) {
   updateCartCount();
 }
 
+// Carrinho no servidor (usuários logados)
+// O localStorage continua sendo usado como cópia local; o servidor é a fonte da verdade.
+async function cartApi(method, path, body) {
+  const token = localStorage.getItem('hypex_token');
+  if (!token) return null;
+  try {
+    const res = await fetch(`/api/cart${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      if (res.status === 409 && data.error) alert(data.error);
+      return null;
+    }
+    return data.cart || null;
+  } catch (e) {
+    console.error('Erro ao sincronizar carrinho:', e);
+    return null;
+  }
+}
+
+// Converte o carrinho do servidor para o formato local (hypex_cart)
+function applyServerCart(serverCart) {
+  if (!serverCart || !Array.isArray(serverCart.items)) return;
+  const cart = serverCart.items.map(i => ({
+    id: i.id,
+    product_id: i.product_id,
+    name: i.name,
+    price: i.price,
+    image: i.image,
+    stock: i.stock,
+    qty: i.qty,
+    checked: i.checked && i.available,
+    size: i.size,
+    variation_id: i.variation_id,
+    available: i.available,
+    price_changed: i.price_changed,
+    previous_price: i.previous_price,
+    issue: i.issue
+  }));
+  saveCart(cart);
+}
+
+async function loadServerCart() {
+  const serverCart = await cartApi('GET', '');
+  applyServerCart(serverCart);
+}
+
+// Envia uma alteração ao servidor; se falhar, recarrega o carrinho do servidor
+async function syncCart(method, path, body) {
+  const serverCart = await cartApi(method, path, body);
+  if (serverCart) {
+    applyServerCart(serverCart);
+  } else {
+    await loadServerCart();
+  }
+}
+
 window.addItemToCart = function(product) {
   const cart = getCart();
   
@@ -926,6 +1080,21 @@ window.addItemToCart = function(product) {
     return;
   }
   
+  // Usuário logado: o servidor valida preço/estoque e devolve o carrinho atualizado
+  if (localStorage.getItem('hypex_token')) {
+    cartApi('POST', '/items', {
+      product_id: product.id,
+      variation_id: product.variation_id || null,
+      size: product.size || null,
+      qty: 1
+    }).then(serverCart => {
+      if (!serverCart) return;
+      applyServerCart(serverCart);
+      cartModal.style.display = 'block';
+    });
+    return;
+  }
+  
   if (found) {
     found.qty++;
   } else {
@@ -1050,9 +1219,11 @@ function renderCart() {
     const cb = document.createElement('input');
     cb.type = 'checkbox';
     cb.checked = !!item.checked;
+    cb.disabled = item.available === false;
     cb.addEventListener('change', e => {
       item.checked = e.target.checked;
       saveCart(cart);
+      if (item.id) syncCart('PUT', `/items/${item.id}`, { checked: item.checked });
     });
     cbWrap.appendChild(cb);
     
@@ -1079,6 +1250,13 @@ function renderCart() {
     if (stock > 0) {
       additionalInfo += `<div style="font-size: 0.75rem; color: var(--text-secondary); margin-top: 0.25rem;">Estoque: ${stock}</div>`;
     }
+    // Avisos da revalidação feita pelo servidor
+    if (item.price_changed && item.previous_price !== null) {
+      additionalInfo += `<div style="font-size: 0.75rem; color: #b8860b; margin-top: 0.25rem;">Preço alterado: de R$ ${Number(item.previous_price).toFixed(2)} para R$ ${Number(item.price).toFixed(2)}</div>`;
+    }
+    if (item.issue) {
+      additionalInfo += `<div style="font-size: 0.75rem; color: #dc3545; margin-top: 0.25rem;">${item.issue}</div>`;
+    }
     
     info.innerHTML = `
       <h4>${item.name}</h4>
@@ -1098,6 +1276,7 @@ function renderCart() {
     remove.addEventListener('click', () => {
       cart.splice(idx, 1);
       saveCart(cart);
+      if (item.id) syncCart('DELETE', `/items/${item.id}`);
     });
     
     row.appendChild(cbWrap);
@@ -1129,11 +1308,18 @@ function renderCart() {
   const anySelectedItems = cart.some(i => i.checked);
   let finalWithShipping = total;
   
-  // Mostrar frete apenas se for opção CEP
+  // Retirada/entrega local escolhida (taxa cadastrada no admin)
+  const selectedMethod = getDeliveryMethod(deliveryType);
+  
+  // Mostrar frete da opção CEP ou taxa da entrega local
   if (deliveryType === 'cep' && anySelectedItems && selectedShipping && typeof selectedShipping.price === 'number') {
     if (shippingRow) shippingRow.style.display = 'flex';
     if (shippingValueEl) shippingValueEl.textContent = `R$ ${selectedShipping.price.toFixed(2)}`;
     finalWithShipping = total + selectedShipping.price;
+  } else if (selectedMethod && anySelectedItems) {
+    if (shippingRow) shippingRow.style.display = 'flex';
+    if (shippingValueEl) shippingValueEl.textContent = formatDeliveryFee(selectedMethod);
+    finalWithShipping = total + Number(selectedMethod.fee || 0);
   } else {
     if (shippingRow) shippingRow.style.display = 'none';
   }
@@ -1179,8 +1365,9 @@ function updateQuantity(idx, newQty) {
   if (newQty < 1) {
     // Remove item se quantidade for 0
     const cart = getCart();
-    cart.splice(idx, 1);
+    const [removed] = cart.splice(idx, 1);
     saveCart(cart);
+    if (removed && removed.id) syncCart('DELETE', `/items/${removed.id}`);
     return;
   }
   
@@ -1196,9 +1383,151 @@ function updateQuantity(idx, newQty) {
   
   cart[idx].qty = newQty;
   saveCart(cart);
+  if (item.id) syncCart('PUT', `/items/${item.id}`, { qty: newQty });
 }
 
 // Função para configurar event listeners do carrinho
+// Formas de entrega locais (retirada e entrega própria) cadastradas no admin
+let deliveryMethods = [];
+
+function getDeliveryMethod(optionValue) {
+  if (!optionValue || !String(optionValue).startsWith('method:')) return null;
+  const id = String(optionValue).substring('method:'.length);
+  return deliveryMethods.find(m => String(m.id) === id) || null;
+}
+
+function formatDeliveryFee(method) {
+  const fee = Number(method.fee || 0);
+  if (fee > 0) return `R$ ${fee.toFixed(2)}`;
+  return method.fee_note || 'Grátis';
+}
+
+function getSelectedPickupLocation(method) {
+  const locations = method.pickup_locations || [];
+  const select = document.querySelector(`.pickup-location-select[data-method-id="${method.id}"]`);
+  const selectedId = select ? select.value : null;
+  return locations.find(l => String(l.id) === String(selectedId)) || locations[0] || null;
+}
+
+async function loadDeliveryMethods() {
+  const container = document.getElementById('delivery-methods-options');
+  if (!container) return;
+
+  const cep = (localStorage.getItem('hypex_shipping_cep') || '').replace(/\D/g, '');
+  // Subtotal só para exibir a taxa com as regras de frete; o checkout recalcula no servidor
+  const subtotal = getCart().filter(i => i.checked).reduce((s, i) => s + Number(i.price || 0) * Number(i.qty || 1), 0);
+  try {
+    const res = await fetch(`/api/delivery-methods?cep=${cep}&subtotal=${subtotal.toFixed(2)}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Erro ao carregar formas de entrega');
+    deliveryMethods = data.methods || [];
+  } catch (err) {
+    console.error('Erro ao carregar formas de entrega:', err);
+    deliveryMethods = [];
+  }
+  renderDeliveryMethods();
+}
+
+function renderDeliveryMethods() {
+  const container = document.getElementById('delivery-methods-options');
+  if (!container) return;
+
+  const checked = document.querySelector('input[name="delivery-option"]:checked');
+  const previousValue = checked ? checked.value : null;
+  let savedLocations = {};
+  try {
+    savedLocations = JSON.parse(localStorage.getItem('hypex_pickup_locations') || '{}');
+  } catch (e) {}
+
+  container.innerHTML = deliveryMethods.map(m => {
+    const disabled = m.available !== true;
+    const unavailableNote = m.available === false
+      ? '<small style="display:block;color:#dc3545;margin-top:.25rem;">Não atende o seu CEP</small>'
+      : (m.available === null ? '<small style="display:block;color:#666;margin-top:.25rem;">Calcule o frete com o seu CEP para verificar a disponibilidade</small>' : '');
+    const original = m.original_fee != null ? `<small style="text-decoration:line-through;color:#999;margin-left:.35rem;">R$ ${Number(m.original_fee).toFixed(2)}</small>` : '';
+    const locations = m.pickup_locations || [];
+    const locationOptions = locations.map(l => `
+      <option value="${l.id}" ${savedLocations[m.id] === l.id ? 'selected' : ''}>${l.name || l.address}</option>
+    `).join('');
+    const details = m.kind === 'pickup'
+      ? `
+        ${locations.length > 1 ? `<select class="pickup-location-select" data-method-id="${m.id}" style="width:100%;padding:.4rem;margin-bottom:.5rem;">${locationOptions}</select>` : ''}
+        <div class="pickup-location-info" data-method-id="${m.id}"></div>
+      `
+      : (m.contact ? `<p style="margin: 0; font-size: 0.9rem;"><strong>📲 Contato: ${m.contact}</strong></p>` : '');
+
+    return `
+      <label style="display: block; padding: 0.75rem; border: 1px solid #ddd; border-radius: 4px; margin-bottom: 0.5rem; cursor: ${disabled ? 'not-allowed' : 'pointer'}; ${disabled ? 'opacity: 0.6;' : ''}">
+        <input type="radio" name="delivery-option" value="method:${m.id}" ${disabled ? 'disabled' : ''} style="margin-right: 0.5rem;">
+        <strong>${m.name} (${formatDeliveryFee(m)})</strong>${original}
+        ${unavailableNote}
+      </label>
+      <div class="delivery-method-section" data-method-id="${m.id}" style="display: none; padding: 0.75rem; background: ${m.kind === 'pickup' ? '#f0f8ff' : '#fff8e1'}; border-radius: 4px; margin-bottom: 0.75rem; border-left: 3px solid ${m.kind === 'pickup' ? '#007bff' : '#ffc107'};">
+        ${m.description ? `<p style="margin: 0 0 0.5rem 0; font-size: 0.9rem;">${m.description}</p>` : ''}
+        ${details}
+      </div>
+    `;
+  }).join('');
+
+  container.querySelectorAll('input[name="delivery-option"]').forEach(option => {
+    option.addEventListener('change', (e) => handleDeliveryOptionChange(e.target.value));
+  });
+
+  container.querySelectorAll('.pickup-location-select').forEach(select => {
+    select.addEventListener('change', () => {
+      const saved = JSON.parse(localStorage.getItem('hypex_pickup_locations') || '{}');
+      saved[select.dataset.methodId] = select.value;
+      localStorage.setItem('hypex_pickup_locations', JSON.stringify(saved));
+      renderPickupLocationInfo(getDeliveryMethod(`method:${select.dataset.methodId}`));
+    });
+  });
+
+  deliveryMethods.filter(m => m.kind === 'pickup').forEach(renderPickupLocationInfo);
+
+  // Manter a opção escolhida se ela continuar disponível
+  const previousMethod = getDeliveryMethod(previousValue);
+  if (previousMethod && previousMethod.available === true) {
+    const radio = container.querySelector(`input[value="${previousValue}"]`);
+    if (radio) radio.checked = true;
+    handleDeliveryOptionChange(previousValue);
+  } else if (previousValue && previousValue !== 'cep') {
+    const cepOption = document.querySelector('input[name="delivery-option"][value="cep"]');
+    if (cepOption) cepOption.checked = true;
+    handleDeliveryOptionChange('cep');
+  } else {
+    renderCart();
+  }
+}
+
+function renderPickupLocationInfo(method) {
+  if (!method) return;
+  const info = document.querySelector(`.pickup-location-info[data-method-id="${method.id}"]`);
+  const location = getSelectedPickupLocation(method);
+  if (!info || !location) return;
+  info.innerHTML = `
+    <p style="margin: 0 0 0.25rem 0; font-size: 0.9rem;"><strong>📍 ${location.address}</strong></p>
+    ${location.hours ? `<p style="margin: 0 0 0.25rem 0; font-size: 0.9rem;">🕒 ${location.hours}</p>` : ''}
+    ${(location.phone || method.contact) ? `<p style="margin: 0; font-size: 0.9rem;">📞 Telefone: ${location.phone || method.contact}</p>` : ''}
+  `;
+}
+
+function handleDeliveryOptionChange(selectedValue) {
+  // Mostrar/ocultar seções
+  const cepSection = document.getElementById('cep-section');
+  if (cepSection) cepSection.style.display = selectedValue === 'cep' ? 'block' : 'none';
+  document.querySelectorAll('.delivery-method-section').forEach(section => {
+    section.style.display = selectedValue === `method:${section.dataset.methodId}` ? 'block' : 'none';
+  });
+
+  // Limpar seleção de frete ao trocar de opção
+  if (selectedValue !== 'cep') {
+    localStorage.removeItem('hypex_selected_shipping');
+  }
+
+  // Atualizar total do carrinho
+  renderCart();
+}
+
 function setupCartEventListeners() {
   // Event listeners para cupom (só adicionar se os elementos existirem)
   const applyCouponBtn = document.getElementById('apply-coupon-btn');
@@ -1252,6 +1581,7 @@ function setupCartEventListeners() {
         return;
       }
       localStorage.setItem('hypex_shipping_cep', input.value);
+      loadDeliveryMethods(); // disponibilidade das entregas locais depende do CEP
       // Calcular quantidade de itens selecionados
       const cart = getCart();
       const selectedQty = cart.filter(i => i.checked).reduce((s, i) => s + Number(i.qty || 0), 0);
@@ -1273,7 +1603,11 @@ function setupCartEventListeners() {
         const res = await fetch('/api/shipping/calculate', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ cepDestino: cep, qtdItens: selectedQty })
+          body: JSON.stringify({
+            cepDestino: cep,
+            qtdItens: selectedQty,
+            items: cart.filter(i => i.checked).map(i => ({ product_id: i.product_id, variation_id: i.variation_id || null, qty: i.qty }))
+          })
         }).catch(err => { throw err; });
 
         done = true;
@@ -1288,14 +1622,16 @@ function setupCartEventListeners() {
         }
         // Render results com seleção
         results.innerHTML = services.map(s => {
-          const price = Number(s.price).toFixed(2);
+          const price = Number(s.price) === 0 ? 'Grátis' : `R$ ${Number(s.price).toFixed(2)}`;
+          // Regra de frete aplicada (frete grátis, desconto...): mostrar o preço original riscado
+          const original = s.original_price != null ? `<small style="text-decoration:line-through;color:#999;margin-right:.35rem;">R$ ${Number(s.original_price).toFixed(2)}</small>` : '';
           const prazo = s.prazo ? `, ${s.prazo} dia(s) úteis` : '';
           return `<label style="display:flex;align-items:center;justify-content:space-between;gap:.75rem;padding:.35rem .25rem;border:1px solid #eee;border-radius:6px;margin-bottom:.35rem;cursor:pointer;">
             <div style="display:flex;align-items:center;gap:.5rem;flex:1;">
               <input type="radio" name="shipping-option" value="${s.code}">
               <span>${s.name}${prazo}</span>
             </div>
-            <strong>R$ ${price}</strong>
+            <span>${original}<strong>${price}</strong></span>
           </label>`;
         }).join('');
         // Restaurar seleção anterior se houver
@@ -1317,7 +1653,8 @@ function setupCartEventListeners() {
               service_name: sel.name,
               price: Number(sel.price),
               prazo: sel.prazo || null,
-              cepDestino: cep
+              cepDestino: cep,
+              quote_id: sel.quote_id || null
             };
             localStorage.setItem('hypex_selected_shipping', JSON.stringify(selected));
             renderCart();
@@ -1336,31 +1673,10 @@ function setupCartEventListeners() {
   }
   
   // Gerenciar opções de recebimento
-  const deliveryOptions = document.querySelectorAll('input[name="delivery-option"]');
-  const cepSection = document.getElementById('cep-section');
-  const pickupSection = document.getElementById('pickup-section');
-  const motoUberSection = document.getElementById('moto-uber-section');
-  
-  if (deliveryOptions.length > 0) {
-    deliveryOptions.forEach(option => {
-      option.addEventListener('change', (e) => {
-        const selectedValue = e.target.value;
-        
-        // Mostrar/ocultar seções
-        if (cepSection) cepSection.style.display = selectedValue === 'cep' ? 'block' : 'none';
-        if (pickupSection) pickupSection.style.display = selectedValue === 'pickup' ? 'block' : 'none';
-        if (motoUberSection) motoUberSection.style.display = selectedValue === 'moto-uber' ? 'block' : 'none';
-        
-        // Limpar seleção de frete ao trocar de opção
-        if (selectedValue !== 'cep') {
-          localStorage.removeItem('hypex_selected_shipping');
-        }
-        
-        // Atualizar total do carrinho
-        renderCart();
-      });
-    });
-  }
+  document.querySelectorAll('input[name="delivery-option"]').forEach(option => {
+    option.addEventListener('change', (e) => handleDeliveryOptionChange(e.target.value));
+  });
+  loadDeliveryMethods();
 }
 
 // Função para aplicar cupom
@@ -1459,119 +1775,67 @@ if (checkoutBtn) {
         service_code: selectedShipping.code,
         service_name: selectedShipping.service_name,
         price: selectedShipping.price,
-        prazo: selectedShipping.prazo
-      };
-    } else if (deliveryType === 'pickup') {
-      // Retirada no local - sem custo de frete
-      shippingData = {
-        type: 'pickup',
-        price: 0,
-        service_name: 'Retirada no Local',
-        address: 'Rua Camboja, nº 133 – Bairro Petrovale, Betim'
+        prazo: selectedShipping.prazo,
+        quote_id: selectedShipping.quote_id || null
       };
-    } else if (deliveryType === 'moto-uber') {
-      // Entrega via moto/uber - sem custo de frete (a combinar)
+    } else {
+      // Retirada ou entrega local: o servidor confere a forma de entrega, o ponto de retirada e a taxa
+      const method = getDeliveryMethod(deliveryType);
+      if (!method || method.available === false) {
+        alert('Escolha uma opção de recebimento disponível.');
+        return;
+      }
+      const location = method.kind === 'pickup' ? getSelectedPickupLocation(method) : null;
       shippingData = {
-        type: 'moto-uber',
-        price: 0,
-        service_name: 'Entrega via Moto/Uber (A combinar)',
-        contact: '(31) 97507-4666'
+        type: method.kind,
+        method_id: method.id,
+        service_name: method.name,
+        price: Number(method.fee || 0),
+        pickup_location_id: location ? location.id : null,
+        address: location ? location.address : null,
+        contact: (location && location.phone) || method.contact || null
       };
     }
 
     // Obter cupom aplicado se houver
     const coupon = getAppliedCoupon();
     const couponCode = coupon ? coupon.code : null;
-    
-    try {
-      const res = await fetch('/api/orders/checkout', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        },
-        body: JSON.stringify({
-          items: selectedItems,
-          address: null, // será pedido no checkout
-          coupon_code: couponCode,
-          shipping: shippingData
-        })
-      });
-      
-      const data = await res.json();
-      
-      if (res.ok) {
-        // Limpar itens comprados do carrinho e cupom aplicado
-        const newCart = cart.filter(item => !item.checked);
-        saveCart(newCart);
-        saveAppliedCoupon(null);
-        appliedCoupon = null;
-        if (cartModal) cartModal.style.display = 'none';
-        
-        // Se for CEP, redirecionar para página de checkout com formulário
-        if (deliveryType === 'cep') {
-          // Calcular totais antes de salvar os dados
-          const cartItems = getCart();
-          const selectedCartItems = cartItems.filter(item => item.checked);
-          
-          // Calcular subtotal
-          let subtotal = 0;
-          selectedCartItems.forEach(item => {
-            subtotal += item.price * item.qty;
-          });
-          
-          // Aplicar cupom se houver
-          let discountAmount = 0;
-          let finalTotal = subtotal;
-          
-          if (coupon && coupon.code) {
-            if (coupon.type === 'percentage') {
-              discountAmount = subtotal * (coupon.value / 100);
-            } else if (coupon.type === 'fixed') {
-              discountAmount = Math.min(coupon.value, subtotal);
-            }
-            finalTotal = Math.max(0, subtotal - discountAmount);
-          }
-          
-          // Adicionar frete
-          const shippingPrice = shippingData ? shippingData.price : 0;
-          finalTotal += shippingPrice;
-          
-          // Salvar dados do checkout no localStorage
-          const checkoutData = {
-            items: selectedItems,
-            shipping: shippingData,
-            coupon_code: couponCode,
-            summary: {
-              subtotal: subtotal,
-              discount: discountAmount,
-              shipping: shippingPrice,
-              total: finalTotal
-            }
-          };
-          localStorage.setItem('hypex_checkout_data', JSON.stringify(checkoutData));
-          
-          // Redirecionar para página de checkout
-          window.location.href = '/pages/checkout.html';
-        } else {
-          // Para pickup e moto-uber, seguir fluxo normal de pagamento
-          localStorage.setItem('hypex_pending_payment', JSON.stringify({
-            pending_order_id: data.pending_order_id,
-            payment: data.payment,
-            order_summary: data.order_summary,
-            delivery_type: deliveryType
-          }));
-          
-          // Redirecionar para página de pagamento
-          window.location.href = `/pages/payment.html?pending_order_id=${data.pending_order_id}`;
-        }
-      } else {
-        throw new Error(data.error || 'Erro ao criar pedido');
+
+    // Calcular totais para o resumo (o servidor recalcula tudo no checkout)
+    let subtotal = 0;
+    selectedItems.forEach(item => {
+      subtotal += item.price * item.qty;
+    });
+
+    let discountAmount = 0;
+    if (coupon && coupon.code) {
+      if (coupon.type === 'percentage') {
+        discountAmount = subtotal * (coupon.value / 100);
+      } else if (coupon.type === 'fixed') {
+        discountAmount = Math.min(coupon.value, subtotal);
       }
-    } catch (err) {
-      alert(err.message || 'Erro ao finalizar compra. Por favor, tente novamente.');
-      console.error('Erro no checkout:', err);
     }
+
+    const shippingPrice = shippingData ? shippingData.price : 0;
+    const finalTotal = Math.max(0, subtotal - discountAmount) + shippingPrice;
+
+    // A cobrança só é criada na página de checkout, depois da escolha da forma de pagamento
+    // (os itens saem do carrinho quando o pedido é criado)
+    const checkoutData = {
+      items: selectedItems,
+      shipping: shippingData,
+      coupon_code: couponCode,
+      summary: {
+        subtotal: subtotal,
+        discount: discountAmount,
+        shipping: shippingPrice,
+        total: finalTotal
+      }
+    };
+    localStorage.setItem('hypex_checkout_data', JSON.stringify(checkoutData));
+
+    if (cartModal) cartModal.style.display = 'none';
+    window.location.href = '/pages/checkout.html';
   });
 }
 
@@ -1817,6 +2081,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Initialize cart modal content
   createCartModalContent();
   renderCart();
+  loadServerCart();
   updateFavoritesStatus();
   
   // Reaplicar fundo ao carregar a página para garantir
@@ -1860,37 +2125,18 @@ document.addEventListener('DOMContentLoaded', async () => {
   });
   
   // Gerenciar opções de recebimento
-  const deliveryOptions = document.querySelectorAll('input[name="delivery-option"]');
-  const cepSection = document.getElementById('cep-section');
-  const pickupSection = document.getElementById('pickup-section');
-  const motoUberSection = document.getElementById('moto-uber-section');
-  
-  if (deliveryOptions.length > 0) {
-    deliveryOptions.forEach(option => {
-      option.addEventListener('change', (e) => {
-        const selectedValue = e.target.value;
-        
-        // Mostrar/ocultar seções
-        if (cepSection) cepSection.style.display = selectedValue === 'cep' ? 'block' : 'none';
-        if (pickupSection) pickupSection.style.display = selectedValue === 'pickup' ? 'block' : 'none';
-        if (motoUberSection) motoUberSection.style.display = selectedValue === 'moto-uber' ? 'block' : 'none';
-        
-        // Limpar seleção de frete ao trocar de opção
-        if (selectedValue !== 'cep') {
-          localStorage.removeItem('hypex_selected_shipping');
-        }
-        
-        // Atualizar total do carrinho
-        renderCart();
-      });
-    });
-  }
+  document.querySelectorAll('input[name="delivery-option"]').forEach(option => {
+    option.addEventListener('change', (e) => handleDeliveryOptionChange(e.target.value));
+  });
+  loadDeliveryMethods();
   
   // Adicionar evento de busca à barra de pesquisa
   const searchInput = document.getElementById('search-input');
   const searchButton = document.getElementById('search-button');
   
   if (searchInput && searchButton) {
+    setupSearchSuggestions(searchInput);
+
     // Busca ao clicar no botão
     searchButton.addEventListener('click', () => {
       const query = searchInput.value.trim();
@@ -1990,6 +2236,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         return;
       }
       localStorage.setItem('hypex_shipping_cep', input.value);
+      loadDeliveryMethods(); // disponibilidade das entregas locais depende do CEP
       // Calcular quantidade de itens selecionados
       const cart = getCart();
       const selectedQty = cart.filter(i => i.checked).reduce((s, i) => s + Number(i.qty || 0), 0);
@@ -2011,7 +2258,11 @@ document.addEventListener('DOMContentLoaded', async () => {
         const res = await fetch('/api/shipping/calculate', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ cepDestino: cep, qtdItens: selectedQty })
+          body: JSON.stringify({
+            cepDestino: cep,
+            qtdItens: selectedQty,
+            items: cart.filter(i => i.checked).map(i => ({ product_id: i.product_id, variation_id: i.variation_id || null, qty: i.qty }))
+          })
         }).catch(err => { throw err; });
 
         done = true;
@@ -2026,14 +2277,16 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
         // Render results com seleção
         results.innerHTML = services.map(s => {
-          const price = Number(s.price).toFixed(2);
+          const price = Number(s.price) === 0 ? 'Grátis' : `R$ ${Number(s.price).toFixed(2)}`;
+          // Regra de frete aplicada (frete grátis, desconto...): mostrar o preço original riscado
+          const original = s.original_price != null ? `<small style="text-decoration:line-through;color:#999;margin-right:.35rem;">R$ ${Number(s.original_price).toFixed(2)}</small>` : '';
           const prazo = s.prazo ? `, ${s.prazo} dia(s) úteis` : '';
           return `<label style="display:flex;align-items:center;justify-content:space-between;gap:.75rem;padding:.35rem .25rem;border:1px solid #eee;border-radius:6px;margin-bottom:.35rem;cursor:pointer;">
             <div style="display:flex;align-items:center;gap:.5rem;flex:1;">
               <input type="radio" name="shipping-option" value="${s.code}">
               <span>${s.name}${prazo}</span>
             </div>
-            <strong>R$ ${price}</strong>
+            <span>${original}<strong>${price}</strong></span>
           </label>`;
         }).join('');
         // Restaurar seleção anterior se houver
@@ -2055,7 +2308,8 @@ document.addEventListener('DOMContentLoaded', async () => {
               service_name: sel.name,
               price: Number(sel.price),
               prazo: sel.prazo || null,
-              cepDestino: cep
+              cepDestino: cep,
+              quote_id: sel.quote_id || null
             };
             localStorage.setItem('hypex_selected_shipping', JSON.stringify(selected));
             renderCart();
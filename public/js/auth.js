@@ -1,3 +1,22 @@
+// Junta o carrinho de visitante (localStorage) ao carrinho salvo no servidor
+// Itens com id já vieram do servidor e não são enviados de novo
+async function mergeGuestCart(token) {
+    try {
+        const guestItems = JSON.parse(localStorage.getItem('hypex_cart') || '[]').filter(i => !i.id);
+        const res = await fetch('/api/cart/merge', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+            body: JSON.stringify({ items: guestItems })
+        });
+        if (res.ok) {
+            // O carrinho do servidor é carregado pelo app.js na próxima página
+            localStorage.removeItem('hypex_cart');
+        }
+    } catch (err) {
+        console.error('Erro ao juntar carrinho:', err);
+    }
+}
+
 document.addEventListener('DOMContentLoaded', () => {
     // Tab switching
     const tabs = document.querySelectorAll('.tab-btn');
@@ -12,13 +31,143 @@ document.addEventListener('DOMContentLoaded', () => {
             tab.classList.add('active');
             
             // Show correct form
-            forms.forEach(form => {
-                form.classList.remove('active');
-                if (form.id === `${target}-form`) {
-                    form.classList.add('active');
-                }
-            });
+            showForm(target);
+        });
+    });
+
+    function showForm(name) {
+        forms.forEach(form => {
+            form.classList.toggle('active', form.id === `${name}-form`);
         });
+    }
+
+    function backToLogin() {
+        tabs.forEach(t => t.classList.toggle('active', t.dataset.tab === 'login'));
+        showForm('login');
+    }
+
+    // Esqueci a senha
+    document.getElementById('forgot-link').addEventListener('click', (e) => {
+        e.preventDefault();
+        tabs.forEach(t => t.classList.remove('active'));
+        document.getElementById('forgot-email').value = document.getElementById('login-email').value;
+        showForm('forgot');
+    });
+
+    document.querySelectorAll('.back-to-login').forEach(link => {
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            backToLogin();
+        });
+    });
+
+    // Link de redefinição do email: /pages/auth.html#reset=<token>
+    let resetToken = null;
+    const resetMatch = window.location.hash.match(/^#reset=([\w-]+)$/);
+    if (resetMatch) {
+        resetToken = resetMatch[1];
+        // Tirar o token da barra de endereço
+        window.history.replaceState({}, '', window.location.pathname + window.location.search);
+        tabs.forEach(t => t.classList.remove('active'));
+        showForm('reset');
+    }
+
+    // Botões "Entrar com Google" (e a dica em "Esqueceu a senha?") só aparecem se o login com Google estiver configurado
+    fetch('/api/auth/providers')
+        .then(r => r.json())
+        .then(providers => {
+            if (providers.google) document.querySelectorAll('.google-btn, .google-hint').forEach(el => { el.hidden = false; });
+        })
+        .catch(() => {});
+
+    // Volta do login com Google: /pages/auth.html#login=<sessão> ou ?oauth_error=<mensagem>
+    const googleLogin = window.location.hash.match(/^#login=([\w-]+)$/);
+    if (googleLogin) {
+        window.history.replaceState({}, '', window.location.pathname);
+        try {
+            const bytes = Uint8Array.from(atob(googleLogin[1].replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0));
+            const data = JSON.parse(new TextDecoder().decode(bytes));
+            localStorage.setItem('hypex_token', data.token);
+            localStorage.setItem('hypex_refresh_token', data.refresh_token);
+            localStorage.setItem('hypex_user', JSON.stringify(data.user));
+            mergeGuestCart(data.token).finally(() => { window.location.href = '/'; });
+            return;
+        } catch (err) {
+            alert('Não foi possível entrar com Google. Tente novamente.');
+        }
+    }
+    const oauthError = new URLSearchParams(window.location.search).get('oauth_error');
+    if (oauthError) {
+        window.history.replaceState({}, '', window.location.pathname);
+        alert(oauthError);
+    }
+
+    // Volta do link de confirmação de email: /pages/auth.html?verified=1 (ou 0 se inválido)
+    const verified = new URLSearchParams(window.location.search).get('verified');
+    if (verified !== null) {
+        window.history.replaceState({}, '', window.location.pathname);
+        if (verified === '1') {
+            try {
+                const user = JSON.parse(localStorage.getItem('hypex_user') || 'null');
+                if (user) localStorage.setItem('hypex_user', JSON.stringify({ ...user, email_verified: true }));
+            } catch (e) {}
+            alert('Email confirmado! Obrigado.');
+        } else {
+            alert('Link de confirmação inválido ou expirado. Peça um novo link no seu perfil.');
+        }
+    }
+
+    const forgotForm = document.getElementById('forgot-form');
+    forgotForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const email = document.getElementById('forgot-email').value;
+        const button = forgotForm.querySelector('button[type="submit"]');
+        button.disabled = true;
+
+        try {
+            const res = await fetch('/api/auth/forgot', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ email })
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Erro ao enviar o link');
+
+            alert(data.message);
+            backToLogin();
+        } catch (err) {
+            alert(err.message);
+        } finally {
+            button.disabled = false;
+        }
+    });
+
+    const resetForm = document.getElementById('reset-form');
+    resetForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const password = document.getElementById('reset-password').value;
+        const confirm = document.getElementById('reset-confirm').value;
+
+        if (password !== confirm) {
+            alert('As senhas não coincidem');
+            return;
+        }
+
+        try {
+            const res = await fetch('/api/auth/reset', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ token: resetToken, password })
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Erro ao redefinir a senha');
+
+            alert(data.message);
+            resetForm.reset();
+            backToLogin();
+        } catch (err) {
+            alert(err.message);
+        }
     });
 
     // Login form submission
@@ -39,7 +188,9 @@ document.addEventListener('DOMContentLoaded', () => {
             
             if (res.ok) {
                 localStorage.setItem('hypex_token', data.token);
+                localStorage.setItem('hypex_refresh_token', data.refresh_token);
                 localStorage.setItem('hypex_user', JSON.stringify(data.user));
+                await mergeGuestCart(data.token);
                 window.location.href = '/';
             } else {
                 throw new Error(data.error || 'Erro ao fazer login');
@@ -74,7 +225,10 @@ document.addEventListener('DOMContentLoaded', () => {
             
             if (res.ok) {
                 localStorage.setItem('hypex_token', data.token);
+                localStorage.setItem('hypex_refresh_token', data.refresh_token);
                 localStorage.setItem('hypex_user', JSON.stringify(data.user));
+                await mergeGuestCart(data.token);
+                alert(`Conta criada! Enviamos um link para ${data.user.email} para confirmar seu email.`);
                 window.location.href = '/';
             } else {
                 throw new Error(data.error || 'Erro ao criar conta');
@@ -2,6 +2,7 @@
 let currentCategory = '';
 let currentPage = 1;
 let totalPages = 1;
+const PAGE_SIZE = 24; // produtos por página (o servidor aceita até 100)
 let currentFilters = {
     sort: 'newest',
     priceRange: 'all',
@@ -178,6 +179,7 @@ async function loadProducts() {
         const params = new URLSearchParams({
             category: currentCategory,
             page: currentPage,
+            limit: PAGE_SIZE,
             sort: currentFilters.sort,
             priceRange: currentFilters.priceRange,
             sizes: currentFilters.sizes.join(','),
@@ -200,6 +202,11 @@ async function loadProducts() {
 
         // Atualizar total de páginas
         totalPages = data.totalPages || 1;
+        if (currentPage > totalPages) {
+            // Filtros reduziram a lista: voltar para a última página
+            currentPage = totalPages;
+            return loadProducts();
+        }
         updatePagination();
 
         // Renderizar produtos
@@ -305,7 +312,7 @@ function updatePagination() {
     const pageText = document.querySelector('.current-page');
 
     prevButton.disabled = currentPage === 1;
-    nextButton.disabled = currentPage === totalPages;
+    nextButton.disabled = currentPage >= totalPages;
     pageText.textContent = `Página ${currentPage} de ${totalPages}`;
 }
 
@@ -0,0 +1,248 @@
+document.addEventListener('DOMContentLoaded', () => {
+  const token = localStorage.getItem('hypex_token');
+  const detail = document.getElementById('order-detail');
+  const orderId = new URLSearchParams(window.location.search).get('id');
+
+  if (!token) {
+    window.location.href = `/pages/auth.html?redirect=${encodeURIComponent(window.location.pathname + window.location.search)}`;
+    return;
+  }
+
+  if (!orderId) {
+    detail.innerHTML = '<p class="error-message">Pedido não informado.</p>';
+    return;
+  }
+
+  // Etapas do pedido exibidas na linha do tempo
+  const TIMELINE_STEPS = [
+    { status: 'pedido feito', label: 'Pedido feito', icon: 'fa-receipt' },
+    { status: 'em separacao', label: 'Em separação', icon: 'fa-box' },
+    { status: 'enviado', label: 'Enviado', icon: 'fa-truck' },
+    { status: 'entregue', label: 'Entregue', icon: 'fa-check-circle' }
+  ];
+
+  // Status fora do caminho normal (aparecem depois das etapas concluídas)
+  const EXTRA_STEPS = {
+    'cancelado': { label: 'Cancelado', icon: 'fa-ban' },
+    'devolucao solicitada': { label: 'Devolução solicitada', icon: 'fa-rotate-left' },
+    'devolvido': { label: 'Devolvido', icon: 'fa-rotate-left' }
+  };
+
+  const PAYMENT_LABELS = { pix: 'PIX', card: 'Cartão de Crédito', boleto: 'Boleto Bancário' };
+
+  function money(value) {
+    return `R$ ${Number(value || 0).toFixed(2)}`;
+  }
+
+  function formatDate(value, withTime = true) {
+    if (!value) return '';
+    const date = new Date(value);
+    return withTime ? date.toLocaleString('pt-BR') : date.toLocaleDateString('pt-BR');
+  }
+
+  function renderTimeline(order, pending) {
+    if (pending) {
+      return `
+        <ol class="order-timeline">
+          <li class="timeline-step ${order.status === 'pending' ? 'current' : 'cancelled'}">
+            <span class="timeline-icon"><i class="fas fa-clock"></i></span>
+            <div>
+              <strong>${order.status_label}</strong>
+              ${order.expires_at && order.status === 'pending' ? `<small>Pague até ${formatDate(order.expires_at)}</small>` : ''}
+            </div>
+          </li>
+        </ol>
+      `;
+    }
+
+    // Data mais recente em que o pedido chegou a cada status
+    const reachedAt = {};
+    (order.history || []).forEach(h => { reachedAt[h.status] = h.created_at; });
+    const notes = (order.history || []).filter(h => h.note);
+
+    const currentIndex = TIMELINE_STEPS.findIndex(s => s.status === order.status);
+    const extra = EXTRA_STEPS[order.status];
+    // Pedidos cancelados/devolvidos: etapas até a última alcançada
+    const lastReached = currentIndex >= 0
+      ? currentIndex
+      : TIMELINE_STEPS.reduce((last, s, idx) => (reachedAt[s.status] ? idx : last), 0);
+
+    const steps = TIMELINE_STEPS
+      .filter((s, idx) => !extra || idx <= lastReached)
+      .map((s, idx) => {
+        const state = idx < lastReached || (extra && idx === lastReached) ? 'done' : (idx === lastReached ? 'current' : '');
+        const date = reachedAt[s.status] || (idx === 0 ? order.created_at : null);
+        return `
+          <li class="timeline-step ${state}">
+            <span class="timeline-icon"><i class="fas ${s.icon}"></i></span>
+            <div>
+              <strong>${s.label}</strong>
+              ${date && state ? `<small>${formatDate(date)}</small>` : ''}
+            </div>
+          </li>
+        `;
+      });
+
+    if (extra) {
+      steps.push(`
+        <li class="timeline-step current ${order.status === 'cancelado' ? 'cancelled' : ''}">
+          <span class="timeline-icon"><i class="fas ${extra.icon}"></i></span>
+          <div>
+            <strong>${extra.label}</strong>
+            ${reachedAt[order.status] ? `<small>${formatDate(reachedAt[order.status])}</small>` : ''}
+          </div>
+        </li>
+      `);
+    }
+
+    return `
+      <ol class="order-timeline">${steps.join('')}</ol>
+      ${notes.length ? `
+        <div class="order-notes">
+          ${notes.map(n => `<p><small>${formatDate(n.created_at)} — ${n.label}:</small> ${n.note}</p>`).join('')}
+        </div>` : ''}
+    `;
+  }
+
+  function renderShipping(order) {
+    const shipping = order.shipping;
+    if (!shipping) return '<p class="muted">Sem informações de entrega.</p>';
+
+    const lines = [`<strong>${shipping.service_name || 'Frete'}</strong> — ${Number(shipping.price || 0) > 0 ? money(shipping.price) : (shipping.fee_note || 'Grátis')}`];
+    if (shipping.type === 'pickup') {
+      if (shipping.location_name) lines.push(shipping.location_name);
+      if (shipping.address) lines.push(`📍 ${shipping.address}`);
+      if (shipping.hours) lines.push(`🕒 ${shipping.hours}`);
+    } else if (shipping.prazo) {
+      lines.push(`Prazo: ${shipping.prazo} dia(s) úteis`);
+    }
+    if (shipping.contact && shipping.type !== 'cep') lines.push(`📞 ${shipping.contact}`);
+    if (order.delivery_estimate) lines.push(`Previsão de entrega: ${formatDate(order.delivery_estimate, false)}`);
+    if (order.tracking_code) {
+      lines.push(`Rastreio: <a href="https://www.melhorrastreio.com.br/rastreio/${order.tracking_code}" target="_blank"><strong>${order.tracking_code}</strong></a>`);
+    }
+
+    const address = order.address;
+    if (address && shipping.type !== 'pickup' && (address.rua || address.cep)) {
+      lines.push(`<small>${[
+        [address.rua, address.numero].filter(Boolean).join(', '),
+        address.complemento,
+        address.bairro,
+        [address.cidade, address.estado].filter(Boolean).join(' - '),
+        address.cep ? `CEP ${address.cep}` : ''
+      ].filter(Boolean).join(', ')}</small>`);
+    }
+    return lines.map(l => `<div>${l}</div>`).join('');
+  }
+
+  function renderPayment(order, pending) {
+    const payment = order.payment || {};
+    const lines = [`<div><strong>${PAYMENT_LABELS[payment.method] || payment.method || 'PIX'}</strong>${payment.installments > 1 ? ` em ${payment.installments}x${payment.installment_value ? ` de ${money(payment.installment_value)}` : ''}` : ''}</div>`];
+    if (pending) {
+      lines.push(`<div>${order.status_label}</div>`);
+    } else if (payment.paid_at) {
+      lines.push(`<div>Pago em ${formatDate(payment.paid_at)}</div>`);
+    }
+    (payment.refunds || []).forEach(r => {
+      lines.push(`<div><small>Devolução de ${money(r.amount)} — ${formatDate(r.requested_at)}</small></div>`);
+    });
+    return lines.join('');
+  }
+
+  function render(data) {
+    const { order, pending } = data;
+    const items = order.items || [];
+    const subtotal = items.reduce((sum, i) => sum + Number(i.price || 0) * Number(i.qty || 1), 0);
+    const shippingPrice = order.shipping ? Number(order.shipping.price || 0) : 0;
+
+    detail.innerHTML = `
+      <div class="order-detail-header">
+        <h2>Pedido #${String(order.id).substring(0, 8)}</h2>
+        <span class="order-status-badge">${order.status_label}</span>
+        <p class="muted">Feito em ${formatDate(order.created_at)}</p>
+      </div>
+
+      ${data.can_pay ? `
+        <div class="order-pay-now">
+          <p>Este pedido ainda não foi pago.</p>
+          <button type="button" id="pay-now" class="btn btn-primary"><i class="fas fa-qrcode"></i> Pagar agora</button>
+        </div>` : ''}
+
+      <section class="orders-card">
+        <h3>Acompanhamento</h3>
+        ${renderTimeline(order, pending)}
+      </section>
+
+      <div class="order-detail-grid">
+        <section class="orders-card">
+          <h3>Entrega</h3>
+          ${renderShipping(order)}
+        </section>
+        <section class="orders-card">
+          <h3>Pagamento</h3>
+          ${renderPayment(order, pending)}
+        </section>
+      </div>
+
+      <section class="orders-card">
+        <h3>Itens</h3>
+        <div class="order-items">${items.map(i => `
+          <div class="order-item">
+            ${i.image ? `<img src="${i.image}" alt="${i.name}" class="order-item-image">` : ''}
+            <div class="order-item-details">
+              <div>${i.qty}x ${i.name}${i.size ? ` <small>(${i.size})</small>` : ''}</div>
+              <div>${money(i.price)} cada</div>
+            </div>
+            <strong>${money(Number(i.price || 0) * Number(i.qty || 1))}</strong>
+          </div>
+        `).join('')}</div>
+        <div class="order-totals">
+          <div><span>Subtotal</span><span>${money(subtotal)}</span></div>
+          ${order.coupon_discount > 0 ? `<div><span>Desconto${order.coupon_code ? ` (${order.coupon_code})` : ''}</span><span>-${money(order.coupon_discount)}</span></div>` : ''}
+          ${order.shipping ? `<div><span>Entrega</span><span>${shippingPrice > 0 ? money(shippingPrice) : 'Grátis'}</span></div>` : ''}
+          <div class="order-total"><span>Total</span><span>${money(order.total)}</span></div>
+        </div>
+      </section>
+    `;
+
+    const payNowBtn = document.getElementById('pay-now');
+    if (payNowBtn) {
+      payNowBtn.addEventListener('click', () => {
+        // Mesmos dados salvos pelo checkout para a página de pagamento
+        localStorage.setItem('hypex_pending_payment', JSON.stringify({
+          pending_order_id: order.id,
+          payment: data.payment,
+          order_summary: {
+            items_count: items.length,
+            subtotal,
+            discount: order.coupon_discount,
+            shipping: order.shipping,
+            total: order.total,
+            coupon: order.coupon_code ? { code: order.coupon_code } : null
+          },
+          delivery_type: order.shipping ? order.shipping.type : 'cep'
+        }));
+        window.location.href = `/pages/payment.html?pending_order_id=${order.id}`;
+      });
+    }
+  }
+
+  fetch(`/api/orders/${encodeURIComponent(orderId)}`, { headers: { Authorization: `Bearer ${token}` } })
+    .then(async r => {
+      const data = await r.json();
+      if (r.status === 401) {
+        window.location.href = `/pages/auth.html?redirect=${encodeURIComponent(window.location.pathname + window.location.search)}`;
+        return;
+      }
+      if (!r.ok) throw new Error(data.error || 'Erro ao carregar pedido');
+      // Pedido pendente já pago: mostrar o pedido criado
+      if (!data.pending && data.order.id !== orderId) {
+        window.history.replaceState({}, '', `?id=${data.order.id}`);
+      }
+      render(data);
+    })
+    .catch(err => {
+      detail.innerHTML = `<p class="error-message">${err.message}</p>`;
+      console.error(err);
+    });
+});
@@ -1,6 +1,7 @@
 // Variáveis globais
 let currentPage = 1;
 let totalPages = 1;
+const PAGE_SIZE = 24; // produtos por página (o servidor aceita até 100)
 let currentFilters = {
     sort: 'newest',
     priceRange: 'all',
@@ -24,6 +25,7 @@ async function loadProducts() {
         const params = new URLSearchParams({
             category: category,
             page: currentPage,
+            limit: PAGE_SIZE,
             sort: currentFilters.sort,
             priceRange: currentFilters.priceRange,
             sizes: currentFilters.sizes.join(','),
@@ -43,6 +45,11 @@ async function loadProducts() {
 
         // Atualizar total de páginas
         totalPages = data.totalPages || 1;
+        if (currentPage > totalPages) {
+            // Filtros reduziram a lista: voltar para a última página
+            currentPage = totalPages;
+            return loadProducts();
+        }
         updatePagination();
 
         // Renderizar produtos
@@ -120,7 +127,7 @@ function updatePagination() {
     const pageText = document.querySelector('.current-page');
 
     prevButton.disabled = currentPage === 1;
-    nextButton.disabled = currentPage === totalPages;
+    nextButton.disabled = currentPage >= totalPages;
     pageText.textContent = `Página ${currentPage} de ${totalPages}`;
 }
 
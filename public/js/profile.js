@@ -4,6 +4,9 @@ document.addEventListener('DOMContentLoaded', () => {
   const emailSpan = document.getElementById('user-email');
   const ordersList = document.getElementById('orders-list');
   const logoutBtn = document.getElementById('logout-btn');
+  const logoutAllBtn = document.getElementById('logout-all-btn');
+  const verificationNotice = document.getElementById('email-verification');
+  const resendVerificationBtn = document.getElementById('resend-verification-btn');
 
   if (!token) {
     window.location.href = '/pages/auth.html?redirect=/pages/profile.html';
@@ -26,29 +29,66 @@ document.addEventListener('DOMContentLoaded', () => {
       if (data.user) {
         userSpan.textContent = data.user.name || '-';
         emailSpan.textContent = data.user.email || '-';
+        verificationNotice.style.display = data.user.email_verified === false ? 'block' : 'none';
         localStorage.setItem('hypex_user', JSON.stringify(data.user));
       }
     }).catch(console.error);
 
+  // Reenviar o link de confirmação de email
+  resendVerificationBtn.addEventListener('click', async () => {
+    resendVerificationBtn.disabled = true;
+    try {
+      const r = await fetch('/api/auth/verify-email/resend', { method: 'POST', headers: { Authorization: `Bearer ${token}` }});
+      const data = await r.json();
+      if (!r.ok) throw new Error(data.error || 'Erro ao reenviar link');
+      if (data.email_verified) verificationNotice.style.display = 'none';
+      alert(data.message);
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      resendVerificationBtn.disabled = false;
+    }
+  });
+
   // Load user orders
   function loadOrders() {
     ordersList.innerHTML = '<p>Carregando pedidos...</p>';
     fetch('/api/orders/mine', { headers: { Authorization: `Bearer ${token}` }})
       .then(r => r.json())
       .then(data => {
-        if (!data.orders || !data.orders.length) {
+        const pendingOrders = data.pending_orders || [];
+        if ((!data.orders || !data.orders.length) && !pendingOrders.length) {
           ordersList.innerHTML = '<p>Você ainda não fez pedidos.</p>';
           return;
         }
 
         ordersList.innerHTML = '';
-        data.orders.forEach(o => {
+
+        // Pedidos aguardando pagamento
+        pendingOrders.forEach(p => {
+          const el = document.createElement('div');
+          el.className = 'order-card';
+          el.innerHTML = `
+            <h4><a href="/pages/order.html?id=${p.id}">Pedido #${p.id.substring(0, 8)}</a> — <small>Aguardando pagamento</small></h4>
+            <div><strong>Total:</strong> R$ ${Number(p.total).toFixed(2)}</div>
+            <div><strong>Criado:</strong> ${new Date(p.created_at).toLocaleString()}</div>
+            <div class="form-actions" style="justify-content:flex-start;">
+              <a href="/pages/order.html?id=${p.id}" class="btn btn-primary">Pagar agora</a>
+            </div>
+          `;
+          ordersList.appendChild(el);
+        });
+
+        (data.orders || []).forEach(o => {
           const el = document.createElement('div');
           el.className = 'order-card';
           el.innerHTML = `
-            <h4>Pedido #${o.id} — <small>${o.status}</small></h4>
+            <h4><a href="/pages/order.html?id=${o.id}">Pedido #${o.id}</a> — <small>${o.status}</small></h4>
             <div><strong>Total:</strong> R$ ${Number(o.total).toFixed(2)}</div>
             <div><strong>Criado:</strong> ${new Date(o.created_at).toLocaleString()}</div>
+            ${o.shipping ? `<div><strong>Entrega:</strong> ${o.shipping.service_name || 'Frete'} — R$ ${Number(o.shipping.price || 0).toFixed(2)}</div>` : ''}
+            ${o.delivery_estimate ? `<div><strong>Previsão de entrega:</strong> ${new Date(o.delivery_estimate).toLocaleDateString()}</div>` : ''}
+            ${o.tracking_code ? `<div><strong>Rastreio:</strong> <a href="https://www.melhorrastreio.com.br/rastreio/${o.tracking_code}" target="_blank">${o.tracking_code}</a></div>` : ''}
             <div class="order-items">${(o.items||[]).map(i => `
               <div class="order-item">
                 ${i.image ? `<img src="${i.image}" alt="${i.name}" class="order-item-image">` : ''}
@@ -59,6 +99,9 @@ document.addEventListener('DOMContentLoaded', () => {
                 </div>
               </div>
             `).join('')}</div>
+            <div class="form-actions" style="justify-content:flex-start;">
+              <a href="/pages/order.html?id=${o.id}" class="btn btn-outline">Acompanhar pedido</a>
+            </div>
           `;
           ordersList.appendChild(el);
         });
@@ -70,9 +113,38 @@ document.addEventListener('DOMContentLoaded', () => {
 
   loadOrders();
 
-  logoutBtn.addEventListener('click', () => {
+  function endSession() {
     localStorage.removeItem('hypex_token');
+    localStorage.removeItem('hypex_refresh_token');
     localStorage.removeItem('hypex_user');
+    // O carrinho fica salvo no servidor; limpar a cópia local
+    localStorage.removeItem('hypex_cart');
     window.location.href = '/';
+  }
+
+  logoutBtn.addEventListener('click', async () => {
+    // Encerrar a sessão no servidor pelo refresh token; sair localmente mesmo se falhar
+    try {
+      await fetch('/api/auth/logout', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refresh_token: localStorage.getItem('hypex_refresh_token') })
+      });
+    } catch (err) {
+      console.error(err);
+    }
+    endSession();
+  });
+
+  logoutAllBtn.addEventListener('click', async () => {
+    if (!confirm('Encerrar a sessão em todos os dispositivos, inclusive este?')) return;
+    try {
+      const r = await fetch('/api/auth/logout-all', { method: 'POST', headers: { Authorization: `Bearer ${token}` }});
+      const data = await r.json();
+      if (!r.ok) throw new Error(data.error || 'Erro ao encerrar sessões');
+      endSession();
+    } catch (err) {
+      alert(err.message);
+    }
   });
 });
\ No newline at end of file
@@ -1,8 +1,9 @@
 // Variáveis globais
 let currentPage = 1;
 let totalPages = 1;
+const PAGE_SIZE = 24; // produtos por página (o servidor aceita até 100)
 let currentFilters = {
-    sort: 'newest',
+    sort: 'relevance',
     priceRange: 'all',
     discountRange: 'all',
     sizes: [],
@@ -31,6 +32,7 @@ async function loadSearchResults() {
         const params = new URLSearchParams({
             search: searchTerm,
             page: currentPage,
+            limit: PAGE_SIZE,
             sort: currentFilters.sort,
             priceRange: currentFilters.priceRange,
             discountRange: currentFilters.discountRange,
@@ -38,7 +40,8 @@ async function loadSearchResults() {
             colors: currentFilters.colors.join(','),
             types: currentFilters.types.join(','),
             categories: currentFilters.categories.join(','),
-            brands: currentFilters.brands.join(',')
+            brands: currentFilters.brands.join(','),
+            facets: 1
         });
 
         // Fazer a requisição para a API
@@ -51,10 +54,16 @@ async function loadSearchResults() {
 
         // Atualizar total de páginas
         totalPages = data.totalPages || 1;
+        if (currentPage > totalPages) {
+            // Filtros reduziram a lista: voltar para a última página
+            currentPage = totalPages;
+            return loadSearchResults();
+        }
         updatePagination();
 
         // Renderizar produtos
         renderProducts(data.products);
+        renderFacets(data.facets);
 
     } catch (error) {
         console.error('Erro ao carregar produtos:', error);
@@ -66,6 +75,42 @@ async function loadSearchResults() {
     }
 }
 
+// Quantidade de resultados de cada opção dos filtros (facetas retornadas pela busca)
+function renderFacets(facets) {
+    if (!facets) return;
+
+    const groups = { marca: facets.brand, tipo: facets.type, tamanho: facets.size, cor: facets.color };
+    document.querySelectorAll('.filter-group h4').forEach(header => {
+        const key = Object.keys(groups).find(k => header.textContent.toLowerCase().includes(k));
+        const dropdown = header.nextElementSibling;
+        if (!key || !dropdown || !dropdown.classList.contains('dropdown')) return;
+
+        const counts = new Map((groups[key] || []).map(f => [String(f.value).toLowerCase(), f.count]));
+        dropdown.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+            const label = checkbox.closest('label');
+            if (!label) return;
+            const count = counts.get(checkbox.value.toLowerCase()) || 0;
+
+            let badge = label.querySelector('.facet-count');
+            if (!badge) {
+                badge = document.createElement('span');
+                badge.className = 'facet-count';
+                label.appendChild(badge);
+            }
+            badge.textContent = `(${count})`;
+            label.classList.toggle('facet-empty', count === 0 && !checkbox.checked);
+        });
+    });
+
+    // Faixas de preço no select
+    const priceCounts = new Map((facets.price || []).map(f => [f.value, f.count]));
+    document.querySelectorAll('#price_range option').forEach(option => {
+        if (option.value === 'all') return;
+        if (!option.dataset.label) option.dataset.label = option.textContent;
+        option.textContent = `${option.dataset.label} (${priceCounts.get(option.value) || 0})`;
+    });
+}
+
 // Função para renderizar produtos
 function renderProducts(products) {
     const productsGrid = document.getElementById('products-grid');
@@ -128,7 +173,7 @@ function updatePagination() {
     const pageText = document.querySelector('.current-page');
 
     prevButton.disabled = currentPage === 1;
-    nextButton.disabled = currentPage === totalPages;
+    nextButton.disabled = currentPage >= totalPages;
     pageText.textContent = `Página ${currentPage} de ${totalPages}`;
 }
 
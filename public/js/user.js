@@ -1,4 +1,90 @@
 // user.js - manage header behavior based on login state
+
+// Sessão: hypex_token é um access token curto; quando expira, é renovado com o
+// hypex_refresh_token em /api/auth/refresh e a requisição é repetida.
+// Vale para qualquer fetch às rotas /api/ com "Authorization: Bearer".
+(function () {
+  const nativeFetch = window.fetch.bind(window);
+  let refreshing = null;
+
+  function expiresSoon(token) {
+    try {
+      const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+      return !payload.exp || payload.exp * 1000 - 30000 < Date.now();
+    } catch (e) {
+      return true;
+    }
+  }
+
+  function clearSession() {
+    localStorage.removeItem('hypex_token');
+    localStorage.removeItem('hypex_refresh_token');
+    localStorage.removeItem('hypex_user');
+  }
+
+  // Uma renovação por vez; as outras requisições esperam o mesmo resultado
+  function refreshSession() {
+    if (!refreshing) {
+      const refreshToken = localStorage.getItem('hypex_refresh_token');
+      refreshing = (async () => {
+        if (!refreshToken) {
+          clearSession();
+          return null;
+        }
+        const res = await nativeFetch('/api/auth/refresh', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refresh_token: refreshToken })
+        });
+        const data = await res.json().catch(() => ({}));
+        if (res.ok) {
+          localStorage.setItem('hypex_token', data.token);
+          localStorage.setItem('hypex_refresh_token', data.refresh_token);
+          localStorage.setItem('hypex_user', JSON.stringify(data.user));
+          return data.token;
+        }
+        // Outra aba renovou a sessão antes
+        if (localStorage.getItem('hypex_refresh_token') !== refreshToken) {
+          return localStorage.getItem('hypex_token');
+        }
+        if (res.status === 401) clearSession();
+        return null;
+      })()
+        .catch(() => null)
+        .finally(() => { refreshing = null; });
+    }
+    return refreshing;
+  }
+
+  window.fetch = async function (input, init = {}) {
+    const headers = new Headers(init.headers || {});
+    const auth = headers.get('Authorization') || '';
+    const url = typeof input === 'string' ? new URL(input, window.location.href) : null;
+    if (!url || url.origin !== window.location.origin || !url.pathname.startsWith('/api/') ||
+        url.pathname.startsWith('/api/auth/refresh') || !auth.startsWith('Bearer ')) {
+      return nativeFetch(input, init);
+    }
+
+    // Sempre o token mais recente (a página pode ter lido o token antes de uma renovação)
+    let token = localStorage.getItem('hypex_token');
+    if (token && expiresSoon(token)) token = await refreshSession();
+    if (token) headers.set('Authorization', `Bearer ${token}`);
+
+    let res = await nativeFetch(input, { ...init, headers });
+    if (res.status === 401) {
+      const data = await res.clone().json().catch(() => ({}));
+      if (data.code === 'token_expired') {
+        token = await refreshSession();
+        if (token) {
+          headers.set('Authorization', `Bearer ${token}`);
+          res = await nativeFetch(input, { ...init, headers });
+        }
+      }
+    }
+    return res;
+  };
+})();
+
 document.addEventListener('DOMContentLoaded', () => {
   const userEntry = document.getElementById('user-entry');
   const token = localStorage.getItem('hypex_token');
@@ -13,12 +13,26 @@ const favoritesRoutes = require('./src/controllers/favorites');
 const siteSettingsRoutes = require('./src/controllers/siteSettings');
 const shippingRoutes = require('./src/controllers/shipping');
 const variationsRoutes = require('./src/controllers/variations');
+const cartRoutes = require('./src/controllers/cart');
+const cronRoutes = require('./src/controllers/cron');
+const deliveryMethodsRoutes = require('./src/controllers/deliveryMethods');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Proxies à frente do app: req.ip passa a ser o endereço acrescentado ao X-Forwarded-For pelo último proxy confiável
+// (o cliente pode mandar o próprio X-Forwarded-For, então o primeiro endereço da lista não vale como IP)
+// Padrão: 1 salto na Vercel, nenhum fora dela; TRUST_PROXY aceita um número de saltos, true ou uma lista de IPs/sub-redes
+const trustProxy = process.env.TRUST_PROXY || (process.env.VERCEL ? '1' : '');
+if (trustProxy) {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : (trustProxy === 'true' ? true : trustProxy));
+}
+
 app.use(cors());
-app.use(express.json());
+// rawBody: usado para validar a assinatura HMAC dos webhooks
+app.use(express.json({
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Static frontend
@@ -35,6 +49,9 @@ app.use('/api/favorites', favoritesRoutes);
 app.use('/api/site-settings', siteSettingsRoutes);
 app.use('/api/shipping', shippingRoutes);
 app.use('/api/variations', variationsRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/cron', cronRoutes);
+app.use('/api/delivery-methods', deliveryMethodsRoutes);
 
 app.get('/api/ping', (req, res) => res.json({ ok: true, now: Date.now() }));
 
@@ -0,0 +1,30 @@
+-- Carrinho persistente no servidor
+-- Cada linha é um item do carrinho de um usuário logado.
+-- price_snapshot guarda o último preço visto pelo cliente, para sinalizar mudanças de preço.
+
+create table if not exists public.cart_items (
+  id uuid default uuid_generate_v4() primary key,
+  user_id uuid references public.users(id) on delete cascade not null,
+  product_id uuid references public.products(id) on delete cascade not null,
+  variation_id uuid references public.product_variations(id) on delete cascade,
+  size text,
+  qty int not null default 1 check (qty > 0),
+  checked boolean default true,
+  price_snapshot numeric(10,2),
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+-- Um item por produto/variação/tamanho em cada carrinho
+create unique index if not exists idx_cart_items_unique
+on public.cart_items(
+  user_id,
+  product_id,
+  coalesce(variation_id, '00000000-0000-0000-0000-000000000000'::uuid),
+  coalesce(size, '')
+);
+
+create index if not exists idx_cart_items_user_id on public.cart_items(user_id);
+
+comment on table public.cart_items is 'Itens do carrinho dos usuários logados';
+comment on column public.cart_items.price_snapshot is 'Último preço exibido ao cliente (usado para sinalizar mudança de preço)';
@@ -0,0 +1,45 @@
+-- Formas de entrega locais configuráveis pelo admin (retirada e entrega própria/moto)
+-- Substituem o endereço de retirada e o contato de moto/uber fixos no código.
+-- A entrega por Correios/transportadora continua pela cotação do Melhor Envio.
+--
+-- kind:
+--   pickup  retirada em um dos pickup_locations ([{ id, name, address, hours, phone }])
+--   local   entrega no endereço do cliente, restrita por cep_prefixes e/ou raio (radius_km a partir de origin_lat/origin_lng)
+-- Sem cep_prefixes e sem raio, a forma de entrega vale para qualquer CEP.
+
+create table if not exists public.delivery_methods (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  kind text not null check (kind in ('pickup', 'local')),
+  description text,
+  fee numeric(10,2) not null default 0,
+  fee_note text,
+  contact text,
+  cep_prefixes text[],
+  radius_km numeric(8,2),
+  origin_lat numeric(10,7),
+  origin_lng numeric(10,7),
+  pickup_locations jsonb not null default '[]'::jsonb,
+  active boolean not null default true,
+  sort_order integer not null default 0,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+create index if not exists idx_delivery_methods_active on public.delivery_methods(active, sort_order);
+
+-- Formas de entrega que existiam fixas no checkout
+insert into public.delivery_methods (name, kind, description, fee, contact, pickup_locations, sort_order)
+select 'Retirada no Local', 'pickup', 'Retire seu pedido pessoalmente no endereço escolhido.', 0, '(31) 97507-4666',
+  '[{"id": "petrovale", "name": "Loja Petrovale", "address": "Rua Camboja, nº 133 – Bairro Petrovale, Betim", "hours": "Combinar pelo WhatsApp", "phone": "(31) 97507-4666"}]'::jsonb,
+  1
+where not exists (select 1 from public.delivery_methods where kind = 'pickup');
+
+insert into public.delivery_methods (name, kind, description, fee, fee_note, contact, sort_order)
+select 'Entrega via Moto/Uber', 'local', 'Entregamos por moto-Uber, com o valor a combinar diretamente pelo WhatsApp.', 0, 'A combinar', '(31) 97507-4666', 2
+where not exists (select 1 from public.delivery_methods where kind = 'local');
+
+comment on table public.delivery_methods is 'Formas de entrega locais: retirada (pickup) e entrega própria (local)';
+comment on column public.delivery_methods.fee_note is 'Texto exibido junto da taxa (ex.: "A combinar")';
+comment on column public.delivery_methods.cep_prefixes is 'Prefixos de CEP atendidos pela entrega local (ex.: {326,327})';
+comment on column public.delivery_methods.pickup_locations is 'Pontos de retirada: [{ id, name, address, hours, phone }]';
@@ -0,0 +1,13 @@
+-- Confirmação de email no cadastro (GET /api/auth/verify-email, ver src/services/emailVerification.js)
+-- Contas existentes ficam como não confirmadas; o cliente pode pedir um novo link pelo perfil.
+
+alter table public.users
+add column if not exists email_verified boolean not null default false,
+add column if not exists email_verified_at timestamptz;
+
+comment on column public.users.email_verified is 'Email confirmado pelo link enviado no cadastro';
+
+-- Política do admin: exigir email confirmado para finalizar compras e gerar cobranças
+insert into public.site_settings (key, value, type, description) values
+  ('checkout_require_verified_email', 'false', 'boolean', 'Exigir email confirmado para finalizar compras (true/false)')
+on conflict (key) do nothing;
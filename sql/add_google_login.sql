@@ -0,0 +1,11 @@
+-- Login com Google (GET /api/auth/google, ver src/services/googleAuth.js)
+-- Contas criadas pelo Google não têm senha (password_hash nulo); o cliente pode definir uma
+-- depois por "Esqueceu a senha?". google_sub é o identificador estável da conta Google.
+
+alter table public.users
+alter column password_hash drop not null;
+
+alter table public.users
+add column if not exists google_sub text unique;
+
+comment on column public.users.google_sub is 'Identificador (sub) da conta Google vinculada';
@@ -0,0 +1,20 @@
+-- Migração: garantir um único pedido por pagamento PIX
+-- O webhook e o polling de status usam o txid para finalizar o pedido;
+-- o índice único impede que os dois criem pedidos duplicados ao mesmo tempo.
+
+ALTER TABLE public.orders
+ADD COLUMN IF NOT EXISTS payment_txid text;
+
+-- Preencher a coluna para pedidos existentes
+UPDATE public.orders
+SET payment_txid = payment->>'txid'
+WHERE payment_txid IS NULL
+  AND payment->>'txid' IS NOT NULL;
+
+-- Se este índice falhar, existem pedidos duplicados para o mesmo txid.
+-- Consulte com: SELECT payment_txid, count(*) FROM public.orders GROUP BY 1 HAVING count(*) > 1;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_payment_txid
+ON public.orders(payment_txid)
+WHERE payment_txid IS NOT NULL;
+
+COMMENT ON COLUMN public.orders.payment_txid IS 'txid da cobrança PIX que gerou o pedido (único)';
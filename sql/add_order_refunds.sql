@@ -0,0 +1,36 @@
+-- Devoluções PIX
+-- Os registros de devolução ficam em orders.payment->'refunds' (jsonb), no formato:
+--   { id, rtr_id, amount, status, requested_at, requested_by, reason, restocked }
+-- Esta migração adiciona apenas a função usada para devolver itens ao estoque.
+
+-- Devolve ao estoque as quantidades informadas (atomicamente)
+-- p_items: [{ product_id, variation_id, qty }]
+-- Mesma ordem de bloqueio das funções de reserva (sql/add_stock_reservations.sql)
+create or replace function public.restock_items(p_items jsonb)
+returns int as $$
+declare
+  item jsonb;
+  v_count int := 0;
+begin
+  for item in
+    select value from jsonb_array_elements(p_items)
+    order by (value->>'product_id')::uuid, nullif(value->>'variation_id', '')::uuid nulls first
+  loop
+    if nullif(item->>'variation_id', '') is not null then
+      update public.product_variations
+      set stock = coalesce(stock, 0) + coalesce((item->>'qty')::int, 1), updated_at = now()
+      where id = (item->>'variation_id')::uuid;
+    else
+      update public.products
+      set stock = coalesce(stock, 0) + coalesce((item->>'qty')::int, 1)
+      where id = (item->>'product_id')::uuid;
+    end if;
+
+    if found then
+      v_count := v_count + 1;
+    end if;
+  end loop;
+
+  return v_count;
+end;
+$$ language plpgsql;
@@ -0,0 +1,19 @@
+-- Etiquetas do Melhor Envio e código de rastreio dos pedidos
+-- shipping_label guarda o andamento da compra da etiqueta (ver src/services/shippingLabels.js):
+--   { melhorenvio_id, protocol, service_code, status, price, purchased_at, generated_at,
+--     print_url, tracking_status, posted_at, delivered_at, last_sync_at }
+-- status: creating -> cart -> purchased -> generated (canceled se cancelada no Melhor Envio)
+
+ALTER TABLE public.orders
+ADD COLUMN IF NOT EXISTS shipping_label jsonb;
+
+ALTER TABLE public.orders
+ADD COLUMN IF NOT EXISTS tracking_code text;
+
+-- Pedidos com etiqueta ainda não entregues (consultados pela sincronização do rastreio)
+CREATE INDEX IF NOT EXISTS idx_orders_shipping_label_status
+ON public.orders(status)
+WHERE shipping_label IS NOT NULL;
+
+COMMENT ON COLUMN public.orders.shipping_label IS 'Etiqueta do Melhor Envio (compra, geração, impressão e rastreio)';
+COMMENT ON COLUMN public.orders.tracking_code IS 'Código de rastreio do envio';
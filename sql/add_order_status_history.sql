@@ -0,0 +1,21 @@
+-- Histórico de status dos pedidos
+-- Cada mudança de status (admin ou automática) gera uma linha nesta tabela.
+
+create table if not exists public.order_status_history (
+  id uuid default uuid_generate_v4() primary key,
+  order_id uuid references public.orders(id) on delete cascade not null,
+  from_status text, -- null na criação do pedido
+  to_status text not null,
+  changed_by uuid references public.users(id) on delete set null, -- null = sistema
+  note text,
+  notified boolean default false, -- se o cliente recebeu email
+  created_at timestamptz default now()
+);
+
+create index if not exists idx_order_status_history_order_id on public.order_status_history(order_id, created_at);
+
+comment on table public.order_status_history is 'Histórico de mudanças de status dos pedidos';
+comment on column public.order_status_history.changed_by is 'Usuário que alterou o status (null = sistema)';
+
+-- Status permitidos: pedido feito, em separacao, enviado, entregue, cancelado, devolucao solicitada, devolvido
+-- As transições permitidas são validadas em src/services/orderStatus.js
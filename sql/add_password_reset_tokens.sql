@@ -0,0 +1,18 @@
+-- Tokens de redefinição de senha (POST /api/auth/forgot e /api/auth/reset)
+-- Só o hash SHA-256 do token fica no banco; o token vai apenas no link enviado por email.
+-- Cada token vale uma vez (used_at) e expira em expires_at; pedir um novo link invalida os anteriores.
+
+create table if not exists public.password_reset_tokens (
+  id uuid default uuid_generate_v4() primary key,
+  user_id uuid references public.users(id) on delete cascade not null,
+  token_hash text unique not null,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  requested_ip text,
+  created_at timestamptz default now()
+);
+
+create index if not exists idx_password_reset_tokens_user on public.password_reset_tokens(user_id, created_at desc);
+
+comment on table public.password_reset_tokens is 'Links de redefinição de senha enviados por email (hash do token)';
+comment on column public.password_reset_tokens.used_at is 'Quando o token foi usado ou invalidado por um pedido mais novo';
@@ -0,0 +1,16 @@
+-- Forma de pagamento do pedido pendente (PIX, cartão de crédito ou boleto)
+-- payment_provider passa a aceitar também efibank_card e efibank_boleto (API de Cobranças do Efí Bank);
+-- nesses casos payment_id guarda o charge_id da cobrança
+
+alter table public.pending_orders
+add column if not exists payment_method text default 'pix';
+
+update public.pending_orders set payment_method = 'pix' where payment_method is null;
+
+-- Dados exibidos ao cliente: linha digitável/link do boleto, parcelas do cartão
+alter table public.pending_orders
+add column if not exists payment_details jsonb;
+
+comment on column public.pending_orders.payment_method is 'Forma de pagamento: pix, card ou boleto';
+comment on column public.pending_orders.payment_details is 'Detalhes da cobrança (boleto: barcode, link, pdf, due_date; cartão: installments)';
+comment on column public.pending_orders.payment_provider is 'Provedor da cobrança: efibank, manual (PIX estático), efibank_card ou efibank_boleto';
@@ -0,0 +1,102 @@
+-- Expiração de pedidos pendentes (checkouts abandonados)
+-- Pedidos pendentes com a cobrança PIX vencida passam para payment_status = 'expired'
+-- (ver src/services/pendingOrderExpiry.js)
+
+alter table public.pending_orders
+add column if not exists expired_at timestamptz;
+
+-- Busca de pedidos pendentes vencidos pelo sweeper
+create index if not exists idx_pending_orders_status_expires_at
+on public.pending_orders(payment_status, expires_at);
+
+comment on column public.pending_orders.expired_at is 'Data em que o pedido pendente foi marcado como expirado';
+
+-- Baixa o estoque de um pedido pago cuja reserva já foi liberada (pagamento depois da
+-- expiração do checkout) ou não cobre mais o estoque. Confere o estoque disponível com a
+-- mesma conta do reserve_stock e grava a baixa como reservas 'committed'.
+-- Se faltar estoque para qualquer item, nada é baixado e a função lança erro (P0001):
+-- o pedido precisa ser devolvido (ver src/services/orderFinalization.js).
+-- Idempotente: se o pedido já tem reservas confirmadas, não baixa de novo.
+create or replace function public.take_stock_for_pending_order(p_pending_order_id uuid, p_items jsonb)
+returns int as $$
+declare
+  item jsonb;
+  v_product_id uuid;
+  v_variation_id uuid;
+  v_qty int;
+  v_stock int;
+  v_name text;
+  v_reserved int;
+  v_count int := 0;
+begin
+  -- Uma chamada por vez para o mesmo pedido (webhook e polling ao mesmo tempo)
+  perform 1 from public.pending_orders where id = p_pending_order_id for update;
+
+  if exists (
+    select 1 from public.stock_reservations
+    where pending_order_id = p_pending_order_id and status = 'committed'
+  ) then
+    return 0;
+  end if;
+
+  -- Reservas do pedido ainda ativas são substituídas pela baixa abaixo
+  update public.stock_reservations
+  set status = 'released', updated_at = now()
+  where pending_order_id = p_pending_order_id and status = 'active';
+
+  for item in
+    select value from jsonb_array_elements(p_items)
+    order by (value->>'product_id')::uuid, nullif(value->>'variation_id', '')::uuid nulls first
+  loop
+    v_product_id := (item->>'product_id')::uuid;
+    v_variation_id := nullif(item->>'variation_id', '')::uuid;
+    v_qty := coalesce((item->>'qty')::int, 1);
+
+    if v_variation_id is not null then
+      select stock, name into v_stock, v_name
+      from public.product_variations
+      where id = v_variation_id and product_id = v_product_id
+      for update;
+    else
+      select stock, name into v_stock, v_name
+      from public.products
+      where id = v_product_id
+      for update;
+    end if;
+
+    if not found then
+      raise exception 'Produto não encontrado: %', v_product_id using errcode = 'P0001';
+    end if;
+
+    select coalesce(sum(qty), 0) into v_reserved
+    from public.stock_reservations
+    where product_id = v_product_id
+      and variation_id is not distinct from v_variation_id
+      and status = 'active'
+      and expires_at > now();
+
+    if coalesce(v_stock, 0) - v_reserved < v_qty then
+      raise exception 'Produto "%" não tem estoque suficiente. Disponível: %, Solicitado: %',
+        v_name, greatest(0, coalesce(v_stock, 0) - v_reserved), v_qty
+        using errcode = 'P0001';
+    end if;
+
+    if v_variation_id is not null then
+      update public.product_variations
+      set stock = coalesce(stock, 0) - v_qty, updated_at = now()
+      where id = v_variation_id;
+    else
+      update public.products
+      set stock = coalesce(stock, 0) - v_qty
+      where id = v_product_id;
+    end if;
+
+    insert into public.stock_reservations (pending_order_id, product_id, variation_id, qty, status, expires_at)
+    values (p_pending_order_id, v_product_id, v_variation_id, v_qty, 'committed', now());
+
+    v_count := v_count + 1;
+  end loop;
+
+  return v_count;
+end;
+$$ language plpgsql;
@@ -0,0 +1,28 @@
+-- Provedor da cobrança do pedido pendente
+-- efibank: cobrança PIX dinâmica do Efí Bank (confirmada por webhook/polling)
+-- manual: PIX estático gerado pela loja quando o Efí Bank está fora (confirmado pelo admin)
+
+alter table public.pending_orders
+add column if not exists payment_provider text default 'efibank';
+
+update public.pending_orders set payment_provider = 'efibank' where payment_provider is null;
+
+create index if not exists idx_pending_orders_payment_provider
+on public.pending_orders(payment_provider, payment_status);
+
+comment on column public.pending_orders.payment_provider is 'Provedor da cobrança: efibank ou manual (PIX estático com confirmação manual)';
+
+-- Prorroga as reservas ativas de um pedido pendente (PIX manual tem validade maior que a cobrança do Efí Bank)
+create or replace function public.extend_stock_reservations(p_pending_order_id uuid, p_expires_at timestamptz)
+returns int as $$
+declare
+  v_count int;
+begin
+  update public.stock_reservations
+  set expires_at = p_expires_at, updated_at = now()
+  where pending_order_id = p_pending_order_id and status = 'active';
+
+  get diagnostics v_count = row_count;
+  return v_count;
+end;
+$$ language plpgsql;
@@ -0,0 +1,24 @@
+-- Peso (kg) e dimensões (cm) de produtos e variações para a cotação de frete no Melhor Envio
+-- Sem valores, a cotação usa o pacote padrão de 20x6x20 cm e 0,3 kg por item;
+-- na variação, valores nulos herdam os do produto
+
+alter table public.products
+add column if not exists weight numeric(8,3),
+add column if not exists width numeric(8,2),
+add column if not exists height numeric(8,2),
+add column if not exists length numeric(8,2);
+
+alter table public.product_variations
+add column if not exists weight numeric(8,3),
+add column if not exists width numeric(8,2),
+add column if not exists height numeric(8,2),
+add column if not exists length numeric(8,2);
+
+comment on column public.products.weight is 'Peso embalado em kg';
+comment on column public.products.width is 'Largura da embalagem em cm';
+comment on column public.products.height is 'Altura da embalagem em cm';
+comment on column public.products.length is 'Comprimento da embalagem em cm';
+comment on column public.product_variations.weight is 'Peso embalado em kg (nulo = peso do produto)';
+comment on column public.product_variations.width is 'Largura em cm (nulo = largura do produto)';
+comment on column public.product_variations.height is 'Altura em cm (nulo = altura do produto)';
+comment on column public.product_variations.length is 'Comprimento em cm (nulo = comprimento do produto)';
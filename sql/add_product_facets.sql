@@ -0,0 +1,102 @@
+-- Facetas da listagem de produtos (GET /api/products?facets=1, ver src/services/productSearch.js)
+-- Contagem de produtos por marca, tipo, cor, tamanho e faixa de preço, agregada no banco:
+-- buscar as linhas para contar na API esbarrava no limite de linhas do PostgREST (max-rows).
+-- Cada faceta ignora o próprio filtro (com a marca "nike" marcada, as outras marcas mostram
+-- quantos produtos teriam se fossem escolhidas).
+-- Requer sql/add_product_search.sql (busca por termo). Sem esta migração, a listagem vem sem facetas.
+
+-- Valor dentro da faixa { min, max, min_inclusive } (faixa nula: sem filtro)
+create or replace function public.in_filter_range(p_value numeric, p_range jsonb)
+returns boolean as $$
+  select p_range is null or jsonb_typeof(p_range) = 'null' or (
+    p_value is not null
+    and case
+      when coalesce((p_range->>'min_inclusive')::boolean, false) then p_value >= (p_range->>'min')::numeric
+      else p_value > (p_range->>'min')::numeric
+    end
+    and (p_range->>'max' is null or p_value <= (p_range->>'max')::numeric)
+  );
+$$ language sql immutable;
+
+-- p_filters (montado em productFilters, src/controllers/products.js):
+--   active_only, brand, brands[], types[], category_types[], sizes[], colors[],
+--   price e discount ({ min, max, min_inclusive } ou null) e price_bands ([{ value, min, max, min_inclusive }])
+-- Retorna { brand: [{ value, count }], type, color, size, price }
+create or replace function public.product_facets(search_query text, p_filters jsonb)
+returns jsonb as $$
+  with params as (
+    select
+      coalesce(trim(search_query), '') <> '' as searching,
+      coalesce((p_filters->>'active_only')::boolean, true) as active_only,
+      nullif(p_filters->>'brand', '') as brand,
+      (select array_agg(v) from jsonb_array_elements_text(coalesce(p_filters->'brands', '[]')) v) as brands,
+      (select array_agg(v) from jsonb_array_elements_text(coalesce(p_filters->'types', '[]')) v) as types,
+      (select array_agg(v) from jsonb_array_elements_text(coalesce(p_filters->'category_types', '[]')) v) as category_types,
+      (select array_agg(v) from jsonb_array_elements_text(coalesce(p_filters->'sizes', '[]')) v) as sizes,
+      (select array_agg(v) from jsonb_array_elements_text(coalesce(p_filters->'colors', '[]')) v) as colors,
+      p_filters->'price' as price,
+      p_filters->'discount' as discount
+  ), candidates as (
+    select p.* from public.products p, params where not params.searching
+    union all
+    select s.* from public.search_products(search_query) s, params where params.searching
+  ), matched as (
+    -- Filtros comuns a todas as facetas no where; os das facetas viram colunas
+    select
+      c.id, c.brand, c.type, c.color, c.sizes, c.price,
+      (params.brand is null or c.brand = params.brand) and (params.brands is null or c.brand = any(params.brands)) as by_brand,
+      (params.types is null or c.type = any(params.types)) as by_type,
+      (params.sizes is null or c.sizes @> params.sizes) as by_size,
+      (params.colors is null or c.color = any(params.colors)) as by_color,
+      public.in_filter_range(c.price, params.price) as by_price
+    from candidates c, params
+    where (not params.active_only or c.is_active = true)
+      and (params.category_types is null or c.type = any(params.category_types))
+      and public.in_filter_range(c.discount, params.discount)
+  )
+  select jsonb_build_object(
+    'brand', (
+      select coalesce(jsonb_agg(jsonb_build_object('value', value, 'count', n) order by n desc, value), '[]'::jsonb)
+      from (
+        select brand as value, count(*) as n from matched
+        where by_type and by_size and by_color and by_price and coalesce(brand, '') <> ''
+        group by brand
+      ) t
+    ),
+    'type', (
+      select coalesce(jsonb_agg(jsonb_build_object('value', value, 'count', n) order by n desc, value), '[]'::jsonb)
+      from (
+        select type as value, count(*) as n from matched
+        where by_brand and by_size and by_color and by_price and coalesce(type, '') <> ''
+        group by type
+      ) t
+    ),
+    'color', (
+      select coalesce(jsonb_agg(jsonb_build_object('value', value, 'count', n) order by n desc, value), '[]'::jsonb)
+      from (
+        select color as value, count(*) as n from matched
+        where by_brand and by_type and by_size and by_price and coalesce(color, '') <> ''
+        group by color
+      ) t
+    ),
+    -- Tamanhos: cada produto conta uma vez em cada tamanho que tem
+    'size', (
+      select coalesce(jsonb_agg(jsonb_build_object('value', value, 'count', n) order by n desc, value), '[]'::jsonb)
+      from (
+        select s.value, count(distinct m.id) as n
+        from matched m cross join unnest(m.sizes) as s(value)
+        where m.by_brand and m.by_type and m.by_color and m.by_price and coalesce(s.value, '') <> ''
+        group by s.value
+      ) t
+    ),
+    'price', (
+      select coalesce(jsonb_agg(jsonb_build_object('value', b.band->>'value', 'count', (
+        select count(*) from matched m
+        where m.by_brand and m.by_type and m.by_size and m.by_color and m.price is not null
+          and public.in_filter_range(m.price, b.band)
+      )) order by b.position), '[]'::jsonb)
+      from jsonb_array_elements(coalesce(p_filters->'price_bands', '[]')) with ordinality as b(band, position)
+    )
+  );
+$$ language sql stable
+set search_path = public, extensions;
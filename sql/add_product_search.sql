@@ -0,0 +1,66 @@
+-- Busca de produtos por relevância (GET /api/products?search=, ver src/services/productSearch.js)
+-- Cobre nome, marca, tipo e descrição com:
+--   - radicais em português ("camisetas" encontra "camiseta")
+--   - sem acentos ("calca" encontra "calça")
+--   - tolerância a erros de digitação (similaridade de trigramas: "camisseta", "adiddas")
+-- Sem esta migração, a busca volta ao ilike no nome do produto.
+
+create extension if not exists unaccent with schema extensions;
+create extension if not exists pg_trgm with schema extensions;
+
+-- Texto em minúsculas, sem acentos e só com letras/números separados por espaço
+create or replace function public.search_normalize(p_value text)
+returns text as $$
+  select trim(regexp_replace(
+    lower(extensions.unaccent('extensions.unaccent'::regdictionary, coalesce(p_value, ''))),
+    '[^a-z0-9]+', ' ', 'g'
+  ));
+$$ language sql immutable parallel safe;
+
+-- Documento de busca: nome (peso A), marca e tipo (B), descrição (C)
+create or replace function public.product_search_document(p_name text, p_brand text, p_type text, p_description text)
+returns tsvector as $$
+  select setweight(to_tsvector('portuguese'::regconfig, public.search_normalize(p_name)), 'A')
+    || setweight(to_tsvector('portuguese'::regconfig, public.search_normalize(p_brand) || ' ' || public.search_normalize(p_type)), 'B')
+    || setweight(to_tsvector('portuguese'::regconfig, public.search_normalize(p_description)), 'C');
+$$ language sql immutable parallel safe;
+
+-- Texto curto comparado por trigramas (tolerância a erros de digitação)
+create or replace function public.product_search_text(p_name text, p_brand text, p_type text)
+returns text as $$
+  select public.search_normalize(coalesce(p_name, '') || ' ' || coalesce(p_brand, '') || ' ' || coalesce(p_type, ''));
+$$ language sql immutable parallel safe;
+
+create index if not exists idx_products_search_document on public.products
+  using gin (public.product_search_document(name, brand, type, description));
+
+create index if not exists idx_products_search_text on public.products
+  using gin (public.product_search_text(name, brand, type) extensions.gin_trgm_ops);
+
+-- Produtos que correspondem ao termo, do mais relevante para o menos relevante.
+-- Cada palavra vale também como prefixo ("cami" encontra "camiseta"); se nenhuma palavra
+-- corresponder, vale a similaridade de trigramas com nome, marca e tipo.
+-- A API aplica os demais filtros, a ordenação escolhida e a paginação sobre o resultado.
+create or replace function public.search_products(search_query text)
+returns setof public.products as $$
+  with q as (
+    select public.search_normalize(search_query) as text
+  ), terms as (
+    select to_tsquery('portuguese'::regconfig, string_agg(term || ':*', ' & ')) as tsq
+    from q, regexp_split_to_table(q.text, ' ') as term
+    where term <> ''
+  )
+  select p.*
+  from public.products p, q, terms
+  where q.text <> ''
+    and (
+      (terms.tsq is not null and public.product_search_document(p.name, p.brand, p.type, p.description) @@ terms.tsq)
+      or q.text <% public.product_search_text(p.name, p.brand, p.type)
+    )
+  order by
+    coalesce(ts_rank(public.product_search_document(p.name, p.brand, p.type, p.description), terms.tsq), 0) * 2
+      + word_similarity(q.text, public.product_search_text(p.name, p.brand, p.type)) desc,
+    p.created_at desc,
+    p.id;
+$$ language sql stable
+set search_path = public, extensions;
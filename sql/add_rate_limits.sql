@@ -0,0 +1,34 @@
+-- Contadores de limite de requisições (RATE_LIMIT_STORE=table, ver src/services/rateLimit)
+-- Cada chave (ex.: "login:ip:1.2.3.4") conta as requisições da janela atual até expires_at.
+-- Em produção com várias instâncias (Vercel), os limites precisam de um store compartilhado:
+-- esta tabela ou um Redis compatível (RATE_LIMIT_STORE=redis).
+
+create table if not exists public.rate_limits (
+  key text primary key,
+  count integer not null default 0,
+  expires_at timestamptz not null
+);
+
+create index if not exists idx_rate_limits_expires_at on public.rate_limits(expires_at);
+
+-- Conta uma requisição na janela da chave (abre uma nova janela se a anterior expirou)
+-- Retorna o total da janela e quando ela termina
+create or replace function public.rate_limit_hit(p_key text, p_ttl_ms integer)
+returns table (hits integer, reset_at timestamptz) as $$
+begin
+  -- Limpeza ocasional das janelas vencidas
+  if random() < 0.01 then
+    delete from public.rate_limits where expires_at < now();
+  end if;
+
+  return query
+  insert into public.rate_limits as r (key, count, expires_at)
+  values (p_key, 1, now() + p_ttl_ms * interval '1 millisecond')
+  on conflict (key) do update set
+    count = case when r.expires_at <= now() then 1 else r.count + 1 end,
+    expires_at = case when r.expires_at <= now() then excluded.expires_at else r.expires_at end
+  returning r.count, r.expires_at;
+end;
+$$ language plpgsql;
+
+comment on table public.rate_limits is 'Janelas de limite de requisições por IP/conta (login, cadastro, cupons, frete)';
@@ -0,0 +1,43 @@
+-- Regras de frete configuráveis pelo admin
+-- Aplicadas em POST /api/shipping/calculate e reaplicadas no checkout (ver src/services/shippingRules.js)
+--
+-- Tipos:
+--   free_shipping   frete grátis
+--   flat_rate       frete fixo (amount) nos serviços de transportadora
+--   discount        desconto no frete (discount_type 'percentage' ou 'fixed', valor em amount)
+--   local_delivery  opção de entrega local com taxa fixa (amount) e prazo (delivery_days)
+--
+-- Condições (todas opcionais; vazias = qualquer valor):
+--   min_subtotal            subtotal mínimo dos produtos (antes do cupom)
+--   cep_start / cep_end     faixa de CEP de destino
+--   states                  UFs de destino (ex.: {MG,SP})
+--   service_codes           serviços do Melhor Envio (ids) aos quais a regra se aplica
+-- Quando mais de uma regra vale para o mesmo serviço, fica o menor preço.
+
+create table if not exists public.shipping_rules (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  type text not null check (type in ('free_shipping', 'flat_rate', 'discount', 'local_delivery')),
+  amount numeric(10,2),
+  discount_type text check (discount_type in ('percentage', 'fixed')),
+  min_subtotal numeric(10,2),
+  cep_start text,
+  cep_end text,
+  states text[],
+  service_codes text[],
+  delivery_days integer,
+  active boolean not null default true,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+create index if not exists idx_shipping_rules_active on public.shipping_rules(active);
+
+-- Regra inicial correspondente ao aviso "Frete grátis em compras acima de R$ 199"
+insert into public.shipping_rules (name, type, min_subtotal)
+select 'Frete grátis acima de R$ 199', 'free_shipping', 199
+where not exists (select 1 from public.shipping_rules);
+
+comment on table public.shipping_rules is 'Regras de frete: grátis, fixo, desconto e entrega local';
+comment on column public.shipping_rules.amount is 'flat_rate/local_delivery: preço do frete; discount: valor ou porcentagem do desconto';
+comment on column public.shipping_rules.min_subtotal is 'Subtotal mínimo dos produtos (antes do cupom) para a regra valer';
@@ -0,0 +1,188 @@
+-- Reserva de estoque durante o checkout PIX
+-- Cada pedido pendente reserva as unidades de produto/variação no momento do checkout.
+-- A reserva expira junto com a cobrança PIX (pending_orders.expires_at) e só é
+-- convertida em baixa de estoque uma única vez, quando o pagamento é confirmado.
+
+create table if not exists public.stock_reservations (
+  id uuid default uuid_generate_v4() primary key,
+  pending_order_id uuid not null, -- id do pending_order (gerado antes da cobrança PIX)
+  product_id uuid references public.products(id) on delete cascade not null,
+  variation_id uuid references public.product_variations(id) on delete cascade,
+  qty int not null check (qty > 0),
+  status text default 'active' not null, -- active, committed, released
+  expires_at timestamptz not null,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+create index if not exists idx_stock_reservations_pending_order on public.stock_reservations(pending_order_id);
+create index if not exists idx_stock_reservations_product on public.stock_reservations(product_id, variation_id);
+create index if not exists idx_stock_reservations_active on public.stock_reservations(status, expires_at);
+
+comment on table public.stock_reservations is 'Unidades reservadas por pedidos pendentes de pagamento';
+comment on column public.stock_reservations.status is 'Status da reserva: active, committed, released';
+
+-- Reserva atomicamente todos os itens de um pedido pendente.
+-- As linhas de products/product_variations ficam bloqueadas (FOR UPDATE) até o fim
+-- da transação, então dois checkouts simultâneos nunca reservam a mesma unidade.
+-- Se qualquer item não tiver estoque disponível, nenhuma reserva é criada.
+-- Ordem dos bloqueios: todas as funções de estoque bloqueiam as linhas por (product_id, variation_id),
+-- com a linha do produto antes das variações; sem uma ordem única, dois checkouts com itens em comum
+-- podem travar um esperando o outro (deadlock).
+create or replace function public.reserve_stock(
+  p_pending_order_id uuid,
+  p_items jsonb,
+  p_expires_at timestamptz
+)
+returns void as $$
+declare
+  item jsonb;
+  v_product_id uuid;
+  v_variation_id uuid;
+  v_qty int;
+  v_stock int;
+  v_name text;
+  v_reserved int;
+begin
+  for item in
+    select value from jsonb_array_elements(p_items)
+    order by (value->>'product_id')::uuid, nullif(value->>'variation_id', '')::uuid nulls first
+  loop
+    v_product_id := (item->>'product_id')::uuid;
+    v_variation_id := nullif(item->>'variation_id', '')::uuid;
+    v_qty := coalesce((item->>'qty')::int, 1);
+
+    if v_variation_id is not null then
+      select stock, name into v_stock, v_name
+      from public.product_variations
+      where id = v_variation_id and product_id = v_product_id
+      for update;
+    else
+      select stock, name into v_stock, v_name
+      from public.products
+      where id = v_product_id
+      for update;
+    end if;
+
+    if not found then
+      raise exception 'Produto não encontrado: %', v_product_id using errcode = 'P0002';
+    end if;
+
+    select coalesce(sum(qty), 0) into v_reserved
+    from public.stock_reservations
+    where product_id = v_product_id
+      and variation_id is not distinct from v_variation_id
+      and status = 'active'
+      and expires_at > now();
+
+    if coalesce(v_stock, 0) - v_reserved < v_qty then
+      raise exception 'Produto "%" não tem estoque suficiente. Disponível: %, Solicitado: %',
+        v_name, greatest(0, coalesce(v_stock, 0) - v_reserved), v_qty
+        using errcode = 'P0001';
+    end if;
+
+    insert into public.stock_reservations (pending_order_id, product_id, variation_id, qty, expires_at)
+    values (p_pending_order_id, v_product_id, v_variation_id, v_qty, p_expires_at);
+  end loop;
+end;
+$$ language plpgsql;
+
+-- Converte as reservas ativas de um pedido em baixa de estoque.
+-- Idempotente: reservas já confirmadas ou liberadas são ignoradas, então
+-- chamadas repetidas (webhook + polling) não baixam o estoque duas vezes.
+-- O estoque é conferido de novo com a mesma conta do reserve_stock: uma reserva vencida
+-- (ainda não liberada pela varredura) não conta para novos checkouts, então a unidade pode
+-- já ter sido reservada por outro pedido. Se faltar estoque para qualquer item, nada é
+-- baixado e a função lança erro (P0001).
+create or replace function public.commit_stock_reservations(p_pending_order_id uuid)
+returns int as $$
+declare
+  r record;
+  v_count int := 0;
+  v_stock int;
+  v_name text;
+  v_reserved int;
+begin
+  for r in
+    select * from public.stock_reservations
+    where pending_order_id = p_pending_order_id and status = 'active'
+    order by product_id, variation_id nulls first
+    for update
+  loop
+    if r.variation_id is not null then
+      select stock, name into v_stock, v_name
+      from public.product_variations
+      where id = r.variation_id
+      for update;
+    else
+      select stock, name into v_stock, v_name
+      from public.products
+      where id = r.product_id
+      for update;
+    end if;
+
+    -- Reservas vigentes dos outros pedidos
+    select coalesce(sum(qty), 0) into v_reserved
+    from public.stock_reservations
+    where product_id = r.product_id
+      and variation_id is not distinct from r.variation_id
+      and status = 'active'
+      and expires_at > now()
+      and pending_order_id <> p_pending_order_id;
+
+    if coalesce(v_stock, 0) - v_reserved < r.qty then
+      raise exception 'Produto "%" não tem estoque suficiente. Disponível: %, Solicitado: %',
+        v_name, greatest(0, coalesce(v_stock, 0) - v_reserved), r.qty
+        using errcode = 'P0001';
+    end if;
+
+    if r.variation_id is not null then
+      update public.product_variations
+      set stock = coalesce(stock, 0) - r.qty, updated_at = now()
+      where id = r.variation_id;
+    else
+      update public.products
+      set stock = coalesce(stock, 0) - r.qty
+      where id = r.product_id;
+    end if;
+
+    update public.stock_reservations
+    set status = 'committed', updated_at = now()
+    where id = r.id;
+
+    v_count := v_count + 1;
+  end loop;
+
+  return v_count;
+end;
+$$ language plpgsql;
+
+-- Libera as reservas ativas de um pedido (pagamento falhou, cancelado ou expirado)
+create or replace function public.release_stock_reservations(p_pending_order_id uuid)
+returns int as $$
+declare
+  v_count int;
+begin
+  update public.stock_reservations
+  set status = 'released', updated_at = now()
+  where pending_order_id = p_pending_order_id and status = 'active';
+
+  get diagnostics v_count = row_count;
+  return v_count;
+end;
+$$ language plpgsql;
+
+-- Libera todas as reservas cujo prazo já passou
+create or replace function public.release_expired_stock_reservations()
+returns int as $$
+declare
+  v_count int;
+begin
+  update public.stock_reservations
+  set status = 'released', updated_at = now()
+  where status = 'active' and expires_at <= now();
+
+  get diagnostics v_count = row_count;
+  return v_count;
+end;
+$$ language plpgsql;
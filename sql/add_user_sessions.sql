@@ -0,0 +1,40 @@
+-- Sessões de login (ver src/services/sessions.js)
+-- Cada login cria uma sessão com um refresh token; no banco fica só o hash SHA-256.
+-- O refresh token é trocado a cada renovação (o anterior fica em previous_token_hash para
+-- detectar reuso de um token roubado, que encerra a sessão).
+
+create table if not exists public.user_sessions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users(id) on delete cascade,
+  refresh_token_hash text not null unique,
+  previous_token_hash text,
+  rotated_at timestamptz,
+  user_agent text,
+  ip text,
+  created_at timestamptz not null default now(),
+  last_used_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  revoked_at timestamptz
+);
+
+create index if not exists idx_user_sessions_user on public.user_sessions (user_id) where revoked_at is null;
+create index if not exists idx_user_sessions_previous on public.user_sessions (previous_token_hash);
+
+-- Troca de papel (role) ou de senha encerra todas as sessões da conta,
+-- inclusive quando a alteração é feita direto no banco (ex.: setup-admin.js, painel do Supabase)
+create or replace function public.revoke_user_sessions_on_credentials_change()
+returns trigger as $$
+begin
+  if new.role is distinct from old.role or new.password_hash is distinct from old.password_hash then
+    update public.user_sessions
+      set revoked_at = now()
+      where user_id = new.id and revoked_at is null;
+  end if;
+  return new;
+end;
+$$ language plpgsql;
+
+drop trigger if exists trg_users_revoke_sessions on public.users;
+create trigger trg_users_revoke_sessions
+  after update of role, password_hash on public.users
+  for each row execute function public.revoke_user_sessions_on_credentials_change();
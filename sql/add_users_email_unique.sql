@@ -0,0 +1,10 @@
+-- Email único sem diferenciar maiúsculas (login com Google, ver src/services/googleAuth.js)
+-- Cadastros antigos guardam o email como digitado; o login com Google procura a conta pelo email
+-- sem diferenciar maiúsculas e recusa o login quando acha mais de uma.
+--
+-- Antes de aplicar, junte (ou remova) as contas repetidas; esta consulta lista os emails em conflito:
+--   select lower(email), array_agg(id order by created_at) from public.users
+--   group by lower(email) having count(*) > 1;
+-- Com contas repetidas, a criação do índice falha e nada é alterado.
+
+create unique index if not exists users_email_lower_key on public.users (lower(email));
@@ -0,0 +1,28 @@
+-- Log de eventos de webhook recebidos (Efí Bank)
+-- event_id é o endToEndId do PIX: o índice único impede que um mesmo
+-- pagamento seja processado duas vezes (replay). Eventos rejeitados ou com
+-- falha saem do índice, para que a nova tentativa do Efí Bank seja aceita.
+
+create table if not exists public.webhook_events (
+  id uuid default uuid_generate_v4() primary key,
+  provider text not null default 'efibank',
+  event_id text, -- endToEndId do PIX (null para requisições rejeitadas antes da leitura)
+  txid text,
+  status text not null default 'processing', -- processing, processed, rejected, failed, duplicate
+  reason text,
+  order_id uuid references public.orders(id) on delete set null,
+  payload jsonb,
+  remote_ip text,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+create unique index if not exists idx_webhook_events_event_id
+on public.webhook_events(provider, event_id)
+where event_id is not null and status in ('processing', 'processed');
+
+create index if not exists idx_webhook_events_txid on public.webhook_events(txid);
+create index if not exists idx_webhook_events_created_at on public.webhook_events(created_at);
+
+comment on table public.webhook_events is 'Eventos de webhook recebidos e o resultado do processamento';
+comment on column public.webhook_events.status is 'processing, processed, rejected, failed, duplicate';
@@ -0,0 +1,29 @@
+-- Migração: copiar o frete dos pedidos pendentes para os pedidos já confirmados
+-- Pedidos criados antes desta correção não tinham shipping/delivery_estimate.
+-- Requer sql/add_shipping_to_pending_orders.sql e sql/add_order_payment_txid.sql
+
+UPDATE public.orders o
+SET shipping = p.shipping
+FROM public.pending_orders p
+WHERE o.shipping IS NULL
+  AND p.shipping IS NOT NULL
+  AND o.payment_txid = p.payment_id;
+
+-- Previsão de entrega = confirmação do pagamento + prazo em dias úteis
+UPDATE public.orders o
+SET delivery_estimate = (
+  SELECT d
+  FROM generate_series(
+    COALESCE(o.payment_confirmed_at, o.created_at) + interval '1 day',
+    COALESCE(o.payment_confirmed_at, o.created_at) + interval '90 days',
+    interval '1 day'
+  ) AS d
+  WHERE extract(isodow FROM d) < 6
+  ORDER BY d
+  OFFSET ((o.shipping->>'prazo')::int - 1)
+  LIMIT 1
+)
+WHERE o.delivery_estimate IS NULL
+  AND o.shipping ? 'prazo'
+  AND (o.shipping->>'prazo') ~ '^[0-9]+$'
+  AND (o.shipping->>'prazo')::int > 0;
@@ -1,40 +1,268 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const supabase = require('../db/supabaseClient');
+const passwordResetService = require('../services/passwordReset');
+const emailVerificationService = require('../services/emailVerification');
+const sessionService = require('../services/sessions');
+const rateLimitService = require('../services/rateLimit');
+const googleAuthService = require('../services/googleAuth');
+const { authRequired } = require('../middleware/auth');
+const { rateLimit, tooManyRequests, clientIp } = require('../middleware/rateLimit');
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || 'dev_secret';
+
+// Tempo mínimo de resposta de /forgot: com ou sem conta, a resposta demora o mesmo
+const FORGOT_MIN_RESPONSE_MS = 1000;
+
+const FORGOT_MESSAGE = 'Se houver uma conta com este email, você receberá um link para redefinir a senha.';
+
+// Cookie com state/nonce/PKCE do login com Google (só enviado para as rotas /api/auth/google)
+const GOOGLE_COOKIE = 'hypex_google_oauth';
+const GOOGLE_COOKIE_PATH = '/api/auth/google';
+
+function requestBaseUrl(req) {
+  return `${req.headers['x-forwarded-proto'] || req.protocol}://${req.get('host')}`;
+}
+
+// Limites por IP e por conta; senhas erradas seguidas também bloqueiam a conta (services/rateLimit)
+const loginIpLimit = rateLimit({ name: 'login:ip', windowMs: 15 * 60 * 1000, max: 30, message: 'Muitas tentativas de login.' });
+const loginAccountLimit = rateLimit({
+  name: 'login:account',
+  windowMs: 15 * 60 * 1000,
+  max: 15,
+  key: req => rateLimitService.loginKey(req.body.email),
+  message: 'Muitas tentativas de login para esta conta.'
+});
+const registerIpLimit = rateLimit({ name: 'register:ip', windowMs: 60 * 60 * 1000, max: 10, message: 'Muitos cadastros a partir desta rede.' });
+const forgotIpLimit = rateLimit({ name: 'forgot:ip', windowMs: 60 * 60 * 1000, max: 10, message: 'Muitos pedidos de redefinição de senha.' });
+const forgotAccountLimit = rateLimit({
+  name: 'forgot:account',
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  key: req => rateLimitService.loginKey(req.body.email),
+  message: 'Muitos pedidos de redefinição de senha.'
+});
+
+// Dispositivo da sessão (lista de sessões / auditoria)
+function sessionMeta(req) {
+  return { userAgent: req.headers['user-agent'], ip: clientIp(req) };
+}
+
+function readCookie(req, name) {
+  const match = (req.headers.cookie || '').split(';').map(c => c.trim()).find(c => c.startsWith(`${name}=`));
+  return match ? decodeURIComponent(match.substring(name.length + 1)) : null;
+}
+
+function googleCallbackUrl(req) {
+  return `${(process.env.PUBLIC_URL || requestBaseUrl(req)).replace(/\/$/, '')}/api/auth/google/callback`;
+}
+
+// Volta para a página de login com a mensagem de erro
+function googleLoginFailed(res, message) {
+  res.redirect(`/pages/auth.html?oauth_error=${encodeURIComponent(message)}`);
+}
 
 // Register
-router.post('/register', async (req, res) => {
+router.post('/register', registerIpLimit, async (req, res) => {
   const { email, password, name, address } = req.body;
   if (!email || !password) return res.status(400).json({ error: 'Email e senha são obrigatórios' });
   try {
     const hashed = await bcrypt.hash(password, 10);
     const { data, error } = await supabase.from('users').insert([{ email, password_hash: hashed, name, address, role: 'customer' }]).select().single();
     if (error) return res.status(400).json({ error: error.message });
-    const token = jwt.sign({ id: data.id, email: data.email, role: data.role }, JWT_SECRET, { expiresIn: '7d' });
-    res.json({ user: { id: data.id, email: data.email, name: data.name, address: data.address }, token });
+    try {
+      await emailVerificationService.sendVerification(data);
+    } catch (mailError) {
+      console.error('[Email] Erro ao enviar email de confirmação:', mailError.message);
+    }
+    const session = await sessionService.issue(data, sessionMeta(req));
+    res.json({ user: { id: data.id, email: data.email, name: data.name, address: data.address, email_verified: false }, ...session });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
 // Login
-router.post('/login', async (req, res) => {
+router.post('/login', loginIpLimit, loginAccountLimit, async (req, res) => {
   const { email, password } = req.body;
   if (!email || !password) return res.status(400).json({ error: 'Email e senha são obrigatórios' });
   try {
+    const lockedFor = await rateLimitService.loginLockedFor(email);
+    if (lockedFor) return tooManyRequests(res, lockedFor, 'Muitas tentativas de login para esta conta.');
+
+    // Email inexistente conta como falha também (o bloqueio não revela se a conta existe)
+    // Conta sem senha (criada pelo login com Google) também: a dica de usar o Google fica na tela e no
+    // email de "Esqueceu a senha?", para o login não revelar como a conta entra
     const { data, error } = await supabase.from('users').select().eq('email', email).single();
-    if (error || !data) return res.status(400).json({ error: 'Credenciais inválidas' });
-    const ok = await bcrypt.compare(password, data.password_hash);
-    if (!ok) return res.status(400).json({ error: 'Credenciais inválidas' });
-    const token = jwt.sign({ id: data.id, email: data.email, role: data.role }, JWT_SECRET, { expiresIn: '7d' });
-    res.json({ user: { id: data.id, email: data.email, name: data.name, address: data.address }, token });
+    const ok = !error && data && data.password_hash ? await bcrypt.compare(password, data.password_hash) : false;
+    if (!ok) {
+      const lockSeconds = await rateLimitService.loginFailed(email);
+      if (lockSeconds) return tooManyRequests(res, lockSeconds, 'Muitas tentativas de login para esta conta.');
+      return res.status(400).json({ error: 'Credenciais inválidas' });
+    }
+    await rateLimitService.loginSucceeded(email);
+    const session = await sessionService.issue(data, sessionMeta(req));
+    res.json({ user: { id: data.id, email: data.email, name: data.name, address: data.address, email_verified: Boolean(data.email_verified) }, ...session });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Renovar a sessão: troca o refresh token por um novo access token + refresh token
+router.post('/refresh', async (req, res) => {
+  try {
+    const session = await sessionService.refresh(req.body.refresh_token, sessionMeta(req));
+    res.json(session);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, code: err.code });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Logout: encerra a sessão deste dispositivo (pelo refresh token ou pelo access token, mesmo expirado)
+router.post('/logout', async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+    const auth = req.headers.authorization;
+    if (refresh_token) {
+      await sessionService.revokeByRefreshToken(refresh_token);
+    } else if (auth) {
+      const payload = sessionService.verifyAccessToken(auth.split(' ')[1], { ignoreExpiration: true });
+      await sessionService.revoke(payload.sid);
+    } else {
+      return res.status(400).json({ error: 'Informe o refresh_token' });
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, code: err.code });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Sair de todos os dispositivos (inclusive este)
+router.post('/logout-all', authRequired, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAll(req.user.id);
+    res.json({ ok: true, revoked });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Formas de login disponíveis (botão "Entrar com Google" na página de login)
+router.get('/providers', (req, res) => {
+  res.json({ google: googleAuthService.isEnabled() });
+});
+
+// Login com Google: redireciona para a tela de login do Google
+router.get('/google', async (req, res) => {
+  if (!googleAuthService.isEnabled()) return googleLoginFailed(res, 'Login com Google indisponível');
+  try {
+    const attempt = googleAuthService.createAttempt();
+    const url = await googleAuthService.authorizationUrl({ redirectUri: googleCallbackUrl(req), ...attempt });
+    res.cookie(GOOGLE_COOKIE, googleAuthService.sealAttempt(attempt), {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: (req.headers['x-forwarded-proto'] || req.protocol) === 'https',
+      path: GOOGLE_COOKIE_PATH,
+      maxAge: 10 * 60 * 1000
+    });
+    res.redirect(url);
   } catch (err) {
+    console.error('[Google] Erro ao iniciar login:', err.message);
+    googleLoginFailed(res, 'Login com Google indisponível');
+  }
+});
+
+// Retorno do Google: valida o login, vincula ou cria a conta e abre a sessão como no /login
+// Os tokens vão no fragmento (#) da página de login, que os guarda e limpa a barra de endereço
+router.get('/google/callback', async (req, res) => {
+  const attempt = googleAuthService.openAttempt(readCookie(req, GOOGLE_COOKIE));
+  res.clearCookie(GOOGLE_COOKIE, { path: GOOGLE_COOKIE_PATH });
+  try {
+    if (req.query.error) return googleLoginFailed(res, 'Login com Google cancelado');
+    if (!attempt || !req.query.state || attempt.state !== req.query.state) {
+      return googleLoginFailed(res, 'O login com Google expirou. Tente novamente.');
+    }
+
+    const claims = await googleAuthService.exchangeCode({
+      code: req.query.code,
+      redirectUri: googleCallbackUrl(req),
+      codeVerifier: attempt.codeVerifier,
+      nonce: attempt.nonce
+    });
+    const user = await googleAuthService.findOrCreateUser(claims);
+    const session = await sessionService.issue(user, sessionMeta(req));
+    const payload = Buffer.from(JSON.stringify({
+      user: { id: user.id, email: user.email, name: user.name, address: user.address, email_verified: Boolean(user.email_verified) },
+      ...session
+    })).toString('base64url');
+    res.redirect(`/pages/auth.html#login=${payload}`);
+  } catch (err) {
+    if (!err.status || err.status >= 500) console.error('[Google] Erro no login:', err.message || err);
+    googleLoginFailed(res, err.status && err.status < 500 ? err.message : 'Não foi possível entrar com Google. Tente novamente.');
+  }
+});
+
+// Esqueci a senha: envia o link de redefinição (mesma resposta exista ou não a conta)
+router.post('/forgot', forgotIpLimit, forgotAccountLimit, async (req, res) => {
+  const startedAt = Date.now();
+  const { email } = req.body;
+  if (!email) return res.status(400).json({ error: 'Informe o email' });
+  try {
+    await passwordResetService.requestReset(email, { ip: clientIp(req) });
+  } catch (err) {
+    // Sem PUBLIC_URL: falha para qualquer email, então não revela se a conta existe
+    if (err.status === 503) return res.status(503).json({ error: err.message });
+    console.error('[Senha] Erro ao processar pedido de redefinição:', err.message || err);
+  }
+
+  const wait = FORGOT_MIN_RESPONSE_MS - (Date.now() - startedAt);
+  if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+  res.json({ ok: true, message: FORGOT_MESSAGE });
+});
+
+// Redefinir a senha com o token do link
+router.post('/reset', async (req, res) => {
+  const { token, password } = req.body;
+  try {
+    await passwordResetService.resetPassword(token, password);
+    res.json({ ok: true, message: 'Senha redefinida. Entre com a nova senha.' });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     res.status(500).json({ error: err.message });
   }
 });
 
+// Link do email de confirmação: confirma e volta para a página de login com o resultado
+router.get('/verify-email', async (req, res) => {
+  try {
+    await emailVerificationService.confirm(req.query.token);
+    res.redirect('/pages/auth.html?verified=1');
+  } catch (err) {
+    if (!err.status) console.error('[Email] Erro ao confirmar email:', err.message || err);
+    res.redirect('/pages/auth.html?verified=0');
+  }
+});
+
+// Reenvia o link de confirmação para o email da conta logada
+router.post('/verify-email/resend', authRequired, async (req, res) => {
+  try {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('id, email, name, email_verified')
+      .eq('id', req.user.id)
+      .maybeSingle();
+    if (error) throw error;
+    if (!user) return res.status(404).json({ error: 'Usuário não encontrado' });
+    if (user.email_verified) return res.json({ ok: true, email_verified: true, message: 'Seu email já está confirmado.' });
+
+    const sent = await emailVerificationService.sendVerification(user);
+    if (!sent) return res.status(429).json({ error: 'Um link acabou de ser enviado. Aguarde um minuto para pedir outro.' });
+    res.json({ ok: true, email_verified: false, message: `Enviamos um novo link de confirmação para ${user.email}.` });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,354 @@
+const express = require('express');
+const supabase = require('../db/supabaseClient');
+const stockReservationService = require('../services/stockReservation');
+const { authRequired } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(authRequired);
+
+// Helper: URL pública de uma imagem do bucket product_images
+function imageUrl(key) {
+  if (!key) return null;
+  if (typeof key === 'string' && /^(http|https):\/\//.test(key)) return key;
+  try {
+    const pub = supabase.storage.from('product_images').getPublicUrl(key);
+    return pub?.data?.publicUrl || pub?.publicURL || null;
+  } catch (e) {
+    console.error('Erro ao gerar URL para imagem do carrinho:', key, e);
+    return null;
+  }
+}
+
+// Helper: mesmo item = mesmo produto, variação e tamanho
+function sameItem(a, b) {
+  return String(a.product_id) === String(b.product_id) &&
+    String(a.variation_id || '') === String(b.variation_id || '') &&
+    String(a.size || '') === String(b.size || '');
+}
+
+// Helper: busca os itens do carrinho do usuário
+async function fetchCartRows(userId) {
+  const { data, error } = await supabase
+    .from('cart_items')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw new Error(`Erro ao carregar carrinho: ${error.message}`);
+  return data || [];
+}
+
+// Helper: carrega produtos e variações referenciados pelos itens,
+// com as unidades reservadas por checkouts em andamento
+async function loadCatalog(rows) {
+  const productIds = [...new Set(rows.map(r => r.product_id))];
+  const variationIds = [...new Set(rows.map(r => r.variation_id).filter(Boolean))];
+
+  const products = {};
+  const variations = {};
+
+  if (productIds.length) {
+    const { data, error } = await supabase.from('products').select('*').in('id', productIds);
+    if (error) throw new Error(`Erro ao carregar produtos: ${error.message}`);
+    (data || []).forEach(p => { products[p.id] = p; });
+  }
+
+  if (variationIds.length) {
+    const { data, error } = await supabase
+      .from('product_variations')
+      .select('*')
+      .in('id', variationIds)
+      .in('product_id', productIds);
+    if (error) throw new Error(`Erro ao carregar variações: ${error.message}`);
+    (data || []).forEach(v => { variations[v.id] = v; });
+  }
+
+  const reserved = await stockReservationService.reservedQuantities(productIds);
+
+  return { products, variations, reserved };
+}
+
+// Helper: preço e estoque disponível de um item (variação tem prioridade sobre o produto)
+// O estoque disponível desconta as reservas, como no checkout (reserve_stock)
+function currentOffer(row, catalog) {
+  const product = catalog.products[row.product_id];
+  const variation = row.variation_id ? catalog.variations[row.variation_id] : null;
+
+  if (!product || product.is_active === false) return null;
+  // A variação precisa ser do produto informado (senão o preço/estoque viriam de outro produto)
+  if (row.variation_id && (!variation || variation.is_active === false)) return null;
+  if (variation && String(variation.product_id) !== String(row.product_id)) return null;
+
+  const images = (variation?.images?.length ? variation.images : product.images) || [];
+  const reserved = catalog.reserved?.[`${row.product_id}:${row.variation_id || ''}`] || 0;
+  return {
+    name: variation?.name || product.name || 'Produto',
+    price: Number(variation?.price || product.price || 0),
+    stock: Math.max(0, Number((variation ? variation.stock : product.stock) || 0) - reserved),
+    image: imageUrl(images[0])
+  };
+}
+
+// Revalida o carrinho contra products/product_variations
+// Cada item volta com o preço e o estoque atuais e com flags de indisponibilidade ou mudança de preço.
+// Depois de sinalizada, a mudança de preço é registrada em price_snapshot.
+async function buildCart(userId) {
+  const rows = await fetchCartRows(userId);
+  const catalog = await loadCatalog(rows);
+
+  const items = [];
+  const priceUpdates = [];
+  let subtotal = 0;
+
+  for (const row of rows) {
+    const offer = currentOffer(row, catalog);
+    const item = {
+      id: row.id,
+      product_id: row.product_id,
+      variation_id: row.variation_id,
+      size: row.size,
+      qty: row.qty,
+      checked: row.checked !== false,
+      name: offer?.name || 'Produto indisponível',
+      image: offer?.image || null,
+      price: offer ? offer.price : Number(row.price_snapshot || 0),
+      stock: offer ? offer.stock : 0,
+      available: true,
+      price_changed: false,
+      previous_price: null,
+      issue: null
+    };
+
+    if (!offer) {
+      item.available = false;
+      item.issue = 'Produto indisponível';
+    } else if (offer.stock <= 0) {
+      item.available = false;
+      item.issue = 'Produto fora de estoque';
+    } else if (row.qty > offer.stock) {
+      item.issue = `Quantidade máxima disponível: ${offer.stock} unidades`;
+    }
+
+    if (offer && row.price_snapshot !== null && Number(row.price_snapshot) !== offer.price) {
+      item.price_changed = true;
+      item.previous_price = Number(row.price_snapshot);
+      priceUpdates.push({ id: row.id, price: offer.price });
+    }
+
+    if (item.checked && item.available) {
+      subtotal += item.price * Math.min(item.qty, item.stock);
+    }
+
+    items.push(item);
+  }
+
+  for (const u of priceUpdates) {
+    await supabase
+      .from('cart_items')
+      .update({ price_snapshot: u.price, updated_at: new Date().toISOString() })
+      .eq('id', u.id);
+  }
+
+  return {
+    items,
+    subtotal,
+    items_count: items.reduce((sum, i) => sum + i.qty, 0),
+    has_issues: items.some(i => !i.available || i.issue || i.price_changed)
+  };
+}
+
+// Adiciona (ou soma) um item ao carrinho do usuário
+// Com clampToStock, a quantidade é limitada ao estoque em vez de gerar erro (usado no merge)
+async function upsertItem(userId, rows, input, { clampToStock = false } = {}) {
+  const qty = Math.max(1, parseInt(input.qty || 1, 10) || 1);
+  const candidate = {
+    product_id: input.product_id,
+    variation_id: input.variation_id || null,
+    size: input.size || null
+  };
+
+  const catalog = await loadCatalog([candidate]);
+  const offer = currentOffer(candidate, catalog);
+  if (!offer) {
+    const err = new Error('Produto não encontrado ou indisponível');
+    err.status = 404;
+    throw err;
+  }
+  if (offer.stock <= 0) {
+    const err = new Error('Produto fora de estoque!');
+    err.status = 409;
+    throw err;
+  }
+
+  const existing = rows.find(r => sameItem(r, candidate));
+  let newQty = (existing ? existing.qty : 0) + qty;
+  if (newQty > offer.stock) {
+    if (!clampToStock) {
+      const err = new Error(`Quantidade máxima disponível: ${offer.stock} unidades`);
+      err.status = 409;
+      throw err;
+    }
+    newQty = offer.stock;
+  }
+
+  if (existing) {
+    const { error } = await supabase
+      .from('cart_items')
+      .update({ qty: newQty, updated_at: new Date().toISOString() })
+      .eq('id', existing.id);
+    if (error) throw new Error(error.message);
+    existing.qty = newQty;
+    return;
+  }
+
+  const { data, error } = await supabase
+    .from('cart_items')
+    .insert([{
+      user_id: userId,
+      ...candidate,
+      qty: newQty,
+      checked: input.checked !== false,
+      price_snapshot: offer.price
+    }])
+    .select()
+    .single();
+  if (error) throw new Error(error.message);
+  rows.push(data);
+}
+
+// GET /api/cart - carrinho revalidado do usuário logado
+router.get('/', async (req, res) => {
+  try {
+    const cart = await buildCart(req.user.id);
+    res.json({ cart });
+  } catch (err) {
+    console.error('GET /api/cart error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/cart/items - adiciona item
+// body: { product_id, variation_id?, size?, qty? }
+router.post('/items', async (req, res) => {
+  try {
+    const { product_id } = req.body || {};
+    if (!product_id) return res.status(400).json({ error: 'product_id é obrigatório' });
+
+    const rows = await fetchCartRows(req.user.id);
+    await upsertItem(req.user.id, rows, req.body);
+
+    const cart = await buildCart(req.user.id);
+    res.json({ cart });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('POST /api/cart/items error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT /api/cart/items/:id - atualiza quantidade e/ou seleção
+// body: { qty?, checked? }
+router.put('/items/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { qty, checked } = req.body || {};
+
+    const { data: row, error: rowError } = await supabase
+      .from('cart_items')
+      .select('*')
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (rowError || !row) return res.status(404).json({ error: 'Item não encontrado no carrinho' });
+
+    const changes = { updated_at: new Date().toISOString() };
+
+    if (typeof qty !== 'undefined') {
+      const newQty = parseInt(qty, 10);
+      if (Number.isNaN(newQty) || newQty < 1) {
+        return res.status(400).json({ error: 'Quantidade deve ser maior que zero' });
+      }
+      const catalog = await loadCatalog([row]);
+      const offer = currentOffer(row, catalog);
+      if (offer && newQty > offer.stock) {
+        return res.status(409).json({ error: `Quantidade máxima disponível: ${offer.stock} unidades` });
+      }
+      changes.qty = newQty;
+    }
+
+    if (typeof checked !== 'undefined') changes.checked = !!checked;
+
+    const { error } = await supabase.from('cart_items').update(changes).eq('id', id);
+    if (error) return res.status(400).json({ error: error.message });
+
+    const cart = await buildCart(req.user.id);
+    res.json({ cart });
+  } catch (err) {
+    console.error('PUT /api/cart/items/:id error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/cart/items/:id - remove item
+router.delete('/items/:id', async (req, res) => {
+  try {
+    const { error } = await supabase
+      .from('cart_items')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id);
+
+    if (error) return res.status(400).json({ error: error.message });
+
+    const cart = await buildCart(req.user.id);
+    res.json({ cart });
+  } catch (err) {
+    console.error('DELETE /api/cart/items/:id error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/cart - esvazia o carrinho
+router.delete('/', async (req, res) => {
+  try {
+    const { error } = await supabase.from('cart_items').delete().eq('user_id', req.user.id);
+    if (error) return res.status(400).json({ error: error.message });
+    res.json({ cart: { items: [], subtotal: 0, items_count: 0, has_issues: false } });
+  } catch (err) {
+    console.error('DELETE /api/cart error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/cart/merge - junta o carrinho de visitante (localStorage) ao carrinho do servidor
+// body: { items: [{ product_id, variation_id?, size?, qty?, checked? }] }
+// Quantidades são somadas e limitadas ao estoque; itens indisponíveis são ignorados.
+router.post('/merge', async (req, res) => {
+  try {
+    const { items } = req.body || {};
+    if (!Array.isArray(items)) return res.status(400).json({ error: 'Itens inválidos' });
+
+    const rows = await fetchCartRows(req.user.id);
+    const skipped = [];
+
+    for (const item of items) {
+      if (!item || !item.product_id) continue;
+      try {
+        await upsertItem(req.user.id, rows, item, { clampToStock: true });
+      } catch (err) {
+        if (!err.status) throw err;
+        skipped.push({ product_id: item.product_id, variation_id: item.variation_id || null, reason: err.message });
+      }
+    }
+
+    const cart = await buildCart(req.user.id);
+    res.json({ cart, skipped });
+  } catch (err) {
+    console.error('POST /api/cart/merge error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -3,11 +3,15 @@ const { body, param } = require('express-validator');
 const supabase = require('../db/supabaseClient');
 const { authRequired, adminRequired } = require('../middleware/auth');
 const { validate } = require('../middleware/validation');
+const { couponLimits } = require('../middleware/rateLimit');
 
 const router = express.Router();
 
+// Evita testar códigos de cupom em sequência (por IP e por conta; mesmos contadores do checkout)
+const couponLimit = couponLimits();
+
 // Public: validate coupon
-router.post('/validate', authRequired, async (req, res) => {
+router.post('/validate', couponLimit.ip, authRequired, couponLimit.account, async (req, res) => {
   try {
     const { code } = req.body;
     if (!code) return res.status(400).json({ error: 'Código do cupom é obrigatório.' });
@@ -0,0 +1,47 @@
+const express = require('express');
+const crypto = require('crypto');
+const pendingOrderExpiryService = require('../services/pendingOrderExpiry');
+const shippingLabelService = require('../services/shippingLabels');
+
+const router = express.Router();
+
+// Tarefas agendadas (Vercel Cron, ver "crons" em vercel.json)
+// A Vercel envia "Authorization: Bearer <CRON_SECRET>"; sem CRON_SECRET as rotas ficam desativadas
+function cronRequired(req, res, next) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    return res.status(503).json({ error: 'CRON_SECRET não configurado' });
+  }
+
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const received = Buffer.from(req.headers.authorization || '');
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return res.status(401).json({ error: 'Não autorizado' });
+  }
+  next();
+}
+
+// Expira pedidos pendentes com cobrança PIX vencida e libera as reservas de estoque
+router.get('/expire-pending-orders', cronRequired, async (req, res) => {
+  try {
+    const summary = await pendingOrderExpiryService.sweep();
+    res.json({ ok: true, ...summary });
+  } catch (err) {
+    console.error('[Cron] Erro ao expirar pedidos pendentes:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Atualiza código de rastreio e status (enviado/entregue) dos pedidos com etiqueta do Melhor Envio
+router.get('/sync-tracking', cronRequired, async (req, res) => {
+  try {
+    const summary = await shippingLabelService.syncTracking();
+    res.json({ ok: true, ...summary });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('[Cron] Erro ao sincronizar rastreio:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,139 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const supabase = require('../db/supabaseClient');
+const { adminRequired } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const deliveryMethodsService = require('../services/deliveryMethods');
+
+const router = express.Router();
+
+// Public: formas de entrega locais ativas (retirada e entrega própria)
+// GET /api/delivery-methods?cep=&subtotal=
+// Cada forma traz a taxa já com as regras de frete e `available` para o CEP (null = informe o CEP)
+router.get('/', async (req, res) => {
+  try {
+    const methods = await deliveryMethodsService.list({
+      cep: req.query.cep,
+      subtotal: req.query.subtotal
+    });
+    res.json({ methods });
+  } catch (err) {
+    console.error('GET /api/delivery-methods error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Admin: todas as formas de entrega (inclusive inativas)
+router.get('/all', adminRequired, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('delivery_methods')
+      .select('*')
+      .order('sort_order', { ascending: true });
+    if (error) return res.status(500).json({ error: error.message });
+    res.json({ methods: data || [] });
+  } catch (err) {
+    console.error('GET /api/delivery-methods/all error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+const methodValidators = [
+  body('name').optional().isLength({ min: 1, max: 120 }).withMessage('Nome deve ter entre 1 e 120 caracteres'),
+  body('kind').optional().isIn(deliveryMethodsService.kinds).withMessage('Tipo inválido'),
+  body('fee').optional({ values: 'falsy' }).isFloat({ min: 0 }).withMessage('Taxa deve ser maior ou igual a 0'),
+  body('radius_km').optional({ values: 'falsy' }).isFloat({ min: 0 }).withMessage('Raio deve ser maior ou igual a 0'),
+  body('origin_lat').optional({ values: 'falsy' }).isFloat({ min: -90, max: 90 }).withMessage('Latitude inválida'),
+  body('origin_lng').optional({ values: 'falsy' }).isFloat({ min: -180, max: 180 }).withMessage('Longitude inválida'),
+  body('pickup_locations').optional().isArray().withMessage('Pontos de retirada inválidos')
+];
+
+// Valida os campos obrigatórios de cada tipo de forma de entrega
+function methodError(method) {
+  if (!method.name) return 'Nome é obrigatório';
+  if (!method.kind) return 'Tipo é obrigatório';
+  if (method.kind === 'pickup' && !(method.pickup_locations || []).length) {
+    return 'Cadastre ao menos um ponto de retirada';
+  }
+  if (Number(method.radius_km) > 0 && (method.origin_lat === null || method.origin_lat === undefined ||
+      method.origin_lng === null || method.origin_lng === undefined)) {
+    return 'Informe a latitude e a longitude de origem para usar o raio de entrega';
+  }
+  return null;
+}
+
+// Admin: create delivery method
+router.post('/', adminRequired, validate(methodValidators), async (req, res) => {
+  try {
+    const method = deliveryMethodsService.methodFromBody(req.body);
+    const message = methodError(method);
+    if (message) return res.status(400).json({ error: message });
+
+    const { data, error } = await supabase
+      .from('delivery_methods')
+      .insert([method])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Erro ao criar forma de entrega:', error);
+      return res.status(400).json({ error: error.message });
+    }
+    deliveryMethodsService.invalidate();
+    res.json({ method: data });
+  } catch (err) {
+    console.error('POST /api/delivery-methods error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Admin: update delivery method
+router.put('/:id', adminRequired, validate([
+  param('id').exists().withMessage('ID obrigatório'),
+  ...methodValidators
+]), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { data: current, error: findError } = await supabase
+      .from('delivery_methods')
+      .select('*')
+      .eq('id', id)
+      .single();
+    if (findError || !current) return res.status(404).json({ error: 'Forma de entrega não encontrada' });
+
+    const changes = deliveryMethodsService.methodFromBody(req.body);
+    const message = methodError({ ...current, ...changes });
+    if (message) return res.status(400).json({ error: message });
+
+    const { data, error } = await supabase
+      .from('delivery_methods')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Erro ao atualizar forma de entrega:', error);
+      return res.status(400).json({ error: error.message });
+    }
+    deliveryMethodsService.invalidate();
+    res.json({ method: data });
+  } catch (err) {
+    console.error('PUT /api/delivery-methods/:id error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Admin: delete delivery method
+router.delete('/:id', adminRequired, async (req, res) => {
+  const { error } = await supabase
+    .from('delivery_methods')
+    .delete()
+    .eq('id', req.params.id);
+
+  if (error) return res.status(400).json({ error: error.message });
+  deliveryMethodsService.invalidate();
+  res.json({ ok: true });
+});
+
+module.exports = router;
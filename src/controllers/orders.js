@@ -1,325 +1,450 @@
 const express = require('express');
 const supabase = require('../db/supabaseClient');
 const { authRequired, adminRequired } = require('../middleware/auth');
-const fetch = require('node-fetch');
-const nodemailer = require('nodemailer');
+const { rateLimit, couponLimits } = require('../middleware/rateLimit');
+const crypto = require('crypto');
 const efibankService = require('../services/efibank');
+const stockReservationService = require('../services/stockReservation');
+const orderFinalizationService = require('../services/orderFinalization');
+const orderStatusService = require('../services/orderStatus');
+const orderRefundService = require('../services/orderRefund');
+const pendingOrderExpiryService = require('../services/pendingOrderExpiry');
+const paymentService = require('../services/payments');
+const shippingQuoteService = require('../services/shippingQuote');
+const deliveryMethodsService = require('../services/deliveryMethods');
+const shippingLabelService = require('../services/shippingLabels');
+const emailVerificationService = require('../services/emailVerification');
 
 const router = express.Router();
 
-// Create checkout: cria pagamento PIX primeiro, sem criar pedido ainda
-// O pedido só será criado após confirmação do pagamento via webhook
-router.post('/checkout', authRequired, async (req, res) => {
+// Checkout e nova cobrança geram cobranças no provedor: limite por IP e por conta
+const chargeIpLimit = rateLimit({ name: 'charges:ip', windowMs: 15 * 60 * 1000, max: 30, message: 'Muitas tentativas de pagamento.' });
+const chargeAccountLimit = rateLimit({
+  name: 'charges:account',
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  key: req => req.user && req.user.id,
+  message: 'Muitas tentativas de pagamento.'
+});
+// Cupom informado no checkout conta nas mesmas tentativas de POST /api/coupons/validate
+const checkoutCouponLimit = couponLimits(req => Boolean(req.body && req.body.coupon_code));
+
+// Libera a reserva de estoque de um checkout que não chegou a virar pedido pendente
+async function releaseReservation(pendingOrderId) {
   try {
-    const { items, address, coupon_code, shipping } = req.body;
-    if (!items || !Array.isArray(items)) return res.status(400).json({ error: 'Itens inválidos' });
-    const selected = items.filter(i => i.checked);
-    if (!selected.length) return res.status(400).json({ error: 'Selecione ao menos um item para pagar' });
+    await stockReservationService.release(pendingOrderId);
+  } catch (err) {
+    console.error(`Erro ao liberar reserva de estoque ${pendingOrderId}:`, err);
+  }
+}
 
-    // Load product details and calculate total
-    const productIds = selected.map(s => s.product_id);
-    const { data: products, error: productsError } = await supabase.from('products').select('*').in('id', productIds);
-    
-    if (productsError) {
-      return res.status(500).json({ error: 'Erro ao carregar produtos: ' + productsError.message });
-    }
-    
-    if (!products || products.length === 0) {
-      return res.status(404).json({ error: 'Nenhum produto encontrado' });
+// Remove do carrinho salvo no servidor os itens que seguiram para pagamento
+async function removePurchasedCartItems(userId, items) {
+  const cartItemIds = items.map(i => i.id).filter(Boolean);
+  if (!cartItemIds.length) return;
+  const { error } = await supabase
+    .from('cart_items')
+    .delete()
+    .eq('user_id', userId)
+    .in('id', cartItemIds);
+  if (error) {
+    console.error('Erro ao remover itens comprados do carrinho:', error);
+  }
+}
+
+// Monta os itens do pedido com os preços atuais dos produtos/variações
+// O estoque é verificado e reservado atomicamente depois (stockReservationService)
+// items: [{ product_id, variation_id?, qty, size? }]
+async function buildOrderItems(items) {
+  const productIds = items.map(s => s.product_id);
+  const { data: products, error: productsError } = await supabase.from('products').select('*').in('id', productIds);
+  
+  if (productsError) {
+    throw new Error('Erro ao carregar produtos: ' + productsError.message);
+  }
+  
+  if (!products || products.length === 0) {
+    const err = new Error('Nenhum produto encontrado');
+    err.status = 404;
+    throw err;
+  }
+  
+  const orderItems = [];
+  for (const s of items) {
+    const p = products.find(x => x.id === s.product_id);
+    if (!p) {
+      const err = new Error(`Produto não encontrado: ${s.product_id}`);
+      err.status = 404;
+      throw err;
     }
     
-    let total = 0;
-    const orderItems = [];
-    const stockUpdates = [];
+    const qty = Number(s.qty || 1);
+    let price = p.price || 0;
+    let productName = p.name || 'Produto';
     
-    // Validar estoque e preparar itens do pedido
-    for (const s of selected) {
-      const p = products.find(x => x.id === s.product_id);
-      if (!p) {
-        throw new Error(`Produto não encontrado: ${s.product_id}`);
-      }
-      
-      const qty = Number(s.qty || 1);
-      let price = p.price || 0;
-      let productName = p.name || 'Produto';
-      
-      // Verificar se há variação selecionada e usar preço da variação
-      if (s.variation_id) {
-        // Buscar variação para obter preço individual
-        const { data: variation } = await supabase
-          .from('product_variations')
-          .select('price, name')
-          .eq('id', s.variation_id)
-          .eq('product_id', s.product_id)
-          .single();
-          
-        if (variation) {
-          price = variation.price || price;
-          productName = variation.name || productName;
-        }
-      }
-      
-      const subtotal = price * qty;
-      total += subtotal;
-      
-      // Validar estoque antes de criar o pedido
-      // Para variações, verificar estoque da variação
-      let stockToCheck = p.stock || 0;
-      if (s.variation_id) {
-        const { data: variation } = await supabase
-          .from('product_variations')
-          .select('stock')
-          .eq('id', s.variation_id)
-          .eq('product_id', s.product_id)
-          .single();
-          
-        if (variation) {
-          stockToCheck = variation.stock || 0;
-        }
-      }
-      
-      if (stockToCheck < qty) {
-        throw new Error(`Produto "${productName}" não tem estoque suficiente. Disponível: ${stockToCheck}, Solicitado: ${qty}`);
+    // Verificar se há variação selecionada e usar preço da variação
+    if (s.variation_id) {
+      // Buscar variação para obter preço individual
+      const { data: variation } = await supabase
+        .from('product_variations')
+        .select('price, name')
+        .eq('id', s.variation_id)
+        .eq('product_id', s.product_id)
+        .maybeSingle();
+
+      // Variação de outro produto (ou inexistente): recusa em vez de cobrar o preço do produto
+      if (!variation) {
+        const err = new Error(`Variação inválida para o produto: ${s.product_id}`);
+        err.status = 400;
+        throw err;
       }
+      price = variation.price || price;
+      productName = variation.name || productName;
+    }
+    
+    orderItems.push({ 
+      product_id: s.product_id, 
+      name: productName, 
+      qty, 
+      price,
+      size: s.size,
+      variation_id: s.variation_id
+    });
+  }
+
+  return orderItems;
+}
+
+// Valida um cupom e calcula o desconto sobre o subtotal
+// @returns { code, type, value, discount_amount }
+async function validateCoupon(couponCode, subtotal) {
+  const now = new Date().toISOString();
+  const { data: coupon, error: couponError } = await supabase
+    .from('coupons')
+    .select('*')
+    .eq('code', couponCode.toUpperCase())
+    .eq('active', true)
+    .gte('expires_at', now)
+    .single();
+  
+  if (couponError || !coupon) {
+    const err = new Error('Cupom inválido, expirado ou inativo');
+    err.status = 400;
+    throw err;
+  }
+  
+  // Verificar limite de uso
+  if (coupon.usage_limit !== null && coupon.usage_limit !== undefined && coupon.usage_limit > 0) {
+    let usageCount = null;
+    try {
+      // Contar quantas vezes o cupom foi usado
+      // Nota: Se a coluna coupon_code não existir, esta query pode falhar
+      const { count, error: countError } = await supabase
+        .from('orders')
+        .select('*', { count: 'exact', head: true })
+        .eq('coupon_code', coupon.code);
       
-      orderItems.push({ 
-        product_id: s.product_id, 
-        name: productName, 
-        qty, 
-        price,
-        size: s.size,
-        variation_id: s.variation_id
-      });
-      
-      // Preparar atualização de estoque
-      // Para variações, atualizar estoque da variação
-      if (s.variation_id) {
-        const { data: variation } = await supabase
-          .from('product_variations')
-          .select('stock')
-          .eq('id', s.variation_id)
-          .eq('product_id', s.product_id)
-          .single();
-          
-        if (variation) {
-          const newStock = Math.max(0, (variation.stock || 0) - qty);
-          // Atualizar estoque da variação
-          await supabase
-            .from('product_variations')
-            .update({ stock: newStock })
-            .eq('id', s.variation_id);
+      if (countError) {
+        // Se o erro for porque a coluna não existe, ignorar a verificação de limite
+        if (countError.message && countError.message.includes('coupon_code')) {
+          console.warn('Coluna coupon_code não encontrada. Pulando verificação de limite de uso do cupom.');
+        } else {
+          console.error('Erro ao contar uso do cupom:', countError);
         }
       } else {
-        // Atualizar estoque do produto base
-        const newStock = Math.max(0, (p.stock || 0) - qty);
-        stockUpdates.push({ id: p.id, newStock, qty });
+        usageCount = count;
       }
+    } catch (err) {
+      // Se houver erro ao verificar limite, apenas logar e continuar
+      console.warn('Erro ao verificar limite de uso do cupom:', err.message);
+    }
+
+    if (usageCount !== null && usageCount >= coupon.usage_limit) {
+      const err = new Error('Cupom esgotado (limite de uso atingido)');
+      err.status = 400;
+      throw err;
+    }
+  }
+  
+  // Calcular desconto
+  let discountAmount = 0;
+  if (coupon.type === 'percentage') {
+    discountAmount = subtotal * (coupon.value / 100);
+  } else if (coupon.type === 'fixed') {
+    discountAmount = Math.min(coupon.value, subtotal);
+  }
+  
+  return {
+    code: coupon.code,
+    type: coupon.type,
+    value: coupon.value,
+    discount_amount: discountAmount
+  };
+}
+
+// Confere o frete no servidor (checkout e nova cobrança de pedido expirado)
+// Retirada/entrega própria: delivery_methods; Correios/Transportadora: cotação assinada (quote_id) ou nova cotação,
+// com as regras de frete aplicadas ao subtotal dos produtos (antes do cupom). O preço enviado pelo cliente é ignorado.
+// A cotação precisa ser para o CEP do endereço de entrega (senão o cliente cotaria um CEP mais barato).
+// Lança erro com status (400 dados inválidos, 502 cotação indisponível)
+async function resolveShipping(shipping, { address, orderItems, subtotal }) {
+  // Backward compatibility - aceitar formato antigo (sem type)
+  if (shipping && !shipping.type && shipping.cepDestino && shipping.service_code) {
+    shipping = { ...shipping, type: 'cep' };
+  }
+
+  if (!shipping || !shipping.type) {
+    const err = new Error('Informações de entrega obrigatórias');
+    err.status = 400;
+    throw err;
+  }
+
+  if (['pickup', 'local', 'moto-uber'].includes(shipping.type)) {
+    return deliveryMethodsService.resolve(shipping, { cep: address && address.cep, subtotal });
+  }
+
+  if (shipping.type === 'cep' && shipping.cepDestino && shipping.service_code) {
+    const addressCep = String((address && address.cep) || '').replace(/\D/g, '');
+    if (!addressCep || addressCep !== String(shipping.cepDestino).replace(/\D/g, '')) {
+      const err = new Error('O CEP do frete não confere com o CEP do endereço de entrega. Calcule o frete novamente.');
+      err.status = 400;
+      throw err;
+    }
+
+    try {
+      const quoted = await shippingQuoteService.resolve(shipping, orderItems, { subtotal });
+      return { type: 'cep', ...quoted };
+    } catch (shippingError) {
+      if (shippingError.status) throw shippingError;
+      console.error('Erro ao recotar frete:', shippingError);
+      const err = new Error('Não foi possível confirmar o valor do frete. Tente novamente.');
+      err.status = 502;
+      throw err;
+    }
+  }
+
+  const err = new Error('Tipo de entrega inválido ou dados incompletos');
+  err.status = 400;
+  throw err;
+}
+
+// Desfaz a cobrança criada para um pedido que não pôde ser gravado
+// Cartão já aprovado: estorno do valor total; cobrança em aberto: cancelamento (quando o provedor permite)
+// Erros só são registrados: a cobrança fica no log para conciliação manual
+async function voidPayment(payment, amount) {
+  const provider = paymentService.getProvider(payment.provider);
+  try {
+    if (payment.status === 'paid') {
+      await provider.refund({ id: null, total: amount, payment: { txid: payment.payment_id, provider: payment.provider } }, amount);
+      console.warn(`[Orders] Cobrança ${payment.payment_id} (${payment.provider}) estornada: pedido pendente não gravado`);
+    } else if (typeof provider.cancel === 'function') {
+      await provider.cancel(payment.payment_id);
+      console.warn(`[Orders] Cobrança ${payment.payment_id} (${payment.provider}) cancelada: pedido pendente não gravado`);
+    }
+  } catch (voidError) {
+    console.error(`[Orders] Erro ao desfazer a cobrança ${payment.payment_id} (${payment.provider}) de um pedido não gravado:`, voidError);
+  }
+}
+
+// Cria a cobrança de um pedido na forma de pagamento escolhida (ver services/payments)
+async function createPayment(method, { req, pendingOrderId, orderItems, couponData, shippingData, amount, paymentData }) {
+  return paymentService.createCharge(method, {
+    amount,
+    description: `Pedido HYPEX - ${orderItems.length} item(ns)`,
+    customId: pendingOrderId,
+    paymentData,
+    metadata: {
+      user_id: req.user.id,
+      items_count: orderItems.length,
+      coupon_code: couponData?.code || null,
+      shipping_service: shippingData?.service_name || null,
+      shipping_type: shippingData?.type || null,
+      shipping_code: shippingData?.service_code || null,
+      shipping_price: shippingData?.price || null,
+      shipping_cep: shippingData?.cepDestino || null
+    }
+  });
+}
+
+// PIX manual e boleto valem mais que a cobrança PIX do Efí Bank: prorrogar a reserva de estoque junto
+async function extendReservation(pendingOrderId, charge) {
+  if (charge.provider === 'efibank' || !charge.expires_at) return;
+  try {
+    await stockReservationService.extend(pendingOrderId, charge.expires_at);
+  } catch (err) {
+    console.error(`Erro ao prorrogar reserva de estoque ${pendingOrderId}:`, err);
+  }
+}
+
+// Dados do pagamento devolvidos ao frontend (payment.html)
+function paymentResponse(charge, amount) {
+  return {
+    txid: charge.payment_id,
+    method: charge.method,
+    provider: charge.provider,
+    qrcode: charge.qrcode,
+    qrcode_image: charge.qrcode_image,
+    details: charge.details || null,
+    expires_at: charge.expires_at,
+    amount,
+    status: charge.status
+  };
+}
+
+// Adiciona a primeira imagem do produto aos itens dos pedidos que não têm imagem
+async function attachItemImages(orders) {
+  const productIds = [...new Set(orders
+    .flatMap(o => Array.isArray(o.items) ? o.items : [])
+    .filter(i => !i.image && i.product_id)
+    .map(i => i.product_id))];
+  if (!productIds.length) return;
+
+  const { data: products, error } = await supabase
+    .from('products')
+    .select('id, images')
+    .in('id', productIds);
+  if (error) {
+    console.warn('Erro ao buscar imagens dos produtos:', error);
+    return;
+  }
+
+  const images = new Map((products || [])
+    .filter(p => p.images && p.images.length > 0)
+    .map(p => [p.id, p.images[0]]));
+  for (const order of orders) {
+    for (const item of (Array.isArray(order.items) ? order.items : [])) {
+      if (!item.image && images.has(item.product_id)) item.image = images.get(item.product_id);
+    }
+  }
+}
+
+// Mensagem de erro exibida ao cliente quando a cobrança não pode ser criada
+function paymentErrorMessage(error) {
+  if (!error.message) return 'Erro ao criar pagamento. Tente novamente.';
+  // Se a mensagem contém informações úteis, incluir
+  if (error.message.includes('não configurada') || 
+      error.message.includes('Credenciais') ||
+      error.message.includes('Chave PIX')) {
+    return error.message;
+  }
+  return `Erro ao criar pagamento: ${error.message}`;
+}
+
+// Create checkout: cria a cobrança primeiro, sem criar pedido ainda
+// O pedido só será criado após confirmação do pagamento via webhook
+// Body: { items, address, coupon_code, shipping, payment_method ('pix' | 'card' | 'boleto'), payment_data }
+router.post('/checkout', chargeIpLimit, checkoutCouponLimit.ip, authRequired, chargeAccountLimit, checkoutCouponLimit.account, async (req, res) => {
+  try {
+    const { items, address, coupon_code, shipping, payment_data } = req.body;
+    const paymentMethod = req.body.payment_method || 'pix';
+    if (!items || !Array.isArray(items)) return res.status(400).json({ error: 'Itens inválidos' });
+    const selected = items.filter(i => i.checked);
+    if (!selected.length) return res.status(400).json({ error: 'Selecione ao menos um item para pagar' });
+    if (!paymentService.enabledMethods().includes(paymentMethod)) {
+      return res.status(400).json({ error: 'Forma de pagamento indisponível' });
+    }
+
+    // Política do admin: só contas com email confirmado finalizam compras
+    try {
+      await emailVerificationService.assertCanCheckout(req.user.id);
+    } catch (verifyError) {
+      if (verifyError.status) return res.status(verifyError.status).json({ error: verifyError.message, code: verifyError.code });
+      throw verifyError;
+    }
+
+    let total = 0;
+    let orderItems = [];
+    try {
+      orderItems = await buildOrderItems(selected);
+      total = orderItems.reduce((sum, i) => sum + i.price * i.qty, 0);
+    } catch (itemsError) {
+      if (itemsError.status) return res.status(itemsError.status).json({ error: itemsError.message });
+      throw itemsError;
     }
     
     // Validar e aplicar cupom se fornecido
     let couponData = null;
-    let finalTotal = total;
     let discountAmount = 0;
     
     if (coupon_code) {
-      const now = new Date().toISOString();
-      const { data: coupon, error: couponError } = await supabase
-        .from('coupons')
-        .select('*')
-        .eq('code', coupon_code.toUpperCase())
-        .eq('active', true)
-        .gte('expires_at', now)
-        .single();
-      
-      if (couponError || !coupon) {
-        return res.status(400).json({ error: 'Cupom inválido, expirado ou inativo' });
-      }
-      
-      // Verificar limite de uso
-      if (coupon.usage_limit !== null && coupon.usage_limit !== undefined && coupon.usage_limit > 0) {
-        try {
-          // Contar quantas vezes o cupom foi usado
-          // Nota: Se a coluna coupon_code não existir, esta query pode falhar
-          const { count: usageCount, error: countError } = await supabase
-            .from('orders')
-            .select('*', { count: 'exact', head: true })
-            .eq('coupon_code', coupon.code);
-          
-          if (countError) {
-            // Se o erro for porque a coluna não existe, ignorar a verificação de limite
-            if (countError.message && countError.message.includes('coupon_code')) {
-              console.warn('Coluna coupon_code não encontrada. Pulando verificação de limite de uso do cupom.');
-            } else {
-              console.error('Erro ao contar uso do cupom:', countError);
-            }
-          } else if (usageCount >= coupon.usage_limit) {
-            return res.status(400).json({ error: 'Cupom esgotado (limite de uso atingido)' });
-          }
-        } catch (err) {
-          // Se houver erro ao verificar limite, apenas logar e continuar
-          console.warn('Erro ao verificar limite de uso do cupom:', err.message);
-        }
-      }
-      
-      // Calcular desconto
-      if (coupon.type === 'percentage') {
-        discountAmount = total * (coupon.value / 100);
-      } else if (coupon.type === 'fixed') {
-        discountAmount = Math.min(coupon.value, total);
+      try {
+        couponData = await validateCoupon(coupon_code, total);
+        discountAmount = couponData.discount_amount;
+      } catch (couponError) {
+        if (couponError.status) return res.status(couponError.status).json({ error: couponError.message });
+        throw couponError;
       }
-      
-      finalTotal = Math.max(0, total - discountAmount);
-      couponData = {
-        code: coupon.code,
-        type: coupon.type,
-        value: coupon.value,
-        discount_amount: discountAmount
-      };
     }
+    let finalTotal = Math.max(0, total - discountAmount);
 
     // Validar/calcular frete
     let shippingData = null;
-    
-    // Verificar tipo de entrega
-    if (shipping && shipping.type) {
-      if (shipping.type === 'pickup') {
-        // Retirada no local - sem custo de frete
-        shippingData = {
-          type: 'pickup',
-          service_name: 'Retirada no Local',
-          price: 0,
-          address: shipping.address || 'Rua Camboja, nº 133 – Bairro Petrovale, Betim'
-        };
-      } else if (shipping.type === 'moto-uber') {
-        // Entrega via moto/uber - sem custo de frete (a combinar)
-        shippingData = {
-          type: 'moto-uber',
-          service_name: 'Entrega via Moto/Uber (A combinar)',
-          price: 0,
-          contact: shipping.contact || '(31) 97507-4666'
-        };
-      } else if (shipping.type === 'cep' && shipping.cepDestino && shipping.service_code) {
-        // Entrega via Correios/Transportadora
-        const price = Number(shipping.price || 0);
-        if (price <= 0 || Number.isNaN(price)) {
-          return res.status(400).json({ error: 'Valor de frete inválido' });
-        }
-        
-        shippingData = {
-          type: 'cep',
-          cepDestino: String(shipping.cepDestino).replace(/\D/g, ''),
-          service_code: String(shipping.service_code),
-          service_name: shipping.service_name || 'Frete',
-          price,
-          prazo: shipping.prazo ? Number(shipping.prazo) : null
-        };
-        finalTotal = Math.max(0, finalTotal + price);
-      } else {
-        return res.status(400).json({ error: 'Tipo de entrega inválido ou dados incompletos' });
-      }
-    } else if (shipping && shipping.cepDestino && shipping.service_code) {
-      // Backward compatibility - aceitar formato antigo (sem type)
-      const price = Number(shipping.price || 0);
-      if (price <= 0 || Number.isNaN(price)) {
-        return res.status(400).json({ error: 'Valor de frete inválido' });
-      }
-      
-      shippingData = {
-        type: 'cep',
-        cepDestino: String(shipping.cepDestino).replace(/\D/g, ''),
-        service_code: String(shipping.service_code),
-        service_name: shipping.service_name || 'Frete',
-        price,
-        prazo: shipping.prazo ? Number(shipping.prazo) : null
-      };
-      finalTotal = Math.max(0, finalTotal + price);
-    } else {
-      return res.status(400).json({ error: 'Informações de entrega obrigatórias' });
+    try {
+      shippingData = await resolveShipping(shipping, { address, orderItems, subtotal: total });
+    } catch (shippingError) {
+      if (shippingError.status) return res.status(shippingError.status).json({ error: shippingError.message });
+      throw shippingError;
     }
+    finalTotal = Math.max(0, finalTotal + shippingData.price);
 
-    // Criar pagamento PIX para todas as opções de entrega
-    let pixPayment = null;
-    
+    // Reservar estoque antes de criar a cobrança
+    // A reserva expira junto com a cobrança e só vira baixa de estoque quando o pagamento é confirmado
+    const pendingOrderId = crypto.randomUUID();
+    const reservationExpiresAt = new Date(Date.now() + efibankService.chargeExpiration * 1000).toISOString();
     try {
-      const description = `Pedido HYPEX - ${orderItems.length} item(ns)`;
-      const metadata = {
-        user_id: req.user.id,
-        items_count: orderItems.length,
-        coupon_code: couponData?.code || null,
-        shipping_service: shippingData?.service_name || null,
-        shipping_type: shippingData?.type || null,
-        shipping_code: shippingData?.service_code || null,
-        shipping_price: shippingData?.price || null,
-        shipping_cep: shippingData?.cepDestino || null
-      };
+      await stockReservationService.reserve(pendingOrderId, orderItems, reservationExpiresAt);
+    } catch (reservationError) {
+      return res.status(409).json({ error: reservationError.message });
+    }
 
-      pixPayment = await efibankService.createPixCharge({
+    // Criar a cobrança para todas as opções de entrega
+    let payment = null;
+    
+    try {
+      payment = await createPayment(paymentMethod, {
+        req,
+        pendingOrderId,
+        orderItems,
+        couponData,
+        shippingData,
         amount: finalTotal,
-        description,
-        metadata
+        paymentData: payment_data
       });
+    } catch (error) {
+      // Sem cobrança não há o que reservar
+      await releaseReservation(pendingOrderId);
 
-      // Validar resposta do pagamento
-      if (!pixPayment || !pixPayment.txid) {
-        throw new Error('Resposta inválida do serviço de pagamento: txid não encontrado');
-      }
-
-      // Gerar imagem do QR Code se não vier da API
-      if (!pixPayment.qrcode_image && pixPayment.qrcode) {
-        pixPayment.qrcode_image = efibankService.generateQRCodeImage(pixPayment.qrcode);
+      // Dados de pagamento inválidos (400), cartão recusado (402) ou forma de pagamento sem PUBLIC_URL (503)
+      if (error.status === 400 || error.status === 402 || error.status === 503) {
+        return res.status(error.status).json({ error: error.message });
       }
 
-      // Se ainda não temos QR code, tentar buscar usando location
-      if (!pixPayment.qrcode && pixPayment.location) {
-        console.warn('QR code não veio na resposta inicial. Tentando buscar usando location:', pixPayment.location);
-        try {
-          const qrcodeFromLocation = await efibankService.getQRCodeByLocation(pixPayment.location);
-          if (qrcodeFromLocation) {
-            pixPayment.qrcode = qrcodeFromLocation;
-            // Gerar imagem do QR Code
-            if (!pixPayment.qrcode_image) {
-              pixPayment.qrcode_image = efibankService.generateQRCodeImage(pixPayment.qrcode);
-            }
-          }
-        } catch (locationError) {
-          console.error('Erro ao buscar QR code por location:', locationError);
-          // Continuar mesmo sem QR code, o frontend pode gerar depois usando o txid
-        }
-      }
-    } catch (error) {
-      console.error('Erro ao criar pagamento PIX:', error);
+      console.error('Erro ao criar pagamento:', error);
       console.error('Stack trace:', error.stack);
       
-      // Retornar mensagem de erro mais específica
-      let errorMessage = 'Erro ao criar pagamento. Tente novamente.';
-      if (error.message) {
-        // Se a mensagem contém informações úteis, incluir
-        if (error.message.includes('não configurada') || 
-            error.message.includes('Credenciais') ||
-            error.message.includes('Chave PIX')) {
-          errorMessage = error.message;
-        } else {
-          errorMessage = `Erro ao criar pagamento: ${error.message}`;
-        }
-      }
-      
       return res.status(500).json({ 
-        error: errorMessage,
+        error: paymentErrorMessage(error),
         details: process.env.NODE_ENV === 'development' ? error.message : undefined
       });
     }
 
+    await extendReservation(pendingOrderId, payment);
+
     // Criar pedido pendente (pending_order) - NÃO cria order ainda
     const pendingOrderPayload = {
+      id: pendingOrderId,
       user_id: req.user.id,
       items: orderItems,
       total: finalTotal,
       address: address || null, // Endereço completo do formulário
-      payment_id: pixPayment.txid,
-      payment_qrcode: pixPayment.qrcode,
-      payment_qrcode_image: pixPayment.qrcode_image,
+      payment_id: payment.payment_id,
+      payment_qrcode: payment.qrcode,
+      payment_qrcode_image: payment.qrcode_image,
+      payment_provider: payment.provider,
+      payment_method: payment.method,
+      payment_details: payment.details,
       payment_status: 'pending',
-      expires_at: pixPayment.expires_at
+      expires_at: payment.expires_at
     };
 
     // Adicionar campos de cupom se houver
@@ -341,23 +466,41 @@ router.post('/checkout', authRequired, async (req, res) => {
 
     if (pendingOrderError) {
       console.error('Erro ao criar pedido pendente:', pendingOrderError);
+      // Sem pedido pendente o pagamento não seria reconhecido: desfazer a cobrança (o cartão pode já ter sido cobrado)
+      await voidPayment(payment, finalTotal);
+      await releaseReservation(pendingOrderId);
       return res.status(500).json({ 
         error: 'Erro ao processar pedido. Tente novamente.',
         details: pendingOrderError.message 
       });
     }
 
-    // Retornar dados do pagamento para o frontend exibir QR Code
+    await removePurchasedCartItems(req.user.id, selected);
+
+    // Cartão aprovado e já confirmado: criar o pedido sem esperar o webhook
+    let orderId = null;
+    if (payment.status === 'paid') {
+      try {
+        const provider = paymentService.getProvider(payment.provider);
+        const charge = await provider.getStatus(payment.payment_id);
+        if (charge.status === 'paid') {
+          const result = await orderFinalizationService.finalizeByTxid(payment.payment_id, {
+            paidAt: charge.paid_at,
+            paidAmount: charge.paid_amount
+          });
+          orderId = result?.order?.id || null;
+        }
+      } catch (finalizeError) {
+        // O webhook ou o polling finalizam depois
+        console.error(`[Orders] Erro ao finalizar pedido pago no checkout ${pendingOrder.id}:`, finalizeError);
+      }
+    }
+
+    // Retornar dados do pagamento para o frontend exibir QR Code, boleto ou status do cartão
     res.json({
       pending_order_id: pendingOrder.id,
-      payment: {
-        txid: pixPayment.txid,
-        qrcode: pixPayment.qrcode,
-        qrcode_image: pixPayment.qrcode_image,
-        expires_at: pixPayment.expires_at,
-        amount: finalTotal,
-        status: 'pending'
-      },
+      order_id: orderId,
+      payment: paymentResponse(payment, finalTotal),
       order_summary: {
         items_count: orderItems.length,
         subtotal: total,
@@ -372,6 +515,11 @@ router.post('/checkout', authRequired, async (req, res) => {
   }
 });
 
+// Formas de pagamento disponíveis no checkout (com a configuração pública de cada uma)
+router.get('/payment-methods', (req, res) => {
+  res.json({ methods: paymentService.listMethods() });
+});
+
 // Admin: list orders
 router.get('/', adminRequired, async (req, res) => {
   try {
@@ -425,37 +573,17 @@ router.get('/mine', authRequired, async (req, res) => {
     const { data, error } = await supabase.from('orders').select('*').eq('user_id', req.user.id).order('created_at', { ascending: false });
     if (error) return res.status(500).json({ error: error.message });
     
-    // Adicionar imagens aos itens do pedido
-    if (data && data.length > 0) {
-      for (const order of data) {
-        if (order.items && Array.isArray(order.items)) {
-          for (const item of order.items) {
-            // Se o item já tem uma imagem, pular
-            if (item.image) continue;
-            
-            // Buscar o produto para obter a imagem
-            if (item.product_id) {
-              try {
-                const { data: productData } = await supabase
-                  .from('products')
-                  .select('images')
-                  .eq('id', item.product_id)
-                  .single();
-                
-                if (productData && productData.images && productData.images.length > 0) {
-                  // Usar a primeira imagem do produto
-                  item.image = productData.images[0];
-                }
-              } catch (productError) {
-                console.warn('Erro ao buscar imagem do produto:', productError);
-              }
-            }
-          }
-        }
-      }
-    }
+    await attachItemImages(data || []);
+
+    // Pedidos ainda aguardando pagamento (o cliente pode pagar pela página do pedido)
+    const { data: pendingOrders } = await supabase
+      .from('pending_orders')
+      .select('id, total, items, payment_method, payment_status, expires_at, created_at')
+      .eq('user_id', req.user.id)
+      .eq('payment_status', 'pending')
+      .order('created_at', { ascending: false });
     
-    res.json({ orders: data });
+    res.json({ orders: data, pending_orders: pendingOrders || [] });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -478,189 +606,47 @@ router.get('/pending/:id/status', authRequired, async (req, res) => {
       return res.status(404).json({ error: 'Pedido pendente não encontrado' });
     }
 
-    // Se já está pago, verificar se order foi criado
+    // Se já está pago, buscar o pedido criado (finalização é idempotente)
     if (pendingOrder.payment_status === 'paid') {
-      // Buscar order pelo payment.txid (pode estar em payment JSONB)
-      const { data: orders } = await supabase
-        .from('orders')
-        .select('id, status, created_at, payment')
-        .eq('user_id', req.user.id)
-        .order('created_at', { ascending: false })
-        .limit(10);
-
-      // Filtrar orders que têm o txid no payment
-      const order = orders?.find(o => {
-        if (o.payment && typeof o.payment === 'object') {
-          return o.payment.txid === pendingOrder.payment_id;
-        }
-        return false;
-      });
+      const result = await orderFinalizationService.finalizeByTxid(pendingOrder.payment_id);
 
       return res.json({
         status: 'paid',
-        order_id: order?.id || null,
-        order_status: order?.status || null
+        order_id: result?.order?.id || null,
+        order_status: result?.order?.status || null
       });
     }
 
-    // Verificar status no Efí Bank
+    // PIX manual: a confirmação é feita pelo admin, não há cobrança no Efí Bank
+    const provider = paymentService.getProvider(pendingOrder.payment_provider);
+    if (provider.manualConfirmation) {
+      return res.json({ status: pendingOrder.payment_status, provider: provider.name, expires_at: pendingOrder.expires_at });
+    }
+
+    // Verificar status no provedor de pagamento
     if (pendingOrder.payment_id) {
       try {
-        const paymentStatus = await efibankService.getPixChargeStatus(pendingOrder.payment_id);
+        const paymentStatus = await provider.getStatus(pendingOrder.payment_id);
         
-        // Atualizar status no banco se mudou
-        if (paymentStatus.status === 'paid' && pendingOrder.payment_status !== 'paid') {
-          console.log(`[Orders] Pagamento confirmado para pedido pendente ${id}. Criando pedido e diminuindo estoque...`);
-          
-          // Verificar se o pedido já foi criado (evitar duplicação)
-          // Buscar orders recentes do usuário e verificar se algum tem o mesmo txid
-          const { data: recentOrders } = await supabase
-            .from('orders')
-            .select('id, payment')
-            .eq('user_id', pendingOrder.user_id)
-            .order('created_at', { ascending: false })
-            .limit(10);
-          
-          const existingOrder = recentOrders?.find(o => {
-            if (o.payment && typeof o.payment === 'object') {
-              return o.payment.txid === pendingOrder.payment_id;
-            }
-            return false;
-          });
-          
-          if (existingOrder) {
-            console.log(`[Orders] Pedido já existe: ${existingOrder.id}. Apenas atualizando status do pending_order.`);
-            await supabase
-              .from('pending_orders')
-              .update({ 
-                payment_status: 'paid',
-                updated_at: new Date().toISOString()
-              })
-              .eq('id', id);
-            
-            return res.json({
-              status: 'paid',
-              paid_at: paymentStatus.paid_at,
-              order_id: existingOrder.id
-            });
-          }
-          
-          // Atualizar status do pedido pendente
-          await supabase
-            .from('pending_orders')
-            .update({ 
-              payment_status: 'paid',
-              updated_at: new Date().toISOString()
-            })
-            .eq('id', id);
-
-          // Criar o pedido real e diminuir estoque
-          const orderPayload = {
-            user_id: pendingOrder.user_id,
-            items: pendingOrder.items,
-            total: pendingOrder.total,
-            address: pendingOrder.address,
-            status: 'pedido feito',
-            payment: {
-              txid: pendingOrder.payment_id,
-              method: 'pix',
-              status: 'paid',
-              paid_at: paymentStatus.paid_at || new Date().toISOString()
-            },
-            payment_confirmed_at: new Date().toISOString()
-          };
-
-          // Adicionar campos de cupom se houver
-          if (pendingOrder.coupon_code) {
-            orderPayload.coupon_code = pendingOrder.coupon_code;
-            orderPayload.coupon_discount = pendingOrder.coupon_discount || 0;
-          }
-
-          const { data: order, error: orderError } = await supabase
-            .from('orders')
-            .insert([orderPayload])
-            .select()
-            .single();
-
-          if (orderError) {
-            console.error('Erro ao criar pedido após pagamento:', orderError);
-            // Continuar mesmo com erro, mas logar
-          } else {
-            console.log(`[Orders] Pedido criado com sucesso: ${order.id}`);
-
-            // Diminuir estoque dos produtos
-            const productIds = pendingOrder.items.map(item => item.product_id);
-            const { data: products } = await supabase
-              .from('products')
-              .select('id, stock')
-              .in('id', productIds);
-
-            if (products) {
-              for (const item of pendingOrder.items) {
-                const product = products.find(p => p.id === item.product_id);
-                if (product) {
-                  const newStock = Math.max(0, (product.stock || 0) - item.qty);
-                  const { error: stockError } = await supabase
-                    .from('products')
-                    .update({ stock: newStock })
-                    .eq('id', product.id);
-                  
-                  if (stockError) {
-                    console.error(`Erro ao atualizar estoque do produto ${product.id}:`, stockError);
-                  } else {
-                    console.log(`[Orders] Estoque do produto ${product.id} atualizado: ${product.stock} → ${newStock}`);
-                  }
-                }
-              }
-            }
-
-            // Enviar email para admin (opcional)
-            try {
-              const transporter = nodemailer.createTransport({
-                host: process.env.SMTP_HOST,
-                port: Number(process.env.SMTP_PORT || 587),
-                secure: false,
-                auth: { 
-                  user: process.env.SMTP_USER, 
-                  pass: process.env.SMTP_PASS 
-                }
-              });
-
-              const adminEmail = process.env.ADMIN_EMAIL;
-              if (adminEmail && transporter) {
-                const itemsText = order.items.map(i => `- ${i.name} x${i.qty} - R$ ${(i.price * i.qty).toFixed(2)}`).join('\n');
-                const text = `Novo pedido confirmado #${order.id.substring(0, 8)}\n\n` +
-                  `Cliente: ${pendingOrder.user_id}\n` +
-                  `Total: R$ ${(order.total || 0).toFixed(2)}\n` +
-                  `Endereço: ${JSON.stringify(order.address || {})}\n\n` +
-                  `Itens:\n${itemsText}`;
-                
-                await transporter.sendMail({
-                  from: process.env.SMTP_USER,
-                  to: adminEmail,
-                  subject: `✅ Novo pedido confirmado #${order.id.substring(0, 8)}`,
-                  text,
-                  html: `<pre>${text}</pre>`
-                });
-              }
-            } catch (emailError) {
-              console.error('Erro ao enviar email:', emailError);
-              // Não falhar por erro de email
-            }
-          }
-        }
-
-        // Se o pagamento foi confirmado, buscar o order_id criado
         let orderId = null;
         if (paymentStatus.status === 'paid') {
-          const { data: latestOrder } = await supabase
-            .from('orders')
-            .select('id')
-            .eq('user_id', req.user.id)
-            .order('created_at', { ascending: false })
-            .limit(1)
-            .single();
-          orderId = latestOrder?.id || null;
+          console.log(`[Orders] Pagamento confirmado para pedido pendente ${id}. Finalizando pedido...`);
+          const result = await orderFinalizationService.finalizeByTxid(pendingOrder.payment_id, {
+            paidAt: paymentStatus.paid_at,
+            e2eid: paymentStatus.e2eid,
+            paidAmount: paymentStatus.paid_amount
+          });
+          orderId = result?.order?.id || null;
+        } else if (pendingOrder.payment_status === 'pending' && pendingOrder.expires_at && new Date(pendingOrder.expires_at) < new Date()) {
+          // Cobrança vencida sem pagamento: expirar já, sem esperar o sweeper
+          await pendingOrderExpiryService.expire(pendingOrder);
+          return res.json({ status: 'expired', expires_at: pendingOrder.expires_at });
+        } else if (pendingOrder.payment_status === 'expired') {
+          return res.json({ status: 'expired', expires_at: pendingOrder.expires_at });
+        } else if (paymentStatus.status === 'cancelled' && pendingOrder.payment_status === 'pending') {
+          // Cartão recusado pela análise ou boleto cancelado: liberar o estoque já
+          await pendingOrderExpiryService.expire(pendingOrder);
+          return res.json({ status: 'cancelled' });
         }
 
         return res.json({
@@ -669,6 +655,14 @@ router.get('/pending/:id/status', authRequired, async (req, res) => {
           order_id: orderId
         });
       } catch (error) {
+        if (error.code === 'AMOUNT_MISMATCH') {
+          // Pagamento com valor diferente do pedido: não finalizar, conferir manualmente
+          console.error(`[Orders] ${error.message} (pedido pendente ${id})`);
+          return res.status(409).json({
+            status: 'amount_mismatch',
+            error: 'O valor pago não confere com o total do pedido. Entre em contato com a loja.'
+          });
+        }
         console.error('Erro ao verificar status do pagamento:', error);
         // Retornar status do banco mesmo se houver erro na API
         return res.json({
@@ -684,13 +678,533 @@ router.get('/pending/:id/status', authRequired, async (req, res) => {
   }
 });
 
+// User: gerar nova cobrança PIX para um pedido pendente expirado
+// Revalida preços, estoque e cupom e mantém o mesmo pending_order_id (o polling continua funcionando)
+// Body: { remove_coupon? } - continuar sem o cupom se ele não for mais válido
+router.post('/pending/:id/regenerate', chargeIpLimit, authRequired, chargeAccountLimit, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    try {
+      await emailVerificationService.assertCanCheckout(req.user.id);
+    } catch (verifyError) {
+      if (verifyError.status) return res.status(verifyError.status).json({ error: verifyError.message, code: verifyError.code });
+      throw verifyError;
+    }
+
+    const { data: pendingOrder, error: pendingError } = await supabase
+      .from('pending_orders')
+      .select('*')
+      .eq('id', id)
+      .eq('user_id', req.user.id) // Garantir que é do usuário logado
+      .single();
+
+    if (pendingError || !pendingOrder) {
+      return res.status(404).json({ error: 'Pedido pendente não encontrado' });
+    }
+
+    if (pendingOrder.payment_status === 'paid') {
+      const result = await orderFinalizationService.finalizeByTxid(pendingOrder.payment_id);
+      return res.status(409).json({ error: 'Este pedido já foi pago', status: 'paid', order_id: result?.order?.id || null });
+    }
+    if (pendingOrder.payment_status === 'cancelled') {
+      return res.status(409).json({ error: 'Este pedido foi cancelado' });
+    }
+    const provider = paymentService.getProvider(pendingOrder.payment_provider);
+    if (provider.manualConfirmation) {
+      // O cliente pode ter pago o PIX estático: só a loja pode confirmar
+      return res.status(409).json({ error: 'Este pedido aguarda a confirmação manual do pagamento pela loja. Entre em contato.' });
+    }
+    if (!provider.supportsRegenerate) {
+      return res.status(409).json({ error: 'Não é possível gerar nova cobrança para esta forma de pagamento. Refaça o pedido.' });
+    }
+
+    const stillValid = pendingOrder.payment_status === 'pending' &&
+      pendingOrder.expires_at && new Date(pendingOrder.expires_at) > new Date();
+    if (stillValid) {
+      return res.status(409).json({ error: 'A cobrança atual ainda está válida', status: 'pending', expires_at: pendingOrder.expires_at });
+    }
+
+    // A cobrança antiga pode ter sido paga no último minuto (webhook ainda não recebido)
+    if (pendingOrder.payment_id) {
+      try {
+        const previousCharge = await provider.getStatus(pendingOrder.payment_id);
+        if (previousCharge.status === 'paid') {
+          const result = await orderFinalizationService.finalizeByTxid(pendingOrder.payment_id, {
+            paidAt: previousCharge.paid_at,
+            e2eid: previousCharge.e2eid,
+            paidAmount: previousCharge.paid_amount
+          });
+          return res.status(409).json({ error: 'Este pedido já foi pago', status: 'paid', order_id: result?.order?.id || null });
+        }
+      } catch (statusError) {
+        console.error('Erro ao verificar cobrança anterior:', statusError);
+        return res.status(502).json({ error: 'Não foi possível verificar a cobrança anterior. Tente novamente.' });
+      }
+    }
+
+    // Revalidar preços e cupom
+    let orderItems = [];
+    let total = 0;
+    try {
+      orderItems = await buildOrderItems(pendingOrder.items || []);
+      total = orderItems.reduce((sum, i) => sum + i.price * i.qty, 0);
+    } catch (itemsError) {
+      if (itemsError.status) return res.status(itemsError.status).json({ error: itemsError.message });
+      throw itemsError;
+    }
+
+    const priceChanges = orderItems
+      .map((item, idx) => ({ item, previous: pendingOrder.items[idx] }))
+      .filter(({ item, previous }) => previous && Number(previous.price) !== Number(item.price))
+      .map(({ item, previous }) => ({ product_id: item.product_id, variation_id: item.variation_id || null, name: item.name, previous_price: previous.price, price: item.price }));
+
+    let couponData = null;
+    let discountAmount = 0;
+    if (pendingOrder.coupon_code && !req.body?.remove_coupon) {
+      try {
+        couponData = await validateCoupon(pendingOrder.coupon_code, total);
+        discountAmount = couponData.discount_amount;
+      } catch (couponError) {
+        if (!couponError.status) throw couponError;
+        return res.status(409).json({
+          error: `${couponError.message}. Gere o PIX sem o cupom ou refaça o pedido.`,
+          coupon_invalid: true
+        });
+      }
+    }
+
+    // Conferir o frete de novo: a cotação salva pode ter vencido (o valor do Melhor Envio ou as regras de frete mudaram)
+    // Pedidos antigos sem frete salvo continuam sem frete
+    let shippingData = null;
+    let shippingChange = null;
+    if (pendingOrder.shipping) {
+      try {
+        shippingData = await resolveShipping(pendingOrder.shipping, {
+          address: pendingOrder.address,
+          orderItems,
+          subtotal: total
+        });
+      } catch (shippingError) {
+        if (!shippingError.status) throw shippingError;
+        const status = shippingError.status === 502 ? 502 : 409;
+        return res.status(status).json({
+          error: status === 502 ? shippingError.message : `${shippingError.message}. Refaça o pedido com outra forma de entrega.`,
+          shipping_invalid: status === 409
+        });
+      }
+      if (Number(shippingData.price) !== Number(pendingOrder.shipping.price || 0)) {
+        shippingChange = { previous_price: Number(pendingOrder.shipping.price || 0), price: Number(shippingData.price) };
+      }
+    }
+    const finalTotal = Math.max(0, total - discountAmount + Number(shippingData?.price || 0));
+
+    // Reservar o estoque de novo (a reserva anterior venceu junto com a cobrança)
+    await releaseReservation(pendingOrder.id);
+    const reservationExpiresAt = new Date(Date.now() + efibankService.chargeExpiration * 1000).toISOString();
+    try {
+      await stockReservationService.reserve(pendingOrder.id, orderItems, reservationExpiresAt);
+    } catch (reservationError) {
+      return res.status(409).json({ error: reservationError.message });
+    }
+
+    let payment = null;
+    try {
+      payment = await createPayment('pix', {
+        req,
+        pendingOrderId: pendingOrder.id,
+        orderItems,
+        couponData,
+        shippingData,
+        amount: finalTotal
+      });
+    } catch (error) {
+      console.error('Erro ao gerar nova cobrança PIX:', error);
+      await releaseReservation(pendingOrder.id);
+      return res.status(500).json({ error: paymentErrorMessage(error) });
+    }
+
+    await extendReservation(pendingOrder.id, payment);
+
+    // O filtro por payment_id impede que duas regenerações simultâneas sobrescrevam uma à outra
+    let update = supabase
+      .from('pending_orders')
+      .update({
+        items: orderItems,
+        total: finalTotal,
+        shipping: shippingData,
+        coupon_code: couponData ? couponData.code : null,
+        coupon_discount: discountAmount,
+        payment_id: payment.payment_id,
+        payment_qrcode: payment.qrcode,
+        payment_qrcode_image: payment.qrcode_image,
+        payment_provider: payment.provider,
+        payment_method: payment.method,
+        payment_details: payment.details,
+        payment_status: 'pending',
+        expires_at: payment.expires_at,
+        expired_at: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', pendingOrder.id);
+    update = pendingOrder.payment_id ? update.eq('payment_id', pendingOrder.payment_id) : update.is('payment_id', null);
+    const { data: updated, error: updateError } = await update.select().single();
+
+    if (updateError || !updated) {
+      console.error('Erro ao atualizar pedido pendente com a nova cobrança:', updateError);
+      await releaseReservation(pendingOrder.id);
+      return res.status(409).json({ error: 'O pedido foi alterado enquanto a cobrança era gerada. Recarregue a página.' });
+    }
+
+    console.log(`[Orders] Nova cobrança PIX ${payment.payment_id} gerada para o pedido pendente ${pendingOrder.id}`);
+
+    res.json({
+      pending_order_id: updated.id,
+      payment: paymentResponse(payment, finalTotal),
+      order_summary: {
+        items_count: orderItems.length,
+        subtotal: total,
+        discount: discountAmount,
+        shipping: shippingData,
+        total: finalTotal,
+        coupon: couponData
+      },
+      price_changes: priceChanges,
+      shipping_change: shippingChange
+    });
+  } catch (err) {
+    console.error('Error in POST /api/orders/pending/:id/regenerate:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Admin: pedidos com PIX manual (contingência) aguardando confirmação
+router.get('/pending/manual', adminRequired, async (req, res) => {
+  try {
+    const { data: pendingOrders, error } = await supabase
+      .from('pending_orders')
+      .select('*')
+      .eq('payment_provider', 'manual')
+      .in('payment_status', ['pending', 'expired'])
+      .order('created_at', { ascending: false });
+
+    if (error) return res.status(500).json({ error: error.message });
+
+    const userIds = [...new Set(pendingOrders.map(o => o.user_id).filter(Boolean))];
+    const usersMap = {};
+    if (userIds.length) {
+      const { data: users } = await supabase
+        .from('users')
+        .select('id, name, email')
+        .in('id', userIds);
+      (users || []).forEach(user => { usersMap[user.id] = user; });
+    }
+
+    res.json({
+      pending_orders: pendingOrders.map(order => ({
+        ...order,
+        user_name: usersMap[order.user_id]?.name || 'Usuário',
+        user_email: usersMap[order.user_id]?.email || ''
+      }))
+    });
+  } catch (err) {
+    console.error('Error in GET /api/orders/pending/manual:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Admin: confirmar o recebimento de um PIX manual (conferido no extrato da conta)
+// Cria o pedido pela mesma finalização usada no webhook
+router.post('/pending/:id/confirm-manual', adminRequired, async (req, res) => {
+  try {
+    const { data: pendingOrder, error: pendingError } = await supabase
+      .from('pending_orders')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('payment_provider', 'manual')
+      .single();
+
+    if (pendingError || !pendingOrder) {
+      return res.status(404).json({ error: 'Pedido pendente com PIX manual não encontrado' });
+    }
+    if (pendingOrder.payment_status === 'cancelled') {
+      return res.status(409).json({ error: 'Este pedido foi cancelado' });
+    }
+
+    // Pedido expirado: a reserva de estoque já foi liberada e os itens podem ter sido vendidos.
+    // O estoque é baixado (de forma atômica) antes de criar o pedido; sem estoque, a confirmação é recusada
+    const hasStock = await orderFinalizationService.secureStock(pendingOrder);
+    if (!hasStock) {
+      return res.status(409).json({
+        error: 'Não há mais estoque para os itens deste pedido. Reponha o estoque e confirme de novo, ou devolva o PIX pelo banco.',
+        code: 'insufficient_stock'
+      });
+    }
+
+    const result = await orderFinalizationService.finalizeByTxid(pendingOrder.payment_id, {
+      paidAt: new Date().toISOString()
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Pedido pendente não encontrado' });
+    }
+
+    console.log(`[Orders] PIX manual do pedido pendente ${pendingOrder.id} confirmado por ${req.user.email || req.user.id}`);
+    res.json({ ok: true, order_id: result.order.id, created: result.created });
+  } catch (err) {
+    console.error('Error in POST /api/orders/pending/:id/confirm-manual:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Admin: relatório de checkouts abandonados (pedidos pendentes expirados)
+// Query: from, to (datas ISO; padrão: últimos 30 dias)
+router.get('/abandoned', adminRequired, async (req, res) => {
+  try {
+    const report = await pendingOrderExpiryService.abandonedReport({
+      from: req.query.from,
+      to: req.query.to
+    });
+    res.json(report);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Error in GET /api/orders/abandoned:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Admin: expirar agora os pedidos pendentes vencidos
+router.post('/pending/expire', adminRequired, async (req, res) => {
+  try {
+    const summary = await pendingOrderExpiryService.sweep();
+    res.json({ ok: true, ...summary });
+  } catch (err) {
+    console.error('Error in POST /api/orders/pending/expire:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Admin: status do ciclo de vida e transições permitidas
+router.get('/statuses', adminRequired, (req, res) => {
+  res.json({
+    statuses: Object.keys(orderStatusService.labels).map(value => ({ value, label: orderStatusService.labels[value] })),
+    transitions: orderStatusService.transitions
+  });
+});
+
+// Admin: histórico de status de um pedido
+router.get('/:id/history', adminRequired, async (req, res) => {
+  try {
+    const history = await orderStatusService.getHistory(req.params.id);
+    res.json({ history });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Admin: update order status and delivery estimate
+// body: { status, delivery_estimate?, note?, notify_customer? }
 router.put('/:id/status', adminRequired, async (req, res) => {
   const id = req.params.id;
-  const { status, delivery_estimate } = req.body;
-  const { data, error } = await supabase.from('orders').update({ status, delivery_estimate }).eq('id', id).select().single();
-  if (error) return res.status(400).json({ error: error.message });
-  res.json({ order: data });
+  const { status, delivery_estimate, note, notify_customer } = req.body;
+  if (!status) return res.status(400).json({ error: 'Status é obrigatório' });
+  try {
+    const order = await orderStatusService.changeStatus(id, status, {
+      changedBy: req.user.id,
+      note: note || null,
+      notifyCustomer: !!notify_customer,
+      deliveryEstimate: delivery_estimate
+    });
+    res.json({ order });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Admin: devolver o pagamento de um pedido (PIX ou estorno no cartão, total ou parcial)
+// body: { amount?, restock?, reason? } - sem amount, devolve todo o saldo restante
+router.post('/:id/refund', adminRequired, async (req, res) => {
+  try {
+    const { amount, restock, reason } = req.body || {};
+    const result = await orderRefundService.refundOrder(req.params.id, {
+      amount,
+      restock: !!restock,
+      reason: reason || null,
+      requestedBy: req.user.id
+    });
+    res.json(result);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Erro ao devolver pagamento:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Admin: comprar, gerar e imprimir a etiqueta do Melhor Envio (continua uma compra interrompida)
+// body: { document?, invoice_key? } - CPF/CNPJ do destinatário e chave da nota fiscal (sem ela, declaração de conteúdo)
+router.post('/:id/label', adminRequired, async (req, res) => {
+  try {
+    const { document, invoice_key } = req.body || {};
+    const order = await shippingLabelService.purchaseLabel(req.params.id, {
+      document: document || null,
+      invoiceKey: invoice_key || null
+    });
+    res.json({ order, label: order.shipping_label, tracking_code: order.tracking_code || null });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Erro ao gerar etiqueta:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Admin: novo link de impressão da etiqueta
+router.get('/:id/label/print', adminRequired, async (req, res) => {
+  try {
+    const url = await shippingLabelService.printUrl(req.params.id);
+    res.json({ url });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Erro ao imprimir etiqueta:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Admin: sincronizar agora o rastreio dos pedidos com etiqueta
+router.post('/tracking/sync', adminRequired, async (req, res) => {
+  try {
+    const summary = await shippingLabelService.syncTracking();
+    res.json(summary);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Erro ao sincronizar rastreio:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Dados do pedido exibidos ao cliente (sem os dados internos de pagamento e etiqueta)
+function customerOrderView(order, history) {
+  const payment = order.payment || {};
+  return {
+    id: order.id,
+    status: order.status,
+    status_label: orderStatusService.labels[order.status] || order.status,
+    created_at: order.created_at,
+    items: order.items || [],
+    total: Number(order.total || 0),
+    coupon_code: order.coupon_code || null,
+    coupon_discount: Number(order.coupon_discount || 0),
+    address: order.address || null,
+    shipping: order.shipping || null,
+    delivery_estimate: order.delivery_estimate || null,
+    tracking_code: order.tracking_code || null,
+    payment: {
+      method: payment.method || 'pix',
+      status: payment.status || null,
+      paid_at: payment.paid_at || order.payment_confirmed_at || null,
+      installments: (payment.details && payment.details.installments) || null,
+      installment_value: (payment.details && payment.details.installment_value) || null,
+      refunds: (payment.refunds || [])
+        .filter(r => !r.failed)
+        .map(r => ({ amount: Number(r.amount || 0), status: r.status, requested_at: r.requested_at }))
+    },
+    // Observações só aparecem se foram enviadas ao cliente por email
+    history: history.map(h => ({
+      status: h.to_status,
+      label: orderStatusService.labels[h.to_status] || h.to_status,
+      note: h.notified ? h.note : null,
+      created_at: h.created_at
+    }))
+  };
+}
+
+// User: detalhes de um pedido do usuário logado (pago ou aguardando pagamento)
+// O id pode ser de um pedido (orders) ou de um pedido pendente (pending_orders)
+router.get('/:id', authRequired, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    let { data: order } = await supabase
+      .from('orders')
+      .select('*')
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .maybeSingle();
+
+    if (!order) {
+      const { data: pendingOrder } = await supabase
+        .from('pending_orders')
+        .select('*')
+        .eq('id', id)
+        .eq('user_id', req.user.id)
+        .maybeSingle();
+
+      if (!pendingOrder) {
+        return res.status(404).json({ error: 'Pedido não encontrado' });
+      }
+
+      if (pendingOrder.payment_status !== 'paid') {
+        const method = pendingOrder.payment_method || 'pix';
+        const expired = pendingOrder.payment_status === 'expired' ||
+          (pendingOrder.expires_at && new Date(pendingOrder.expires_at) < new Date());
+        await attachItemImages([pendingOrder]);
+        return res.json({
+          pending: true,
+          // PIX expirado pode gerar nova cobrança na página de pagamento; cartão e boleto, não
+          can_pay: pendingOrder.payment_status === 'pending' || (expired && method === 'pix' && pendingOrder.payment_status !== 'cancelled'),
+          order: {
+            id: pendingOrder.id,
+            status: expired ? 'expired' : pendingOrder.payment_status,
+            status_label: expired ? 'Pagamento expirado' : (pendingOrder.payment_status === 'cancelled' ? 'Cancelado' : 'Aguardando pagamento'),
+            created_at: pendingOrder.created_at,
+            items: pendingOrder.items || [],
+            total: Number(pendingOrder.total || 0),
+            coupon_code: pendingOrder.coupon_code || null,
+            coupon_discount: Number(pendingOrder.coupon_discount || 0),
+            address: pendingOrder.address || null,
+            shipping: pendingOrder.shipping || null,
+            expires_at: pendingOrder.expires_at,
+            payment: { method, status: pendingOrder.payment_status },
+            history: []
+          },
+          // Mesmo formato da resposta do checkout (usado pela página de pagamento)
+          payment: paymentResponse({
+            payment_id: pendingOrder.payment_id,
+            method,
+            provider: pendingOrder.payment_provider,
+            qrcode: pendingOrder.payment_qrcode,
+            qrcode_image: pendingOrder.payment_qrcode_image,
+            details: pendingOrder.payment_details,
+            expires_at: pendingOrder.expires_at,
+            status: pendingOrder.payment_status
+          }, Number(pendingOrder.total || 0))
+        });
+      }
+
+      // Já pago: mostrar o pedido criado a partir dele
+      const { data: paidOrder } = await supabase
+        .from('orders')
+        .select('*')
+        .eq('payment_txid', pendingOrder.payment_id)
+        .eq('user_id', req.user.id)
+        .maybeSingle();
+      if (!paidOrder) {
+        return res.status(404).json({ error: 'Pedido ainda em processamento. Tente novamente em instantes.' });
+      }
+      order = paidOrder;
+    }
+
+    await attachItemImages([order]);
+    let history = [];
+    try {
+      history = await orderStatusService.getHistory(order.id);
+    } catch (historyError) {
+      console.warn(`[Orders] Histórico indisponível para o pedido ${order.id}:`, historyError.message);
+    }
+
+    res.json({ pending: false, order: customerOrderView(order, history) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
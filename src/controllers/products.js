@@ -1,27 +1,16 @@
 const express = require('express');
 const multer = require('multer');
-const jwt = require('jsonwebtoken');
 const supabase = require('../db/supabaseClient');
-const { authRequired, adminRequired } = require('../middleware/auth');
+const { authRequired, adminRequired, optionalAuth } = require('../middleware/auth');
+const packagingService = require('../services/packaging');
+const productSearchService = require('../services/productSearch');
+const productSuggestService = require('../services/productSuggest');
 
 const router = express.Router();
 const upload = multer({ storage: multer.memoryStorage(), limits: { files: 5 } });
 
-// Middleware para adicionar usuário às rotas públicas (opcional)
-router.use((req, res, next) => {
-  // Tentar autenticar o usuário, mas não falhar se não houver token
-  const auth = req.headers.authorization;
-  if (auth) {
-    const token = auth.split(' ')[1];
-    try {
-      const payload = jwt.verify(token, process.env.JWT_SECRET || 'dev_secret');
-      req.user = payload;
-    } catch (err) {
-      // Token inválido, continuar sem usuário
-    }
-  }
-  next();
-});
+// Adiciona o usuário às rotas públicas (opcional); o papel de admin vem do banco, não do token
+router.use(optionalAuth);
 
 // Helper: gera signed URL (fallback para publicURL)
 async function makeAccessibleUrl(key) {
@@ -176,11 +165,14 @@ router.post('/', adminRequired, upload.array('images', 5), async (req, res) => {
       type: type || null,
       color: color || null,
       brand: brand || null,
-      sizes: sizesArray.length > 0 ? sizesArray : []
+      sizes: sizesArray.length > 0 ? sizesArray : [],
+      // Peso (kg) e dimensões (cm) usados na cotação de frete
+      ...packagingService.dimensionsFromBody(req.body)
     };
     
     const { data: prod, error: prodErr } = await supabase.from('products').insert([productInsert]).select().single();
     if (prodErr) return res.status(400).json({ error: prodErr.message });
+    productSuggestService.invalidate();
 
     const files = req.files || [];
     const imageKeys = [];
@@ -260,149 +252,226 @@ router.post('/', adminRequired, upload.array('images', 5), async (req, res) => {
   }
 });
 
-// Public: list products (retorna imagens como URLs acessíveis)
-router.get('/', async (req, res) => {
+// Paginação da listagem de produtos
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+
+// Ordenações aceitas; o id desempata para a paginação por cursor
+// relevance: ordem da busca (só com termo de busca; o cursor guarda a posição na lista)
+const PRODUCT_SORTS = {
+  relevance: { column: null },
+  price_asc: { column: 'price', ascending: true },
+  price_desc: { column: 'price', ascending: false },
+  name_asc: { column: 'name', ascending: true },
+  name_desc: { column: 'name', ascending: false },
+  newest: { column: 'created_at', ascending: false }
+};
+
+function encodeCursor(sort, product, offset) {
+  const column = PRODUCT_SORTS[sort].column;
+  const payload = column
+    ? { s: sort, v: product[column] === undefined ? null : product[column], id: product.id }
+    : { s: sort, o: offset, id: product.id };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
   try {
-    // Para usuários comuns, só mostrar produtos ativos
-    // Para admins, mostrar todos os produtos
-    let query = supabase.from('products').select('*');
-    
-    // Se não for admin, filtrar apenas produtos ativos
-    const isAdmin = req.user && req.user.role === 'admin';
-    if (!isAdmin) {
-      query = query.eq('is_active', true);
-    }
-    
-    // Busca por nome do produto
-    const search = req.query.search;
-    if (search) {
-      query = query.ilike('name', `%${search}%`);
-    }
-    
-    // Filtrar por marca se fornecido
-    const brand = req.query.brand;
-    if (brand) {
-      query = query.eq('brand', brand);
-    }
-    
-    // Filtrar por marcas se fornecido (múltiplas marcas)
-    const brands = req.query.brands;
-    if (brands) {
-      const brandsArray = brands.split(',').filter(b => b.trim() !== '');
-      if (brandsArray.length > 0) {
-        query = query.in('brand', brandsArray);
-      }
-    }
-    
-    // Filtrar por tipos se fornecido
-    const types = req.query.types;
-    if (types) {
-      const typesArray = types.split(',').filter(t => t.trim() !== '');
-      if (typesArray.length > 0) {
-        query = query.in('type', typesArray);
-      }
-    }
-    
-    // Filtrar por categorias se fornecido
-    const categories = req.query.categories;
-    if (categories) {
-      const categoriesArray = categories.split(',').filter(c => c.trim() !== '');
-      if (categoriesArray.length > 0) {
-        // Mapear categorias para tipos específicos
-        const categoryTypeMap = {
-          'roupas': ['camisa', 'moleton', 'vestido', 'calca', 'calca-normal', 'calca-jogador', 'bermuda-jeans', 'bermuda-jogador', 'bermuda-tectel', 'bermuda-elastano', 'blusa-times', 'conjunto', 'kit', 'short', 'camiseta'],
-          'calcados': ['sapato'],
-          'acessorios': ['bone', 'acessorio']
-        };
-        
-        const allTypes = [];
-        categoriesArray.forEach(category => {
-          if (categoryTypeMap[category]) {
-            allTypes.push(...categoryTypeMap[category]);
-          }
-        });
-        
-        if (allTypes.length > 0) {
-          query = query.in('type', allTypes);
-        }
-      }
-    }
-    
-    // Filtrar por tamanhos se fornecido
-    const sizes = req.query.sizes;
-    if (sizes) {
-      const sizesArray = sizes.split(',').filter(s => s.trim() !== '');
-      if (sizesArray.length > 0) {
-        // Para arrays, usar a função contains do PostgreSQL
-        query = query.contains('sizes', sizesArray);
-      }
-    }
-    
-    // Filtrar por cores se fornecido
-    const colors = req.query.colors;
-    if (colors) {
-      const colorsArray = colors.split(',').filter(c => c.trim() !== '');
-      if (colorsArray.length > 0) {
-        query = query.in('color', colorsArray);
-      }
-    }
-    
-    // Filtrar por faixa de preço se fornecido
-    const priceRange = req.query.priceRange;
-    if (priceRange && priceRange !== 'all') {
-      if (priceRange === '0-50') {
-        query = query.gte('price', 0).lte('price', 50);
-      } else if (priceRange === '50-100') {
-        query = query.gt('price', 50).lte('price', 100);
-      } else if (priceRange === '100-200') {
-        query = query.gt('price', 100).lte('price', 200);
-      } else if (priceRange === '200+') {
-        query = query.gt('price', 200);
-      }
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (decoded && decoded.s === sort && decoded.id && (PRODUCT_SORTS[sort].column || Number.isInteger(decoded.o))) return decoded;
+  } catch (err) {
+    // cursor malformado
+  }
+  return null;
+}
+
+// Valor para os filtros do PostgREST (aspas para aceitar vírgulas, pontos e parênteses)
+function filterValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// Filtro "depois do cursor" na ordem da listagem (valores nulos ficam no fim)
+function afterCursorFilter({ column, ascending }, cursor) {
+  const op = ascending ? 'gt' : 'lt';
+  const id = filterValue(cursor.id);
+  if (cursor.v === null) {
+    return `and(${column}.is.null,id.${op}.${id})`;
+  }
+  const value = filterValue(cursor.v);
+  return `${column}.${op}.${value},and(${column}.eq.${value},id.${op}.${id}),${column}.is.null`;
+}
+
+// Tipos de produto de cada categoria (?categories=)
+const CATEGORY_TYPES = {
+  'roupas': ['camisa', 'moleton', 'vestido', 'calca', 'calca-normal', 'calca-jogador', 'bermuda-jeans', 'bermuda-jogador', 'bermuda-tectel', 'bermuda-elastano', 'blusa-times', 'conjunto', 'kit', 'short', 'camiseta'],
+  'calcados': ['sapato'],
+  'acessorios': ['bone', 'acessorio']
+};
+
+// Faixas de desconto (?discountRange=); as de preço ficam em productSearchService.priceBands
+const DISCOUNT_RANGES = [
+  { value: '10-30', min: 10, max: 30, min_inclusive: true },
+  { value: '30-50', min: 30, max: 50 },
+  { value: '50+', min: 50, max: null }
+];
+
+// Lista separada por vírgulas da query string (null se vazia)
+function listParam(value) {
+  const list = value ? String(value).split(',').filter(v => v.trim() !== '') : [];
+  return list.length ? list : null;
+}
+
+// Filtros da listagem lidos da query string
+// O mesmo objeto vai para a consulta (filteredProductsQuery) e para as facetas (product_facets)
+function productFilters(req) {
+  const categoryTypes = (listParam(req.query.categories) || []).flatMap(category => CATEGORY_TYPES[category] || []);
+  const priceRange = req.query.priceRange;
+  const discountRange = req.query.discountRange;
+  return {
+    // Para usuários comuns, só mostrar produtos ativos; para admins, todos
+    active_only: !(req.user && req.user.role === 'admin'),
+    brand: req.query.brand || null,
+    brands: listParam(req.query.brands),
+    types: listParam(req.query.types),
+    category_types: categoryTypes.length ? categoryTypes : null,
+    sizes: listParam(req.query.sizes),
+    colors: listParam(req.query.colors),
+    price: productSearchService.priceBands.find(band => band.value === priceRange) || null,
+    discount: DISCOUNT_RANGES.find(range => range.value === discountRange) || null
+  };
+}
+
+// Faixa { min, max, min_inclusive } aplicada a uma coluna
+function applyRange(query, column, { min, max, min_inclusive: minInclusive }) {
+  query = minInclusive ? query.gte(column, min) : query.gt(column, min);
+  return max === null ? query : query.lte(column, max);
+}
+
+// Filtros da listagem (busca, marca, tipo, categoria, tamanho, cor, preço e desconto)
+function filteredProductsQuery(req, { columns = '*', count, head } = {}) {
+  const filters = productFilters(req);
+  let query = productSearchService.from(req.query.search, columns, { count, head });
+
+  if (filters.active_only) query = query.eq('is_active', true);
+  if (filters.brand) query = query.eq('brand', filters.brand);
+  if (filters.brands) query = query.in('brand', filters.brands);
+  if (filters.types) query = query.in('type', filters.types);
+  if (filters.category_types) query = query.in('type', filters.category_types);
+  // Para arrays, usar a função contains do PostgreSQL
+  if (filters.sizes) query = query.contains('sizes', filters.sizes);
+  if (filters.colors) query = query.in('color', filters.colors);
+  if (filters.price) query = applyRange(query, 'price', filters.price);
+  if (filters.discount) query = applyRange(query, 'discount', filters.discount);
+
+  return query;
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Total de produtos com os filtros (sem paginação)
+async function countProducts(req) {
+  const { count, error } = await filteredProductsQuery(req, { count: 'exact', head: true });
+  if (error) throw error;
+  return count || 0;
+}
+
+async function listProducts(req) {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  // Com termo de busca, o padrão é a relevância; sem ele, os mais recentes
+  const searching = productSearchService.ranks(req.query.search);
+  let sort = PRODUCT_SORTS[req.query.sort] ? req.query.sort : (searching ? 'relevance' : 'newest');
+  if (sort === 'relevance' && !searching) sort = 'newest';
+  const order = PRODUCT_SORTS[sort];
+
+  let cursor = null;
+  if (req.query.cursor) {
+    cursor = decodeCursor(req.query.cursor, sort);
+    if (!cursor) throw badRequest('Cursor de paginação inválido');
+  }
+  const page = cursor ? null : Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const keyset = Boolean(cursor && order.column);
+
+  try {
+    let query = filteredProductsQuery(req, { count: keyset ? undefined : 'exact' });
+    if (order.column) {
+      query = query
+        .order(order.column, { ascending: order.ascending, nullsFirst: false })
+        .order('id', { ascending: order.ascending });
     }
-    
-    // Filtrar por faixa de desconto se fornecido
-    const discountRange = req.query.discountRange;
-    if (discountRange && discountRange !== 'all') {
-      // Calcular desconto baseado no campo discount ou na diferença entre originalPrice e price
-      if (discountRange === '10-30') {
-        query = query.gte('discount', 10).lte('discount', 30);
-      } else if (discountRange === '30-50') {
-        query = query.gt('discount', 30).lte('discount', 50);
-      } else if (discountRange === '50+') {
-        query = query.gt('discount', 50);
-      }
+
+    let total;
+    let offset = 0;
+    if (keyset) {
+      // O total considera todos os filtros, não só o que vem depois do cursor
+      total = await countProducts(req);
+      query = query.or(afterCursorFilter(order, cursor)).limit(limit);
+    } else {
+      offset = cursor ? cursor.o : (page - 1) * limit;
+      query = query.range(offset, offset + limit - 1);
     }
-    
-    // Ordenação
-    const sort = req.query.sort || 'newest';
-    switch (sort) {
-      case 'price_asc':
-        query = query.order('price', { ascending: true });
-        break;
-      case 'price_desc':
-        query = query.order('price', { ascending: false });
-        break;
-      case 'name_asc':
-        query = query.order('name', { ascending: true });
-        break;
-      case 'name_desc':
-        query = query.order('name', { ascending: false });
-        break;
-      case 'newest':
-      default:
-        query = query.order('created_at', { ascending: false });
-        break;
+
+    const { data, error, count } = await query;
+    let rows = data || [];
+    if (error) {
+      // Página além do fim da lista: responde vazia com o total
+      if (error.code !== 'PGRST103') throw error;
+      rows = [];
+      total = await countProducts(req);
     }
-    
-    const { data, error } = await query;
-    if (error) return res.status(500).json({ error: error.message });
+    if (total === undefined) total = count || 0;
 
-    const products = await Promise.all((data || []).map(async p => {
+    // Imagens acessíveis só para os produtos da página
+    const products = await Promise.all(rows.map(async p => {
       return await productWithAccessibleImages(p);
     }));
 
-    res.json({ products });
+    const hasMore = keyset ? rows.length === limit : offset + rows.length < total;
+    const result = {
+      products,
+      total,
+      page,
+      limit,
+      totalPages: Math.max(Math.ceil(total / limit), 1),
+      sort,
+      next_cursor: hasMore && rows.length ? encodeCursor(sort, rows[rows.length - 1], offset + rows.length) : null
+    };
+
+    if (req.query.facets === '1' || req.query.facets === 'true') {
+      result.facets = await productSearchService.facets(req.query.search, productFilters(req));
+    }
+
+    return result;
+  } catch (err) {
+    // Sem a migração da busca: refaz a listagem com a busca simples pelo nome
+    if (productSearchService.fallbackOn(err)) return listProducts(req);
+    throw err;
+  }
+}
+
+// Public: list products (retorna imagens como URLs acessíveis)
+// Paginada: ?page=&limit= (limit até MAX_PAGE_SIZE) ou ?cursor= (next_cursor da página anterior)
+// Com ?search=, ordena por relevância (padrão) e ?facets=1 inclui as contagens por faceta
+router.get('/', async (req, res) => {
+  try {
+    res.json(await listProducts(req));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Public: sugestões da barra de busca (produtos, marcas e categorias), do índice em memória
+router.get('/suggest', async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim().substring(0, 100);
+    const suggestions = await productSuggestService.suggest(q);
+    res.set('Cache-Control', 'public, max-age=60');
+    res.json({ q, ...suggestions });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -457,6 +526,7 @@ router.put('/:id', adminRequired, upload.array('images', 5), async (req, res) =>
     if (type !== undefined) changes.type = type || null;
     if (color !== undefined) changes.color = color || null;
     if (brand !== undefined) changes.brand = brand || null;
+    Object.assign(changes, packagingService.dimensionsFromBody(req.body));
     
     // Processar tamanhos - sempre garantir que seja um array
     if (sizes !== undefined) {
@@ -520,6 +590,7 @@ router.put('/:id', adminRequired, upload.array('images', 5), async (req, res) =>
       console.error('Erro ao atualizar produto:', error);
       return res.status(400).json({ error: error.message });
     }
+    productSuggestService.invalidate();
 
     try {
       const product = await productWithAccessibleImages(data);
@@ -548,6 +619,7 @@ router.delete('/:id', adminRequired, async (req, res) => {
   const id = req.params.id;
   const { error } = await supabase.from('products').delete().eq('id', id);
   if (error) return res.status(400).json({ error: error.message });
+  productSuggestService.invalidate();
   res.json({ ok: true });
 });
 
@@ -1,20 +1,39 @@
 const express = require('express');
 const fetch = require('node-fetch');
+const { body, param } = require('express-validator');
+const supabase = require('../db/supabaseClient');
+const { adminRequired } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { rateLimit } = require('../middleware/rateLimit');
 const melhorEnvioService = require('../services/melhorenvio');
+const shippingQuoteService = require('../services/shippingQuote');
+const shippingRulesService = require('../services/shippingRules');
 
 const router = express.Router();
 
+// Cotações consultam o Melhor Envio: limite por IP
+const quoteLimit = rateLimit({ name: 'shipping:ip', windowMs: 5 * 60 * 1000, max: 60, message: 'Muitas cotações de frete.' });
+
 // POST /api/shipping/calculate
 // Main shipping calculation endpoint using Melhor Envio
-// body: { cepDestino: string, qtdItens?: number, pesoPorItemKg?: number, products?: Array }
-router.post('/calculate', async (req, res) => {
+// body: { cepDestino: string, items?: Array, qtdItens?: number, pesoPorItemKg?: number, products?: Array, subtotal?: number }
+// Com items ([{ product_id, variation_id?, qty }]), cada opção volta com um quote_id assinado,
+// aceito pelo checkout sem recotar (ver services/shippingQuote.js)
+// As regras de frete (frete grátis, fixo, descontos, entrega local) valem nos dois formatos;
+// sem items, o subtotal informado serve apenas para exibição (o checkout sempre recalcula)
+router.post('/calculate', quoteLimit, async (req, res) => {
   try {
-    const { cepDestino, qtdItens = 1, pesoPorItemKg = 0.3, products } = req.body || {};
+    const { cepDestino, items, qtdItens = 1, pesoPorItemKg = 0.3, products, subtotal } = req.body || {};
     
     if (!cepDestino) {
       return res.status(400).json({ error: 'cepDestino é obrigatório' });
     }
 
+    if (items && Array.isArray(items) && items.length > 0) {
+      const quotes = await shippingQuoteService.quote(cepDestino, items);
+      return res.json({ services: quotes });
+    }
+
     let services;
 
     // If detailed products info is provided, use it
@@ -43,7 +62,7 @@ router.post('/calculate', async (req, res) => {
       error: s.error || null
     }));
 
-    res.json({ services: mapped });
+    res.json({ services: await shippingRulesService.apply(mapped, { cep: cepDestino, subtotal }) });
   } catch (err) {
     console.error('Erro ao calcular frete (Melhor Envio):', err);
     
@@ -64,7 +83,7 @@ router.post('/calculate', async (req, res) => {
 });
 
 // GET helper for testing: /api/shipping/calculate/:cepDestino?qtdItens=1
-router.get('/calculate/:cepDestino', async (req, res) => {
+router.get('/calculate/:cepDestino', quoteLimit, async (req, res) => {
   try {
     const cepDestino = req.params.cepDestino;
     const qtdItens = req.query.qtdItens ? Number(req.query.qtdItens) : 1;
@@ -137,7 +156,7 @@ function parseCorreiosXml(xml) {
 
 // POST /api/shipping/correios
 // body: { cepDestino: string, qtdItens?: number, cepOrigem?: string, pesoPorItemKg?: number }
-router.post('/correios', async (req, res) => {
+router.post('/correios', quoteLimit, async (req, res) => {
   try {
     const { cepDestino, qtdItens = 1, cepOrigem = process.env.CEP_ORIGEM || '01001000', pesoPorItemKg = 0.3 } = req.body || {};
     if (!cepDestino) {
@@ -264,7 +283,7 @@ router.post('/correios', async (req, res) => {
 });
 
 // GET helper for testing: /api/shipping/correios/:cepDestino?qtdItens=1
-router.get('/correios/:cepDestino', async (req, res) => {
+router.get('/correios/:cepDestino', quoteLimit, async (req, res) => {
   try {
     const cepDestino = req.params.cepDestino;
     const qtdItens = req.query.qtdItens ? Number(req.query.qtdItens) : 1;
@@ -339,6 +358,121 @@ router.get('/correios/:cepDestino', async (req, res) => {
   }
 });
 
+// Regras de frete (admin)
+const ruleValidators = [
+  body('name').optional().isLength({ min: 1, max: 120 }).withMessage('Nome deve ter entre 1 e 120 caracteres'),
+  body('type').optional().isIn(shippingRulesService.ruleTypes).withMessage('Tipo inválido'),
+  body('amount').optional({ values: 'falsy' }).isFloat({ min: 0 }).withMessage('Valor deve ser maior ou igual a 0'),
+  body('discount_type').optional({ values: 'falsy' }).isIn(['percentage', 'fixed']).withMessage('Tipo de desconto inválido'),
+  body('min_subtotal').optional({ values: 'falsy' }).isFloat({ min: 0 }).withMessage('Subtotal mínimo deve ser maior ou igual a 0'),
+  body('cep_start').optional({ values: 'falsy' }).matches(/^\d{5}-?\d{0,3}$/).withMessage('CEP inicial inválido'),
+  body('cep_end').optional({ values: 'falsy' }).matches(/^\d{5}-?\d{0,3}$/).withMessage('CEP final inválido'),
+  body('delivery_days').optional({ values: 'falsy' }).isInt({ min: 0 }).withMessage('Prazo deve ser um número inteiro')
+];
+
+// Valida os campos obrigatórios de cada tipo de regra
+function ruleError(rule) {
+  if (!rule.name) return 'Nome é obrigatório';
+  if (!rule.type) return 'Tipo é obrigatório';
+  if (['flat_rate', 'discount', 'local_delivery'].includes(rule.type) && (rule.amount === null || rule.amount === undefined)) {
+    return 'Valor é obrigatório para este tipo de regra';
+  }
+  if (rule.type === 'discount' && !rule.discount_type) return 'Informe se o desconto é em porcentagem ou valor fixo';
+  if (rule.type === 'discount' && rule.discount_type === 'percentage' && rule.amount > 100) {
+    return 'Desconto percentual deve ser no máximo 100%';
+  }
+  return null;
+}
+
+// GET /api/shipping/rules (admin)
+router.get('/rules', adminRequired, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('shipping_rules')
+      .select('*')
+      .order('created_at', { ascending: true });
+    if (error) return res.status(500).json({ error: error.message });
+    res.json({ rules: data || [] });
+  } catch (err) {
+    console.error('GET /api/shipping/rules error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/shipping/rules (admin)
+router.post('/rules', adminRequired, validate(ruleValidators), async (req, res) => {
+  try {
+    const rule = shippingRulesService.ruleFromBody(req.body);
+    const message = ruleError(rule);
+    if (message) return res.status(400).json({ error: message });
+
+    const { data, error } = await supabase
+      .from('shipping_rules')
+      .insert([rule])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Erro ao criar regra de frete:', error);
+      return res.status(400).json({ error: error.message });
+    }
+    shippingRulesService.invalidate();
+    res.json({ rule: data });
+  } catch (err) {
+    console.error('POST /api/shipping/rules error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT /api/shipping/rules/:id (admin)
+router.put('/rules/:id', adminRequired, validate([
+  param('id').exists().withMessage('ID obrigatório'),
+  ...ruleValidators
+]), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { data: current, error: findError } = await supabase
+      .from('shipping_rules')
+      .select('*')
+      .eq('id', id)
+      .single();
+    if (findError || !current) return res.status(404).json({ error: 'Regra de frete não encontrada' });
+
+    const changes = shippingRulesService.ruleFromBody(req.body);
+    const message = ruleError({ ...current, ...changes });
+    if (message) return res.status(400).json({ error: message });
+
+    const { data, error } = await supabase
+      .from('shipping_rules')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Erro ao atualizar regra de frete:', error);
+      return res.status(400).json({ error: error.message });
+    }
+    shippingRulesService.invalidate();
+    res.json({ rule: data });
+  } catch (err) {
+    console.error('PUT /api/shipping/rules/:id error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/shipping/rules/:id (admin)
+router.delete('/rules/:id', adminRequired, async (req, res) => {
+  const { error } = await supabase
+    .from('shipping_rules')
+    .delete()
+    .eq('id', req.params.id);
+
+  if (error) return res.status(400).json({ error: error.message });
+  shippingRulesService.invalidate();
+  res.json({ ok: true });
+});
+
 module.exports = router;
 
 
@@ -1,6 +1,7 @@
 const express = require('express');
 const supabase = require('../db/supabaseClient');
 const { adminRequired } = require('../middleware/auth');
+const emailVerificationService = require('../services/emailVerification');
 const multer = require('multer');
 const path = require('path');
 
@@ -173,12 +174,15 @@ router.put('/:key', adminRequired, async (req, res) => {
           return res.status(500).json({ error: createError.message });
         }
 
+        emailVerificationService.invalidate();
         return res.json({ setting: newSetting, message: 'Configuração criada com sucesso' });
       }
 
       return res.status(500).json({ error: updateError.message });
     }
 
+    // Política de email confirmado no checkout fica em cache no serviço
+    emailVerificationService.invalidate();
     res.json({ setting, message: 'Configuração atualizada com sucesso' });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -7,7 +7,7 @@ const router = express.Router();
 // Get current user
 router.get('/me', authRequired, async (req, res) => {
   try {
-    const { data, error } = await supabase.from('users').select('id, email, name, address, role').eq('id', req.user.id).single();
+    const { data, error } = await supabase.from('users').select('id, email, name, address, role, email_verified').eq('id', req.user.id).single();
     if (error) return res.status(400).json({ error: error.message });
     res.json({ user: data });
   } catch (err) {
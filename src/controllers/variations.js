@@ -2,6 +2,7 @@ const express = require('express');
 const multer = require('multer');
 const supabase = require('../db/supabaseClient');
 const { adminRequired } = require('../middleware/auth');
+const packagingService = require('../services/packaging');
 
 const router = express.Router();
 const upload = multer({ storage: multer.memoryStorage(), limits: { files: 5 } });
@@ -84,7 +85,9 @@ router.post('/', adminRequired, upload.array('images', 5), async (req, res) => {
       size: size || null,
       price: Number(price || 0),
       stock: Number(stock || 0),
-      images: imageKeys // Use the uploaded image keys
+      images: imageKeys, // Use the uploaded image keys
+      // Peso e dimensões próprios (vazio = usa os do produto)
+      ...packagingService.dimensionsFromBody(req.body)
     };
     
     console.log('Inserting variation:', variationInsert);
@@ -160,6 +163,7 @@ router.put('/:id', adminRequired, upload.array('images', 5), async (req, res) =>
     if (price !== undefined) changes.price = Number(price || 0);
     if (stock !== undefined) changes.stock = Number(stock || 0);
     if (is_active !== undefined) changes.is_active = Boolean(is_active);
+    Object.assign(changes, packagingService.dimensionsFromBody(req.body));
     
     // Handle image uploads if any
     const files = req.files || [];
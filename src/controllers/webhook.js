@@ -1,208 +1,171 @@
 const express = require('express');
-const supabase = require('../db/supabaseClient');
-const nodemailer = require('nodemailer');
+const crypto = require('crypto');
+const paymentService = require('../services/payments');
+const orderFinalizationService = require('../services/orderFinalization');
+const webhookEventsService = require('../services/webhookEvents');
 
 const router = express.Router();
 
-// Efí Bank webhook endpoint
-// Recebe notificação quando pagamento PIX é confirmado
-router.post('/efibank', express.json(), async (req, res) => {
-  // Validar webhook secret se fornecido
+/**
+ * Compara dois textos em tempo constante
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Verifica se a requisição veio do Efí Bank
+ * Aceita (nesta ordem):
+ *   1. mTLS: certificado de cliente validado pelo servidor HTTPS
+ *   2. Assinatura HMAC-SHA256 do corpo bruto no header x-efibank-signature
+ *   3. Valor na URL: ?hmac= com o secret, na URL cadastrada pelo admin (modo "skip mTLS" do Efí Bank),
+ *      ou ?token= derivado do secret, na URL enviada em cada cobrança (urlToken)
+ * Sem EFIBANK_WEBHOOK_SECRET e sem mTLS, todas as requisições são recusadas.
+ * @param {Object} options - { urlToken } (quando informado, substitui o ?hmac= com o secret)
+ * @returns {String|null} - método usado ou null se não autenticado
+ */
+function authenticateWebhook(req, { urlToken = null } = {}) {
+  if (req.socket && req.socket.authorized) {
+    return 'mtls';
+  }
+
   const secret = process.env.EFIBANK_WEBHOOK_SECRET;
-  if (secret) {
-    const sig = req.headers['x-efibank-signature'] || req.headers['x-gerencianet-signature'];
-    if (!sig || sig !== secret) {
-      return res.status(403).json({ error: 'Invalid webhook signature' });
+  if (!secret) return null;
+
+  const sig = req.headers['x-efibank-signature'] || req.headers['x-gerencianet-signature'];
+  if (sig && req.rawBody) {
+    const expected = crypto.createHmac('sha256', secret).update(req.rawBody).digest('hex');
+    if (safeEqual(String(sig).replace(/^sha256=/, '').toLowerCase(), expected)) {
+      return 'hmac';
     }
   }
 
-  const payload = req.body;
-  
-  try {
-    
-    let txid = null;
-    
-    // Verificar diferentes formatos de webhook
-    if (payload.pix && Array.isArray(payload.pix) && payload.pix.length > 0) {
-      // Formato direto do PIX
-      txid = payload.pix[0].txid;
-    } else if (payload.event === 'payment.succeeded' && payload.data?.txid) {
-      // Formato de evento
-      txid = payload.data.txid;
-    } else if (payload.txid) {
-      // Formato simples
-      txid = payload.txid;
-    }
+  if (urlToken) {
+    if (req.query.token && safeEqual(req.query.token, urlToken)) return 'url-token';
+  } else if (req.query.hmac && safeEqual(req.query.hmac, secret)) {
+    return 'url-hmac';
+  }
 
-    if (!txid) {
-      console.log('Webhook recebido sem txid válido:', payload);
-      return res.json({ ok: true, message: 'No txid found' });
-    }
+  return null;
+}
+
+/**
+ * Processa uma cobrança notificada
+ * O conteúdo do webhook nunca é usado diretamente: status, valor e endToEndId
+ * vêm da consulta ao provedor de pagamento.
+ * @param {Object} provider - provedor de pagamento (services/payments)
+ * @param {Object} charge - { paymentId, eventId }
+ */
+async function processCharge(provider, { paymentId, eventId: notifiedEventId }, { source, payload, remoteIp }) {
+  const txid = paymentId;
+  const charge = await provider.getStatus(txid);
+
+  if (charge.status !== 'paid') {
+    await webhookEventsService.log({
+      provider: source,
+      eventId: null,
+      txid,
+      status: 'rejected',
+      reason: `Cobrança não consta como paga no Efí Bank (${charge.status})`,
+      payload,
+      remoteIp
+    });
+    console.warn(`[Webhook] Cobrança ${txid} não está paga (${charge.status}). Ignorando.`);
+    return { txid, ok: false, message: 'Charge not paid' };
+  }
+
+  const eventId = charge.e2eid || notifiedEventId || txid;
+  const event = await webhookEventsService.claim({ provider: source, eventId, txid, payload, remoteIp });
+  if (event.duplicate) {
+    console.log(`[Webhook] Evento ${eventId} já recebido. Ignorando replay.`);
+    return { txid, ok: true, message: 'Duplicate event' };
+  }
 
-    // Buscar pedido pendente pelo payment_id (txid)
-    const { data: pendingOrder, error: pendingError } = await supabase
-      .from('pending_orders')
-      .select('*')
-      .eq('payment_id', txid)
-      .eq('payment_status', 'pending')
-      .single();
-
-    if (pendingError || !pendingOrder) {
-      console.log('Pedido pendente não encontrado para txid:', txid);
-      return res.json({ ok: true, message: 'Pending order not found' });
+  try {
+    // Criar o pedido real (idempotente: webhooks repetidos retornam o mesmo pedido)
+    const result = await orderFinalizationService.finalizeByTxid(txid, {
+      paidAt: charge.paid_at,
+      e2eid: charge.e2eid,
+      paidAmount: charge.paid_amount
+    });
+
+    if (!result) {
+      console.log('[Webhook] Pedido pendente não encontrado para txid:', txid);
+      await webhookEventsService.finish(event.id, 'rejected', { reason: 'Pedido pendente não encontrado' });
+      return { txid, ok: false, message: 'Pending order not found' };
     }
 
-    // Atualizar status do pedido pendente
-    await supabase
-      .from('pending_orders')
-      .update({ 
-        payment_status: 'paid',
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', pendingOrder.id);
-
-    // AGORA SIM: Criar o pedido real e diminuir estoque
-    const orderPayload = {
-      user_id: pendingOrder.user_id,
-      items: pendingOrder.items,
-      total: pendingOrder.total,
-      address: pendingOrder.address,
-      status: 'pedido feito',
-      payment: {
-        txid: pendingOrder.payment_id,
-        method: 'pix',
-        status: 'paid',
-        paid_at: new Date().toISOString()
-      },
-      payment_confirmed_at: new Date().toISOString()
-    };
-
-    // Adicionar campos de cupom se houver
-    if (pendingOrder.coupon_code) {
-      orderPayload.coupon_code = pendingOrder.coupon_code;
-      orderPayload.coupon_discount = pendingOrder.coupon_discount || 0;
+    await webhookEventsService.finish(event.id, 'processed', { orderId: result.order.id });
+    console.log(`[Webhook] Pedido ${result.created ? 'criado' : 'já existente'} após pagamento: ${result.order.id}`);
+    return { txid, ok: true, order_id: result.order.id };
+  } catch (err) {
+    if (err.code === 'AMOUNT_MISMATCH') {
+      console.error(`[Webhook] ${err.message} (txid ${txid})`);
+      await webhookEventsService.finish(event.id, 'rejected', { reason: err.message });
+      return { txid, ok: false, message: 'Amount mismatch' };
     }
 
-    const { data: order, error: orderError } = await supabase
-      .from('orders')
-      .insert([orderPayload])
-      .select()
-      .single();
+    // Falha temporária: liberar o evento para a nova tentativa do Efí Bank
+    await webhookEventsService.finish(event.id, 'failed', { reason: err.message });
+    throw err;
+  }
+}
+
+/**
+ * Autentica e processa uma notificação de webhook
+ * @param {String} source - nome gravado em webhook_events.provider
+ * @param {Object} provider - provedor usado para interpretar a notificação e consultar as cobranças
+ * @param {Object} options - { urlToken } (ver authenticateWebhook)
+ */
+async function handleWebhook(req, res, source, provider, { urlToken = null } = {}) {
+  const payload = req.body || {};
+  // req.ip respeita TRUST_PROXY; o X-Forwarded-For cru pode ser forjado por quem chama
+  const remoteIp = req.ip;
+
+  const authMethod = authenticateWebhook(req, { urlToken });
+  if (!authMethod) {
+    // Só no log do servidor: gravar em webhook_events deixaria qualquer um encher a tabela
+    console.warn(`[Webhook] Requisição não autenticada recusada (${source}, IP ${remoteIp})`);
+    return res.status(403).json({ error: 'Invalid webhook signature' });
+  }
 
-    if (orderError) {
-      console.error('Erro ao criar pedido após pagamento:', orderError);
-      return res.status(500).json({ error: 'Erro ao criar pedido' });
-    }
+  try {
+    const charges = await provider.parseWebhook(payload);
 
-    // Diminuir estoque dos produtos
-    const productIds = pendingOrder.items.map(item => item.product_id);
-    const { data: products } = await supabase
-      .from('products')
-      .select('id, stock, name')
-      .in('id', productIds);
-
-    if (products && products.length > 0) {
-      console.log(`[Webhook] Atualizando estoque de ${products.length} produto(s)...`);
-      for (const item of pendingOrder.items) {
-        // Para variações, atualizar estoque da variação
-        if (item.variation_id) {
-          const { data: variation } = await supabase
-            .from('product_variations')
-            .select('stock, name')
-            .eq('id', item.variation_id)
-            .eq('product_id', item.product_id)
-            .single();
-            
-          if (variation) {
-            const oldStock = variation.stock || 0;
-            const newStock = Math.max(0, oldStock - item.qty);
-            const { error: stockError } = await supabase
-              .from('product_variations')
-              .update({ stock: newStock })
-              .eq('id', item.variation_id);
-            
-            if (stockError) {
-              console.error(`[Webhook] Erro ao atualizar estoque da variação ${item.variation_id}:`, stockError);
-            } else {
-              console.log(`[Webhook] ✓ Estoque da variação "${variation.name}" (${item.variation_id}) atualizado: ${oldStock} → ${newStock}`);
-            }
-          } else {
-            console.warn(`[Webhook] Variação ${item.variation_id} não encontrada para atualizar estoque`);
-          }
-        } else {
-          // Atualizar estoque do produto base
-          const product = products.find(p => p.id === item.product_id);
-          if (product) {
-            const oldStock = product.stock || 0;
-            const newStock = Math.max(0, oldStock - item.qty);
-            const { error: stockError } = await supabase
-              .from('products')
-              .update({ stock: newStock })
-              .eq('id', product.id);
-            
-            if (stockError) {
-              console.error(`[Webhook] Erro ao atualizar estoque do produto ${product.id}:`, stockError);
-            } else {
-              console.log(`[Webhook] ✓ Estoque do produto "${product.name}" (${product.id}) atualizado: ${oldStock} → ${newStock}`);
-            }
-          } else {
-            console.warn(`[Webhook] Produto ${item.product_id} não encontrado para atualizar estoque`);
-          }
-        }
-      }
-    } else {
-      console.warn('[Webhook] Nenhum produto encontrado para atualizar estoque');
+    if (!charges.length) {
+      // Inclui a notificação de teste enviada pelo Efí Bank ao cadastrar o webhook
+      console.log('[Webhook] Recebido sem txid válido:', payload);
+      return res.json({ ok: true, message: 'No txid found' });
     }
 
-    // Enviar email para admin
-    try {
-      const transporter = nodemailer.createTransport({
-        host: process.env.SMTP_HOST,
-        port: Number(process.env.SMTP_PORT || 587),
-        secure: false,
-        auth: { 
-          user: process.env.SMTP_USER, 
-          pass: process.env.SMTP_PASS 
-        }
-      });
-
-      const adminEmail = process.env.ADMIN_EMAIL;
-      if (adminEmail && transporter) {
-        const itemsText = order.items.map(i => {
-          let itemText = `- ${i.name} x${i.qty} - R$ ${(i.price * i.qty).toFixed(2)}`;
-          if (i.size) {
-            itemText += ` (Tamanho: ${i.size})`;
-          }
-          if (i.variation_id) {
-            itemText += ` (Variação)`;
-          }
-          return itemText;
-        }).join('\n');
-        const text = `Novo pedido confirmado #${order.id.substring(0, 8)}\n\n` +
-          `Cliente: ${pendingOrder.user_id}\n` +
-          `Total: R$ ${(order.total || 0).toFixed(2)}\n` +
-          `Endereço: ${JSON.stringify(order.address || {})}\n\n` +
-          `Itens:\n${itemsText}`;
-        
-        await transporter.sendMail({
-          from: process.env.SMTP_USER,
-          to: adminEmail,
-          subject: `✅ Novo pedido confirmado #${order.id.substring(0, 8)}`,
-          text,
-          html: `<pre>${text}</pre>`
-        });
-      }
-    } catch (emailError) {
-      console.error('Erro ao enviar email:', emailError);
-      // Não falhar o webhook por erro de email
+    const results = [];
+    for (const charge of charges) {
+      results.push(await processCharge(provider, charge, { source, payload, remoteIp }));
     }
 
-    console.log(`Pedido criado com sucesso após pagamento: ${order.id}`);
-    return res.json({ ok: true, order_id: order.id });
+    if (results.length === 1) {
+      const { txid, ...result } = results[0];
+      return res.json(result);
+    }
+    return res.json({ ok: true, results });
   } catch (err) {
     console.error('Erro no webhook:', err);
     res.status(500).json({ error: err.message });
   }
-});
+}
+
+// Efí Bank webhook endpoint
+// Recebe notificação quando pagamento PIX é confirmado
+router.post('/efibank', (req, res) => handleWebhook(req, res, 'efibank', paymentService.getProvider('efibank')));
+
+// Webhook da API de Cobranças do Efí Bank (cartão de crédito e boleto)
+// O Efí Bank envia { notification: token } (form-urlencoded) para a URL informada em cada cobrança;
+// a consulta do token e da cobrança é a mesma para cartão e boleto
+// A URL enviada nas cobranças leva ?token= (derivado do secret), não o EFIBANK_WEBHOOK_SECRET
+router.post('/efibank/charges', (req, res) => handleWebhook(req, res, 'efibank_charges', paymentService.getProvider('efibank_card'), {
+  urlToken: paymentService.chargesNotificationToken()
+}));
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
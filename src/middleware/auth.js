@@ -1,25 +1,49 @@
-const jwt = require('jsonwebtoken');
+const sessionService = require('../services/sessions');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'dev_secret';
-
-function authRequired(req, res, next) {
+// Confere o token e a sessão no banco: sessão encerrada (logout, troca de senha) perde o acesso na hora
+// O papel em req.user.role vem do banco (não do token): admin rebaixado deixa de ser admin na hora
+async function authRequired(req, res, next) {
   const auth = req.headers.authorization;
   if (!auth) return res.status(401).json({ error: 'Sem token' });
   const token = auth.split(' ')[1];
   try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    req.user = payload;
-    next();
+    req.user = sessionService.verifyAccessToken(token);
+  } catch (err) {
+    // 401 com code 'token_expired': o cliente renova em /api/auth/refresh e repete a requisição
+    return res.status(err.status || 403).json({ error: err.message, code: err.code });
+  }
+
+  try {
+    const role = await sessionService.currentRole(req.user);
+    if (!role) return res.status(401).json({ error: 'Sessão encerrada. Entre novamente.', code: 'session_expired' });
+    req.user.role = role;
   } catch (err) {
-    return res.status(403).json({ error: 'Token inválido' });
+    return res.status(500).json({ error: err.message });
   }
+  next();
 }
 
 function adminRequired(req, res, next) {
   authRequired(req, res, () => {
-    if (req.user?.role !== 'admin') return res.status(403).json({ error: 'Admin required' });
+    if (req.user.role !== 'admin') return res.status(403).json({ error: 'Admin required' });
     next();
   });
 }
 
-module.exports = { authRequired, adminRequired };
\ No newline at end of file
+// Rotas públicas: identifica o usuário quando há token válido com sessão ativa (mesma conferência
+// do authRequired); sem token, com token inválido ou sessão encerrada, segue como visitante
+async function optionalAuth(req, res, next) {
+  const auth = req.headers.authorization;
+  if (auth) {
+    try {
+      const payload = sessionService.verifyAccessToken(auth.split(' ')[1]);
+      const role = await sessionService.currentRole(payload);
+      if (role) req.user = { ...payload, role };
+    } catch (err) {
+      // Token inválido ou expirado: continuar sem usuário
+    }
+  }
+  next();
+}
+
+module.exports = { authRequired, adminRequired, optionalAuth };
@@ -0,0 +1,63 @@
+const rateLimitService = require('../services/rateLimit');
+
+// IP do cliente: req.ip, que só considera o X-Forwarded-For dos proxies confiáveis (trust proxy em server.js)
+// O primeiro endereço do X-Forwarded-For é escolhido pelo cliente e não serve para limitar requisições
+function clientIp(req) {
+  return String(req.ip || '').trim();
+}
+
+function formatWait(seconds) {
+  if (seconds < 60) return `${seconds} segundo(s)`;
+  return `${Math.ceil(seconds / 60)} minuto(s)`;
+}
+
+// Resposta 429 com Retry-After (segundos)
+function tooManyRequests(res, retryAfter, message) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: `${message} Tente novamente em ${formatWait(retryAfter)}.`,
+    code: 'rate_limited',
+    retry_after: retryAfter
+  });
+}
+
+/**
+ * Limita as requisições de uma chave (IP por padrão) a max por janela de windowMs
+ * @param {Object} options - { name, windowMs, max, key?: req => String|null, message? }
+ * Sem chave (ex.: email ausente), a requisição passa; se o store falhar, também.
+ */
+function rateLimit({ name, windowMs, max, key = clientIp, message = 'Muitas requisições.' }) {
+  return async (req, res, next) => {
+    const id = key(req);
+    if (!id) return next();
+
+    try {
+      const result = await rateLimitService.hit(`${name}:${id}`, { windowMs, max });
+      res.set('RateLimit-Limit', String(max));
+      res.set('RateLimit-Remaining', String(Math.max(0, max - result.count)));
+      res.set('RateLimit-Reset', String(result.retryAfter));
+      if (result.limited) return tooManyRequests(res, result.retryAfter, message);
+    } catch (err) {
+      console.error(`[Limite] Erro ao contar requisição (${name}):`, err.message);
+    }
+    next();
+  };
+}
+
+/**
+ * Limites de tentativas de cupom por IP e por conta (o da conta vem depois do authRequired)
+ * Toda rota que aceita um código de cupom usa os mesmos contadores: trocar de rota não
+ * escapa do limite para testar códigos em sequência.
+ * @param {Function} hasCoupon - req => Boolean; sem cupom na requisição, nada é contado
+ * @returns {Object} - { ip, account } (middlewares)
+ */
+function couponLimits(hasCoupon = () => true) {
+  const windowMs = 15 * 60 * 1000;
+  const message = 'Muitas tentativas de cupom.';
+  return {
+    ip: rateLimit({ name: 'coupons:ip', windowMs, max: 30, key: req => (hasCoupon(req) ? clientIp(req) : null), message }),
+    account: rateLimit({ name: 'coupons:account', windowMs, max: 20, key: req => (hasCoupon(req) && req.user ? req.user.id : null), message })
+  };
+}
+
+module.exports = { rateLimit, clientIp, tooManyRequests, couponLimits };
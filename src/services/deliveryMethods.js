@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const supabase = require('../db/supabaseClient');
+const shippingRulesService = require('./shippingRules');
+
+/**
+ * Formas de entrega locais (tabela delivery_methods)
+ *   pickup  retirada em um dos pontos cadastrados (endereço e horário de funcionamento)
+ *   local   entrega própria (moto/uber) restrita por prefixos de CEP e/ou raio em km
+ * A taxa passa pelas regras de frete (frete grátis, descontos) com o código "method-<id>".
+ * No checkout, a forma de entrega, o ponto de retirada, o CEP e a taxa são conferidos no servidor.
+ *
+ * Raio: as coordenadas do CEP vêm da BrasilAPI (CEP v2). Sem coordenadas, só os prefixos valem.
+ */
+
+const METHOD_KINDS = ['pickup', 'local'];
+
+const CODE_PREFIX = 'method-';
+
+const CACHE_TTL_MS = 60 * 1000;
+
+// Coordenadas de CEP consultadas (não mudam)
+const GEO_CACHE_MAX_ENTRIES = 1000;
+const GEO_TIMEOUT_MS = 5000;
+
+function digits(value) {
+  return String(value || '').replace(/\D/g, '');
+}
+
+function optionalNumber(value) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const num = Number(String(value).replace(',', '.'));
+  return isNaN(num) ? null : num;
+}
+
+// Distância em km entre duas coordenadas (fórmula de haversine)
+function distanceKm(a, b) {
+  const rad = v => v * Math.PI / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+class DeliveryMethodsService {
+  constructor() {
+    this.kinds = METHOD_KINDS;
+    this.cache = null;
+    this.cacheExpiresAt = 0;
+    this.geoCache = new Map();
+  }
+
+  /**
+   * Formas de entrega ativas (cache de 1 minuto; invalidado quando o admin altera)
+   */
+  async loadActive() {
+    if (this.cache && this.cacheExpiresAt > Date.now()) return this.cache;
+
+    const { data, error } = await supabase
+      .from('delivery_methods')
+      .select('*')
+      .eq('active', true)
+      .order('sort_order', { ascending: true });
+
+    if (error) {
+      console.warn('[Entrega] Não foi possível carregar as formas de entrega:', error.message);
+      return [];
+    }
+
+    this.cache = data || [];
+    this.cacheExpiresAt = Date.now() + CACHE_TTL_MS;
+    return this.cache;
+  }
+
+  invalidate() {
+    this.cache = null;
+    this.cacheExpiresAt = 0;
+  }
+
+  /**
+   * Latitude/longitude do CEP (BrasilAPI), ou null se não houver
+   */
+  async cepCoordinates(cep) {
+    const clean = digits(cep);
+    if (clean.length !== 8) return null;
+    if (this.geoCache.has(clean)) return this.geoCache.get(clean);
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), GEO_TIMEOUT_MS);
+    let coordinates = null;
+    try {
+      const res = await fetch(`https://brasilapi.com.br/api/cep/v2/${clean}`, { signal: controller.signal });
+      if (res.ok) {
+        const data = await res.json();
+        const point = data.location && data.location.coordinates;
+        if (point && point.latitude && point.longitude) {
+          coordinates = { lat: Number(point.latitude), lng: Number(point.longitude) };
+        }
+      }
+    } catch (err) {
+      console.warn(`[Entrega] Não foi possível obter as coordenadas do CEP ${clean}:`, err.message);
+      return null; // falha temporária: não guardar em cache
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (this.geoCache.size >= GEO_CACHE_MAX_ENTRIES) {
+      this.geoCache.delete(this.geoCache.keys().next().value);
+    }
+    this.geoCache.set(clean, coordinates);
+    return coordinates;
+  }
+
+  /**
+   * Verifica se a forma de entrega atende o CEP
+   * @returns {Boolean|null} - null quando a forma tem restrição de área e o CEP não foi informado
+   */
+  async servesCep(method, cep) {
+    if (method.kind === 'pickup') return true;
+
+    const prefixes = (method.cep_prefixes || []).map(digits).filter(Boolean);
+    const hasRadius = Number(method.radius_km) > 0 && method.origin_lat !== null && method.origin_lng !== null;
+    if (!prefixes.length && !hasRadius) return true;
+
+    const clean = digits(cep);
+    if (clean.length !== 8) return null;
+
+    if (prefixes.some(prefix => clean.startsWith(prefix))) return true;
+
+    if (hasRadius) {
+      const coordinates = await this.cepCoordinates(clean);
+      if (coordinates) {
+        const origin = { lat: Number(method.origin_lat), lng: Number(method.origin_lng) };
+        return distanceKm(origin, coordinates) <= Number(method.radius_km);
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Dados públicos de uma forma de entrega, com taxa (após as regras de frete) e disponibilidade para o CEP
+   */
+  async present(method, { cep, subtotal }) {
+    const priced = await shippingRulesService.priceFor(
+      { code: `${CODE_PREFIX}${method.id}`, price: Number(method.fee || 0) },
+      { cep, subtotal }
+    );
+    const available = await this.servesCep(method, cep);
+    return {
+      id: method.id,
+      name: method.name,
+      kind: method.kind,
+      description: method.description || null,
+      fee: priced.price,
+      original_fee: priced.original_price !== undefined ? priced.original_price : null,
+      fee_note: method.fee_note || null,
+      contact: method.contact || null,
+      pickup_locations: method.kind === 'pickup' ? (method.pickup_locations || []) : [],
+      // true: atende; false: fora da área; null: informe o CEP para verificar
+      available
+    };
+  }
+
+  /**
+   * Formas de entrega ativas para o carrinho
+   * @param {Object} context - { cep?, subtotal? } (subtotal apenas para exibição; o checkout recalcula)
+   */
+  async list({ cep, subtotal } = {}) {
+    const methods = await this.loadActive();
+    return Promise.all(methods.map(method => this.present(method, { cep, subtotal })));
+  }
+
+  /**
+   * Forma de entrega local confirmada no servidor para o checkout
+   * Pedidos antigos enviam apenas type 'pickup' ou 'moto-uber': usa a primeira forma ativa do tipo
+   * @param {Object} shipping - { type, method_id?, pickup_location_id?, cepDestino? }
+   * @param {Object} context - { cep (endereço de entrega), subtotal }
+   * @returns {Object} - dados gravados em pending_orders.shipping / orders.shipping
+   */
+  async resolve(shipping, { cep, subtotal }) {
+    const methods = await this.loadActive();
+    const kind = shipping.type === 'moto-uber' ? 'local' : shipping.type;
+
+    const method = shipping.method_id
+      ? methods.find(m => String(m.id) === String(shipping.method_id))
+      : methods.find(m => m.kind === kind);
+
+    if (!method || method.kind !== kind) {
+      const err = new Error('Forma de entrega indisponível. Escolha outra opção no carrinho.');
+      err.status = 400;
+      throw err;
+    }
+
+    const destinationCep = digits(cep || shipping.cepDestino);
+    const serves = await this.servesCep(method, destinationCep);
+    if (serves === null) {
+      const err = new Error('Informe o CEP do endereço de entrega');
+      err.status = 400;
+      throw err;
+    }
+    if (!serves) {
+      const err = new Error(`${method.name} não atende o CEP informado`);
+      err.status = 400;
+      throw err;
+    }
+
+    const presented = await this.present(method, { cep: destinationCep, subtotal });
+    const shippingData = {
+      type: method.kind,
+      method_id: method.id,
+      service_name: method.name,
+      price: presented.fee,
+      original_price: presented.original_fee,
+      fee_note: method.fee_note || null,
+      contact: method.contact || null
+    };
+
+    if (method.kind === 'pickup') {
+      const locations = method.pickup_locations || [];
+      const location = shipping.pickup_location_id
+        ? locations.find(l => String(l.id) === String(shipping.pickup_location_id))
+        : locations[0];
+      if (!location) {
+        const err = new Error('Ponto de retirada inválido');
+        err.status = 400;
+        throw err;
+      }
+      shippingData.pickup_location_id = location.id;
+      shippingData.location_name = location.name || null;
+      shippingData.address = location.address;
+      shippingData.hours = location.hours || null;
+      if (location.phone) shippingData.contact = location.phone;
+    } else {
+      shippingData.cepDestino = destinationCep || null;
+    }
+
+    return shippingData;
+  }
+
+  /**
+   * Normaliza os campos de uma forma de entrega enviados pelo admin
+   * @returns {Object} - apenas os campos presentes no body
+   */
+  methodFromBody(body = {}) {
+    const method = {};
+    if (body.name !== undefined) method.name = String(body.name || '').trim();
+    if (body.kind !== undefined) method.kind = body.kind;
+    if (body.description !== undefined) method.description = body.description ? String(body.description).trim() : null;
+    if (body.fee !== undefined) method.fee = optionalNumber(body.fee) || 0;
+    if (body.fee_note !== undefined) method.fee_note = body.fee_note ? String(body.fee_note).trim() : null;
+    if (body.contact !== undefined) method.contact = body.contact ? String(body.contact).trim() : null;
+    if (body.radius_km !== undefined) method.radius_km = optionalNumber(body.radius_km);
+    if (body.origin_lat !== undefined) method.origin_lat = optionalNumber(body.origin_lat);
+    if (body.origin_lng !== undefined) method.origin_lng = optionalNumber(body.origin_lng);
+    if (body.sort_order !== undefined) method.sort_order = optionalNumber(body.sort_order) || 0;
+    if (body.active !== undefined) method.active = body.active === true || body.active === 'true';
+
+    if (body.cep_prefixes !== undefined) {
+      const list = Array.isArray(body.cep_prefixes) ? body.cep_prefixes : String(body.cep_prefixes || '').split(',');
+      const prefixes = [...new Set(list.map(digits).filter(Boolean))];
+      method.cep_prefixes = prefixes.length ? prefixes : null;
+    }
+
+    if (body.pickup_locations !== undefined) {
+      method.pickup_locations = (Array.isArray(body.pickup_locations) ? body.pickup_locations : [])
+        .filter(l => l && l.address)
+        .map(l => ({
+          id: l.id || crypto.randomUUID(),
+          name: l.name ? String(l.name).trim() : null,
+          address: String(l.address).trim(),
+          hours: l.hours ? String(l.hours).trim() : null,
+          phone: l.phone ? String(l.phone).trim() : null
+        }));
+    }
+
+    return method;
+  }
+}
+
+module.exports = new DeliveryMethodsService();
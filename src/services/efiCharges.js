@@ -0,0 +1,250 @@
+const fetch = require('node-fetch');
+
+/**
+ * Integração com a API de Cobranças do Efí Bank (cartão de crédito e boleto)
+ * Documentação: https://dev.efipay.com.br/docs/api-cobrancas/
+ *
+ * Usa as mesmas credenciais da aplicação PIX (EFIBANK_CLIENT_ID/EFIBANK_CLIENT_SECRET),
+ * mas não exige certificado. A aplicação precisa ter os escopos da API de Cobranças.
+ * Os valores nesta API são em centavos.
+ */
+
+// Status das cobranças no Efí Bank -> status usado pela loja
+const PAID_STATUSES = ['paid', 'settled', 'identified'];
+const CANCELLED_STATUSES = ['canceled', 'unpaid', 'expired'];
+const REFUNDED_STATUSES = ['refunded', 'contested'];
+
+class EfiChargesService {
+  constructor() {
+    // Por padrão, usar ambiente de testes (sandbox)
+    // Para produção, configure EFIBANK_CHARGES_API_URL=https://cobrancas.api.efipay.com.br
+    this.baseURL = process.env.EFIBANK_CHARGES_API_URL || 'https://cobrancas-h.api.efipay.com.br';
+    this.clientId = process.env.EFIBANK_CLIENT_ID;
+    this.clientSecret = process.env.EFIBANK_CLIENT_SECRET;
+    this.accessToken = null;
+    this.tokenExpiresAt = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.clientId && this.clientSecret);
+  }
+
+  isSandbox() {
+    return this.baseURL.includes('cobrancas-h.');
+  }
+
+  /**
+   * Autentica e obtém token de acesso
+   */
+  async authenticate() {
+    if (!this.isConfigured()) {
+      throw new Error('Credenciais do Efí Bank não configuradas. Configure EFIBANK_CLIENT_ID e EFIBANK_CLIENT_SECRET no .env');
+    }
+
+    if (this.accessToken && this.tokenExpiresAt && Date.now() < this.tokenExpiresAt) {
+      return this.accessToken;
+    }
+
+    const credentials = Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64');
+    const response = await fetch(`${this.baseURL}/v1/authorize`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Basic ${credentials}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ grant_type: 'client_credentials' })
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.access_token) {
+      console.error('[Efí Cobranças] Erro na autenticação:', response.status, data);
+      throw new Error('Erro na autenticação com a API de Cobranças do Efí Bank');
+    }
+
+    this.accessToken = data.access_token;
+    this.tokenExpiresAt = Date.now() + ((data.expires_in || 600) - 60) * 1000;
+    return this.accessToken;
+  }
+
+  /**
+   * Requisição autenticada
+   * @returns {Object} - campo "data" da resposta
+   */
+  async request(method, endpoint, body = null) {
+    const token = await this.authenticate();
+    const response = await fetch(`${this.baseURL}${endpoint}`, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const json = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      console.error(`[Efí Cobranças] Erro ${response.status} em ${method} ${endpoint}:`, json);
+      const err = new Error(json.error_description?.message || json.error_description || json.error || `Erro na API de Cobranças (${response.status})`);
+      err.status = response.status === 404 ? 404 : 502;
+      throw err;
+    }
+
+    return json.data;
+  }
+
+  /**
+   * Converte o status do Efí Bank para o status usado pela loja
+   * @returns {String} - 'paid', 'pending', 'cancelled' ou 'refunded'
+   */
+  normalizeStatus(status) {
+    if (PAID_STATUSES.includes(status)) return 'paid';
+    if (CANCELLED_STATUSES.includes(status)) return 'cancelled';
+    if (REFUNDED_STATUSES.includes(status)) return 'refunded';
+    return 'pending';
+  }
+
+  /**
+   * Corpo comum das cobranças "one-step": um único item com o total do pedido
+   */
+  buildChargeBody({ amount, description, customId, notificationUrl }) {
+    const body = {
+      items: [{
+        name: (description || 'Pedido HYPEX').substring(0, 255),
+        value: Math.round(Number(amount) * 100),
+        amount: 1
+      }],
+      metadata: { custom_id: customId }
+    };
+    if (notificationUrl) body.metadata.notification_url = notificationUrl;
+    return body;
+  }
+
+  /**
+   * Cria cobrança no cartão de crédito (token gerado no navegador pela biblioteca do Efí Bank)
+   * @param {Object} params - { amount, description, customId, notificationUrl, paymentToken, installments, customer, billingAddress }
+   * @returns {Object} - { charge_id, status, total, installments, installment_value, reason }
+   */
+  async createCardCharge({ amount, description, customId, notificationUrl, paymentToken, installments = 1, customer, billingAddress }) {
+    const body = this.buildChargeBody({ amount, description, customId, notificationUrl });
+    body.payment = {
+      credit_card: {
+        customer,
+        installments: Number(installments) || 1,
+        payment_token: paymentToken,
+        billing_address: billingAddress
+      }
+    };
+
+    const data = await this.request('POST', '/v1/charge/one-step', body);
+    return {
+      charge_id: data.charge_id,
+      status: data.status,
+      total: data.total,
+      installments: data.installments,
+      installment_value: data.installment_value,
+      reason: data.refusal?.reason || data.reason || null
+    };
+  }
+
+  /**
+   * Cria boleto bancário
+   * @param {Object} params - { amount, description, customId, notificationUrl, customer, expireAt (YYYY-MM-DD) }
+   * @returns {Object} - { charge_id, status, barcode, link, pdf, expire_at, pix }
+   */
+  async createBilletCharge({ amount, description, customId, notificationUrl, customer, expireAt }) {
+    const body = this.buildChargeBody({ amount, description, customId, notificationUrl });
+    body.payment = {
+      banking_billet: {
+        customer,
+        expire_at: expireAt,
+        message: description || undefined
+      }
+    };
+
+    const data = await this.request('POST', '/v1/charge/one-step', body);
+    return {
+      charge_id: data.charge_id,
+      status: data.status,
+      barcode: data.barcode,
+      link: data.billet_link || data.link,
+      pdf: data.pdf?.charge || null,
+      expire_at: data.expire_at,
+      pix: data.pix ? { qrcode: data.pix.qrcode, qrcode_image: data.pix.qrcode_image } : null
+    };
+  }
+
+  /**
+   * Consulta uma cobrança
+   * @returns {Object} - { status, raw_status, paid_at, amount, paid_amount }
+   */
+  async getCharge(chargeId) {
+    let data;
+    try {
+      data = await this.request('GET', `/v1/charge/${chargeId}`);
+    } catch (err) {
+      if (err.status === 404) return { status: 'not_found' };
+      throw err;
+    }
+
+    const status = this.normalizeStatus(data.status);
+    const paidEvent = (data.history || []).find(h => /pag|paid/i.test(h.message || ''));
+    const total = data.total ? data.total / 100 : null;
+
+    return {
+      status,
+      raw_status: data.status,
+      paid_at: status === 'paid' ? (data.paid_at || paidEvent?.created_at || null) : null,
+      amount: total,
+      paid_amount: status === 'paid' ? (data.paid_value ? data.paid_value / 100 : total) : null
+    };
+  }
+
+  /**
+   * Cancela uma cobrança (ex.: boleto vencido de pedido expirado)
+   */
+  async cancelCharge(chargeId) {
+    await this.request('PUT', `/v1/charge/${chargeId}/cancel`);
+    return true;
+  }
+
+  /**
+   * Estorna (total ou parcialmente) uma cobrança no cartão
+   * @param {Number} amount - valor em reais
+   */
+  async refundCard(chargeId, amount) {
+    await this.request('POST', `/v1/charge/card/${chargeId}/refund`, {
+      amount: Math.round(Number(amount) * 100)
+    });
+    return true;
+  }
+
+  /**
+   * Consulta uma notificação recebida no webhook de cobranças
+   * O Efí Bank envia apenas um token; o conteúdo é buscado com as credenciais da loja
+   * @returns {Array} - [{ id, charge_id, status, created_at }]
+   */
+  async getNotification(token) {
+    const data = await this.request('GET', `/v1/notification/${encodeURIComponent(token)}`);
+    return (data || []).map(event => ({
+      id: event.id,
+      charge_id: event.identifiers?.charge_id || null,
+      status: event.status?.current || null,
+      created_at: event.created_at || null
+    }));
+  }
+
+  /**
+   * Cobranças citadas em uma notificação do webhook de cobranças
+   * O Efí Bank envia apenas { notification: token }
+   * @returns {Array} - [{ paymentId, eventId }]
+   */
+  async parseNotification(payload) {
+    if (!payload || !payload.notification) return [];
+    const events = await this.getNotification(payload.notification);
+    return events
+      .filter(event => event.charge_id)
+      .map(event => ({ paymentId: String(event.charge_id), eventId: `charge-${event.id}` }));
+  }
+}
+
+module.exports = new EfiChargesService();
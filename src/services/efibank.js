@@ -2,6 +2,7 @@ const fetch = require('node-fetch');
 const https = require('https');
 const fs = require('fs');
 const path = require('path');
+const qrcodeService = require('./qrcode');
 
 /**
  * Serviço de integração com Efí Bank (Gerencianet)
@@ -22,6 +23,7 @@ class EfibankService {
     this.certificatePassword = process.env.EFIBANK_CERTIFICATE_PASSWORD || ''; // Senha do certificado (opcional)
     this.accessToken = null;
     this.tokenExpiresAt = null;
+    this.chargeExpiration = 3600; // Validade da cobrança PIX em segundos (1 hora)
   }
 
   /**
@@ -366,7 +368,7 @@ class EfibankService {
 
       const payload = {
         calendario: {
-          expiracao: 3600 // 1 hora em segundos
+          expiracao: this.chargeExpiration
         },
         valor: {
           original: amountFormatted
@@ -475,13 +477,13 @@ class EfibankService {
 
       // Calcular data de expiração
       const expiresAt = new Date();
-      expiresAt.setSeconds(expiresAt.getSeconds() + (data.calendario?.expiracao || 3600));
+      expiresAt.setSeconds(expiresAt.getSeconds() + (data.calendario?.expiracao || this.chargeExpiration));
 
       // Gerar imagem do QR Code se não vier da API
       let qrcodeImage = data.imagemQrcode || null;
       if (!qrcodeImage && qrcode) {
         qrcodeImage = this.generateQRCodeImage(qrcode);
-        console.log('[Efí Bank] Imagem do QR code gerada:', qrcodeImage);
+        console.log('[Efí Bank] Imagem do QR code gerada no servidor');
       }
 
       return {
@@ -614,15 +616,22 @@ class EfibankService {
       const isPaid = status === 'CONCLUIDA';
       
       // Se pago, buscar informações do pagamento
+      // endToEndId identifica o PIX recebido e é necessário para devoluções
       let paidAt = null;
+      let e2eid = null;
+      let paidAmount = null;
       if (isPaid && data.pix && Array.isArray(data.pix) && data.pix.length > 0) {
         paidAt = data.pix[0].horario || null;
+        e2eid = data.pix[0].endToEndId || null;
+        paidAmount = data.pix[0].valor ? parseFloat(data.pix[0].valor) : null;
       }
       
       return {
         status: isPaid ? 'paid' : (status === 'REMOVIDA_POR_PAGADOR' || status === 'REMOVIDA_POR_USUARIO_RECEBEDOR' ? 'cancelled' : 'pending'),
         paid_at: paidAt,
-        amount: data.valor ? parseFloat(data.valor.original) : null
+        e2eid,
+        amount: data.valor ? parseFloat(data.valor.original) : null,
+        paid_amount: paidAmount
       };
     } catch (error) {
       console.error('Erro ao consultar status do PIX:', error);
@@ -630,15 +639,104 @@ class EfibankService {
     }
   }
 
+  /**
+   * Solicita devolução (total ou parcial) de um PIX recebido
+   * Endpoint: PUT /v2/pix/{e2eId}/devolucao/{id}
+   * @param {String} e2eid - endToEndId do PIX recebido
+   * @param {Number} amount - Valor a devolver em reais (pode ser parcial)
+   * @param {String} refundId - ID da devolução, único por PIX ([a-zA-Z0-9]{1,35}); gerado se omitido
+   * @returns {Object} - { id, rtr_id, amount, status, requested_at }
+   */
+  async requestRefund(e2eid, amount, refundId = null) {
+    try {
+      if (!e2eid) {
+        throw new Error('endToEndId (e2eid) é obrigatório para devolução');
+      }
+
+      const value = Number(amount);
+      if (!value || Number.isNaN(value) || value <= 0) {
+        throw new Error('Valor da devolução deve ser maior que zero.');
+      }
+
+      const id = refundId || `D${Date.now()}${Math.random().toString(36).slice(2, 10)}`;
+      if (!/^[a-zA-Z0-9]{1,35}$/.test(id)) {
+        throw new Error('ID da devolução inválido (use até 35 caracteres alfanuméricos).');
+      }
+
+      const token = await this.authenticate();
+
+      const isProduction = this.baseURL.includes('api-pix.gerencianet.com.br') || 
+                          this.baseURL.includes('api.efipay.com.br');
+      const isSandbox = this.baseURL.includes('pix-h.api.efipay.com.br');
+      const httpsAgent = isProduction && !isSandbox ? this.getHttpsAgent() : null;
+
+      const endpoint = `${this.baseURL}/v2/pix/${encodeURIComponent(e2eid)}/devolucao/${id}`;
+      const payload = { valor: value.toFixed(2) };
+
+      let data;
+
+      // Se estiver em produção com certificado, usar https diretamente
+      if (isProduction && !isSandbox && httpsAgent) {
+        console.log('[Efí Bank] Solicitando devolução usando módulo https diretamente (com certificado)');
+        const result = await this.makeHttpsRequest(endpoint, {
+          method: 'PUT',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify(payload),
+          agent: httpsAgent
+        });
+        data = result.data;
+      } else {
+        // Para sandbox ou sem certificado, usar fetch normal
+        const response = await fetch(endpoint, {
+          method: 'PUT',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify(payload)
+        });
+
+        if (!response.ok) {
+          const errorText = await response.text();
+          let errorMessage = `Erro ao solicitar devolução PIX (${response.status}): ${errorText}`;
+          try {
+            const errorData = JSON.parse(errorText);
+            if (errorData.mensagem || errorData.detail) {
+              errorMessage = `Erro ao solicitar devolução PIX: ${errorData.mensagem || errorData.detail}`;
+            }
+          } catch (e) {
+            // Se não conseguir parsear, usar mensagem original
+          }
+          throw new Error(errorMessage);
+        }
+
+        data = await response.json();
+      }
+
+      // status: EM_PROCESSAMENTO | DEVOLVIDO | NAO_REALIZADO
+      return {
+        id: data.id || id,
+        rtr_id: data.rtrId || null,
+        amount: data.valor ? parseFloat(data.valor) : value,
+        status: data.status || 'EM_PROCESSAMENTO',
+        requested_at: data.horario?.solicitacao || new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Erro ao solicitar devolução PIX:', error);
+      throw error;
+    }
+  }
+
   /**
    * Gera imagem do QR Code a partir do código PIX
-   * Usa API externa para gerar QR Code visual
+   * O QR Code é gerado no próprio servidor (data URL PNG): o payload do pagamento não é enviado a terceiros
    */
   generateQRCodeImage(qrcode) {
     if (!qrcode) return null;
-    // Usar API pública para gerar QR Code
-    // Alternativa: usar biblioteca qrcode no servidor
-    return `https://api.qrserver.com/v1/create-qr-code/?size=300x300&data=${encodeURIComponent(qrcode)}`;
+    return qrcodeService.toPngDataUrl(qrcode);
   }
 }
 
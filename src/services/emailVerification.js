@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const supabase = require('../db/supabaseClient');
+const mailerService = require('./mailer');
+
+/**
+ * Confirmação de email do cadastro
+ * O link enviado leva um token assinado (HMAC) com o id e o email da conta; nada é guardado
+ * no banco além de users.email_verified. Se o email da conta mudar, links antigos deixam de valer.
+ *
+ * Política do admin (site_settings.checkout_require_verified_email): com 'true', só contas
+ * com email confirmado finalizam compras e geram cobranças PIX.
+ *
+ * Configuração opcional no .env:
+ *   EMAIL_VERIFICATION_SECRET (padrão: JWT_SECRET)
+ *   EMAIL_VERIFICATION_TTL_HOURS (validade do link, padrão 48)
+ *
+ * Obrigatório: PUBLIC_URL (endereço do site no link). Sem ele, nenhum link é enviado (503).
+ */
+
+const TOKEN_TTL_HOURS = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS || 48);
+
+// Intervalo mínimo entre dois emails de confirmação para a mesma conta
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+const POLICY_KEY = 'checkout_require_verified_email';
+const POLICY_CACHE_TTL_MS = 60 * 1000;
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function fromBase64url(value) {
+  return Buffer.from(String(value).replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+}
+
+class EmailVerificationService {
+  constructor() {
+    this.secret = process.env.EMAIL_VERIFICATION_SECRET || process.env.JWT_SECRET || null;
+    if (!this.secret) {
+      if (process.env.NODE_ENV === 'production' || process.env.VERCEL) {
+        // Sem segredo em produção, nenhum link é emitido nem aceito
+        console.error('[Email] EMAIL_VERIFICATION_SECRET/JWT_SECRET não configurado: confirmação de email desativada');
+      } else {
+        this.secret = 'dev_secret';
+      }
+    }
+    this.lastSentAt = new Map();
+    this.policy = null;
+    this.policyExpiresAt = 0;
+  }
+
+  signingSecret() {
+    if (!this.secret) {
+      const err = new Error('Confirmação de email indisponível: EMAIL_VERIFICATION_SECRET não configurado');
+      err.status = 500;
+      throw err;
+    }
+    return this.secret;
+  }
+
+  sign(payload) {
+    const body = base64url(JSON.stringify(payload));
+    const signature = base64url(crypto.createHmac('sha256', this.signingSecret()).update(body).digest());
+    return `${body}.${signature}`;
+  }
+
+  /**
+   * Valida assinatura e validade do token do link
+   * @returns {Object|null} - { uid, email, exp } ou null se inválido/expirado
+   */
+  verify(token) {
+    if (!this.secret || !token || typeof token !== 'string') return null;
+    const [body, signature] = token.split('.');
+    if (!body || !signature) return null;
+
+    const expected = base64url(crypto.createHmac('sha256', this.secret).update(body).digest());
+    const a = Buffer.from(signature);
+    const b = Buffer.from(expected);
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+
+    try {
+      const payload = JSON.parse(fromBase64url(body));
+      if (!payload.uid || !payload.email || !payload.exp || payload.exp * 1000 < Date.now()) return null;
+      return payload;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Envia o link de confirmação para o email da conta
+   * @param {Object} user - { id, email, name }
+   * @returns {Boolean} - false se um link foi enviado há menos de RESEND_INTERVAL_MS
+   */
+  async sendVerification(user) {
+    const base = mailerService.publicUrl();
+    if (!base) {
+      console.error('[Email] PUBLIC_URL não configurado: link de confirmação não enviado');
+      const err = new Error('Envio do link de confirmação indisponível no momento. Tente mais tarde.');
+      err.status = 503;
+      throw err;
+    }
+
+    const last = this.lastSentAt.get(user.id);
+    if (last && last + RESEND_INTERVAL_MS > Date.now()) {
+      console.log(`[Email] Link de confirmação já enviado há menos de ${RESEND_INTERVAL_MS / 1000}s para o usuário ${user.id}`);
+      return false;
+    }
+
+    const token = this.sign({
+      uid: user.id,
+      email: user.email,
+      exp: Math.floor(Date.now() / 1000) + TOKEN_TTL_HOURS * 3600
+    });
+    const link = `${base}/api/auth/verify-email?token=${encodeURIComponent(token)}`;
+
+    const text = `Olá${user.name ? `, ${user.name}` : ''}!\n\n` +
+      'Obrigado por criar sua conta na HYPEX.\n' +
+      `Para confirmar seu email, acesse o link abaixo (válido por ${TOKEN_TTL_HOURS} horas):\n\n` +
+      `${link}\n\n` +
+      'Se você não criou esta conta, ignore este email.\n\n' +
+      'Equipe HYPEX';
+
+    await mailerService.sendMail({ to: user.email, subject: 'Confirme seu email - HYPEX', text });
+    this.lastSentAt.set(user.id, Date.now());
+    return true;
+  }
+
+  /**
+   * Confirma o email com o token do link
+   * @returns {Object} - { id, email }
+   */
+  async confirm(token) {
+    const payload = this.verify(token);
+    if (!payload) {
+      const err = new Error('Link de confirmação inválido ou expirado. Peça um novo link no seu perfil.');
+      err.status = 400;
+      throw err;
+    }
+
+    // Só confirma se o email da conta ainda for o do link
+    const { data, error } = await supabase
+      .from('users')
+      .update({ email_verified: true, email_verified_at: new Date().toISOString() })
+      .eq('id', payload.uid)
+      .eq('email', payload.email)
+      .select('id, email')
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      const err = new Error('Link de confirmação inválido ou expirado. Peça um novo link no seu perfil.');
+      err.status = 400;
+      throw err;
+    }
+
+    this.lastSentAt.delete(data.id);
+    console.log(`[Email] Email confirmado para o usuário ${data.id}`);
+    return data;
+  }
+
+  /**
+   * Indica se o admin exige email confirmado para comprar (cache de 1 minuto)
+   */
+  async checkoutRequiresVerifiedEmail() {
+    if (this.policy !== null && this.policyExpiresAt > Date.now()) return this.policy;
+
+    const { data, error } = await supabase
+      .from('site_settings')
+      .select('value')
+      .eq('key', POLICY_KEY)
+      .maybeSingle();
+
+    if (error) {
+      console.error('[Email] Erro ao ler política de email confirmado:', error.message);
+      return this.policy || false;
+    }
+
+    this.policy = String(data?.value || '').trim().toLowerCase() === 'true';
+    this.policyExpiresAt = Date.now() + POLICY_CACHE_TTL_MS;
+    return this.policy;
+  }
+
+  invalidate() {
+    this.policy = null;
+    this.policyExpiresAt = 0;
+  }
+
+  /**
+   * Recusa a compra (403, code 'email_not_verified') se a política estiver ativa
+   * e o email da conta não estiver confirmado
+   */
+  async assertCanCheckout(userId) {
+    if (!(await this.checkoutRequiresVerifiedEmail())) return;
+
+    const { data, error } = await supabase
+      .from('users')
+      .select('email_verified')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (data && data.email_verified) return;
+
+    const err = new Error('Confirme seu email antes de finalizar a compra. Enviamos um link para o seu email no cadastro.');
+    err.status = 403;
+    err.code = 'email_not_verified';
+    throw err;
+  }
+}
+
+module.exports = new EmailVerificationService();
@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const jwt = require('jsonwebtoken');
+const supabase = require('../db/supabaseClient');
+const sessionService = require('./sessions');
+
+/**
+ * Login com Google (OpenID Connect, fluxo authorization code com PKCE)
+ * Os endpoints vêm do documento de descoberta do emissor, então o fluxo também roda contra
+ * um provedor OIDC local de testes (GOOGLE_OIDC_ISSUER=http://localhost:4001).
+ * O id_token é validado com as chaves públicas do emissor (assinatura, iss, aud, exp e nonce).
+ *
+ * Vínculo com a tabela users: primeiro pelo google_sub; depois pelo email (só se o Google
+ * confirmar o email); sem conta, cria uma sem senha (password_hash nulo).
+ * Conta existente com email ainda não confirmado na loja pode ter sido criada por outra pessoa
+ * com o email da vítima: ao vincular, a senha é removida e as sessões abertas são encerradas.
+ *
+ * Configuração no .env:
+ *   GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET
+ *   GOOGLE_OIDC_ISSUER (padrão https://accounts.google.com)
+ *   PUBLIC_URL (endereço do callback; padrão: endereço da requisição)
+ */
+
+const DEFAULT_ISSUER = 'https://accounts.google.com';
+
+// Documento de descoberta e chaves públicas ficam em cache
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Tempo para concluir o login na tela do Google
+const ATTEMPT_TTL_SECONDS = 10 * 60;
+
+function base64url(buffer) {
+  return buffer.toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function oauthError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+class GoogleAuthService {
+  constructor() {
+    this.discovery = null;
+    this.discoveryExpiresAt = 0;
+    this.keys = new Map();
+  }
+
+  get issuer() {
+    return (process.env.GOOGLE_OIDC_ISSUER || DEFAULT_ISSUER).replace(/\/$/, '');
+  }
+
+  isEnabled() {
+    return Boolean(process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET);
+  }
+
+  async getDiscovery() {
+    if (this.discovery && this.discoveryExpiresAt > Date.now()) return this.discovery;
+
+    const response = await fetch(`${this.issuer}/.well-known/openid-configuration`, { timeout: REQUEST_TIMEOUT_MS });
+    if (!response.ok) throw oauthError(`Descoberta OIDC falhou (${response.status})`, 502);
+    this.discovery = await response.json();
+    this.discoveryExpiresAt = Date.now() + DISCOVERY_TTL_MS;
+    return this.discovery;
+  }
+
+  /**
+   * Parâmetros de uma nova tentativa de login (guardados no cookie até o callback)
+   * @returns {Object} - { state, nonce, codeVerifier }
+   */
+  createAttempt() {
+    return {
+      state: base64url(crypto.randomBytes(24)),
+      nonce: base64url(crypto.randomBytes(24)),
+      codeVerifier: base64url(crypto.randomBytes(32))
+    };
+  }
+
+  /**
+   * Tentativa assinada para o cookie (o callback confere o state e usa o nonce e o verifier)
+   */
+  sealAttempt(attempt) {
+    return jwt.sign(attempt, sessionService.signingSecret(), { expiresIn: ATTEMPT_TTL_SECONDS });
+  }
+
+  /**
+   * @returns {Object|null} - { state, nonce, codeVerifier } ou null se ausente/expirada
+   */
+  openAttempt(value) {
+    if (!value) return null;
+    try {
+      return jwt.verify(value, sessionService.signingSecret());
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * URL da tela de login do Google
+   */
+  async authorizationUrl({ redirectUri, state, nonce, codeVerifier }) {
+    const { authorization_endpoint: endpoint } = await this.getDiscovery();
+    const params = new URLSearchParams({
+      client_id: process.env.GOOGLE_CLIENT_ID,
+      response_type: 'code',
+      scope: 'openid email profile',
+      redirect_uri: redirectUri,
+      state,
+      nonce,
+      code_challenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest()),
+      code_challenge_method: 'S256',
+      prompt: 'select_account'
+    });
+    return `${endpoint}?${params.toString()}`;
+  }
+
+  /**
+   * Troca o code do callback pelo id_token e devolve as informações validadas da conta
+   * @returns {Object} - claims do id_token { sub, email, email_verified, name, ... }
+   */
+  async exchangeCode({ code, redirectUri, codeVerifier, nonce }) {
+    if (!code) throw oauthError('Login com Google cancelado');
+    const { token_endpoint: endpoint } = await this.getDiscovery();
+
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        client_id: process.env.GOOGLE_CLIENT_ID,
+        client_secret: process.env.GOOGLE_CLIENT_SECRET,
+        code_verifier: codeVerifier
+      }).toString(),
+      timeout: REQUEST_TIMEOUT_MS
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.id_token) {
+      console.error('[Google] Erro ao trocar o code:', response.status, data.error || '');
+      throw oauthError('Não foi possível concluir o login com Google', 502);
+    }
+
+    return this.verifyIdToken(data.id_token, nonce);
+  }
+
+  /**
+   * Chave pública do emissor pelo kid (recarrega as chaves se o kid for novo)
+   */
+  async publicKey(kid) {
+    if (!this.keys.has(kid)) {
+      const { jwks_uri: jwksUri } = await this.getDiscovery();
+      const response = await fetch(jwksUri, { timeout: REQUEST_TIMEOUT_MS });
+      if (!response.ok) throw oauthError(`Chaves OIDC indisponíveis (${response.status})`, 502);
+      const { keys = [] } = await response.json();
+      this.keys = new Map(keys.filter(k => k.kty === 'RSA').map(k => [k.kid, crypto.createPublicKey({ key: k, format: 'jwk' })]));
+    }
+    const key = this.keys.get(kid);
+    if (!key) throw oauthError('Login com Google inválido');
+    return key;
+  }
+
+  async verifyIdToken(idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !decoded.header) throw oauthError('Login com Google inválido');
+
+    const key = await this.publicKey(decoded.header.kid);
+    // O Google emite o iss com e sem https://
+    const issuers = [this.issuer];
+    if (this.issuer === DEFAULT_ISSUER) issuers.push('accounts.google.com');
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: ['RS256'],
+        issuer: issuers,
+        audience: process.env.GOOGLE_CLIENT_ID
+      });
+    } catch (err) {
+      console.error('[Google] id_token recusado:', err.message);
+      throw oauthError('Login com Google inválido');
+    }
+    if (!nonce || claims.nonce !== nonce) throw oauthError('Login com Google inválido');
+    if (!claims.sub || !claims.email) throw oauthError('A conta Google não informou o email');
+    return claims;
+  }
+
+  /**
+   * Conta da loja para a conta Google (vincula ou cria)
+   * @returns {Object} - linha de users
+   */
+  async findOrCreateUser(claims) {
+    const { data: linked, error } = await supabase
+      .from('users')
+      .select()
+      .eq('google_sub', claims.sub)
+      .maybeSingle();
+    if (error) throw error;
+    if (linked) return linked;
+
+    // Email ainda não confirmado pelo Google não vincula conta existente (poderia ser de outra pessoa)
+    if (claims.email_verified !== true && claims.email_verified !== 'true') {
+      throw oauthError('Confirme seu email na conta Google antes de usá-la para entrar');
+    }
+
+    const email = String(claims.email).trim().toLowerCase();
+    // Sem diferenciar maiúsculas (cadastros antigos guardam o email como digitado); % e _ literais
+    // Antes de sql/add_users_email_unique.sql pode haver mais de uma conta com o mesmo email em
+    // maiúsculas diferentes: nenhuma é escolhida, o admin precisa juntar as contas
+    const { data: matches, error: existingError } = await supabase
+      .from('users')
+      .select()
+      .ilike('email', email.replace(/[\\%_]/g, '\\$&'))
+      .order('created_at', { ascending: true })
+      .limit(2);
+    if (existingError) throw existingError;
+    if (matches && matches.length > 1) {
+      console.error(`[Google] Mais de uma conta com o email do login Google (usuários ${matches.map(u => u.id).join(', ')})`);
+      throw oauthError('Há mais de uma conta com este email. Entre em contato com a loja para acessar sua conta.', 409);
+    }
+    const existing = matches && matches[0];
+
+    if (existing) {
+      if (existing.google_sub) throw oauthError('Este email já está vinculado a outra conta Google', 409);
+      const verified = existing.email_verified === true;
+      const { data: updated, error: linkError } = await supabase
+        .from('users')
+        .update({
+          google_sub: claims.sub,
+          email_verified: true,
+          // Sem email confirmado, quem definiu a senha pode não ser o dono do email
+          ...(verified ? {} : { email_verified_at: new Date().toISOString(), password_hash: null })
+        })
+        .eq('id', existing.id)
+        .is('google_sub', null)
+        .select()
+        .maybeSingle();
+      if (linkError) throw linkError;
+      if (!updated) throw oauthError('Este email já está vinculado a outra conta Google', 409);
+      if (!verified) {
+        await sessionService.revokeAll(existing.id);
+        console.log(`[Google] Conta Google vinculada ao usuário ${existing.id} (email não confirmado: senha removida e sessões encerradas)`);
+      } else {
+        console.log(`[Google] Conta Google vinculada ao usuário ${existing.id}`);
+      }
+      return updated;
+    }
+
+    const { data: created, error: createError } = await supabase
+      .from('users')
+      .insert([{
+        email,
+        password_hash: null,
+        name: claims.name || null,
+        role: 'customer',
+        google_sub: claims.sub,
+        email_verified: true,
+        email_verified_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+    if (createError) throw createError;
+    console.log(`[Google] Usuário ${created.id} criado pelo login com Google`);
+    return created;
+  }
+}
+
+module.exports = new GoogleAuthService();
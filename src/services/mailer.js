@@ -0,0 +1,75 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Serviço de envio de emails (SMTP via nodemailer)
+ * Configure SMTP_HOST, SMTP_PORT, SMTP_USER e SMTP_PASS no .env
+ */
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// O texto leva dados do cliente e do admin (nome, endereço, observações)
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+class MailerService {
+  constructor() {
+    this.transporter = null;
+  }
+
+  /**
+   * Indica se o SMTP está configurado
+   */
+  isConfigured() {
+    return Boolean(process.env.SMTP_HOST && process.env.SMTP_USER);
+  }
+
+  /**
+   * Endereço do site usado nos links enviados por email (PUBLIC_URL, sem barra no fim)
+   * Nunca vem da requisição: o Host é escolhido por quem chama e o link levaria o token para outro site
+   * @returns {String|null} - null sem PUBLIC_URL (quem envia o link não deve enviar o email)
+   */
+  publicUrl() {
+    const base = String(process.env.PUBLIC_URL || '').trim().replace(/\/+$/, '');
+    return base || null;
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT || 587),
+        secure: false,
+        auth: {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS
+        }
+      });
+    }
+    return this.transporter;
+  }
+
+  /**
+   * Envia um email
+   * @param {Object} params - { to, subject, text, html }
+   * @returns {Boolean} - true se o email foi enviado
+   */
+  async sendMail({ to, subject, text, html }) {
+    if (!to) return false;
+    if (!this.isConfigured()) {
+      console.warn(`[Mailer] SMTP não configurado. Email "${subject}" para ${to} não enviado.`);
+      return false;
+    }
+
+    await this.getTransporter().sendMail({
+      from: process.env.SMTP_USER,
+      to,
+      subject,
+      text,
+      html: html || `<pre>${escapeHtml(text)}</pre>`
+    });
+    return true;
+  }
+}
+
+module.exports = new MailerService();
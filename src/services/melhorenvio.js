@@ -3,18 +3,139 @@ const fetch = require('node-fetch');
 /**
  * Melhor Envio API Service
  * Docs: https://docs.melhorenvio.com.br/
+ *
+ * Cotação (calculateShipping) e etiquetas: carrinho -> compra -> geração -> impressão, e rastreio.
+ * MELHOR_ENVIO_API_URL aponta o serviço para outro endereço (ex.: um mock local da API em testes).
  */
 
 class MelhorEnvioService {
   constructor() {
-    this.baseUrl = process.env.MELHOR_ENVIO_SANDBOX === 'true' 
-      ? 'https://sandbox.melhorenvio.com.br/api/v2'
-      : 'https://melhorenvio.com.br/api/v2';
+    this.baseUrl = process.env.MELHOR_ENVIO_API_URL
+      ? process.env.MELHOR_ENVIO_API_URL.replace(/\/$/, '')
+      : (process.env.MELHOR_ENVIO_SANDBOX === 'true'
+        ? 'https://sandbox.melhorenvio.com.br/api/v2'
+        : 'https://melhorenvio.com.br/api/v2');
     
     this.token = process.env.MELHOR_ENVIO_TOKEN;
     this.fromPostalCode = process.env.CEP_ORIGEM || '01001000';
   }
 
+  /**
+   * Remetente das etiquetas (dados da loja no .env)
+   */
+  getSender() {
+    return {
+      name: process.env.MELHOR_ENVIO_FROM_NAME || 'HYPEX',
+      phone: String(process.env.MELHOR_ENVIO_FROM_PHONE || '').replace(/\D/g, ''),
+      email: process.env.MELHOR_ENVIO_FROM_EMAIL || process.env.EMAIL_FROM || '',
+      document: String(process.env.MELHOR_ENVIO_FROM_DOCUMENT || '').replace(/\D/g, '') || undefined,
+      company_document: String(process.env.MELHOR_ENVIO_FROM_COMPANY_DOCUMENT || '').replace(/\D/g, '') || undefined,
+      address: process.env.MELHOR_ENVIO_FROM_ADDRESS || '',
+      number: process.env.MELHOR_ENVIO_FROM_NUMBER || '',
+      complement: process.env.MELHOR_ENVIO_FROM_COMPLEMENT || '',
+      district: process.env.MELHOR_ENVIO_FROM_DISTRICT || '',
+      city: process.env.MELHOR_ENVIO_FROM_CITY || '',
+      state_abbr: process.env.MELHOR_ENVIO_FROM_STATE || '',
+      country_id: 'BR',
+      postal_code: String(this.fromPostalCode).replace(/\D/g, '')
+    };
+  }
+
+  /**
+   * Chamada autenticada à API
+   * @returns {Promise<Object>} JSON da resposta
+   */
+  async request(method, path, body) {
+    if (!this.token) {
+      const err = new Error('MELHOR_ENVIO_TOKEN não configurado');
+      err.status = 503;
+      throw err;
+    }
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}${path}`, {
+        method,
+        headers: {
+          'Accept': 'application/json',
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${this.token}`,
+          'User-Agent': 'HypexStore/1.0'
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        timeout: 15000
+      });
+    } catch (error) {
+      if (error.name === 'AbortError' || error.type === 'request-timeout' || error.code === 'ETIMEDOUT') {
+        throw new Error('Tempo excedido ao consultar Melhor Envio');
+      }
+      throw error;
+    }
+
+    const text = await response.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch (e) {
+      data = null;
+    }
+
+    if (!response.ok) {
+      let errorMessage = (data && (data.message || data.error)) || text.substring(0, 200) || 'Erro na API do Melhor Envio';
+      // Erros de validação: { message, errors: { campo: [mensagens] } }
+      if (data && data.errors && typeof data.errors === 'object') {
+        const details = Object.values(data.errors).flat().filter(Boolean);
+        if (details.length) errorMessage = `${errorMessage}: ${details.join('; ')}`;
+      }
+      const err = new Error(`Melhor Envio API error (${response.status}): ${errorMessage}`);
+      err.status = response.status >= 500 ? 502 : 400;
+      throw err;
+    }
+
+    return data;
+  }
+
+  /**
+   * Adiciona um envio ao carrinho do Melhor Envio
+   * @param {Object} shipment - { service, to, products, volumes, options } (o remetente vem do .env)
+   * @returns {Promise<Object>} - { id, protocol, status, price, ... }
+   */
+  async addToCart(shipment) {
+    return this.request('POST', '/me/cart', { from: this.getSender(), ...shipment });
+  }
+
+  /**
+   * Compra (paga com o saldo da conta) os envios do carrinho
+   * @param {Array<string>} orderIds - IDs dos envios no Melhor Envio
+   */
+  async checkout(orderIds) {
+    return this.request('POST', '/me/shipment/checkout', { orders: orderIds });
+  }
+
+  /**
+   * Gera as etiquetas dos envios comprados
+   */
+  async generateLabels(orderIds) {
+    return this.request('POST', '/me/shipment/generate', { orders: orderIds });
+  }
+
+  /**
+   * Link para imprimir as etiquetas geradas
+   * @returns {Promise<string>} URL do PDF
+   */
+  async printLabels(orderIds) {
+    const data = await this.request('POST', '/me/shipment/print', { mode: 'public', orders: orderIds });
+    return data && data.url;
+  }
+
+  /**
+   * Rastreio dos envios
+   * @returns {Promise<Object>} - { [id]: { status, tracking, melhorenvio_tracking, posted_at, delivered_at, ... } }
+   */
+  async tracking(orderIds) {
+    return this.request('POST', '/me/shipment/tracking', { orders: orderIds });
+  }
+
   /**
    * Calculate shipping for products
    * @param {Object} params - Shipping parameters
@@ -0,0 +1,294 @@
+const supabase = require('../db/supabaseClient');
+const stockReservationService = require('./stockReservation');
+const orderStatusService = require('./orderStatus');
+const orderRefundService = require('./orderRefund');
+const mailerService = require('./mailer');
+
+/**
+ * Serviço de finalização de pedidos
+ * Converte um pending_order pago em um order real.
+ *
+ * É chamado tanto pelo webhook do Efí Bank quanto pelo polling de status
+ * (GET /api/orders/pending/:id/status). A chave é o ID da cobrança (txid do PIX ou charge_id do cartão/boleto):
+ * o índice único em orders.payment_txid garante um único pedido por pagamento,
+ * mesmo quando as duas rotas processam o mesmo pagamento ao mesmo tempo.
+ */
+
+// Nota do histórico do pedido por provedor de pagamento
+const PAYMENT_NOTES = {
+  efibank: 'Pagamento PIX confirmado',
+  manual: 'Pagamento PIX manual confirmado pelo admin',
+  efibank_card: 'Pagamento no cartão de crédito confirmado',
+  efibank_boleto: 'Pagamento do boleto confirmado'
+};
+
+class OrderFinalizationService {
+  /**
+   * Busca o pedido criado para uma cobrança PIX
+   * @param {String} txid - ID da transação PIX
+   * @returns {Object|null} - Pedido ou null se ainda não foi criado
+   */
+  async findOrderByTxid(txid) {
+    const { data, error } = await supabase
+      .from('orders')
+      .select('*')
+      .eq('payment_txid', txid)
+      .single();
+
+    if (error || !data) return null;
+    return data;
+  }
+
+  /**
+   * Calcula a previsão de entrega a partir do prazo do frete
+   * O prazo do Melhor Envio é em dias úteis, então sábados e domingos são pulados
+   * @param {Object} shipping - Dados de frete do pedido ({ prazo })
+   * @param {Date} fromDate - Data de início da contagem (confirmação do pagamento)
+   * @returns {String|null} - Data prevista (ISO) ou null se não houver prazo
+   */
+  computeDeliveryEstimate(shipping, fromDate = new Date()) {
+    const prazo = Number(shipping?.prazo);
+    if (!prazo || Number.isNaN(prazo) || prazo <= 0) return null;
+
+    const estimate = new Date(fromDate);
+    let remaining = Math.ceil(prazo);
+    while (remaining > 0) {
+      estimate.setDate(estimate.getDate() + 1);
+      const day = estimate.getDay();
+      if (day !== 0 && day !== 6) remaining--;
+    }
+    return estimate.toISOString();
+  }
+
+  /**
+   * Monta o payload do pedido a partir do pedido pendente
+   * @param {Object} pendingOrder - Registro de pending_orders
+   * @param {Object} payment - { paidAt, e2eid }
+   * @returns {Object} - Payload para inserir em orders
+   */
+  buildOrderPayload(pendingOrder, { paidAt, e2eid } = {}) {
+    const now = new Date().toISOString();
+    const orderPayload = {
+      user_id: pendingOrder.user_id,
+      items: pendingOrder.items,
+      total: pendingOrder.total,
+      address: pendingOrder.address,
+      status: 'pedido feito',
+      payment_txid: pendingOrder.payment_id,
+      payment: {
+        txid: pendingOrder.payment_id,
+        method: pendingOrder.payment_method || 'pix',
+        provider: pendingOrder.payment_provider || 'efibank',
+        status: 'paid',
+        paid_at: paidAt || now,
+        e2eid: e2eid || null,
+        details: pendingOrder.payment_details || null
+      },
+      payment_confirmed_at: now
+    };
+
+    // Adicionar campos de cupom se houver
+    if (pendingOrder.coupon_code) {
+      orderPayload.coupon_code = pendingOrder.coupon_code;
+      orderPayload.coupon_discount = pendingOrder.coupon_discount || 0;
+    }
+
+    // Adicionar frete escolhido no checkout e a previsão de entrega
+    if (pendingOrder.shipping) {
+      orderPayload.shipping = pendingOrder.shipping;
+      orderPayload.delivery_estimate = this.computeDeliveryEstimate(pendingOrder.shipping, new Date(now));
+    }
+
+    return orderPayload;
+  }
+
+  /**
+   * Finaliza o pagamento de uma cobrança PIX
+   * Idempotente: chamadas repetidas retornam o mesmo pedido, sem duplicar estoque ou emails
+   * @param {String} txid - ID da transação PIX (pending_orders.payment_id)
+   * @param {Object} options - { paidAt, e2eid, paidAmount }
+   *   paidAmount: valor confirmado pelo banco; se informado, precisa ser igual a pending_orders.total
+   * @returns {Object|null} - { order, pendingOrder, created } ou null se não houver pedido pendente
+   */
+  async finalizeByTxid(txid, { paidAt, e2eid, paidAmount } = {}) {
+    if (!txid) {
+      throw new Error('txid é obrigatório para finalizar o pedido');
+    }
+
+    const { data: pendingOrder, error: pendingError } = await supabase
+      .from('pending_orders')
+      .select('*')
+      .eq('payment_id', txid)
+      .single();
+
+    if (pendingError || !pendingOrder) {
+      return null;
+    }
+
+    if (paidAmount !== undefined && paidAmount !== null) {
+      const expected = Math.round(Number(pendingOrder.total) * 100);
+      if (Math.round(Number(paidAmount) * 100) !== expected) {
+        const err = new Error(`Valor pago (R$ ${Number(paidAmount).toFixed(2)}) diferente do total do pedido (R$ ${Number(pendingOrder.total).toFixed(2)})`);
+        err.code = 'AMOUNT_MISMATCH';
+        throw err;
+      }
+    }
+
+    let order = await this.findOrderByTxid(txid);
+    let created = false;
+
+    if (!order) {
+      const { data, error: orderError } = await supabase
+        .from('orders')
+        .insert([this.buildOrderPayload(pendingOrder, { paidAt, e2eid })])
+        .select()
+        .single();
+
+      if (orderError) {
+        // 23505 = unique_violation: outra requisição criou o pedido primeiro
+        if (orderError.code !== '23505') {
+          throw new Error(`Erro ao criar pedido após pagamento: ${orderError.message}`);
+        }
+        order = await this.findOrderByTxid(txid);
+        if (!order) {
+          throw new Error(`Pedido do pagamento ${txid} não encontrado após conflito`);
+        }
+        console.log(`[Finalização] Pedido ${order.id} já havia sido criado para o txid ${txid}`);
+      } else {
+        order = data;
+        created = true;
+        console.log(`[Finalização] Pedido ${order.id} criado para o txid ${txid}`);
+      }
+    }
+
+    // Os passos abaixo são idempotentes e rodam sempre, para completar
+    // uma finalização que tenha sido interrompida no meio
+    let outOfStock = Boolean(order.payment?.refund_required);
+    if (!outOfStock) {
+      outOfStock = !(await this.secureStock(pendingOrder));
+      if (outOfStock) {
+        try {
+          order = await orderRefundService.flagForRefund(order.id, 'Pagamento confirmado sem estoque disponível para o pedido');
+        } catch (flagError) {
+          console.error(`[Finalização] Erro ao marcar o pedido ${order.id} para devolução:`, flagError);
+        }
+      }
+    }
+
+    if (pendingOrder.payment_status !== 'paid') {
+      await supabase
+        .from('pending_orders')
+        .update({
+          payment_status: 'paid',
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', pendingOrder.id);
+    }
+
+    if (created) {
+      // Pagamento recebido depois que o checkout expirou: a reserva já havia sido liberada
+      const paidAfterExpiry = pendingOrder.payment_status === 'expired';
+      if (paidAfterExpiry) {
+        console.warn(`[Finalização] Pedido ${order.id} pago após a expiração do pedido pendente ${pendingOrder.id}`);
+      }
+      await orderStatusService.recordHistory(order.id, {
+        fromStatus: null,
+        toStatus: order.status,
+        note: [
+          PAYMENT_NOTES[pendingOrder.payment_provider] || PAYMENT_NOTES.efibank,
+          paidAfterExpiry ? 'após a expiração do checkout' : null,
+          outOfStock ? '- sem estoque para o pedido: devolver o pagamento' : null
+        ].filter(Boolean).join(' ')
+      });
+      await this.notifyAdmin(order, pendingOrder, { outOfStock });
+    }
+
+    return { order, pendingOrder, created };
+  }
+
+  /**
+   * Baixa o estoque do pedido pago
+   * Normalmente confirma a reserva do checkout. Se não há reserva ativa (liberada na expiração do
+   * checkout) ou ela não cobre mais o estoque, baixa de novo com o estoque disponível agora.
+   * Outros erros de banco são só registrados, como antes: o pedido segue sem marcação.
+   * @returns {Boolean} - false se não há estoque para o pedido (o pagamento precisa ser devolvido)
+   */
+  async secureStock(pendingOrder) {
+    try {
+      const committed = await stockReservationService.commit(pendingOrder.id);
+      if (committed > 0) {
+        console.log(`[Finalização] ${committed} reserva(s) de estoque confirmada(s) para o pedido pendente ${pendingOrder.id}`);
+        return true;
+      }
+    } catch (stockError) {
+      if (stockError.code !== 'insufficient_stock') {
+        console.error(`[Finalização] Erro ao confirmar reserva de estoque do pedido pendente ${pendingOrder.id}:`, stockError);
+        return true;
+      }
+    }
+
+    // Sem reserva para confirmar: já confirmada numa chamada anterior (take não baixa de novo),
+    // liberada na expiração ou sem estoque para cobri-la
+    try {
+      const taken = await stockReservationService.take(pendingOrder.id, pendingOrder.items || []);
+      if (taken > 0) {
+        console.log(`[Finalização] Estoque baixado sem reserva ativa para o pedido pendente ${pendingOrder.id} (${taken} item(ns))`);
+      }
+      return true;
+    } catch (stockError) {
+      if (stockError.code !== 'insufficient_stock') {
+        console.error(`[Finalização] Erro ao baixar estoque do pedido pendente ${pendingOrder.id}:`, stockError);
+        return true;
+      }
+      console.warn(`[Finalização] Sem estoque para o pedido pendente ${pendingOrder.id}: ${stockError.message}`);
+      try {
+        await stockReservationService.release(pendingOrder.id);
+      } catch (releaseError) {
+        console.error(`[Finalização] Erro ao liberar reserva do pedido pendente ${pendingOrder.id}:`, releaseError);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Envia email para o admin avisando sobre o novo pedido (opcional)
+   * Erros de email nunca interrompem a finalização
+   * @param {Object} options - { outOfStock } (pedido pago sem estoque: precisa ser devolvido)
+   */
+  async notifyAdmin(order, pendingOrder, { outOfStock = false } = {}) {
+    try {
+      const adminEmail = process.env.ADMIN_EMAIL;
+      if (adminEmail) {
+        const itemsText = order.items.map(i => {
+          let itemText = `- ${i.name} x${i.qty} - R$ ${(i.price * i.qty).toFixed(2)}`;
+          if (i.size) {
+            itemText += ` (Tamanho: ${i.size})`;
+          }
+          if (i.variation_id) {
+            itemText += ` (Variação)`;
+          }
+          return itemText;
+        }).join('\n');
+        const text = (outOfStock ? 'ATENÇÃO: não há estoque para este pedido. Devolva o pagamento pelo painel de pedidos.\n\n' : '') +
+          `Novo pedido confirmado #${order.id.substring(0, 8)}\n\n` +
+          `Cliente: ${pendingOrder.user_id}\n` +
+          `Total: R$ ${(order.total || 0).toFixed(2)}\n` +
+          `Endereço: ${JSON.stringify(order.address || {})}\n\n` +
+          `Itens:\n${itemsText}`;
+
+        await mailerService.sendMail({
+          to: adminEmail,
+          subject: outOfStock
+            ? `⚠️ Pedido #${order.id.substring(0, 8)} pago sem estoque: devolver o pagamento`
+            : `✅ Novo pedido confirmado #${order.id.substring(0, 8)}`,
+          text
+        });
+      }
+    } catch (emailError) {
+      console.error('Erro ao enviar email:', emailError);
+      // Não falhar a finalização por erro de email
+    }
+  }
+}
+
+module.exports = new OrderFinalizationService();
@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const supabase = require('../db/supabaseClient');
+const paymentService = require('./payments');
+const stockReservationService = require('./stockReservation');
+
+/**
+ * Serviço de devolução (reembolso) de pedidos pagos
+ * Os registros ficam em orders.payment.refunds; a devolução em si é feita pelo provedor de pagamento
+ * (devolução PIX ou estorno no cartão).
+ *
+ * Duas devoluções ao mesmo tempo não podem passar as duas pela conferência do saldo: antes de chamar
+ * o provedor, a devolução é registrada no pedido como pendente (o valor já conta no saldo) e a
+ * gravação só acontece se orders.payment não mudou desde a leitura (payment.revision); em conflito,
+ * o pedido é lido de novo e a conferência refeita.
+ */
+
+// Devoluções recusadas pelo banco não contam no total devolvido
+const FAILED_REFUND_STATUS = 'NAO_REALIZADO';
+
+// Tentativas de gravar no pedido quando outra operação o altera ao mesmo tempo
+const MAX_WRITE_ATTEMPTS = 5;
+
+function refundError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+class OrderRefundService {
+  /**
+   * Total já devolvido de um pedido (inclui devoluções ainda pendentes no provedor)
+   */
+  refundedAmount(order) {
+    const refunds = order.payment?.refunds || [];
+    return refunds
+      .filter(r => !r.failed && r.status !== FAILED_REFUND_STATUS)
+      .reduce((sum, r) => sum + Number(r.amount || 0), 0);
+  }
+
+  async loadOrder(orderId) {
+    const { data: order, error } = await supabase
+      .from('orders')
+      .select('*')
+      .eq('id', orderId)
+      .single();
+
+    if (error || !order) throw refundError('Pedido não encontrado', 404);
+    return order;
+  }
+
+  /**
+   * Lê o pedido, aplica change(order) -> novo payment e grava só se payment.revision não mudou
+   * Em conflito, repete com o pedido atualizado (change pode lançar erro de validação)
+   * @returns {Object} - pedido atualizado
+   */
+  async updatePayment(orderId, change) {
+    for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+      const order = await this.loadOrder(orderId);
+      const revision = order.payment?.revision || null;
+      const payment = { ...change(order), revision: Number(revision || 0) + 1 };
+
+      let query = supabase
+        .from('orders')
+        .update({ payment })
+        .eq('id', order.id);
+      query = revision ? query.eq('payment->>revision', String(revision)) : query.is('payment->>revision', null);
+      const { data: updated, error } = await query.select().maybeSingle();
+
+      if (error) throw new Error(`Erro ao registrar devolução no pedido: ${error.message}`);
+      if (updated) return updated;
+    }
+
+    throw refundError('O pedido foi alterado por outra operação ao mesmo tempo. Tente novamente.', 409);
+  }
+
+  /**
+   * Devolve (total ou parcialmente) o pagamento de um pedido
+   * @param {String} orderId - ID do pedido
+   * @param {Object} options - { amount, restock, reason, requestedBy }
+   *   amount: valor a devolver (padrão: todo o saldo ainda não devolvido)
+   *   restock: devolver os itens do pedido ao estoque (apenas uma vez por pedido, e só na devolução
+   *            que quita o saldo: numa parcial não dá para saber quais itens voltaram). Recusado em pedido
+   *            marcado para devolução (refund_required): o estoque dele nunca foi baixado
+   * @returns {Object} - { order, refund }
+   */
+  async refundOrder(orderId, { amount, restock = false, reason = null, requestedBy = null } = {}) {
+    // ID da devolução no Efí Bank ([a-zA-Z0-9]{1,35}); repetir o pedido com o mesmo ID não devolve duas vezes
+    const refundId = `D${Date.now()}${crypto.randomBytes(6).toString('hex')}`;
+    let value;
+
+    // 1. Reserva o valor (e a devolução ao estoque) no pedido antes de chamar o provedor
+    const order = await this.updatePayment(orderId, current => {
+      const payment = current.payment || {};
+      if (!payment.txid) throw refundError('Pedido não possui pagamento para devolver');
+
+      const total = Number(current.total || 0);
+      const remaining = Math.round((total - this.refundedAmount(current)) * 100) / 100;
+      value = typeof amount === 'undefined' || amount === null || amount === ''
+        ? remaining
+        : Math.round(Number(amount) * 100) / 100;
+
+      if (Number.isNaN(value) || value <= 0) {
+        throw refundError('Valor da devolução deve ser maior que zero');
+      }
+      if (value > remaining) {
+        throw refundError(`Valor excede o saldo disponível para devolução (R$ ${remaining.toFixed(2)})`);
+      }
+      if (restock && payment.refund_required) {
+        throw refundError('Os itens deste pedido não foram baixados do estoque; não há o que devolver', 409);
+      }
+      if (restock && payment.restocked_at) {
+        throw refundError('Os itens deste pedido já foram devolvidos ao estoque', 409);
+      }
+      if (restock && value < remaining) {
+        throw refundError('A devolução ao estoque só é permitida quando todo o saldo do pedido é devolvido');
+      }
+
+      const pending = {
+        id: refundId,
+        amount: value,
+        status: 'EM_PROCESSAMENTO',
+        requested_at: new Date().toISOString(),
+        requested_by: requestedBy,
+        reason,
+        pending: true,
+        failed: false,
+        restocked: false
+      };
+      return {
+        ...payment,
+        refunds: [...(payment.refunds || []), pending],
+        ...(restock ? { restocked_at: new Date().toISOString() } : {})
+      };
+    });
+
+    // 2. Devolução no provedor
+    let result;
+    try {
+      result = await paymentService.getProvider(order.payment.provider).refund(order, value, { refundId });
+    } catch (providerError) {
+      await this.settle(orderId, refundId, null, { restockClaimed: restock }).catch(settleError => {
+        console.error(`[Devolução] Erro ao desfazer a devolução pendente ${refundId} do pedido ${orderId}:`, settleError);
+      });
+      throw providerError;
+    }
+
+    const refund = {
+      id: result.id,
+      rtr_id: result.rtr_id,
+      amount: result.amount,
+      status: result.status,
+      requested_at: result.requested_at,
+      requested_by: requestedBy,
+      reason,
+      failed: Boolean(result.failed),
+      restocked: false
+    };
+
+    if (restock && !refund.failed) {
+      try {
+        await stockReservationService.restock(order.items || []);
+        refund.restocked = true;
+      } catch (stockError) {
+        console.error(`[Devolução] Erro ao devolver itens do pedido ${order.id} ao estoque:`, stockError);
+      }
+    }
+
+    // 3. Troca o registro pendente pelo resultado do provedor
+    let updated;
+    try {
+      updated = await this.settle(orderId, refundId, refund, { restockClaimed: restock, e2eid: result.e2eid });
+    } catch (updateError) {
+      // A devolução já foi solicitada ao banco: registrar para conciliação manual
+      console.error(`[Devolução] Devolução ${refund.id} solicitada mas não registrada no pedido ${order.id}:`, updateError);
+      throw new Error(`Devolução solicitada (id ${refund.id}), mas houve erro ao registrar no pedido: ${updateError.message}`);
+    }
+
+    console.log(`[Devolução] R$ ${refund.amount.toFixed(2)} do pedido ${order.id} (${refund.status})`);
+    return { order: updated, refund };
+  }
+
+  /**
+   * Conclui a devolução pendente: grava o resultado do provedor ou, sem resultado, remove o registro
+   * Recalcula o status do pagamento só com as devoluções já concluídas
+   * @param {Object|null} refund - registro final da devolução (null = provedor falhou)
+   * @param {Object} options - { restockClaimed, e2eid }
+   */
+  async settle(orderId, refundId, refund, { restockClaimed = false, e2eid = null } = {}) {
+    return this.updatePayment(orderId, current => {
+      const payment = current.payment || {};
+      const refunds = (payment.refunds || [])
+        .map(r => (r.id === refundId ? refund : r))
+        .filter(Boolean);
+      const settled = refunds.filter(r => !r.pending);
+
+      const total = Number(current.total || 0);
+      const refundedTotal = this.refundedAmount({ payment: { refunds: settled } });
+      const updatedPayment = {
+        ...payment,
+        e2eid: e2eid || payment.e2eid || null,
+        refunds,
+        status: refundedTotal >= total ? 'refunded' : (refundedTotal > 0 ? 'partially_refunded' : payment.status)
+      };
+      // A devolução ao estoque reservada no passo 1 só fica marcada se aconteceu
+      if (restockClaimed && !(refund && refund.restocked)) delete updatedPayment.restocked_at;
+      if (updatedPayment.status === 'refunded') delete updatedPayment.refund_required;
+      return updatedPayment;
+    });
+  }
+
+  /**
+   * Marca um pedido pago que precisa ser devolvido (ex.: pago sem estoque disponível)
+   * O admin vê o aviso no pedido; a marcação sai quando o pagamento é devolvido por inteiro
+   * @returns {Object} - pedido atualizado
+   */
+  async flagForRefund(orderId, reason) {
+    const order = await this.updatePayment(orderId, current => ({
+      ...(current.payment || {}),
+      refund_required: { reason, flagged_at: new Date().toISOString() }
+    }));
+    console.warn(`[Devolução] Pedido ${orderId} marcado para devolução: ${reason}`);
+    return order;
+  }
+}
+
+module.exports = new OrderRefundService();
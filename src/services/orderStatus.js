@@ -0,0 +1,204 @@
+const supabase = require('../db/supabaseClient');
+const mailerService = require('./mailer');
+
+/**
+ * Ciclo de vida dos pedidos
+ *
+ *   pedido feito -> em separacao -> enviado -> entregue
+ *        |               |             |          |
+ *        +-> cancelado <-+             |          +-> devolucao solicitada -> devolvido
+ *                                      +-> devolvido (retornou ao remetente)
+ *
+ * Toda mudança é registrada em order_status_history (ver sql/add_order_status_history.sql).
+ */
+
+const STATUS_LABELS = {
+  'pedido feito': 'Pedido feito',
+  'em separacao': 'Em separação',
+  'enviado': 'Enviado',
+  'entregue': 'Entregue',
+  'cancelado': 'Cancelado',
+  'devolucao solicitada': 'Devolução solicitada',
+  'devolvido': 'Devolvido'
+};
+
+const TRANSITIONS = {
+  'pedido feito': ['em separacao', 'cancelado'],
+  'em separacao': ['pedido feito', 'enviado', 'cancelado'],
+  'enviado': ['entregue', 'devolvido'],
+  'entregue': ['devolucao solicitada'],
+  'devolucao solicitada': ['devolvido', 'entregue'],
+  'cancelado': [],
+  'devolvido': []
+};
+
+// Mensagens enviadas ao cliente em cada status
+const CUSTOMER_MESSAGES = {
+  'em separacao': 'Seu pedido está sendo separado e logo será enviado.',
+  'enviado': 'Seu pedido foi enviado! Acompanhe a entrega pelo seu perfil na loja.',
+  'entregue': 'Seu pedido foi entregue. Esperamos que goste!',
+  'cancelado': 'Seu pedido foi cancelado. Se o pagamento já foi feito, o valor será devolvido.',
+  'devolucao solicitada': 'Recebemos sua solicitação de devolução. Em breve entraremos em contato.',
+  'devolvido': 'A devolução do seu pedido foi concluída.'
+};
+
+class OrderStatusService {
+  constructor() {
+    this.labels = STATUS_LABELS;
+    this.transitions = TRANSITIONS;
+  }
+
+  isValidStatus(status) {
+    return Object.prototype.hasOwnProperty.call(TRANSITIONS, status);
+  }
+
+  /**
+   * Status para os quais um pedido pode ir a partir do status atual
+   * Pedidos com status fora do ciclo (legado) podem ir para qualquer status
+   */
+  allowedTransitions(fromStatus) {
+    if (!this.isValidStatus(fromStatus)) return Object.keys(TRANSITIONS);
+    return TRANSITIONS[fromStatus];
+  }
+
+  canTransition(fromStatus, toStatus) {
+    return this.allowedTransitions(fromStatus).includes(toStatus);
+  }
+
+  /**
+   * Registra uma mudança de status no histórico
+   * @param {String} orderId - ID do pedido
+   * @param {Object} params - { fromStatus, toStatus, changedBy, note, notified }
+   */
+  async recordHistory(orderId, { fromStatus, toStatus, changedBy = null, note = null, notified = false }) {
+    const { error } = await supabase
+      .from('order_status_history')
+      .insert([{
+        order_id: orderId,
+        from_status: fromStatus,
+        to_status: toStatus,
+        changed_by: changedBy,
+        note,
+        notified
+      }]);
+
+    if (error) {
+      console.error(`[Status] Erro ao registrar histórico do pedido ${orderId}:`, error);
+    }
+  }
+
+  /**
+   * Histórico de status de um pedido (mais antigo primeiro)
+   */
+  async getHistory(orderId) {
+    const { data, error } = await supabase
+      .from('order_status_history')
+      .select('*')
+      .eq('order_id', orderId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw new Error(`Erro ao carregar histórico: ${error.message}`);
+    return data || [];
+  }
+
+  /**
+   * Altera o status de um pedido respeitando as transições permitidas
+   * @param {String} orderId - ID do pedido
+   * @param {String} toStatus - Novo status
+   * @param {Object} options - { changedBy, note, notifyCustomer, deliveryEstimate }
+   * @returns {Object} - Pedido atualizado
+   */
+  async changeStatus(orderId, toStatus, { changedBy = null, note = null, notifyCustomer = false, deliveryEstimate } = {}) {
+    if (!this.isValidStatus(toStatus)) {
+      const err = new Error(`Status inválido: ${toStatus}`);
+      err.status = 400;
+      throw err;
+    }
+
+    const { data: order, error: orderError } = await supabase
+      .from('orders')
+      .select('*')
+      .eq('id', orderId)
+      .single();
+
+    if (orderError || !order) {
+      const err = new Error('Pedido não encontrado');
+      err.status = 404;
+      throw err;
+    }
+
+    const fromStatus = order.status;
+    const changes = {};
+    if (typeof deliveryEstimate !== 'undefined') changes.delivery_estimate = deliveryEstimate;
+
+    if (fromStatus !== toStatus) {
+      if (!this.canTransition(fromStatus, toStatus)) {
+        const err = new Error(`Não é possível mudar o pedido de "${STATUS_LABELS[fromStatus] || fromStatus}" para "${STATUS_LABELS[toStatus]}"`);
+        err.status = 409;
+        throw err;
+      }
+      changes.status = toStatus;
+    }
+
+    if (!Object.keys(changes).length) return order;
+
+    // O filtro por status impede que duas alterações simultâneas partam do mesmo status
+    let query = supabase.from('orders').update(changes).eq('id', orderId);
+    if (changes.status) query = fromStatus === null ? query.is('status', null) : query.eq('status', fromStatus);
+    const { data: updated, error: updateError } = await query.select().single();
+
+    if (updateError || !updated) {
+      const err = new Error('O pedido foi alterado por outra pessoa. Recarregue e tente novamente.');
+      err.status = 409;
+      throw err;
+    }
+
+    if (changes.status) {
+      let notified = false;
+      if (notifyCustomer) {
+        notified = await this.notifyCustomer(updated, note);
+      }
+      await this.recordHistory(orderId, { fromStatus, toStatus, changedBy, note, notified });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Envia email ao cliente avisando a mudança de status
+   * @returns {Boolean} - true se o email foi enviado
+   */
+  async notifyCustomer(order, note) {
+    try {
+      const { data: user } = await supabase
+        .from('users')
+        .select('email, name')
+        .eq('id', order.user_id)
+        .single();
+
+      if (!user || !user.email) return false;
+
+      const shortId = String(order.id).substring(0, 8);
+      const label = STATUS_LABELS[order.status] || order.status;
+      const message = CUSTOMER_MESSAGES[order.status] || '';
+      const text = `Olá${user.name ? `, ${user.name}` : ''}!\n\n` +
+        `O status do seu pedido #${shortId} mudou para: ${label}.\n` +
+        (message ? `${message}\n` : '') +
+        (note ? `\nObservação: ${note}\n` : '') +
+        (order.tracking_code && order.status === 'enviado' ? `\nCódigo de rastreio: ${order.tracking_code}\n` : '') +
+        (order.delivery_estimate ? `\nPrevisão de entrega: ${new Date(order.delivery_estimate).toLocaleDateString('pt-BR')}\n` : '') +
+        `\nEquipe HYPEX`;
+
+      return await mailerService.sendMail({
+        to: user.email,
+        subject: `Pedido #${shortId}: ${label}`,
+        text
+      });
+    } catch (emailError) {
+      console.error('Erro ao enviar email de status ao cliente:', emailError);
+      return false;
+    }
+  }
+}
+
+module.exports = new OrderStatusService();
@@ -0,0 +1,197 @@
+const supabase = require('../db/supabaseClient');
+
+/**
+ * Pacotes de envio a partir dos itens do carrinho
+ * Peso (kg) e dimensões (cm) vêm da variação, do produto ou, na falta dos dois, do pacote padrão
+ * (20x6x20 cm, 0,3 kg). Os pacotes são enviados ao Melhor Envio como "products".
+ *
+ * Com SHIPPING_BOX_PACKING=true, os itens são combinados em caixas (first-fit decreasing por volume
+ * e peso). Caixas disponíveis: SHIPPING_BOXES (JSON [{ name, width, height, length }]) ou as caixas padrão.
+ */
+
+const DIMENSION_FIELDS = ['weight', 'width', 'height', 'length'];
+
+const DEFAULT_DIMENSIONS = { weight: 0.3, width: 20, height: 6, length: 20 };
+
+const DEFAULT_BOXES = [
+  { name: 'Caixa P', width: 18, height: 9, length: 27 },
+  { name: 'Caixa M', width: 22, height: 13, length: 27 },
+  { name: 'Caixa G', width: 27, height: 18, length: 36 },
+  { name: 'Caixa GG', width: 36, height: 27, length: 54 }
+];
+
+// Limite de peso por caixa (Correios: 30 kg)
+const BOX_MAX_WEIGHT = Number(process.env.SHIPPING_BOX_MAX_WEIGHT || 30);
+
+// Parte do volume da caixa que pode ser ocupada (sobra para acomodar as peças)
+const BOX_FILL_RATIO = 0.85;
+
+function volume(d) {
+  return d.width * d.height * d.length;
+}
+
+// O item cabe na caixa em alguma rotação (compara as dimensões ordenadas)
+function fitsIn(item, box) {
+  const a = [item.width, item.height, item.length].sort((x, y) => x - y);
+  const b = [box.width, box.height, box.length].sort((x, y) => x - y);
+  return a.every((v, i) => v <= b[i]);
+}
+
+function loadBoxes() {
+  if (!process.env.SHIPPING_BOXES) return DEFAULT_BOXES;
+  try {
+    const boxes = JSON.parse(process.env.SHIPPING_BOXES)
+      .filter(b => b && Number(b.width) > 0 && Number(b.height) > 0 && Number(b.length) > 0)
+      .map(b => ({ name: b.name || 'Caixa', width: Number(b.width), height: Number(b.height), length: Number(b.length) }));
+    return boxes.length ? boxes : DEFAULT_BOXES;
+  } catch (err) {
+    console.error('[Embalagem] SHIPPING_BOXES inválido, usando caixas padrão:', err.message);
+    return DEFAULT_BOXES;
+  }
+}
+
+class PackagingService {
+  constructor() {
+    this.boxPacking = process.env.SHIPPING_BOX_PACKING === 'true';
+    this.boxes = loadBoxes().sort((a, b) => volume(a) - volume(b));
+  }
+
+  /**
+   * Lê peso e dimensões do body de produtos/variações (campos vazios = não informado)
+   * @returns {Object} - apenas os campos presentes no body, com null para os vazios
+   */
+  dimensionsFromBody(body = {}) {
+    const dimensions = {};
+    for (const field of DIMENSION_FIELDS) {
+      if (body[field] === undefined) continue;
+      const value = Number(String(body[field]).replace(',', '.'));
+      dimensions[field] = body[field] === '' || body[field] === null || body[field] === 'null' || !(value > 0) ? null : value;
+    }
+    return dimensions;
+  }
+
+  /**
+   * Peso e dimensões de cada item (variação > produto > padrão)
+   * @param {Array} items - [{ product_id, variation_id?, qty, price? }]
+   * @returns {Array} - [{ product_id, variation_id, qty, price, weight, width, height, length }]
+   */
+  async loadItemDimensions(items = []) {
+    const productIds = [...new Set(items.map(i => i.product_id).filter(Boolean))];
+    const variationIds = [...new Set(items.map(i => i.variation_id).filter(Boolean))];
+
+    const [productsResult, variationsResult] = await Promise.all([
+      productIds.length
+        ? supabase.from('products').select('id, price, weight, width, height, length').in('id', productIds)
+        : { data: [] },
+      variationIds.length
+        ? supabase.from('product_variations').select('id, price, weight, width, height, length').in('id', variationIds)
+        : { data: [] }
+    ]);
+
+    if (productsResult.error) {
+      throw new Error('Erro ao carregar dimensões dos produtos: ' + productsResult.error.message);
+    }
+    if (variationsResult.error) {
+      throw new Error('Erro ao carregar dimensões das variações: ' + variationsResult.error.message);
+    }
+
+    const products = new Map((productsResult.data || []).map(p => [p.id, p]));
+    const variations = new Map((variationsResult.data || []).map(v => [v.id, v]));
+
+    return items.map(item => {
+      const product = products.get(item.product_id) || {};
+      const variation = (item.variation_id && variations.get(item.variation_id)) || {};
+      const resolved = {
+        product_id: item.product_id,
+        variation_id: item.variation_id || null,
+        qty: Number(item.qty || 1),
+        price: Number(variation.price || product.price || item.price || 0)
+      };
+      for (const field of DIMENSION_FIELDS) {
+        resolved[field] = Number(variation[field] || product[field] || DEFAULT_DIMENSIONS[field]);
+      }
+      return resolved;
+    });
+  }
+
+  /**
+   * Combina as unidades em caixas
+   * @returns {Array} - [{ name, width, height, length, weight, insurance_value, units }]
+   */
+  packIntoBoxes(items) {
+    const units = [];
+    for (const item of items) {
+      for (let i = 0; i < item.qty; i++) units.push(item);
+    }
+    units.sort((a, b) => volume(b) - volume(a));
+
+    const largest = this.boxes[this.boxes.length - 1];
+    const packed = [];
+
+    for (const unit of units) {
+      // Item maior que todas as caixas ou mais pesado que o limite: segue na própria embalagem
+      if (!fitsIn(unit, largest) || unit.weight > BOX_MAX_WEIGHT) {
+        packed.push({ name: 'Embalagem própria', width: unit.width, height: unit.height, length: unit.length, weight: unit.weight, insurance_value: unit.price, units: [unit], own: true });
+        continue;
+      }
+
+      const box = packed.find(b => !b.own &&
+        b.used + volume(unit) <= volume(largest) * BOX_FILL_RATIO &&
+        b.weight + unit.weight <= BOX_MAX_WEIGHT);
+
+      if (box) {
+        box.used += volume(unit);
+        box.weight += unit.weight;
+        box.insurance_value += unit.price;
+        box.units.push(unit);
+      } else {
+        packed.push({ ...largest, used: volume(unit), weight: unit.weight, insurance_value: unit.price, units: [unit] });
+      }
+    }
+
+    // Trocar cada caixa pela menor que comporte o volume ocupado e todos os itens
+    return packed.map(box => {
+      if (box.own) return box;
+      const smallest = this.boxes.find(b =>
+        box.used <= volume(b) * BOX_FILL_RATIO && box.units.every(u => fitsIn(u, b))) || largest;
+      return { ...smallest, weight: box.weight, insurance_value: box.insurance_value, units: box.units };
+    });
+  }
+
+  /**
+   * Pacotes no formato de melhorEnvioService.calculateShipping({ products })
+   * @param {Array} items - [{ product_id, variation_id?, qty }]
+   */
+  async buildPackages(items = []) {
+    return this.packagesFor(await this.loadItemDimensions(items));
+  }
+
+  /**
+   * Pacotes a partir dos itens já com peso e dimensões (loadItemDimensions)
+   */
+  packagesFor(resolved) {
+    if (!this.boxPacking) {
+      return resolved.map((item, idx) => ({
+        id: String(item.variation_id || item.product_id || idx + 1),
+        width: item.width,
+        height: item.height,
+        length: item.length,
+        weight: item.weight,
+        insurance_value: item.price,
+        quantity: item.qty
+      }));
+    }
+
+    return this.packIntoBoxes(resolved).map((box, idx) => ({
+      id: `box-${idx + 1}`,
+      width: box.width,
+      height: box.height,
+      length: box.length,
+      weight: Math.round(box.weight * 1000) / 1000,
+      insurance_value: Math.round(box.insurance_value * 100) / 100,
+      quantity: 1
+    }));
+  }
+}
+
+module.exports = new PackagingService();
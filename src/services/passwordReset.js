@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const supabase = require('../db/supabaseClient');
+const mailerService = require('./mailer');
+const sessionService = require('./sessions');
+
+/**
+ * Redefinição de senha por link enviado por email
+ * O token (aleatório, 32 bytes) só existe no link; no banco fica o hash SHA-256
+ * (tabela password_reset_tokens). Cada token vale uma vez e expira em PASSWORD_RESET_TTL_MINUTES.
+ * As respostas de /forgot são sempre iguais, exista ou não a conta.
+ * Trocar a senha encerra as sessões abertas da conta (todos os dispositivos).
+ *
+ * Configuração opcional no .env:
+ *   PASSWORD_RESET_TTL_MINUTES (validade do link, padrão 60)
+ *
+ * Obrigatório: PUBLIC_URL (endereço do site no link). Sem ele, nenhum link é enviado (503).
+ */
+
+const TOKEN_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES || 60);
+
+// Intervalo mínimo entre dois emails de redefinição para a mesma conta
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+const MIN_PASSWORD_LENGTH = 6;
+
+function invalidLinkError() {
+  const err = new Error('Link de redefinição inválido ou expirado. Peça um novo link.');
+  err.status = 400;
+  return err;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+class PasswordResetService {
+  constructor() {
+    this.minPasswordLength = MIN_PASSWORD_LENGTH;
+  }
+
+  /**
+   * Envia o link de redefinição se houver conta com o email
+   * Não informa ao chamador se a conta existe
+   * @param {Object} options - { ip }
+   */
+  async requestReset(email, { ip } = {}) {
+    const address = String(email || '').trim();
+    if (!address) return;
+
+    // Conferido antes de buscar a conta: a resposta não depende de o email existir
+    const base = mailerService.publicUrl();
+    if (!base) {
+      console.error('[Senha] PUBLIC_URL não configurado: link de redefinição não enviado');
+      const err = new Error('Redefinição de senha indisponível no momento. Tente mais tarde.');
+      err.status = 503;
+      throw err;
+    }
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('id, email, name, password_hash')
+      .eq('email', address)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!user) {
+      console.log('[Senha] Pedido de redefinição para email sem conta');
+      return;
+    }
+
+    // Pedidos repetidos em sequência não geram outro email
+    const { data: recent } = await supabase
+      .from('password_reset_tokens')
+      .select('id')
+      .eq('user_id', user.id)
+      .is('used_at', null)
+      .gt('created_at', new Date(Date.now() - RESEND_INTERVAL_MS).toISOString())
+      .limit(1);
+    if (recent && recent.length) {
+      console.log(`[Senha] Link de redefinição já enviado há menos de ${RESEND_INTERVAL_MS / 1000}s para o usuário ${user.id}`);
+      return;
+    }
+
+    await this.invalidateTokens(user.id);
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + TOKEN_TTL_MINUTES * 60 * 1000);
+    const { error: insertError } = await supabase.from('password_reset_tokens').insert([{
+      user_id: user.id,
+      token_hash: hashToken(token),
+      expires_at: expiresAt.toISOString(),
+      requested_ip: ip || null
+    }]);
+    if (insertError) throw insertError;
+
+    // Token no fragmento (#): não vai para o servidor nem para logs de acesso
+    const link = `${base}/pages/auth.html#reset=${token}`;
+
+    // Conta criada pelo login com Google: lembrar que ela entra com o Google
+    const intro = user.password_hash
+      ? 'Recebemos um pedido para redefinir a senha da sua conta HYPEX.\n'
+      : 'Recebemos um pedido para criar uma senha para a sua conta HYPEX. Sua conta entra com o Google: ' +
+        'você pode continuar usando "Entrar com Google" sem senha.\n';
+    const text = `Olá${user.name ? `, ${user.name}` : ''}!\n\n` +
+      intro +
+      `Para criar uma nova senha, acesse o link abaixo (válido por ${TOKEN_TTL_MINUTES} minutos):\n\n` +
+      `${link}\n\n` +
+      'Se você não pediu a redefinição, ignore este email: sua senha continua a mesma.\n\n' +
+      'Equipe HYPEX';
+
+    try {
+      await mailerService.sendMail({ to: user.email, subject: 'Redefinição de senha - HYPEX', text });
+    } catch (err) {
+      console.error('[Senha] Erro ao enviar email de redefinição:', err.message);
+    }
+  }
+
+  /**
+   * Troca a senha usando o token do link (uso único)
+   */
+  async resetPassword(token, password) {
+    if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+      const err = new Error(`A senha deve ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres`);
+      err.status = 400;
+      throw err;
+    }
+
+    if (!token) throw invalidLinkError();
+
+    // Marca o token como usado na mesma operação que o valida (dois envios do link não passam)
+    const { data: consumed, error } = await supabase
+      .from('password_reset_tokens')
+      .update({ used_at: new Date().toISOString() })
+      .eq('token_hash', hashToken(token))
+      .is('used_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .select('user_id')
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!consumed) throw invalidLinkError();
+
+    const passwordHash = await bcrypt.hash(String(password), 10);
+    const { error: updateError } = await supabase
+      .from('users')
+      .update({ password_hash: passwordHash })
+      .eq('id', consumed.user_id);
+    if (updateError) throw updateError;
+
+    await this.invalidateTokens(consumed.user_id);
+    await sessionService.revokeAll(consumed.user_id);
+    console.log(`[Senha] Senha redefinida para o usuário ${consumed.user_id}`);
+    return { userId: consumed.user_id };
+  }
+
+  /**
+   * Invalida os links ainda não usados da conta
+   */
+  async invalidateTokens(userId) {
+    const { error } = await supabase
+      .from('password_reset_tokens')
+      .update({ used_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .is('used_at', null);
+    if (error) console.error('[Senha] Erro ao invalidar links de redefinição:', error.message);
+  }
+}
+
+module.exports = new PasswordResetService();
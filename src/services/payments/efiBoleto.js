@@ -0,0 +1,114 @@
+const efiChargesService = require('../efiCharges');
+const qrcodeService = require('../qrcode');
+
+/**
+ * Provedor de boleto bancário do Efí Bank (API de Cobranças)
+ * O boleto vence em BOLETO_DAYS_TO_EXPIRE dias; o pedido pendente (e a reserva de estoque)
+ * só expira depois do prazo de compensação bancária (BOLETO_COMPENSATION_DAYS).
+ * Quando a conta tem o "Bolix" habilitado, o boleto também traz um QR Code PIX.
+ */
+
+const DAYS_TO_EXPIRE = Number(process.env.BOLETO_DAYS_TO_EXPIRE || 3);
+const COMPENSATION_DAYS = Number(process.env.BOLETO_COMPENSATION_DAYS || 3);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function digits(value) {
+  return String(value || '').replace(/\D/g, '');
+}
+
+class EfiBoletoProvider {
+  constructor() {
+    this.name = 'efibank_boleto';
+    this.method = 'boleto';
+    this.label = 'Boleto Bancário';
+    this.supportsRegenerate = false;
+    this.manualConfirmation = false;
+  }
+
+  isAvailable() {
+    return efiChargesService.isConfigured();
+  }
+
+  publicConfig() {
+    return { days_to_expire: DAYS_TO_EXPIRE };
+  }
+
+  /**
+   * Valida os dados do pagador
+   * @param {Object} paymentData - { customer: { name, cpf, email?, phone_number? } }
+   */
+  parseCustomer(paymentData = {}) {
+    const customer = paymentData.customer || {};
+    const cpf = digits(customer.cpf);
+    if (!customer.name || cpf.length !== 11) {
+      const err = new Error('Informe nome completo e CPF do pagador do boleto');
+      err.status = 400;
+      throw err;
+    }
+
+    const parsed = { name: String(customer.name).trim(), cpf };
+    if (customer.email) parsed.email = String(customer.email).trim();
+    const phone = digits(customer.phone_number || customer.phone);
+    if (phone.length >= 10) parsed.phone_number = phone;
+    return parsed;
+  }
+
+  async createCharge({ amount, description, customId, notificationUrl, paymentData }) {
+    const customer = this.parseCustomer(paymentData);
+    const dueDate = new Date(Date.now() + DAYS_TO_EXPIRE * DAY_MS).toISOString().substring(0, 10);
+
+    const charge = await efiChargesService.createBilletCharge({
+      amount,
+      description,
+      customId,
+      notificationUrl,
+      customer,
+      expireAt: dueDate
+    });
+
+    // Fim do dia do vencimento + compensação
+    const expiresAt = new Date(`${charge.expire_at || dueDate}T23:59:59-03:00`);
+    expiresAt.setTime(expiresAt.getTime() + COMPENSATION_DAYS * DAY_MS);
+
+    const qrcode = charge.pix?.qrcode || null;
+    return {
+      provider: this.name,
+      method: this.method,
+      payment_id: String(charge.charge_id),
+      status: 'pending',
+      expires_at: expiresAt.toISOString(),
+      qrcode,
+      qrcode_image: charge.pix?.qrcode_image || (qrcode ? qrcodeService.toPngDataUrl(qrcode) : null),
+      details: {
+        barcode: charge.barcode,
+        link: charge.link,
+        pdf: charge.pdf,
+        due_date: charge.expire_at || dueDate
+      }
+    };
+  }
+
+  async getStatus(paymentId) {
+    return efiChargesService.getCharge(paymentId);
+  }
+
+  async refund() {
+    const err = new Error('Boletos não podem ser estornados pelo Efí Bank: faça a devolução por transferência');
+    err.status = 400;
+    throw err;
+  }
+
+  /**
+   * Cancela o boleto de um pedido expirado (evita pagamento de pedido sem estoque reservado)
+   */
+  async cancel(paymentId) {
+    return efiChargesService.cancelCharge(paymentId);
+  }
+
+  async parseWebhook(payload) {
+    return efiChargesService.parseNotification(payload);
+  }
+}
+
+module.exports = new EfiBoletoProvider();
@@ -0,0 +1,176 @@
+const efiChargesService = require('../efiCharges');
+
+/**
+ * Provedor de cartão de crédito do Efí Bank (API de Cobranças)
+ * Os dados do cartão nunca chegam ao servidor: o navegador gera um payment_token
+ * com a biblioteca JS do Efí Bank (usando EFIBANK_PAYEE_CODE) e só o token é enviado no checkout.
+ *
+ * A cobrança aprovada fica "approved" até o Efí Bank confirmar ("paid");
+ * a confirmação chega pelo webhook de cobranças (POST /api/webhook/efibank/charges) ou pelo polling.
+ */
+
+// Prazo para o Efí Bank confirmar uma cobrança aprovada antes de o pedido pendente expirar
+const CARD_CONFIRMATION_SECONDS = Number(process.env.CARD_CONFIRMATION_SECONDS || 86400);
+
+const MAX_INSTALLMENTS = Number(process.env.CARD_MAX_INSTALLMENTS || 12);
+
+function digits(value) {
+  return String(value || '').replace(/\D/g, '');
+}
+
+function invalid(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+class EfiCardProvider {
+  constructor() {
+    this.name = 'efibank_card';
+    this.method = 'card';
+    this.label = 'Cartão de Crédito';
+    this.supportsRegenerate = false;
+    this.manualConfirmation = false;
+  }
+
+  isAvailable() {
+    return efiChargesService.isConfigured() && Boolean(process.env.EFIBANK_PAYEE_CODE);
+  }
+
+  /**
+   * Configuração pública usada pelo checkout para tokenizar o cartão
+   */
+  publicConfig() {
+    return {
+      payee_code: process.env.EFIBANK_PAYEE_CODE || null,
+      environment: efiChargesService.isSandbox() ? 'sandbox' : 'production',
+      max_installments: MAX_INSTALLMENTS
+    };
+  }
+
+  /**
+   * Valida e normaliza os dados enviados pelo checkout
+   * @param {Object} paymentData - { payment_token, installments, customer, billing_address }
+   */
+  parsePaymentData(paymentData = {}) {
+    const { payment_token: paymentToken, customer = {}, billing_address: billing = {} } = paymentData;
+    if (!paymentToken) throw invalid('Token do cartão não informado');
+
+    const installments = Number(paymentData.installments || 1);
+    if (!Number.isInteger(installments) || installments < 1 || installments > MAX_INSTALLMENTS) {
+      throw invalid(`Número de parcelas inválido (máximo ${MAX_INSTALLMENTS})`);
+    }
+
+    const cpf = digits(customer.cpf);
+    const phone = digits(customer.phone_number || customer.phone);
+    if (!customer.name || cpf.length !== 11 || !customer.email || phone.length < 10 || !customer.birth) {
+      throw invalid('Informe nome, CPF, e-mail, telefone e data de nascimento do titular do cartão');
+    }
+
+    const zipcode = digits(billing.zipcode || billing.cep);
+    if (!billing.street || !billing.number || !billing.neighborhood || zipcode.length !== 8 || !billing.city || !billing.state) {
+      throw invalid('Endereço de cobrança do cartão incompleto');
+    }
+
+    return {
+      paymentToken,
+      installments,
+      customer: {
+        name: String(customer.name).trim(),
+        cpf,
+        email: String(customer.email).trim(),
+        phone_number: phone,
+        birth: customer.birth
+      },
+      billingAddress: {
+        street: String(billing.street).trim(),
+        number: String(billing.number).trim(),
+        neighborhood: String(billing.neighborhood).trim(),
+        zipcode,
+        city: String(billing.city).trim(),
+        state: String(billing.state).trim().toUpperCase()
+      }
+    };
+  }
+
+  /**
+   * Cobra o cartão
+   * Cartão recusado gera erro 402 (o checkout não tenta outra forma de pagamento)
+   */
+  async createCharge({ amount, description, customId, notificationUrl, paymentData }) {
+    const { paymentToken, installments, customer, billingAddress } = this.parsePaymentData(paymentData);
+
+    const charge = await efiChargesService.createCardCharge({
+      amount,
+      description,
+      customId,
+      notificationUrl,
+      paymentToken,
+      installments,
+      customer,
+      billingAddress
+    });
+
+    const status = efiChargesService.normalizeStatus(charge.status);
+    if (status === 'cancelled') {
+      const err = new Error(charge.reason ? `Pagamento recusado: ${charge.reason}` : 'Pagamento recusado pela operadora do cartão');
+      err.status = 402;
+      throw err;
+    }
+
+    return {
+      provider: this.name,
+      method: this.method,
+      payment_id: String(charge.charge_id),
+      status: status === 'paid' ? 'paid' : 'pending',
+      expires_at: new Date(Date.now() + CARD_CONFIRMATION_SECONDS * 1000).toISOString(),
+      qrcode: null,
+      qrcode_image: null,
+      details: {
+        installments: charge.installments || installments,
+        installment_value: charge.installment_value ? charge.installment_value / 100 : null,
+        raw_status: charge.status
+      }
+    };
+  }
+
+  /**
+   * @returns {Object} - { status, paid_at, amount, paid_amount }
+   */
+  async getStatus(paymentId) {
+    return efiChargesService.getCharge(paymentId);
+  }
+
+  /**
+   * Estorna no cartão (total ou parcial)
+   * @returns {Object} - { id, amount, status, requested_at, failed }
+   */
+  async refund(order, amount) {
+    const chargeId = order.payment?.txid;
+    await efiChargesService.refundCard(chargeId, amount);
+    return {
+      id: `card-refund-${chargeId}-${Date.now()}`,
+      amount,
+      status: 'REQUESTED',
+      requested_at: new Date().toISOString(),
+      failed: false
+    };
+  }
+
+  /**
+   * Cancela a cobrança de um pedido que expirou sem confirmação
+   */
+  async cancel(paymentId) {
+    return efiChargesService.cancelCharge(paymentId);
+  }
+
+  /**
+   * Notificações do webhook de cobranças (token a ser consultado no Efí Bank)
+   * @returns {Array} - [{ paymentId, eventId }]
+   */
+  async parseWebhook(payload) {
+    return efiChargesService.parseNotification(payload);
+  }
+}
+
+module.exports = new EfiCardProvider();
@@ -0,0 +1,125 @@
+const efibankService = require('../efibank');
+
+/**
+ * Provedor PIX dinâmico do Efí Bank (cobrança imediata com QR Code)
+ * Confirmação por webhook (POST /api/webhook/efibank) ou polling de status.
+ */
+
+class EfiPixProvider {
+  constructor() {
+    this.name = 'efibank';
+    this.method = 'pix';
+    this.label = 'PIX';
+    this.supportsRegenerate = true;
+    this.manualConfirmation = false;
+  }
+
+  isAvailable() {
+    return Boolean(process.env.EFIBANK_CLIENT_ID && process.env.EFIBANK_CLIENT_SECRET && process.env.EFIBANK_PIX_KEY);
+  }
+
+  /**
+   * Cria a cobrança PIX e garante QR Code (código e imagem)
+   */
+  async createCharge({ amount, description, metadata = {} }) {
+    const pixPayment = await efibankService.createPixCharge({
+      amount,
+      description,
+      metadata
+    });
+
+    // Validar resposta do pagamento
+    if (!pixPayment || !pixPayment.txid) {
+      throw new Error('Resposta inválida do serviço de pagamento: txid não encontrado');
+    }
+
+    // Gerar imagem do QR Code se não vier da API
+    if (!pixPayment.qrcode_image && pixPayment.qrcode) {
+      pixPayment.qrcode_image = efibankService.generateQRCodeImage(pixPayment.qrcode);
+    }
+
+    // Se ainda não temos QR code, tentar buscar usando location
+    if (!pixPayment.qrcode && pixPayment.location) {
+      console.warn('QR code não veio na resposta inicial. Tentando buscar usando location:', pixPayment.location);
+      try {
+        const qrcodeFromLocation = await efibankService.getQRCodeByLocation(pixPayment.location);
+        if (qrcodeFromLocation) {
+          pixPayment.qrcode = qrcodeFromLocation;
+          // Gerar imagem do QR Code
+          if (!pixPayment.qrcode_image) {
+            pixPayment.qrcode_image = efibankService.generateQRCodeImage(pixPayment.qrcode);
+          }
+        }
+      } catch (locationError) {
+        console.error('Erro ao buscar QR code por location:', locationError);
+        // Continuar mesmo sem QR code, o frontend pode gerar depois usando o txid
+      }
+    }
+
+    return {
+      provider: this.name,
+      method: this.method,
+      payment_id: pixPayment.txid,
+      status: 'pending',
+      expires_at: pixPayment.expires_at,
+      qrcode: pixPayment.qrcode,
+      qrcode_image: pixPayment.qrcode_image,
+      details: null
+    };
+  }
+
+  /**
+   * @returns {Object} - { status, paid_at, e2eid, amount, paid_amount }
+   */
+  async getStatus(paymentId) {
+    return efibankService.getPixChargeStatus(paymentId);
+  }
+
+  /**
+   * Devolve o PIX recebido (endpoint de devolução do Efí Bank)
+   * @param {Object} options - { refundId } (ID da devolução; repetir com o mesmo ID não devolve duas vezes)
+   * @returns {Object} - { id, rtr_id, amount, status, requested_at, e2eid, failed }
+   */
+  async refund(order, amount, { refundId = null } = {}) {
+    const payment = order.payment || {};
+
+    // Pedidos antigos não guardavam o endToEndId: buscar na cobrança
+    let e2eid = payment.e2eid;
+    if (!e2eid) {
+      const chargeStatus = await efibankService.getPixChargeStatus(payment.txid);
+      e2eid = chargeStatus.e2eid;
+      if (!e2eid) {
+        const err = new Error('Não foi possível identificar o PIX recebido (endToEndId) para este pedido');
+        err.status = 409;
+        throw err;
+      }
+    }
+
+    const result = await efibankService.requestRefund(e2eid, amount, refundId);
+    return { ...result, e2eid, failed: result.status === 'NAO_REALIZADO' };
+  }
+
+  /**
+   * Cobranças notificadas no webhook PIX
+   * @returns {Array} - [{ paymentId, eventId }]
+   */
+  async parseWebhook(payload) {
+    if (payload.pix && Array.isArray(payload.pix)) {
+      // Formato direto do PIX
+      return payload.pix
+        .filter(p => p && p.txid)
+        .map(p => ({ paymentId: p.txid, eventId: p.endToEndId || null }));
+    }
+    if (payload.event === 'payment.succeeded' && payload.data?.txid) {
+      // Formato de evento
+      return [{ paymentId: payload.data.txid, eventId: null }];
+    }
+    if (payload.txid) {
+      // Formato simples
+      return [{ paymentId: payload.txid, eventId: null }];
+    }
+    return [];
+  }
+}
+
+module.exports = new EfiPixProvider();
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const efiPixProvider = require('./efiPix');
+const manualPixProvider = require('./manualPix');
+const efiCardProvider = require('./efiCard');
+const efiBoletoProvider = require('./efiBoleto');
+
+/**
+ * Registro dos provedores de pagamento
+ * Cada provedor implementa a mesma interface:
+ *   name, method, label, supportsRegenerate, manualConfirmation
+ *   isAvailable()
+ *   createCharge({ amount, description, metadata, customId, notificationUrl, paymentData })
+ *     -> { provider, method, payment_id, status, expires_at, qrcode, qrcode_image, details }
+ *   getStatus(paymentId) -> { status, paid_at, e2eid?, amount, paid_amount }
+ *   refund(order, amount, { refundId }) -> { id, amount, status, requested_at, failed, ... }
+ *   parseWebhook(payload) -> [{ paymentId, eventId }]
+ *   cancel(paymentId) (opcional)
+ * O nome do provedor fica em pending_orders.payment_provider e orders.payment.provider.
+ *
+ * Formas de pagamento aceitas no checkout: PAYMENT_METHODS (ex.: "pix,card,boleto"; padrão "pix").
+ */
+
+const PROVIDERS = {
+  [efiPixProvider.name]: efiPixProvider,
+  [manualPixProvider.name]: manualPixProvider,
+  [efiCardProvider.name]: efiCardProvider,
+  [efiBoletoProvider.name]: efiBoletoProvider
+};
+
+// Provedor principal de cada forma de pagamento
+const METHOD_PROVIDERS = {
+  pix: efiPixProvider,
+  card: efiCardProvider,
+  boleto: efiBoletoProvider
+};
+
+class PaymentService {
+  /**
+   * Provedor pelo nome gravado no pedido (pedidos antigos não têm provedor: Efí Bank PIX)
+   */
+  getProvider(name) {
+    const provider = PROVIDERS[name || efiPixProvider.name];
+    if (!provider) {
+      throw new Error(`Provedor de pagamento desconhecido: ${name}`);
+    }
+    return provider;
+  }
+
+  /**
+   * Formas de pagamento habilitadas em PAYMENT_METHODS
+   */
+  enabledMethods() {
+    return (process.env.PAYMENT_METHODS || 'pix')
+      .split(',')
+      .map(m => m.trim().toLowerCase())
+      .filter(m => METHOD_PROVIDERS[m]);
+  }
+
+  /**
+   * Formas de pagamento disponíveis para o checkout
+   * @returns {Array} - [{ method, label, config }]
+   */
+  listMethods() {
+    return this.enabledMethods()
+      .filter(method => method === 'pix' || (METHOD_PROVIDERS[method].isAvailable() && this.chargesNotificationUrl()))
+      .map(method => {
+        const provider = METHOD_PROVIDERS[method];
+        return {
+          method,
+          label: provider.label,
+          config: typeof provider.publicConfig === 'function' ? provider.publicConfig() : {}
+        };
+      });
+  }
+
+  /**
+   * Token da URL de notificação das cobranças (cartão/boleto)
+   * A URL fica gravada em cada cobrança no Efí Bank, então leva um valor derivado do secret
+   * (HMAC-SHA256) e não o próprio EFIBANK_WEBHOOK_SECRET
+   * @returns {String|null} - null sem EFIBANK_WEBHOOK_SECRET
+   */
+  chargesNotificationToken() {
+    const secret = process.env.EFIBANK_WEBHOOK_SECRET;
+    if (!secret) return null;
+    return crypto.createHmac('sha256', secret).update('efibank-charges-notification').digest('hex');
+  }
+
+  /**
+   * URL do webhook de cobranças (cartão/boleto) enviada em cada cobrança
+   * Só usa PUBLIC_URL: o Host da requisição é escolhido por quem chama e levaria a notificação para outro servidor
+   * @returns {String|null} - null sem PUBLIC_URL (cartão e boleto ficam indisponíveis)
+   */
+  chargesNotificationUrl() {
+    const base = (process.env.PUBLIC_URL || '').replace(/\/$/, '');
+    if (!base) return null;
+    const token = this.chargesNotificationToken();
+    return `${base}/api/webhook/efibank/charges${token ? `?token=${token}` : ''}`;
+  }
+
+  /**
+   * Cria a cobrança na forma de pagamento escolhida
+   * PIX: se o Efí Bank estiver fora e a contingência estiver habilitada, gera um PIX estático
+   * (provider 'manual') que o admin confirma manualmente
+   * @param {String} method - 'pix', 'card' ou 'boleto'
+   * @param {Object} params - { amount, description, metadata, customId, paymentData }
+   */
+  async createCharge(method, params) {
+    if (!this.enabledMethods().includes(method)) {
+      const err = new Error('Forma de pagamento indisponível');
+      err.status = 400;
+      throw err;
+    }
+
+    const provider = METHOD_PROVIDERS[method];
+    const chargeParams = { ...params, notificationUrl: this.chargesNotificationUrl() };
+
+    if (method !== 'pix') {
+      if (!chargeParams.notificationUrl) {
+        console.error(`[Pagamentos] PUBLIC_URL não configurado: ${method} indisponível (sem URL de notificação)`);
+        const err = new Error('Forma de pagamento indisponível');
+        err.status = 503;
+        throw err;
+      }
+      return provider.createCharge(chargeParams);
+    }
+
+    try {
+      return await provider.createCharge(chargeParams);
+    } catch (error) {
+      if (!manualPixProvider.isAvailable()) throw error;
+      console.warn('[Pagamentos] Efí Bank indisponível. Gerando PIX estático para confirmação manual:', error.message);
+      return manualPixProvider.createCharge(chargeParams);
+    }
+  }
+}
+
+module.exports = new PaymentService();
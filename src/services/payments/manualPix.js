@@ -0,0 +1,51 @@
+const pixBrCodeService = require('../pixBrCode');
+
+/**
+ * Provedor PIX manual (contingência): BR Code estático gerado com a chave PIX da loja
+ * Não há consulta de status nem webhook; o admin confirma o recebimento pelo extrato
+ * (POST /api/orders/pending/:id/confirm-manual).
+ */
+
+class ManualPixProvider {
+  constructor() {
+    this.name = 'manual';
+    this.method = 'pix';
+    this.label = 'PIX';
+    this.supportsRegenerate = false;
+    this.manualConfirmation = true;
+  }
+
+  isAvailable() {
+    return pixBrCodeService.isManualFallbackEnabled();
+  }
+
+  async createCharge({ amount, description }) {
+    const charge = pixBrCodeService.createManualCharge({ amount, description });
+    return {
+      provider: this.name,
+      method: this.method,
+      payment_id: charge.txid,
+      status: 'pending',
+      expires_at: charge.expires_at,
+      qrcode: charge.qrcode,
+      qrcode_image: charge.qrcode_image,
+      details: null
+    };
+  }
+
+  async getStatus() {
+    return { status: 'pending' };
+  }
+
+  async refund() {
+    const err = new Error('PIX manual (contingência) não tem cobrança no Efí Bank: faça a devolução pelo banco');
+    err.status = 400;
+    throw err;
+  }
+
+  async parseWebhook() {
+    return [];
+  }
+}
+
+module.exports = new ManualPixProvider();
@@ -0,0 +1,217 @@
+const supabase = require('../db/supabaseClient');
+const paymentService = require('./payments');
+const stockReservationService = require('./stockReservation');
+const orderFinalizationService = require('./orderFinalization');
+
+/**
+ * Expiração de pedidos pendentes (checkouts abandonados)
+ * Pedidos pendentes cuja cobrança (PIX, cartão ou boleto) venceu passam para 'expired' e liberam a reserva de estoque.
+ * Executado pela rota de cron (GET /api/cron/expire-pending-orders) ou por `node expire-pending-orders.js`.
+ */
+
+// Margem após o vencimento da cobrança antes de expirar o pedido,
+// para não competir com um webhook de pagamento feito no último minuto
+const GRACE_SECONDS = Number(process.env.PENDING_ORDER_GRACE_SECONDS || 300);
+
+// Quantidade máxima de pedidos processados por execução
+const SWEEP_LIMIT = 200;
+
+class PendingOrderExpiryService {
+  /**
+   * Expira um pedido pendente e libera a reserva de estoque
+   * Os filtros por payment_status e payment_id impedem expirar um pedido pago
+   * ou que acabou de receber uma nova cobrança ao mesmo tempo
+   * @returns {Boolean} - true se o pedido foi expirado
+   */
+  async expire(pendingOrder) {
+    const now = new Date().toISOString();
+    let query = supabase
+      .from('pending_orders')
+      .update({
+        payment_status: 'expired',
+        expired_at: now,
+        updated_at: now
+      })
+      .eq('id', pendingOrder.id)
+      .eq('payment_status', 'pending');
+    query = pendingOrder.payment_id ? query.eq('payment_id', pendingOrder.payment_id) : query.is('payment_id', null);
+    const { data: updated, error } = await query.select('id');
+
+    if (error) {
+      throw new Error(`Erro ao expirar pedido pendente ${pendingOrder.id}: ${error.message}`);
+    }
+    if (!updated || !updated.length) return false;
+
+    try {
+      await stockReservationService.release(pendingOrder.id);
+    } catch (stockError) {
+      console.error(`[Expiração] Erro ao liberar reserva do pedido pendente ${pendingOrder.id}:`, stockError);
+    }
+
+    // Cartão/boleto: cancelar a cobrança para não receber pagamento de um pedido sem estoque reservado
+    const provider = paymentService.getProvider(pendingOrder.payment_provider);
+    if (pendingOrder.payment_id && typeof provider.cancel === 'function') {
+      try {
+        await provider.cancel(pendingOrder.payment_id);
+      } catch (cancelError) {
+        console.error(`[Expiração] Erro ao cancelar a cobrança ${pendingOrder.payment_id}:`, cancelError.message);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Verifica um pedido pendente vencido
+   * Antes de expirar, consulta a cobrança: se foi paga (webhook perdido), finaliza o pedido
+   * @returns {String} - 'expired', 'paid' ou 'skipped'
+   */
+  async sweepOne(pendingOrder) {
+    // PIX manual não tem cobrança no Efí Bank; um pagamento tardio ainda pode ser confirmado pelo admin
+    const provider = paymentService.getProvider(pendingOrder.payment_provider);
+    if (pendingOrder.payment_id && !provider.manualConfirmation) {
+      const charge = await provider.getStatus(pendingOrder.payment_id);
+      if (charge.status === 'paid') {
+        await orderFinalizationService.finalizeByTxid(pendingOrder.payment_id, {
+          paidAt: charge.paid_at,
+          e2eid: charge.e2eid,
+          paidAmount: charge.paid_amount
+        });
+        return 'paid';
+      }
+    }
+
+    return (await this.expire(pendingOrder)) ? 'expired' : 'skipped';
+  }
+
+  /**
+   * Expira todos os pedidos pendentes vencidos
+   * @param {Object} options - { limit }
+   * @returns {Object} - { checked, expired, paid, failed, released }
+   */
+  async sweep({ limit = SWEEP_LIMIT } = {}) {
+    const cutoff = new Date(Date.now() - GRACE_SECONDS * 1000).toISOString();
+
+    const { data: pendingOrders, error } = await supabase
+      .from('pending_orders')
+      .select('id, payment_id, payment_provider, expires_at')
+      .eq('payment_status', 'pending')
+      .lt('expires_at', cutoff)
+      .order('expires_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Erro ao buscar pedidos pendentes vencidos: ${error.message}`);
+    }
+
+    const summary = { checked: 0, expired: 0, paid: 0, failed: 0, released: 0 };
+
+    for (const pendingOrder of pendingOrders || []) {
+      summary.checked++;
+      try {
+        const result = await this.sweepOne(pendingOrder);
+        if (result === 'expired') summary.expired++;
+        if (result === 'paid') summary.paid++;
+      } catch (err) {
+        // Mantém o pedido pendente; será verificado de novo na próxima execução
+        summary.failed++;
+        console.error(`[Expiração] Erro ao verificar pedido pendente ${pendingOrder.id}:`, err.message);
+      }
+    }
+
+    // Reservas vencidas que ficaram para trás (ex.: pedido pendente não gravado)
+    try {
+      summary.released = await stockReservationService.releaseExpired();
+    } catch (stockError) {
+      console.error('[Expiração] Erro ao liberar reservas vencidas:', stockError);
+    }
+
+    console.log(`[Expiração] ${summary.checked} verificado(s), ${summary.expired} expirado(s), ${summary.paid} pago(s), ${summary.failed} com erro, ${summary.released} reserva(s) liberada(s)`);
+    return summary;
+  }
+
+  /**
+   * Relatório de checkouts abandonados (pedidos pendentes expirados)
+   * @param {Object} options - { from, to } (datas ISO; padrão: últimos 30 dias)
+   * @returns {Object} - { from, to, count, total_value, customers, top_products, orders }
+   */
+  async abandonedReport({ from, to } = {}) {
+    const toDate = to ? new Date(to) : new Date();
+    const fromDate = from ? new Date(from) : new Date(toDate.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    if (Number.isNaN(fromDate.getTime()) || Number.isNaN(toDate.getTime())) {
+      const err = new Error('Período inválido');
+      err.status = 400;
+      throw err;
+    }
+
+    const { data: pendingOrders, error } = await supabase
+      .from('pending_orders')
+      .select('id, user_id, items, total, coupon_code, created_at, expires_at, expired_at')
+      .eq('payment_status', 'expired')
+      .gte('created_at', fromDate.toISOString())
+      .lte('created_at', toDate.toISOString())
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Erro ao gerar relatório: ${error.message}`);
+    }
+
+    const orders = pendingOrders || [];
+
+    // Buscar nome e email dos clientes
+    const userIds = [...new Set(orders.map(o => o.user_id).filter(Boolean))];
+    const usersMap = {};
+    if (userIds.length) {
+      const { data: users, error: usersError } = await supabase
+        .from('users')
+        .select('id, name, email')
+        .in('id', userIds);
+      if (usersError) console.error('[Expiração] Erro ao buscar clientes do relatório:', usersError);
+      (users || []).forEach(user => { usersMap[user.id] = user; });
+    }
+
+    const products = {};
+    const customers = new Set();
+    let totalValue = 0;
+
+    orders.forEach(order => {
+      totalValue += Number(order.total || 0);
+      if (order.user_id) customers.add(order.user_id);
+      (order.items || []).forEach(item => {
+        const key = item.variation_id || item.product_id;
+        if (!products[key]) {
+          products[key] = { product_id: item.product_id, variation_id: item.variation_id || null, name: item.name, qty: 0, value: 0 };
+        }
+        products[key].qty += Number(item.qty || 1);
+        products[key].value += Number(item.price || 0) * Number(item.qty || 1);
+      });
+    });
+
+    const topProducts = Object.values(products)
+      .sort((a, b) => b.qty - a.qty)
+      .slice(0, 10)
+      .map(p => ({ ...p, value: Math.round(p.value * 100) / 100 }));
+
+    return {
+      from: fromDate.toISOString(),
+      to: toDate.toISOString(),
+      count: orders.length,
+      total_value: Math.round(totalValue * 100) / 100,
+      customers: customers.size,
+      top_products: topProducts,
+      orders: orders.map(order => ({
+        id: order.id,
+        user_name: usersMap[order.user_id]?.name || 'Usuário',
+        user_email: usersMap[order.user_id]?.email || '',
+        items: order.items,
+        total: order.total,
+        coupon_code: order.coupon_code,
+        created_at: order.created_at,
+        expired_at: order.expired_at || order.expires_at
+      }))
+    };
+  }
+}
+
+module.exports = new PendingOrderExpiryService();
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const qrcodeService = require('./qrcode');
+
+/**
+ * BR Code estático do PIX (padrão EMV QRCPS do Banco Central)
+ * Gerado a partir da chave PIX da loja, sem depender do Efí Bank.
+ * Usado como contingência: quando o Efí Bank está fora, o checkout gera um PIX estático
+ * com o valor do pedido e o pagamento é confirmado manualmente pelo admin.
+ *
+ * Configure no .env:
+ *   PIX_MANUAL_FALLBACK=true
+ *   PIX_STATIC_KEY (padrão: EFIBANK_PIX_KEY)
+ *   PIX_MERCHANT_NAME (até 25 caracteres) e PIX_MERCHANT_CITY (até 15 caracteres)
+ *   PIX_MANUAL_EXPIRATION (validade do pedido em segundos, padrão 86400)
+ */
+
+const GUI_PIX = 'br.gov.bcb.pix';
+
+// Campos EMV: id (2 dígitos) + tamanho (2 dígitos) + valor
+function emvField(id, value) {
+  const str = String(value);
+  if (str.length > 99) {
+    throw new Error(`Campo EMV ${id} excede 99 caracteres`);
+  }
+  return `${id}${String(str.length).padStart(2, '0')}${str}`;
+}
+
+// Remove acentos e caracteres fora do conjunto aceito pelos bancos
+function sanitize(value, maxLength) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9 .\-@/:]/g, '')
+    .trim()
+    .substring(0, maxLength);
+}
+
+class PixBrCodeService {
+  constructor() {
+    this.manualExpiration = Number(process.env.PIX_MANUAL_EXPIRATION || 86400);
+  }
+
+  /**
+   * CRC16-CCITT (polinômio 0x1021, valor inicial 0xFFFF), exigido no campo 63
+   * @returns {String} - 4 dígitos hexadecimais em maiúsculas
+   */
+  crc16(payload) {
+    let crc = 0xFFFF;
+    for (const byte of Buffer.from(payload, 'utf8')) {
+      crc ^= byte << 8;
+      for (let i = 0; i < 8; i++) {
+        crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) : (crc << 1);
+        crc &= 0xFFFF;
+      }
+    }
+    return crc.toString(16).toUpperCase().padStart(4, '0');
+  }
+
+  /**
+   * Monta o payload "copia e cola" de um PIX estático
+   * @param {Object} params - { key, name, city, amount, txid, description }
+   *   amount: opcional (sem valor, o pagador digita)
+   *   txid: até 25 caracteres alfanuméricos (padrão '***')
+   * @returns {String} - payload EMV com CRC
+   */
+  build({ key, name, city, amount = null, txid = null, description = null }) {
+    if (!key) throw new Error('Chave PIX não configurada');
+
+    const merchantName = sanitize(name, 25);
+    const merchantCity = sanitize(city, 15);
+    if (!merchantName || !merchantCity) {
+      throw new Error('Nome e cidade do recebedor são obrigatórios no BR Code');
+    }
+
+    let merchantAccount = emvField('00', GUI_PIX) + emvField('01', key);
+    const info = sanitize(description, 99 - merchantAccount.length - 4);
+    if (info) merchantAccount += emvField('02', info);
+
+    const reference = txid ? String(txid).replace(/[^A-Za-z0-9]/g, '').substring(0, 25) : '***';
+
+    let payload = emvField('00', '01') +
+      emvField('26', merchantAccount) +
+      emvField('52', '0000') +
+      emvField('53', '986');
+
+    if (amount !== null && typeof amount !== 'undefined') {
+      payload += emvField('54', Number(amount).toFixed(2));
+    }
+
+    payload += emvField('58', 'BR') +
+      emvField('59', merchantName) +
+      emvField('60', merchantCity) +
+      emvField('62', emvField('05', reference || '***')) +
+      '6304';
+
+    return payload + this.crc16(payload);
+  }
+
+  /**
+   * Indica se a contingência de PIX manual está habilitada e configurada
+   */
+  isManualFallbackEnabled() {
+    return process.env.PIX_MANUAL_FALLBACK === 'true' &&
+      Boolean(process.env.PIX_STATIC_KEY || process.env.EFIBANK_PIX_KEY);
+  }
+
+  /**
+   * Cria uma cobrança PIX estática para confirmação manual
+   * Mesmo formato de retorno de efibankService.createPixCharge
+   * @param {Object} params - { amount, description }
+   * @returns {Object} - { txid, qrcode, qrcode_image, expires_at, provider }
+   */
+  createManualCharge({ amount, description = null }) {
+    // txid do BR Code estático: até 25 caracteres (não colide com os txids do Efí Bank, que têm 26 a 35)
+    const txid = `HYPEX${crypto.randomBytes(10).toString('hex').toUpperCase()}`;
+
+    const qrcode = this.build({
+      key: process.env.PIX_STATIC_KEY || process.env.EFIBANK_PIX_KEY,
+      name: process.env.PIX_MERCHANT_NAME || 'HYPEX',
+      city: process.env.PIX_MERCHANT_CITY || 'BETIM',
+      amount,
+      txid,
+      description
+    });
+
+    const expiresAt = new Date(Date.now() + this.manualExpiration * 1000);
+
+    return {
+      txid,
+      qrcode,
+      qrcode_image: qrcodeService.toPngDataUrl(qrcode),
+      expires_at: expiresAt.toISOString(),
+      provider: 'manual'
+    };
+  }
+}
+
+module.exports = new PixBrCodeService();
@@ -0,0 +1,94 @@
+const supabase = require('../db/supabaseClient');
+
+/**
+ * Busca de produtos por relevância
+ * Com termo de busca, a listagem parte da função search_products (sql/add_product_search.sql):
+ * nome, marca, tipo e descrição com radicais em português, sem acentos e com tolerância a
+ * erros de digitação, já ordenados por relevância. Os demais filtros da API valem por cima.
+ * Sem a migração aplicada, a busca volta ao ilike no nome.
+ *
+ * Facetas: contagem de produtos por marca, tipo, cor, tamanho e faixa de preço, feita no banco pela
+ * função product_facets (sql/add_product_facets.sql). Cada faceta ignora o próprio filtro (ex.: com a
+ * marca "nike" marcada, as outras marcas continuam com a contagem que teriam se fossem escolhidas).
+ */
+
+// Faixas do filtro priceRange e da faceta de preço (a primeira inclui o zero)
+const PRICE_BANDS = [
+  { value: '0-50', min: 0, max: 50, min_inclusive: true },
+  { value: '50-100', min: 50, max: 100 },
+  { value: '100-200', min: 100, max: 200 },
+  { value: '200+', min: 200, max: null }
+];
+
+// Erro do PostgREST/Postgres quando a função (search_products ou product_facets) não existe
+const MISSING_FUNCTION_CODES = ['PGRST202', '42883'];
+
+class ProductSearchService {
+  constructor() {
+    this.priceBands = PRICE_BANDS;
+    this.available = true;
+    this.facetsAvailable = true;
+  }
+
+  /**
+   * Consulta base da listagem de produtos
+   * @param {String} search - termo de busca (opcional)
+   * @param {String} columns - colunas retornadas
+   * @param {Object} options - { count?, head? } como em select()
+   */
+  from(search, columns = '*', { count, head } = {}) {
+    const term = String(search || '').trim();
+    if (term && this.available) {
+      return supabase.rpc('search_products', { search_query: term }, { count, head }).select(columns);
+    }
+
+    let query = supabase.from('products').select(columns, { count, head });
+    if (term) {
+      query = query.ilike('name', `%${term}%`);
+    }
+    return query;
+  }
+
+  /**
+   * Indica se a busca ordena por relevância (função search_products disponível)
+   */
+  ranks(search) {
+    return this.available && String(search || '').trim() !== '';
+  }
+
+  /**
+   * Desativa a busca por relevância se o erro for a falta da função no banco
+   * @returns {Boolean} - true se a consulta deve ser refeita com o ilike
+   */
+  fallbackOn(error) {
+    if (!error || !this.available || !MISSING_FUNCTION_CODES.includes(error.code)) return false;
+    console.warn('[Busca] Função search_products não encontrada (aplique sql/add_product_search.sql); usando busca simples pelo nome');
+    this.available = false;
+    return true;
+  }
+
+  /**
+   * Contagens por faceta (agregadas no banco; nenhuma linha de produto vem para a API)
+   * @param {String} search - termo de busca (opcional)
+   * @param {Object} filters - filtros da listagem (productFilters em controllers/products.js)
+   * @returns {Object|null} - { brand: [{ value, count }], type, color, size, price }; null sem a migração
+   */
+  async facets(search, filters) {
+    if (!this.facetsAvailable) return null;
+
+    const { data, error } = await supabase.rpc('product_facets', {
+      search_query: String(search || '').trim() || null,
+      p_filters: { ...filters, price_bands: PRICE_BANDS }
+    });
+
+    if (error) {
+      if (!MISSING_FUNCTION_CODES.includes(error.code)) throw error;
+      console.warn('[Busca] Função product_facets não encontrada (aplique sql/add_product_facets.sql); listagem sem facetas');
+      this.facetsAvailable = false;
+      return null;
+    }
+    return data;
+  }
+}
+
+module.exports = new ProductSearchService();
@@ -0,0 +1,259 @@
+const supabase = require('../db/supabaseClient');
+
+/**
+ * Sugestões da barra de busca (GET /api/products/suggest?q=)
+ * Índice de prefixos em memória com os produtos ativos, marcas e categorias:
+ * cada palavra (sem acentos, minúscula) fica numa lista ordenada e a consulta é uma busca binária.
+ * O índice é refeito quando o admin altera produtos e, no máximo, a cada INDEX_TTL_MS
+ * (alterações feitas por outra instância ou direto no banco). Enquanto é refeito, as sugestões
+ * saem do índice anterior; sem índice nenhum, a resposta espera até BUILD_WAIT_MS.
+ */
+
+const INDEX_TTL_MS = 5 * 60 * 1000;
+const BUILD_WAIT_MS = 800;
+
+const MAX_PRODUCTS = 6;
+const MAX_GROUPS = 3;
+
+const CATEGORIES = [
+  { value: 'roupas', label: 'Roupas', url: '/pages/roupas.html' },
+  { value: 'calcados', label: 'Calçados', url: '/pages/calcados.html' },
+  { value: 'acessorios', label: 'Acessórios', url: '/pages/acessorios.html' }
+];
+
+// Nomes exibidos dos tipos de produto (mesmos dos filtros das páginas)
+const TYPE_LABELS = {
+  'camisa': 'Camisa',
+  'moleton': 'Moleton',
+  'vestido': 'Vestido',
+  'sapato': 'Sapato',
+  'calca': 'Calça',
+  'calca-normal': 'Calça Normal',
+  'calca-jogador': 'Calça Jogador',
+  'bermuda-jeans': 'Bermuda Jeans',
+  'bermuda-jogador': 'Bermuda Jogador',
+  'bermuda-tectel': 'Bermuda Tectel',
+  'bermuda-elastano': 'Bermuda Elastano',
+  'blusa-times': 'Blusa de Times',
+  'conjunto': 'Conjunto',
+  'kit': 'Sugestões de Kit',
+  'bone': 'Boné',
+  'acessorio': 'Acessório',
+  'short': 'Short',
+  'camiseta': 'Camiseta'
+};
+
+// Nomes de marca que não saem do slug ("dolce-gabbana" -> "Dolce Gabbana")
+const BRAND_LABELS = {
+  'bmw': 'BMW',
+  'off-white': 'Off-White',
+  'dolce-gabbana': 'Dolce & Gabbana',
+  'hermes': 'Hermès'
+};
+
+function normalize(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function words(value) {
+  const text = normalize(value);
+  return text ? text.split(' ') : [];
+}
+
+function brandLabel(brand) {
+  if (BRAND_LABELS[brand]) return BRAND_LABELS[brand];
+  return String(brand).split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+}
+
+// Primeira posição da lista ordenada com palavra >= prefix
+function lowerBound(keys, prefix) {
+  let lo = 0;
+  let hi = keys.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (keys[mid].word < prefix) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+class ProductSuggestService {
+  constructor() {
+    this.index = null;
+    this.builtAt = 0;
+    this.invalidatedAt = 0;
+    this.building = null;
+  }
+
+  /**
+   * Marca o índice como desatualizado (produto criado, alterado ou removido)
+   */
+  invalidate() {
+    this.invalidatedAt = Date.now();
+  }
+
+  thumbnail(product) {
+    const key = Array.isArray(product.images) && product.images.length ? product.images[0] : null;
+    if (!key) return null;
+    if (/^(http|https):\/\//.test(key)) return key;
+    const { data } = supabase.storage.from('product_images').getPublicUrl(key);
+    return data ? data.publicUrl : null;
+  }
+
+  async build() {
+    const { data, error } = await supabase
+      .from('products')
+      .select('id, name, brand, type, price, images, created_at')
+      .eq('is_active', true)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    const entries = [];
+    const keys = [];
+    const addKeys = (entry, text) => {
+      entry.words = entry.words || [];
+      words(text).forEach(word => {
+        if (entry.words.includes(word)) return;
+        entry.words.push(word);
+        keys.push({ word, entry });
+      });
+    };
+
+    const brandCounts = new Map();
+    const typeCounts = new Map();
+    (data || []).forEach((product, position) => {
+      const entry = {
+        kind: 'product',
+        position,
+        name: normalize(product.name),
+        item: {
+          id: product.id,
+          name: product.name,
+          brand: product.brand || null,
+          price: Number(product.price || 0),
+          thumbnail: this.thumbnail(product),
+          url: `/pages/product.html?id=${product.id}`
+        }
+      };
+      addKeys(entry, `${product.name} ${product.brand ? brandLabel(product.brand) : ''}`);
+      entries.push(entry);
+
+      if (product.brand) brandCounts.set(product.brand, (brandCounts.get(product.brand) || 0) + 1);
+      if (product.type) typeCounts.set(product.type, (typeCounts.get(product.type) || 0) + 1);
+    });
+
+    brandCounts.forEach((count, brand) => {
+      const label = brandLabel(brand);
+      const entry = {
+        kind: 'brand',
+        count,
+        name: normalize(label),
+        item: { value: brand, label, count, url: `/pages/category.html?brand=${encodeURIComponent(brand)}` }
+      };
+      addKeys(entry, `${label} ${brand}`);
+      entries.push(entry);
+    });
+
+    CATEGORIES.forEach(category => {
+      const entry = { kind: 'category', count: Infinity, name: normalize(category.label), item: { ...category } };
+      addKeys(entry, category.label);
+      entries.push(entry);
+    });
+    typeCounts.forEach((count, type) => {
+      const label = TYPE_LABELS[type] || type;
+      const entry = {
+        kind: 'category',
+        count,
+        name: normalize(label),
+        item: { value: type, label, count, url: `/pages/pesquisa.html?q=${encodeURIComponent(label)}` }
+      };
+      addKeys(entry, label);
+      entries.push(entry);
+    });
+
+    keys.sort((a, b) => (a.word < b.word ? -1 : a.word > b.word ? 1 : 0));
+    return { keys, size: entries.length };
+  }
+
+  /**
+   * Refaz o índice em segundo plano (uma reconstrução por vez)
+   */
+  refresh() {
+    if (!this.building) {
+      const startedAt = Date.now();
+      this.building = this.build()
+        .then(index => {
+          this.index = index;
+          this.builtAt = startedAt;
+          console.log(`[Sugestões] Índice refeito: ${index.size} entradas em ${Date.now() - startedAt}ms`);
+        })
+        .catch(err => {
+          console.error('[Sugestões] Erro ao montar o índice:', err.message);
+        })
+        .finally(() => {
+          this.building = null;
+        });
+    }
+    return this.building;
+  }
+
+  async ready() {
+    // Índice montado antes da última alteração de produto também está desatualizado
+    const fresh = this.builtAt > this.invalidatedAt && this.builtAt + INDEX_TTL_MS > Date.now();
+    if (this.index && fresh) return this.index;
+
+    const building = this.refresh();
+    if (this.index) return this.index; // desatualizado: responde com o anterior
+
+    let timer;
+    await Promise.race([building, new Promise(resolve => { timer = setTimeout(resolve, BUILD_WAIT_MS); })]);
+    clearTimeout(timer);
+    return this.index;
+  }
+
+  /**
+   * Sugestões para o termo digitado
+   * Todas as palavras do termo precisam ser início de alguma palavra da sugestão
+   * @returns {Object} - { products: [...], brands: [...], categories: [...] }
+   */
+  async suggest(query) {
+    const empty = { products: [], brands: [], categories: [] };
+    const terms = words(query);
+    if (!terms.length) return empty;
+
+    const index = await this.ready();
+    if (!index) return empty;
+
+    // A palavra mais longa restringe mais a busca no índice
+    const first = terms.reduce((a, b) => (b.length > a.length ? b : a));
+    const found = new Set();
+    for (let i = lowerBound(index.keys, first); i < index.keys.length && index.keys[i].word.startsWith(first); i++) {
+      found.add(index.keys[i].entry);
+    }
+
+    const full = terms.join(' ');
+    const matches = [...found].filter(entry =>
+      terms.every(term => entry.words.some(word => word.startsWith(term)))
+    );
+
+    // Nome começando pelo termo vem antes; depois os produtos mais recentes e as marcas/categorias com mais produtos
+    const byRelevance = (a, b) =>
+      (b.name.startsWith(full) - a.name.startsWith(full)) ||
+      (a.kind === 'product' ? a.position - b.position : b.count - a.count);
+
+    const pick = kind => matches.filter(e => e.kind === kind).sort(byRelevance).map(e => e.item);
+    return {
+      products: pick('product').slice(0, MAX_PRODUCTS),
+      brands: pick('brand').slice(0, MAX_GROUPS),
+      categories: pick('category').slice(0, MAX_GROUPS)
+    };
+  }
+}
+
+module.exports = new ProductSuggestService();
@@ -0,0 +1,482 @@
+const zlib = require('zlib');
+
+/**
+ * Gerador de QR Code (ISO/IEC 18004) sem dependências externas
+ * Usado para a imagem do PIX "copia e cola": o payload do pagamento não sai do servidor.
+ * Suporta modo byte, versões 1 a 40 e níveis de correção L, M, Q e H.
+ */
+
+const ECC_LEVELS = {
+  L: { ordinal: 0, formatBits: 1 },
+  M: { ordinal: 1, formatBits: 0 },
+  Q: { ordinal: 2, formatBits: 3 },
+  H: { ordinal: 3, formatBits: 2 }
+};
+
+// Codewords de correção por bloco, por nível (L, M, Q, H) e versão (índice 0 não usado)
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+// Quantidade de blocos de correção, por nível (L, M, Q, H) e versão
+const NUM_ERROR_CORRECTION_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+// Margem (quiet zone) recomendada pela norma, em módulos
+const BORDER = 4;
+
+function getBit(value, i) {
+  return ((value >>> i) & 1) !== 0;
+}
+
+// Multiplicação no corpo GF(2^8) com polinômio 0x11D
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+  const result = new Array(divisor.length).fill(0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => {
+      result[i] ^= gfMultiply(coef, factor);
+    });
+  }
+  return result;
+}
+
+// Módulos disponíveis para dados (sem padrões de função) em uma versão
+function getNumRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+function getNumDataCodewords(version, ecl) {
+  return Math.floor(getNumRawDataModules(version) / 8) -
+    ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][version] * NUM_ERROR_CORRECTION_BLOCKS[ecl.ordinal][version];
+}
+
+function getAlignmentPatternPositions(version) {
+  if (version === 1) return [];
+  const size = version * 4 + 17;
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < numAlign; pos -= step) {
+    result.splice(1, 0, pos);
+  }
+  return result;
+}
+
+// CRC32 usado nos chunks do PNG
+const CRC_TABLE = (() => {
+  const table = new Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buf) {
+  let crc = 0xFFFFFFFF;
+  for (const b of buf) {
+    crc = CRC_TABLE[(crc ^ b) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+class QrCodeService {
+  /**
+   * Codifica um texto em uma matriz de QR Code
+   * @param {String} text - Conteúdo (ex.: payload EMV do PIX)
+   * @param {Object} options - { ecc: 'L' | 'M' | 'Q' | 'H', mask: 0-7 (padrão: melhor máscara) }
+   * @returns {Array<Array<Boolean>>} - modules[y][x], true = módulo escuro
+   */
+  encode(text, { ecc = 'M', mask = null } = {}) {
+    const ecl = ECC_LEVELS[ecc];
+    if (!ecl) throw new Error(`Nível de correção inválido: ${ecc}`);
+
+    const data = Buffer.from(String(text), 'utf8');
+
+    // Menor versão em que os dados cabem (modo byte)
+    let version;
+    for (version = 1; version <= 40; version++) {
+      const countBits = version <= 9 ? 8 : 16;
+      const usedBits = 4 + countBits + data.length * 8;
+      if (data.length < (1 << countBits) && usedBits <= getNumDataCodewords(version, ecl) * 8) break;
+    }
+    if (version > 40) {
+      throw new Error('Conteúdo grande demais para um QR Code');
+    }
+
+    const codewords = this.buildCodewords(data, version, ecl);
+    return this.buildMatrix(codewords, version, ecl, mask);
+  }
+
+  /**
+   * Monta os codewords de dados e de correção (intercalados)
+   */
+  buildCodewords(data, version, ecl) {
+    const bits = [];
+    const appendBits = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    appendBits(0x4, 4); // modo byte
+    appendBits(data.length, version <= 9 ? 8 : 16);
+    for (const b of data) appendBits(b, 8);
+
+    const capacityBits = getNumDataCodewords(version, ecl) * 8;
+    appendBits(0, Math.min(4, capacityBits - bits.length)); // terminador
+    appendBits(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+      appendBits(pad, 8);
+    }
+
+    const dataCodewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      dataCodewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+    }
+
+    // Dividir em blocos, calcular a correção de erros e intercalar
+    const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ecl.ordinal][version];
+    const blockEccLen = ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][version];
+    const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+    const divisor = reedSolomonDivisor(blockEccLen);
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+      const dat = dataCodewords.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+      k += dat.length;
+      const ecc = reedSolomonRemainder(dat, divisor);
+      if (i < numShortBlocks) dat.push(0);
+      blocks.push(dat.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach((block, j) => {
+        // Pular o byte de preenchimento dos blocos curtos
+        if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) {
+          result.push(block[i]);
+        }
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Desenha a matriz: padrões de função, dados, máscara e informação de formato
+   */
+  buildMatrix(codewords, version, ecl, forcedMask) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+
+    const setFunction = (x, y, dark) => {
+      modules[y][x] = dark;
+      isFunction[y][x] = true;
+    };
+
+    const drawFormatBits = (mask) => {
+      const data = (ecl.formatBits << 3) | mask;
+      let rem = data;
+      for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+      const bits = ((data << 10) | rem) ^ 0x5412;
+
+      for (let i = 0; i <= 5; i++) setFunction(8, i, getBit(bits, i));
+      setFunction(8, 7, getBit(bits, 6));
+      setFunction(8, 8, getBit(bits, 7));
+      setFunction(7, 8, getBit(bits, 8));
+      for (let i = 9; i < 15; i++) setFunction(14 - i, 8, getBit(bits, i));
+
+      for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, getBit(bits, i));
+      for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, getBit(bits, i));
+      setFunction(8, size - 8, true); // módulo escuro fixo
+    };
+
+    // Padrões de temporização
+    for (let i = 0; i < size; i++) {
+      setFunction(6, i, i % 2 === 0);
+      setFunction(i, 6, i % 2 === 0);
+    }
+
+    // Padrões de localização (cantos) com separadores
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const dist = Math.max(Math.abs(dx), Math.abs(dy));
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x >= 0 && x < size && y >= 0 && y < size) {
+            setFunction(x, y, dist !== 2 && dist !== 4);
+          }
+        }
+      }
+    });
+
+    // Padrões de alinhamento
+    const alignPositions = getAlignmentPatternPositions(version);
+    const numAlign = alignPositions.length;
+    for (let i = 0; i < numAlign; i++) {
+      for (let j = 0; j < numAlign; j++) {
+        const overlapsFinder = (i === 0 && j === 0) || (i === 0 && j === numAlign - 1) || (i === numAlign - 1 && j === 0);
+        if (overlapsFinder) continue;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            setFunction(alignPositions[i] + dx, alignPositions[j] + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      }
+    }
+
+    // Reservar a área de formato (desenhada de verdade após escolher a máscara)
+    drawFormatBits(0);
+
+    // Informação de versão (versão 7 em diante)
+    if (version >= 7) {
+      let rem = version;
+      for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+      const bits = (version << 12) | rem;
+      for (let i = 0; i < 18; i++) {
+        const bit = getBit(bits, i);
+        const a = size - 11 + i % 3;
+        const b = Math.floor(i / 3);
+        setFunction(a, b, bit);
+        setFunction(b, a, bit);
+      }
+    }
+
+    // Dados em zigue-zague, de baixo para cima, em colunas duplas
+    let bitIndex = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (!isFunction[y][x] && bitIndex < codewords.length * 8) {
+            modules[y][x] = getBit(codewords[bitIndex >>> 3], 7 - (bitIndex & 7));
+            bitIndex++;
+          }
+        }
+      }
+    }
+
+    const applyMask = (mask) => {
+      for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+          let invert;
+          switch (mask) {
+            case 0: invert = (x + y) % 2 === 0; break;
+            case 1: invert = y % 2 === 0; break;
+            case 2: invert = x % 3 === 0; break;
+            case 3: invert = (x + y) % 3 === 0; break;
+            case 4: invert = (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0; break;
+            case 5: invert = (x * y) % 2 + (x * y) % 3 === 0; break;
+            case 6: invert = ((x * y) % 2 + (x * y) % 3) % 2 === 0; break;
+            default: invert = ((x + y) % 2 + (x * y) % 3) % 2 === 0;
+          }
+          if (!isFunction[y][x] && invert) modules[y][x] = !modules[y][x];
+        }
+      }
+    };
+
+    let mask = forcedMask;
+    if (mask === null || typeof mask === 'undefined') {
+      // Escolher a máscara com menor penalidade (aplicar duas vezes desfaz a máscara)
+      let minPenalty = Infinity;
+      for (let m = 0; m < 8; m++) {
+        applyMask(m);
+        drawFormatBits(m);
+        const penalty = this.penaltyScore(modules);
+        if (penalty < minPenalty) {
+          minPenalty = penalty;
+          mask = m;
+        }
+        applyMask(m);
+      }
+    }
+
+    applyMask(mask);
+    drawFormatBits(mask);
+    return modules;
+  }
+
+  /**
+   * Penalidade de uma máscara (regras N1 a N4 da norma)
+   */
+  penaltyScore(modules) {
+    const size = modules.length;
+    let result = 0;
+
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i]);
+      lines.push(modules.map(row => row[i]));
+    }
+
+    const finderLike = [true, false, true, true, true, false, true];
+    lines.forEach(line => {
+      // N1: sequências de 5 ou mais módulos da mesma cor
+      let runLength = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          runLength++;
+        } else {
+          if (runLength >= 5) result += 3 + (runLength - 5);
+          runLength = 1;
+        }
+      }
+
+      // N3: padrão 1:1:3:1:1 com 4 módulos claros antes ou depois
+      for (let i = 0; i + 7 <= size; i++) {
+        if (!finderLike.every((dark, k) => line[i + k] === dark)) continue;
+        const lightBefore = i >= 4 && [1, 2, 3, 4].every(k => !line[i - k]);
+        const lightAfter = i + 11 <= size && [0, 1, 2, 3].every(k => !line[i + 7 + k]);
+        if (lightBefore || lightAfter) result += 40;
+      }
+    });
+
+    // N2: blocos 2x2 da mesma cor
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+        if (x < size - 1 && y < size - 1) {
+          const color = modules[y][x];
+          if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+            result += 3;
+          }
+        }
+      }
+    }
+
+    // N4: proporção de módulos escuros longe de 50%
+    const total = size * size;
+    result += Math.floor(Math.abs(dark * 100 / total - 50) / 5) * 10;
+    return result;
+  }
+
+  /**
+   * Imagem SVG do QR Code
+   * @returns {String} - conteúdo SVG
+   */
+  toSvg(text, { ecc = 'M' } = {}) {
+    const modules = this.encode(text, { ecc });
+    const size = modules.length + BORDER * 2;
+    const parts = [];
+    modules.forEach((row, y) => {
+      row.forEach((isDark, x) => {
+        if (isDark) parts.push(`M${x + BORDER},${y + BORDER}h1v1h-1z`);
+      });
+    });
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges">` +
+      `<rect width="100%" height="100%" fill="#FFFFFF"/>` +
+      `<path d="${parts.join('')}" fill="#000000"/></svg>`;
+  }
+
+  /**
+   * Imagem PNG do QR Code (escala de cinza, 1 bit por pixel)
+   * @param {Object} options - { ecc, scale: pixels por módulo }
+   * @returns {Buffer} - arquivo PNG
+   */
+  toPng(text, { ecc = 'M', scale = 8 } = {}) {
+    const modules = this.encode(text, { ecc });
+    const size = (modules.length + BORDER * 2) * scale;
+    const bytesPerRow = Math.ceil(size / 8);
+
+    const raw = Buffer.alloc((bytesPerRow + 1) * size, 0);
+    for (let py = 0; py < size; py++) {
+      const rowStart = py * (bytesPerRow + 1);
+      raw[rowStart] = 0; // filtro "None"
+      const my = Math.floor(py / scale) - BORDER;
+      for (let px = 0; px < size; px++) {
+        const mx = Math.floor(px / scale) - BORDER;
+        const isDark = my >= 0 && my < modules.length && mx >= 0 && mx < modules.length && modules[my][mx];
+        // Em escala de cinza, bit 1 = branco
+        if (!isDark) raw[rowStart + 1 + (px >>> 3)] |= 0x80 >>> (px & 7);
+      }
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(size, 0);
+    header.writeUInt32BE(size, 4);
+    header[8] = 1; // bits por pixel
+    header[9] = 0; // escala de cinza
+    header[10] = 0;
+    header[11] = 0;
+    header[12] = 0;
+
+    return Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+      pngChunk('IHDR', header),
+      pngChunk('IDAT', zlib.deflateSync(raw)),
+      pngChunk('IEND', Buffer.alloc(0))
+    ]);
+  }
+
+  /**
+   * Data URL PNG (para usar direto em <img src>)
+   */
+  toPngDataUrl(text, options) {
+    return `data:image/png;base64,${this.toPng(text, options).toString('base64')}`;
+  }
+
+  /**
+   * Data URL SVG
+   */
+  toSvgDataUrl(text, options) {
+    return `data:image/svg+xml;base64,${Buffer.from(this.toSvg(text, options)).toString('base64')}`;
+  }
+}
+
+module.exports = new QrCodeService();
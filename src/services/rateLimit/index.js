@@ -0,0 +1,101 @@
+const memoryStore = require('./memory');
+const tableStore = require('./table');
+const redisStore = require('./redis');
+
+/**
+ * Limite de requisições e bloqueio de login por tentativas erradas
+ * Os contadores ficam num store trocável, escolhido em RATE_LIMIT_STORE:
+ *   memory (padrão) - memória desta instância (desenvolvimento / servidor único)
+ *   table           - tabela rate_limits do Supabase (sql/add_rate_limits.sql)
+ *   redis           - Redis compatível com a API REST do Upstash (RATE_LIMIT_REDIS_URL/TOKEN)
+ * Cada store implementa increment(key, ttlMs) -> { count, expiresAt }, get(key) e reset(key).
+ * Se o store configurado falhar, a contagem continua na memória desta instância.
+ *
+ * Login: a partir de LOGIN_MAX_FAILURES senhas erradas para o mesmo email, a conta fica
+ * bloqueada por LOGIN_LOCK_BASE_MS, dobrando a cada nova falha até LOGIN_LOCK_MAX_MS.
+ * Um login certo zera a contagem.
+ */
+
+const STORES = {
+  [memoryStore.name]: memoryStore,
+  [tableStore.name]: tableStore,
+  [redisStore.name]: redisStore
+};
+
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCK_BASE_MS = 60 * 1000;
+const LOGIN_LOCK_MAX_MS = 30 * 60 * 1000;
+// Falhas contam por 24h desde a primeira (o bloqueio cresce mesmo com tentativas espaçadas)
+const LOGIN_FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+class RateLimitService {
+  constructor() {
+    const name = (process.env.RATE_LIMIT_STORE || memoryStore.name).trim().toLowerCase();
+    this.store = STORES[name];
+    if (!this.store) {
+      console.warn(`[Limite] RATE_LIMIT_STORE desconhecido: ${name}; usando memória`);
+      this.store = memoryStore;
+    }
+  }
+
+  /**
+   * Executa a operação no store configurado; se ele falhar, na memória
+   */
+  async withStore(operation) {
+    if (this.store === memoryStore) return operation(memoryStore);
+    try {
+      return await operation(this.store);
+    } catch (err) {
+      console.error(`[Limite] Erro no store ${this.store.name}, usando memória:`, err.message);
+      return operation(memoryStore);
+    }
+  }
+
+  /**
+   * Conta uma requisição na chave
+   * @returns {Object} - { count, expiresAt, limited, retryAfter (segundos) }
+   */
+  async hit(key, { windowMs, max }) {
+    const { count, expiresAt } = await this.withStore(store => store.increment(key, windowMs));
+    return {
+      count,
+      expiresAt,
+      limited: count > max,
+      retryAfter: Math.max(1, Math.ceil((expiresAt - Date.now()) / 1000))
+    };
+  }
+
+  loginKey(email) {
+    return String(email || '').trim().toLowerCase();
+  }
+
+  /**
+   * Segundos restantes de bloqueio do login para o email (0 se liberado)
+   */
+  async loginLockedFor(email) {
+    const lock = await this.withStore(store => store.get(`login:lock:${this.loginKey(email)}`));
+    if (!lock) return 0;
+    return Math.max(1, Math.ceil((lock.expiresAt - Date.now()) / 1000));
+  }
+
+  /**
+   * Registra uma senha errada; bloqueia a conta a partir de LOGIN_MAX_FAILURES falhas
+   * @returns {Number} - segundos de bloqueio (0 se ainda não bloqueou)
+   */
+  async loginFailed(email) {
+    const account = this.loginKey(email);
+    const { count } = await this.withStore(store => store.increment(`login:fail:${account}`, LOGIN_FAILURE_WINDOW_MS));
+    if (count < LOGIN_MAX_FAILURES) return 0;
+
+    const lockMs = Math.min(LOGIN_LOCK_BASE_MS * 2 ** (count - LOGIN_MAX_FAILURES), LOGIN_LOCK_MAX_MS);
+    await this.withStore(store => store.increment(`login:lock:${account}`, lockMs));
+    console.warn(`[Limite] Login bloqueado por ${Math.round(lockMs / 1000)}s após ${count} tentativas erradas: ${account}`);
+    return Math.ceil(lockMs / 1000);
+  }
+
+  async loginSucceeded(email) {
+    await this.withStore(store => store.reset(`login:fail:${this.loginKey(email)}`));
+  }
+}
+
+module.exports = new RateLimitService();
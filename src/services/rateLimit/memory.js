@@ -0,0 +1,49 @@
+/**
+ * Store em memória: contadores desta instância do servidor
+ * Bom para desenvolvimento e para um único servidor; com várias instâncias (Vercel),
+ * cada uma conta separado (use RATE_LIMIT_STORE=table ou redis).
+ */
+
+// Remove janelas vencidas no máximo uma vez por minuto
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+class MemoryRateLimitStore {
+  constructor() {
+    this.name = 'memory';
+    this.entries = new Map();
+    this.sweptAt = Date.now();
+  }
+
+  sweep(now) {
+    if (now - this.sweptAt < SWEEP_INTERVAL_MS) return;
+    this.sweptAt = now;
+    this.entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    });
+  }
+
+  async increment(key, ttlMs) {
+    const now = Date.now();
+    this.sweep(now);
+
+    let entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= now) {
+      entry = { count: 0, expiresAt: now + ttlMs };
+      this.entries.set(key, entry);
+    }
+    entry.count += 1;
+    return { count: entry.count, expiresAt: entry.expiresAt };
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) return null;
+    return { count: entry.count, expiresAt: entry.expiresAt };
+  }
+
+  async reset(key) {
+    this.entries.delete(key);
+  }
+}
+
+module.exports = new MemoryRateLimitStore();
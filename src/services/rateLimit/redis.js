@@ -0,0 +1,70 @@
+const fetch = require('node-fetch');
+
+/**
+ * Store em Redis pela API REST compatível com Upstash (funciona em serverless, sem conexão aberta)
+ * Comandos enviados em /pipeline: SET NX com expiração + INCR mantém a janela sem corrida.
+ *
+ * Configuração no .env:
+ *   RATE_LIMIT_REDIS_URL (ex.: https://xxx.upstash.io)
+ *   RATE_LIMIT_REDIS_TOKEN
+ */
+
+const KEY_PREFIX = 'hypex:rl:';
+const REQUEST_TIMEOUT_MS = 2000;
+
+class RedisRateLimitStore {
+  constructor() {
+    this.name = 'redis';
+  }
+
+  isConfigured() {
+    return Boolean(process.env.RATE_LIMIT_REDIS_URL && process.env.RATE_LIMIT_REDIS_TOKEN);
+  }
+
+  async pipeline(commands) {
+    if (!this.isConfigured()) {
+      throw new Error('RATE_LIMIT_REDIS_URL/RATE_LIMIT_REDIS_TOKEN não configurados');
+    }
+
+    const response = await fetch(`${process.env.RATE_LIMIT_REDIS_URL.replace(/\/$/, '')}/pipeline`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${process.env.RATE_LIMIT_REDIS_TOKEN}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(commands),
+      timeout: REQUEST_TIMEOUT_MS
+    });
+    if (!response.ok) {
+      throw new Error(`Redis respondeu ${response.status}`);
+    }
+
+    const results = await response.json();
+    const failed = results.find(r => r.error);
+    if (failed) throw new Error(`Redis: ${failed.error}`);
+    return results.map(r => r.result);
+  }
+
+  async increment(key, ttlMs) {
+    const redisKey = KEY_PREFIX + key;
+    const [, count, ttl] = await this.pipeline([
+      ['SET', redisKey, '0', 'PX', String(Math.ceil(ttlMs)), 'NX'],
+      ['INCR', redisKey],
+      ['PTTL', redisKey]
+    ]);
+    return { count: Number(count), expiresAt: Date.now() + Math.max(Number(ttl), 0) };
+  }
+
+  async get(key) {
+    const redisKey = KEY_PREFIX + key;
+    const [count, ttl] = await this.pipeline([['GET', redisKey], ['PTTL', redisKey]]);
+    if (count === null || Number(ttl) <= 0) return null;
+    return { count: Number(count), expiresAt: Date.now() + Number(ttl) };
+  }
+
+  async reset(key) {
+    await this.pipeline([['DEL', KEY_PREFIX + key]]);
+  }
+}
+
+module.exports = new RedisRateLimitStore();
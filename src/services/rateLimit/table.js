@@ -0,0 +1,39 @@
+const supabase = require('../../db/supabaseClient');
+
+/**
+ * Store em tabela do Supabase (sql/add_rate_limits.sql)
+ * A contagem é feita pela função rate_limit_hit numa única operação (sem corrida entre instâncias).
+ */
+
+class TableRateLimitStore {
+  constructor() {
+    this.name = 'table';
+  }
+
+  async increment(key, ttlMs) {
+    const { data, error } = await supabase
+      .rpc('rate_limit_hit', { p_key: key, p_ttl_ms: Math.ceil(ttlMs) })
+      .maybeSingle();
+    if (error) throw error;
+    return { count: Number(data.hits), expiresAt: new Date(data.reset_at).getTime() };
+  }
+
+  async get(key) {
+    const { data, error } = await supabase
+      .from('rate_limits')
+      .select('count, expires_at')
+      .eq('key', key)
+      .gt('expires_at', new Date().toISOString())
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) return null;
+    return { count: Number(data.count), expiresAt: new Date(data.expires_at).getTime() };
+  }
+
+  async reset(key) {
+    const { error } = await supabase.from('rate_limits').delete().eq('key', key);
+    if (error) throw error;
+  }
+}
+
+module.exports = new TableRateLimitStore();
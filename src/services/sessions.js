@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const supabase = require('../db/supabaseClient');
+
+/**
+ * Sessões de login
+ * O login devolve um access token (JWT curto, ACCESS_TOKEN_TTL_MINUTES) e um refresh token
+ * guardado no servidor como hash (tabela user_sessions). POST /api/auth/refresh troca o refresh
+ * token por um novo par; o anterior deixa de valer e, se for reapresentado depois, a sessão é
+ * encerrada (token provavelmente copiado). Logout, "sair de todos os dispositivos", troca de
+ * senha e troca de papel encerram as sessões; toda rota autenticada confere no banco se a sessão
+ * do access token ainda está ativa e usa o papel atual do usuário (middleware/auth).
+ *
+ * Configuração no .env:
+ *   JWT_SECRET (obrigatório em produção)
+ *   ACCESS_TOKEN_TTL_MINUTES (padrão 15)
+ *   REFRESH_TOKEN_TTL_DAYS (sessão sem uso expira, padrão 30)
+ */
+
+const ACCESS_TOKEN_TTL_MINUTES = Number(process.env.ACCESS_TOKEN_TTL_MINUTES || 15);
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+// Duas abas renovando ao mesmo tempo reapresentam o token recém-trocado: não é reuso
+const REUSE_GRACE_MS = 30 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function sessionError(message, code = 'session_expired') {
+  const err = new Error(message);
+  err.status = 401;
+  err.code = code;
+  return err;
+}
+
+class SessionService {
+  constructor() {
+    this.accessTokenTtl = ACCESS_TOKEN_TTL_MINUTES * 60;
+
+    if (process.env.JWT_SECRET) {
+      this.secret = process.env.JWT_SECRET;
+    } else if (process.env.NODE_ENV === 'production' || process.env.VERCEL) {
+      // Sem segredo em produção, nenhum token é emitido nem aceito
+      this.secret = null;
+      console.error('[Sessão] JWT_SECRET não configurado: login desativado');
+    } else {
+      this.secret = 'dev_secret';
+      console.warn('[Sessão] JWT_SECRET não configurado; usando segredo de desenvolvimento');
+    }
+  }
+
+  signingSecret() {
+    if (!this.secret) {
+      const err = new Error('Autenticação indisponível: JWT_SECRET não configurado');
+      err.status = 500;
+      throw err;
+    }
+    return this.secret;
+  }
+
+  /**
+   * Access token da sessão (id, email, role e sid)
+   */
+  accessToken(user, sessionId) {
+    return jwt.sign(
+      { id: user.id, email: user.email, role: user.role, sid: sessionId },
+      this.signingSecret(),
+      { expiresIn: this.accessTokenTtl }
+    );
+  }
+
+  /**
+   * Valida o access token
+   * Tokens sem sessão (emitidos antes das sessões) contam como expirados
+   * @returns {Object} - payload { id, email, role, sid }
+   */
+  verifyAccessToken(token, { ignoreExpiration = false } = {}) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.signingSecret(), { ignoreExpiration });
+    } catch (err) {
+      if (err.name === 'TokenExpiredError') throw sessionError('Token expirado', 'token_expired');
+      if (err.status) throw err;
+      const invalid = new Error('Token inválido');
+      invalid.status = 403;
+      throw invalid;
+    }
+    if (!payload.sid) throw sessionError('Token expirado', 'token_expired');
+    return payload;
+  }
+
+  /**
+   * Abre uma sessão para o usuário (login/cadastro)
+   * @param {Object} meta - { userAgent, ip }
+   * @returns {Object} - { token, refresh_token, expires_in }
+   */
+  async issue(user, { userAgent, ip } = {}) {
+    this.signingSecret();
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+    const { data: session, error } = await supabase
+      .from('user_sessions')
+      .insert([{
+        user_id: user.id,
+        refresh_token_hash: hashToken(refreshToken),
+        user_agent: userAgent ? String(userAgent).substring(0, 300) : null,
+        ip: ip || null,
+        expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 3600 * 1000).toISOString()
+      }])
+      .select('id')
+      .single();
+
+    if (error) throw error;
+    return { token: this.accessToken(user, session.id), refresh_token: refreshToken, expires_in: this.accessTokenTtl };
+  }
+
+  /**
+   * Troca o refresh token por um novo par (rotação)
+   * Papel e email saem do banco, então mudanças valem a partir da renovação
+   * @returns {Object} - { token, refresh_token, expires_in, user }
+   */
+  async refresh(refreshToken, { userAgent, ip } = {}) {
+    if (!refreshToken) throw sessionError('Sessão expirada. Entre novamente.');
+    this.signingSecret();
+
+    const now = new Date();
+    const oldHash = hashToken(refreshToken);
+    const nextToken = crypto.randomBytes(32).toString('base64url');
+
+    // Troca só se o token ainda for o atual da sessão (duas renovações com o mesmo token não passam)
+    const { data: session, error } = await supabase
+      .from('user_sessions')
+      .update({
+        refresh_token_hash: hashToken(nextToken),
+        previous_token_hash: oldHash,
+        rotated_at: now.toISOString(),
+        last_used_at: now.toISOString(),
+        expires_at: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 3600 * 1000).toISOString(),
+        ...(userAgent ? { user_agent: String(userAgent).substring(0, 300) } : {}),
+        ...(ip ? { ip } : {})
+      })
+      .eq('refresh_token_hash', oldHash)
+      .is('revoked_at', null)
+      .gt('expires_at', now.toISOString())
+      .select('id, user_id')
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!session) {
+      await this.handleReuse(oldHash);
+      throw sessionError('Sessão expirada. Entre novamente.');
+    }
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, email, name, address, role, email_verified')
+      .eq('id', session.user_id)
+      .maybeSingle();
+
+    if (userError) throw userError;
+    if (!user) {
+      await this.revoke(session.id);
+      throw sessionError('Sessão expirada. Entre novamente.');
+    }
+
+    return {
+      token: this.accessToken(user, session.id),
+      refresh_token: nextToken,
+      expires_in: this.accessTokenTtl,
+      user: { id: user.id, email: user.email, name: user.name, address: user.address, role: user.role, email_verified: Boolean(user.email_verified) }
+    };
+  }
+
+  /**
+   * Refresh token já trocado reapresentado fora da janela de REUSE_GRACE_MS: encerra a sessão
+   */
+  async handleReuse(tokenHash) {
+    const { data: session } = await supabase
+      .from('user_sessions')
+      .select('id, user_id, rotated_at')
+      .eq('previous_token_hash', tokenHash)
+      .is('revoked_at', null)
+      .maybeSingle();
+
+    if (!session) return;
+    if (session.rotated_at && new Date(session.rotated_at).getTime() + REUSE_GRACE_MS > Date.now()) return;
+
+    console.warn(`[Sessão] Refresh token reutilizado na sessão ${session.id} do usuário ${session.user_id}; sessão encerrada`);
+    await this.revoke(session.id);
+  }
+
+  /**
+   * Encerra uma sessão (logout)
+   */
+  async revoke(sessionId) {
+    const { error } = await supabase
+      .from('user_sessions')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', sessionId)
+      .is('revoked_at', null);
+    if (error) throw error;
+  }
+
+  /**
+   * Encerra a sessão do refresh token (logout sem access token válido)
+   */
+  async revokeByRefreshToken(refreshToken) {
+    const { error } = await supabase
+      .from('user_sessions')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('refresh_token_hash', hashToken(refreshToken))
+      .is('revoked_at', null);
+    if (error) throw error;
+  }
+
+  /**
+   * Encerra todas as sessões do usuário (sair de todos os dispositivos, troca de senha)
+   * @returns {Number} - quantidade de sessões encerradas
+   */
+  async revokeAll(userId) {
+    const { data, error } = await supabase
+      .from('user_sessions')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+      .select('id');
+    if (error) throw error;
+    const count = (data || []).length;
+    if (count) console.log(`[Sessão] ${count} sessão(ões) encerrada(s) do usuário ${userId}`);
+    return count;
+  }
+
+  /**
+   * Papel atual do usuário, se a sessão do token ainda estiver ativa
+   * @returns {String|null} - role do banco ou null se a sessão foi encerrada
+   */
+  async currentRole(payload) {
+    const [{ data: session, error: lookupError }, { data: user, error: userError }] = await Promise.all([
+      supabase
+        .from('user_sessions')
+        .select('id')
+        .eq('id', payload.sid)
+        .eq('user_id', payload.id)
+        .is('revoked_at', null)
+        .maybeSingle(),
+      supabase
+        .from('users')
+        .select('role')
+        .eq('id', payload.id)
+        .maybeSingle()
+    ]);
+
+    if (lookupError) throw lookupError;
+    if (userError) throw userError;
+    if (!session || !user) return null;
+    return user.role;
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,375 @@
+const supabase = require('../db/supabaseClient');
+const melhorEnvioService = require('./melhorenvio');
+const packagingService = require('./packaging');
+const orderStatusService = require('./orderStatus');
+
+/**
+ * Etiquetas e rastreio pelo Melhor Envio
+ *
+ *   carrinho (/me/cart) -> compra (/me/shipment/checkout) -> geração -> impressão
+ *
+ * Cada etapa concluída é gravada em orders.shipping_label; se uma etapa falhar (ex.: saldo insuficiente
+ * na conta do Melhor Envio), a próxima tentativa continua de onde parou, sem comprar a etiqueta duas vezes.
+ * O código de rastreio fica em orders.tracking_code.
+ *
+ * A sincronização do rastreio (cron ou admin) move os pedidos para 'enviado' quando o envio é postado
+ * e para 'entregue' quando é entregue, avisando o cliente por email.
+ */
+
+const LABEL_STATUS = {
+  CREATING: 'creating',
+  CART: 'cart',
+  PURCHASED: 'purchased',
+  GENERATED: 'generated',
+  CANCELED: 'canceled'
+};
+
+// Pedidos que podem receber etiqueta
+const LABEL_ORDER_STATUSES = ['pedido feito', 'em separacao'];
+
+// Status do pedido acompanhados pela sincronização do rastreio
+const TRACKED_ORDER_STATUSES = ['pedido feito', 'em separacao', 'enviado'];
+
+// Status do envio no Melhor Envio -> status do pedido
+const TRACKING_ORDER_STATUS = {
+  posted: 'enviado',
+  delivered: 'entregue'
+};
+
+// Caminho do pedido até o status do rastreio (as transições pulam etapas, então passam pelas intermediárias)
+const STATUS_PATH = ['pedido feito', 'em separacao', 'enviado', 'entregue'];
+
+// Outra tentativa pode retomar uma criação interrompida depois deste tempo
+const CREATING_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Envios por chamada de rastreio
+const TRACKING_BATCH_SIZE = 50;
+
+function digits(value) {
+  return String(value || '').replace(/\D/g, '');
+}
+
+function httpError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+class ShippingLabelService {
+  async loadOrder(orderId) {
+    const { data: order, error } = await supabase
+      .from('orders')
+      .select('*')
+      .eq('id', orderId)
+      .single();
+
+    if (error || !order) throw httpError('Pedido não encontrado', 404);
+    return order;
+  }
+
+  async saveLabel(orderId, label, extra = {}) {
+    const { data, error } = await supabase
+      .from('orders')
+      .update({ shipping_label: label, ...extra })
+      .eq('id', orderId)
+      .select()
+      .single();
+
+    if (error) throw new Error(`Erro ao salvar etiqueta do pedido: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * Destinatário a partir do endereço do checkout
+   * @param {Object} options - { document } CPF/CNPJ informado pelo admin (o checkout PIX não pede CPF)
+   */
+  async recipientFor(order, { document } = {}) {
+    const address = order.address || {};
+    const { data: user } = await supabase
+      .from('users')
+      .select('name, email')
+      .eq('id', order.user_id)
+      .single();
+
+    const name = [address.firstName, address.lastName].filter(Boolean).join(' ') || (user && user.name) || 'Cliente';
+    return {
+      name,
+      phone: digits(address.telefone),
+      email: address.email || (user && user.email) || '',
+      document: digits(document || address.cpf) || undefined,
+      address: address.rua || address.street || '',
+      number: address.numero || address.number || '',
+      complement: address.complemento || address.complement || '',
+      district: address.bairro || address.neighborhood || '',
+      city: address.cidade || address.city || '',
+      state_abbr: address.estado || address.state || '',
+      country_id: 'BR',
+      postal_code: digits(address.cep || (order.shipping && order.shipping.cepDestino))
+    };
+  }
+
+  /**
+   * Volumes da etiqueta
+   * Usa os pacotes montados pelo Melhor Envio na cotação do mesmo serviço (o preço pago foi cotado assim);
+   * se a cotação falhar, um volume por pacote do services/packaging
+   */
+  async volumesFor(order) {
+    const items = (order.items || []).map(i => ({ product_id: i.product_id, variation_id: i.variation_id, qty: i.qty }));
+    const packages = await packagingService.buildPackages(items);
+
+    try {
+      const services = await melhorEnvioService.calculateShipping({
+        toPostalCode: order.shipping.cepDestino,
+        products: packages
+      });
+      const service = services.find(s => String(s.id) === String(order.shipping.service_code));
+      if (service && service.packages && service.packages.length) {
+        return service.packages.map(p => ({
+          height: Number(p.dimensions.height),
+          width: Number(p.dimensions.width),
+          length: Number(p.dimensions.length),
+          weight: Number(p.weight)
+        }));
+      }
+    } catch (err) {
+      console.warn(`[Etiquetas] Não foi possível recotar o pedido ${order.id}, usando os pacotes locais:`, err.message);
+    }
+
+    const volumes = [];
+    for (const p of packages) {
+      for (let i = 0; i < p.quantity; i++) {
+        volumes.push({ height: p.height, width: p.width, length: p.length, weight: p.weight });
+      }
+    }
+    return volumes;
+  }
+
+  /**
+   * Envio para o carrinho do Melhor Envio
+   * @param {Object} options - { document, invoiceKey } (sem nota fiscal, vai com declaração de conteúdo)
+   */
+  async buildShipment(order, { document, invoiceKey } = {}) {
+    const items = order.items || [];
+    const insuranceValue = items.reduce((sum, i) => sum + Number(i.price || 0) * Number(i.qty || 1), 0);
+
+    return {
+      service: Number(order.shipping.service_code),
+      to: await this.recipientFor(order, { document }),
+      products: items.map(i => ({
+        name: i.size ? `${i.name} (${i.size})` : i.name,
+        quantity: Number(i.qty || 1),
+        unitary_value: Number(i.price || 0)
+      })),
+      volumes: await this.volumesFor(order),
+      options: {
+        insurance_value: Math.round(insuranceValue * 100) / 100,
+        receipt: false,
+        own_hand: false,
+        reverse: false,
+        non_commercial: !invoiceKey,
+        invoice: invoiceKey ? { key: digits(invoiceKey) } : undefined,
+        platform: 'HYPEX',
+        tags: [{ tag: String(order.id) }]
+      }
+    };
+  }
+
+  /**
+   * Compra, gera e obtém o link de impressão da etiqueta de um pedido
+   * Pode ser chamado de novo para continuar uma compra interrompida ou obter um novo link de impressão.
+   * @param {String} orderId - ID do pedido
+   * @param {Object} options - { document, invoiceKey }
+   * @returns {Object} - pedido atualizado
+   */
+  async purchaseLabel(orderId, { document, invoiceKey } = {}) {
+    if (!melhorEnvioService.token) {
+      throw httpError('MELHOR_ENVIO_TOKEN não configurado', 503);
+    }
+
+    let order = await this.loadOrder(orderId);
+    const shipping = order.shipping || {};
+    if (shipping.type !== 'cep' || !/^\d+$/.test(String(shipping.service_code || ''))) {
+      throw httpError('Só pedidos com frete de transportadora do Melhor Envio têm etiqueta', 400);
+    }
+
+    let label = order.shipping_label;
+    if (label && label.status === LABEL_STATUS.CANCELED) label = null; // etiqueta cancelada: comprar outra
+
+    if (!label && !LABEL_ORDER_STATUSES.includes(order.status)) {
+      throw httpError('Etiquetas só podem ser compradas para pedidos feitos ou em separação', 409);
+    }
+
+    const stale = label && label.status === LABEL_STATUS.CREATING &&
+      Date.parse(label.started_at || 0) + CREATING_TIMEOUT_MS < Date.now();
+
+    if (!label || stale) {
+      order = await this.createCartItem(order, { document, invoiceKey, previous: order.shipping_label });
+      label = order.shipping_label;
+    } else if (label.status === LABEL_STATUS.CREATING) {
+      throw httpError('A etiqueta deste pedido já está sendo criada. Aguarde alguns instantes.', 409);
+    }
+
+    if (label.status === LABEL_STATUS.CART) {
+      const result = await melhorEnvioService.checkout([label.melhorenvio_id]);
+      const purchase = (result && result.purchase) || {};
+      label = { ...label, status: LABEL_STATUS.PURCHASED, purchase_id: purchase.id || null, purchased_at: new Date().toISOString() };
+      order = await this.saveLabel(order.id, label);
+      console.log(`[Etiquetas] Etiqueta comprada para o pedido ${order.id} (${label.protocol || label.melhorenvio_id})`);
+    }
+
+    if (label.status === LABEL_STATUS.PURCHASED) {
+      await melhorEnvioService.generateLabels([label.melhorenvio_id]);
+      label = { ...label, status: LABEL_STATUS.GENERATED, generated_at: new Date().toISOString() };
+      order = await this.saveLabel(order.id, label);
+    }
+
+    // Link de impressão e código de rastreio (o código é atribuído na geração)
+    const printUrl = await melhorEnvioService.printLabels([label.melhorenvio_id]);
+    label = { ...label, print_url: printUrl || label.print_url || null };
+    const extra = {};
+    try {
+      const tracking = await melhorEnvioService.tracking([label.melhorenvio_id]);
+      const info = tracking && tracking[label.melhorenvio_id];
+      const code = info && (info.tracking || info.melhorenvio_tracking);
+      if (code) extra.tracking_code = code;
+      if (info && info.status) label.tracking_status = info.status;
+    } catch (err) {
+      console.warn(`[Etiquetas] Rastreio ainda indisponível para o pedido ${order.id}:`, err.message);
+    }
+
+    return this.saveLabel(order.id, label, extra);
+  }
+
+  /**
+   * Reserva o pedido (evita duas compras simultâneas) e adiciona o envio ao carrinho do Melhor Envio
+   */
+  async createCartItem(order, { document, invoiceKey, previous }) {
+    const claim = { status: LABEL_STATUS.CREATING, started_at: new Date().toISOString() };
+    let query = supabase.from('orders').update({ shipping_label: claim }).eq('id', order.id);
+    // O filtro pelo valor atual impede que duas requisições reservem o mesmo pedido
+    query = previous ? query.eq('shipping_label->>status', previous.status) : query.is('shipping_label', null);
+    if (previous && previous.started_at) query = query.eq('shipping_label->>started_at', previous.started_at);
+    const { data: claimed, error: claimError } = await query.select().single();
+
+    if (claimError || !claimed) {
+      throw httpError('A etiqueta deste pedido já está sendo criada. Aguarde alguns instantes.', 409);
+    }
+
+    try {
+      const shipment = await this.buildShipment(order, { document, invoiceKey });
+      const cartItem = await melhorEnvioService.addToCart(shipment);
+      const label = {
+        melhorenvio_id: cartItem.id,
+        protocol: cartItem.protocol || null,
+        service_code: String(order.shipping.service_code),
+        status: LABEL_STATUS.CART,
+        price: cartItem.price !== undefined ? Number(cartItem.price) : null,
+        created_at: new Date().toISOString()
+      };
+      return await this.saveLabel(order.id, label);
+    } catch (err) {
+      // Libera o pedido para uma nova tentativa (o envio não chegou ao carrinho)
+      await supabase.from('orders').update({ shipping_label: previous || null }).eq('id', order.id);
+      throw err;
+    }
+  }
+
+  /**
+   * Novo link de impressão de uma etiqueta já gerada
+   */
+  async printUrl(orderId) {
+    const order = await this.loadOrder(orderId);
+    const label = order.shipping_label;
+    if (!label || label.status !== LABEL_STATUS.GENERATED) {
+      throw httpError('A etiqueta deste pedido ainda não foi gerada', 400);
+    }
+    const url = await melhorEnvioService.printLabels([label.melhorenvio_id]);
+    await this.saveLabel(order.id, { ...label, print_url: url || label.print_url || null });
+    return url;
+  }
+
+  /**
+   * Consulta o rastreio dos pedidos com etiqueta e atualiza código e status
+   * @param {Object} options - { orderIds } (padrão: todos os pedidos com etiqueta ainda não entregues)
+   * @returns {Object} - { checked, updated, errors }
+   */
+  async syncTracking({ orderIds } = {}) {
+    if (!melhorEnvioService.token) {
+      throw httpError('MELHOR_ENVIO_TOKEN não configurado', 503);
+    }
+
+    let query = supabase
+      .from('orders')
+      .select('id, status, shipping_label, tracking_code')
+      .not('shipping_label', 'is', null)
+      .in('status', TRACKED_ORDER_STATUSES);
+    if (orderIds && orderIds.length) query = query.in('id', orderIds);
+    const { data, error } = await query;
+
+    if (error) throw new Error(`Erro ao carregar pedidos para o rastreio: ${error.message}`);
+
+    const orders = (data || []).filter(o => o.shipping_label.melhorenvio_id &&
+      [LABEL_STATUS.PURCHASED, LABEL_STATUS.GENERATED].includes(o.shipping_label.status));
+    const summary = { checked: orders.length, updated: 0, errors: 0 };
+
+    for (let i = 0; i < orders.length; i += TRACKING_BATCH_SIZE) {
+      const batch = orders.slice(i, i + TRACKING_BATCH_SIZE);
+      let tracking;
+      try {
+        tracking = await melhorEnvioService.tracking(batch.map(o => o.shipping_label.melhorenvio_id));
+      } catch (err) {
+        console.error('[Etiquetas] Erro ao consultar o rastreio:', err.message);
+        summary.errors += batch.length;
+        continue;
+      }
+
+      for (const order of batch) {
+        const info = tracking && tracking[order.shipping_label.melhorenvio_id];
+        if (!info) continue;
+        try {
+          if (await this.applyTracking(order, info)) summary.updated++;
+        } catch (err) {
+          console.error(`[Etiquetas] Erro ao atualizar o pedido ${order.id} pelo rastreio:`, err.message);
+          summary.errors++;
+        }
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Atualiza o pedido com o retorno do rastreio
+   * @returns {Boolean} - true se o status do pedido mudou
+   */
+  async applyTracking(order, info) {
+    const label = {
+      ...order.shipping_label,
+      tracking_status: info.status || null,
+      posted_at: info.posted_at || order.shipping_label.posted_at || null,
+      delivered_at: info.delivered_at || order.shipping_label.delivered_at || null,
+      last_sync_at: new Date().toISOString()
+    };
+    if (info.status === 'canceled') label.status = LABEL_STATUS.CANCELED;
+
+    const code = info.tracking || info.melhorenvio_tracking || order.tracking_code || null;
+    await this.saveLabel(order.id, label, code ? { tracking_code: code } : {});
+
+    const target = TRACKING_ORDER_STATUS[info.status];
+    const from = STATUS_PATH.indexOf(order.status);
+    const to = STATUS_PATH.indexOf(target);
+    if (!target || from === -1 || to <= from) return false;
+
+    // Passa pelas etapas intermediárias; só a última avisa o cliente
+    for (let step = from + 1; step <= to; step++) {
+      await orderStatusService.changeStatus(order.id, STATUS_PATH[step], {
+        note: 'Atualizado pelo rastreio do Melhor Envio',
+        notifyCustomer: step === to
+      });
+    }
+    console.log(`[Etiquetas] Pedido ${order.id}: ${order.status} -> ${target} (rastreio ${code || '-'})`);
+    return true;
+  }
+}
+
+module.exports = new ShippingLabelService();
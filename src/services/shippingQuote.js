@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const melhorEnvioService = require('./melhorenvio');
+const packagingService = require('./packaging');
+const shippingRulesService = require('./shippingRules');
+
+/**
+ * Cotações de frete assinadas
+ * O preço do frete nunca vem do cliente: cada opção cotada recebe um quote_id assinado (HMAC)
+ * com CEP, serviço, preço, prazo e os itens do carrinho. No checkout, um quote_id válido é aceito
+ * sem nova consulta; sem ele (ou se expirou/não confere), o frete é recotado no Melhor Envio.
+ * As regras de frete (services/shippingRules) são aplicadas na cotação e de novo no checkout,
+ * sobre o preço da transportadora assinado no quote_id.
+ *
+ * Configuração opcional no .env:
+ *   SHIPPING_QUOTE_SECRET (padrão: JWT_SECRET)
+ *   SHIPPING_QUOTE_TTL (validade do quote_id em segundos, padrão 1800)
+ */
+
+const QUOTE_TTL_SECONDS = Number(process.env.SHIPPING_QUOTE_TTL || 1800);
+
+// Cotações recentes por CEP + itens (evita consultar o Melhor Envio de novo no checkout)
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 500;
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function fromBase64url(value) {
+  return Buffer.from(String(value).replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+}
+
+class ShippingQuoteService {
+  constructor() {
+    this.secret = process.env.SHIPPING_QUOTE_SECRET || process.env.JWT_SECRET || null;
+    if (!this.secret) {
+      if (process.env.NODE_ENV === 'production' || process.env.VERCEL) {
+        // Sem segredo em produção as cotações não são assinadas: o checkout sempre cota de novo
+        console.error('[Frete] SHIPPING_QUOTE_SECRET/JWT_SECRET não configurado: cotações sem quote_id');
+      } else {
+        this.secret = 'dev_secret';
+      }
+    }
+    this.cache = new Map();
+  }
+
+  /**
+   * Identifica o conjunto de itens cotado (produto, variação e quantidade)
+   * @param {Array} items - [{ product_id, variation_id?, qty }]
+   */
+  itemsFingerprint(items = []) {
+    const key = items
+      .map(i => `${i.product_id}:${i.variation_id || ''}:${Number(i.qty || 1)}`)
+      .sort()
+      .join('|');
+    return crypto.createHash('sha256').update(key).digest('hex').substring(0, 32);
+  }
+
+  /**
+   * Pacotes enviados ao Melhor Envio e subtotal dos produtos (preços do banco)
+   * Peso e dimensões reais de cada produto/variação (ver services/packaging)
+   * @returns {Object} - { packages, subtotal }
+   */
+  async packageProducts(items = []) {
+    const resolved = await packagingService.loadItemDimensions(items);
+    return {
+      packages: packagingService.packagesFor(resolved),
+      subtotal: resolved.reduce((sum, i) => sum + i.price * i.qty, 0)
+    };
+  }
+
+  sign(payload) {
+    if (!this.secret) return null;
+    const body = base64url(JSON.stringify(payload));
+    const signature = base64url(crypto.createHmac('sha256', this.secret).update(body).digest());
+    return `${body}.${signature}`;
+  }
+
+  /**
+   * Valida assinatura e validade de um quote_id
+   * @returns {Object|null} - dados da cotação ou null se inválido/expirado
+   */
+  verify(quoteId) {
+    if (!this.secret || !quoteId || typeof quoteId !== 'string') return null;
+    const [body, signature] = quoteId.split('.');
+    if (!body || !signature) return null;
+
+    const expected = base64url(crypto.createHmac('sha256', this.secret).update(body).digest());
+    const a = Buffer.from(signature);
+    const b = Buffer.from(expected);
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+
+    try {
+      const payload = JSON.parse(fromBase64url(body));
+      if (!payload.exp || payload.exp * 1000 < Date.now()) return null;
+      return payload;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Cota o frete dos itens para o CEP, aplica as regras de frete e assina cada opção
+   * @param {Object} options - { subtotal? } (padrão: subtotal dos itens pelos preços do banco)
+   * @returns {Array} - [{ id, code, name, company, price, original_price?, shipping_rule?, prazo, error, quote_id }]
+   */
+  async quote(cepDestino, items, { subtotal } = {}) {
+    const cep = String(cepDestino || '').replace(/\D/g, '');
+    const fingerprint = this.itemsFingerprint(items);
+    const cacheKey = `${cep}:${fingerprint}`;
+
+    let cached = this.cache.get(cacheKey);
+    if (!cached || cached.expiresAt <= Date.now()) {
+      const packaged = await this.packageProducts(items);
+      const carrierServices = await melhorEnvioService.calculateShipping({
+        toPostalCode: cep,
+        products: packaged.packages
+      });
+      const services = carrierServices.map(s => ({
+        id: s.id,
+        code: String(s.id),
+        name: s.name,
+        company: s.company.name,
+        price: Number(s.custom_price || s.price),
+        prazo: s.delivery_time,
+        error: s.error || null
+      }));
+      cached = this.remember(cacheKey, { services, subtotal: packaged.subtotal });
+    }
+
+    const priced = await shippingRulesService.apply(cached.services, {
+      cep,
+      subtotal: subtotal !== undefined ? subtotal : cached.subtotal
+    });
+
+    const exp = Math.floor(Date.now() / 1000) + QUOTE_TTL_SECONDS;
+    return priced.map(quote => {
+      if (quote.error) return quote;
+      return {
+        ...quote,
+        quote_id: this.sign({
+          cep,
+          code: quote.code,
+          name: quote.name,
+          // Preço da transportadora: as regras são reaplicadas no checkout
+          base_price: quote.original_price !== undefined ? quote.original_price : quote.price,
+          price: quote.price,
+          prazo: quote.prazo || null,
+          items: fingerprint,
+          exp
+        })
+      };
+    });
+  }
+
+  remember(cacheKey, entry) {
+    if (this.cache.size >= CACHE_MAX_ENTRIES) {
+      const now = Date.now();
+      for (const [key, entry] of this.cache) {
+        if (entry.expiresAt <= now) this.cache.delete(key);
+      }
+      if (this.cache.size >= CACHE_MAX_ENTRIES) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+    }
+    const cached = { ...entry, expiresAt: Date.now() + CACHE_TTL_MS };
+    this.cache.set(cacheKey, cached);
+    return cached;
+  }
+
+  /**
+   * Frete de entrega por CEP confirmado no servidor para o checkout
+   * Usa o quote_id se ele for válido para o CEP, serviço e itens; senão recota e procura o service_code.
+   * Em ambos os casos as regras de frete valem com o subtotal do pedido.
+   * @param {Object} shipping - { cepDestino, service_code, quote_id?, price? } enviado pelo cliente
+   * @param {Array} items - itens do pedido
+   * @param {Object} options - { subtotal } subtotal dos produtos calculado no checkout
+   * @returns {Object} - { cepDestino, service_code, service_name, price, original_price, shipping_rule, prazo, quote_id }
+   */
+  async resolve(shipping, items, { subtotal } = {}) {
+    const cep = String(shipping.cepDestino || '').replace(/\D/g, '');
+    const serviceCode = String(shipping.service_code || '');
+    if (cep.length !== 8 || !serviceCode) {
+      const err = new Error('CEP ou opção de frete inválidos');
+      err.status = 400;
+      throw err;
+    }
+
+    const fingerprint = this.itemsFingerprint(items);
+    const signed = this.verify(shipping.quote_id);
+    let service;
+    if (signed && signed.cep === cep && signed.code === serviceCode && signed.items === fingerprint) {
+      // Entregas locais vêm das próprias regras; serviços de transportadora usam o preço assinado
+      const carrier = shippingRulesService.isLocalCode(serviceCode) ? [] : [{
+        id: signed.code,
+        code: signed.code,
+        name: signed.name,
+        price: Number(signed.base_price !== undefined ? signed.base_price : signed.price),
+        prazo: signed.prazo,
+        error: null
+      }];
+      const services = await shippingRulesService.apply(carrier, { cep, subtotal });
+      service = services.find(s => s.code === serviceCode);
+      if (service) service = { ...service, quote_id: shipping.quote_id };
+    } else {
+      const services = await this.quote(cep, items, { subtotal });
+      service = services.find(s => s.code === serviceCode && !s.error);
+    }
+
+    if (!service) {
+      const err = new Error('Opção de frete indisponível para este CEP. Calcule o frete novamente.');
+      err.status = 400;
+      throw err;
+    }
+
+    if (typeof shipping.price !== 'undefined' && Number(shipping.price) !== Number(service.price)) {
+      console.warn(`[Frete] Preço enviado pelo cliente (${shipping.price}) difere da cotação (${service.price}) para o CEP ${cep}, serviço ${serviceCode}`);
+    }
+
+    return {
+      cepDestino: cep,
+      service_code: service.code,
+      service_name: service.name,
+      price: Number(service.price),
+      original_price: service.original_price !== undefined ? Number(service.original_price) : null,
+      shipping_rule: service.shipping_rule || null,
+      prazo: service.prazo ? Number(service.prazo) : null,
+      quote_id: service.quote_id
+    };
+  }
+}
+
+module.exports = new ShippingQuoteService();
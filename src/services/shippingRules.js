@@ -0,0 +1,250 @@
+const supabase = require('../db/supabaseClient');
+
+/**
+ * Regras de frete configuradas pelo admin (tabela shipping_rules)
+ * Aplicadas às opções cotadas em POST /api/shipping/calculate e de novo no checkout,
+ * sempre sobre o preço da transportadora e o subtotal calculado no servidor.
+ *
+ *   free_shipping   frete grátis
+ *   flat_rate       frete fixo (só serviços de transportadora)
+ *   discount        desconto percentual ou fixo no frete
+ *   local_delivery  acrescenta uma opção "Entrega local" com taxa fixa
+ *
+ * Entre as regras que valem para um serviço, fica a de menor preço.
+ * As taxas das formas de entrega locais (services/deliveryMethods) também passam pelas regras.
+ */
+
+const RULE_TYPES = ['free_shipping', 'flat_rate', 'discount', 'local_delivery'];
+
+// Regras em memória por pouco tempo (a cotação é chamada a cada CEP digitado no carrinho)
+const CACHE_TTL_MS = 60 * 1000;
+
+const LOCAL_CODE_PREFIX = 'local-';
+
+// Faixas de CEP (5 primeiros dígitos) por UF
+const CEP_STATE_RANGES = [
+  ['SP', 1000, 19999], ['RJ', 20000, 28999], ['ES', 29000, 29999], ['MG', 30000, 39999],
+  ['BA', 40000, 48999], ['SE', 49000, 49999], ['PE', 50000, 56999], ['AL', 57000, 57999],
+  ['PB', 58000, 58999], ['RN', 59000, 59999], ['CE', 60000, 63999], ['PI', 64000, 64999],
+  ['MA', 65000, 65999], ['PA', 66000, 68899], ['AP', 68900, 68999], ['AM', 69000, 69299],
+  ['RR', 69300, 69399], ['AM', 69400, 69899], ['AC', 69900, 69999], ['DF', 70000, 72799],
+  ['GO', 72800, 72999], ['DF', 73000, 73699], ['GO', 73700, 76799], ['RO', 76800, 76999],
+  ['TO', 77000, 77999], ['MT', 78000, 78899], ['MS', 79000, 79999], ['PR', 80000, 87999],
+  ['SC', 88000, 89999], ['RS', 90000, 99999]
+];
+
+function digits(value) {
+  return String(value || '').replace(/\D/g, '');
+}
+
+function round(value) {
+  return Math.round(Math.max(0, value) * 100) / 100;
+}
+
+// CEP de início/fim da faixa com 8 dígitos ("30000" -> 30000000 / 30000999)
+function cepBound(value, fill) {
+  const cep = digits(value).substring(0, 8);
+  return cep ? Number(cep.padEnd(8, fill)) : null;
+}
+
+function optionalNumber(value) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const num = Number(String(value).replace(',', '.'));
+  return isNaN(num) ? null : num;
+}
+
+function optionalList(value, transform = v => v) {
+  if (value === undefined) return undefined;
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  const cleaned = list.map(v => transform(String(v).trim())).filter(Boolean);
+  return cleaned.length ? [...new Set(cleaned)] : null;
+}
+
+class ShippingRulesService {
+  constructor() {
+    this.ruleTypes = RULE_TYPES;
+    this.cache = null;
+    this.cacheExpiresAt = 0;
+  }
+
+  isLocalCode(code) {
+    return String(code || '').startsWith(LOCAL_CODE_PREFIX);
+  }
+
+  // Serviços do Melhor Envio têm código numérico
+  isCarrierCode(code) {
+    return /^\d+$/.test(String(code || ''));
+  }
+
+  stateFromCep(cep) {
+    const prefix = Number(digits(cep).substring(0, 5));
+    if (!prefix) return null;
+    const range = CEP_STATE_RANGES.find(([, start, end]) => prefix >= start && prefix <= end);
+    return range ? range[0] : null;
+  }
+
+  /**
+   * Regras ativas (cache de 1 minuto; invalidado quando o admin altera as regras)
+   */
+  async loadRules() {
+    if (this.cache && this.cacheExpiresAt > Date.now()) return this.cache;
+
+    const { data, error } = await supabase
+      .from('shipping_rules')
+      .select('*')
+      .eq('active', true)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      // Sem a tabela (migração não aplicada), o frete segue sem regras
+      console.warn('[Frete] Não foi possível carregar as regras de frete:', error.message);
+      return [];
+    }
+
+    this.cache = data || [];
+    this.cacheExpiresAt = Date.now() + CACHE_TTL_MS;
+    return this.cache;
+  }
+
+  invalidate() {
+    this.cache = null;
+    this.cacheExpiresAt = 0;
+  }
+
+  /**
+   * Verifica as condições da regra para o destino, o subtotal e o serviço
+   * @param {Object} context - { cep, state, subtotal, code? }
+   */
+  matches(rule, { cep, state, subtotal, code }) {
+    if (rule.min_subtotal !== null && rule.min_subtotal !== undefined && Number(subtotal || 0) < Number(rule.min_subtotal)) {
+      return false;
+    }
+
+    if (rule.cep_start || rule.cep_end) {
+      const value = Number(digits(cep));
+      if (!value) return false;
+      const start = cepBound(rule.cep_start, '0');
+      const end = cepBound(rule.cep_end, '9');
+      if (start !== null && value < start) return false;
+      if (end !== null && value > end) return false;
+    }
+
+    if (rule.states && rule.states.length && !rule.states.includes(state)) {
+      return false;
+    }
+
+    if (code !== undefined) {
+      // Frete fixo não substitui a taxa de uma entrega local, a menos que o serviço esteja listado
+      if (rule.type === 'flat_rate' && !this.isCarrierCode(code) && !(rule.service_codes || []).includes(code)) {
+        return false;
+      }
+      if (rule.service_codes && rule.service_codes.length && !rule.service_codes.includes(String(code))) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Preço do frete com a regra aplicada
+   */
+  priceWithRule(rule, price) {
+    switch (rule.type) {
+      case 'free_shipping':
+        return 0;
+      case 'flat_rate':
+        return round(Number(rule.amount || 0));
+      case 'discount':
+        if (rule.discount_type === 'percentage') {
+          return round(price * (1 - Number(rule.amount || 0) / 100));
+        }
+        return round(price - Number(rule.amount || 0));
+      default:
+        return price;
+    }
+  }
+
+  /**
+   * Aplica as regras às opções de frete cotadas e acrescenta as entregas locais do destino
+   * @param {Array} services - [{ id, code, name, company, price, prazo, error }]
+   * @param {Object} context - { cep, subtotal }
+   * @returns {Array} - opções com price final e, se alguma regra valeu, original_price e shipping_rule
+   */
+  async apply(services, { cep, subtotal }) {
+    const rules = await this.loadRules();
+    const context = { cep: digits(cep), state: this.stateFromCep(cep), subtotal: Number(subtotal || 0) };
+
+    const localOptions = rules
+      .filter(rule => rule.type === 'local_delivery' && this.matches(rule, context))
+      .map(rule => ({
+        id: `${LOCAL_CODE_PREFIX}${rule.id}`,
+        code: `${LOCAL_CODE_PREFIX}${rule.id}`,
+        name: rule.name,
+        company: 'Entrega local',
+        price: round(Number(rule.amount || 0)),
+        prazo: rule.delivery_days || null,
+        error: null
+      }));
+
+    return [...services, ...localOptions].map(service => this.priceService(rules, service, context));
+  }
+
+  /**
+   * Aplica as regras de preço a uma única opção (ex.: taxa de uma forma de entrega local)
+   * @param {Object} service - { code, price }
+   * @param {Object} context - { cep, subtotal }
+   */
+  async priceFor(service, { cep, subtotal }) {
+    const rules = await this.loadRules();
+    const context = { cep: digits(cep), state: this.stateFromCep(cep), subtotal: Number(subtotal || 0) };
+    return this.priceService(rules, service, context);
+  }
+
+  priceService(rules, service, context) {
+    if (service.error) return service;
+
+    let best = null;
+    for (const rule of rules) {
+      if (rule.type === 'local_delivery') continue;
+      if (!this.matches(rule, { ...context, code: String(service.code) })) continue;
+      const price = this.priceWithRule(rule, Number(service.price));
+      if (!best || price < best.price) best = { price, rule };
+    }
+
+    if (!best || best.price === Number(service.price)) return service;
+    return {
+      ...service,
+      price: best.price,
+      original_price: Number(service.price),
+      shipping_rule: best.rule.name
+    };
+  }
+
+  /**
+   * Normaliza os campos de uma regra enviados pelo admin
+   * @returns {Object} - apenas os campos presentes no body
+   */
+  ruleFromBody(body = {}) {
+    const rule = {};
+    if (body.name !== undefined) rule.name = String(body.name || '').trim();
+    if (body.type !== undefined) rule.type = body.type;
+    if (body.amount !== undefined) rule.amount = optionalNumber(body.amount);
+    if (body.discount_type !== undefined) rule.discount_type = body.discount_type || null;
+    if (body.min_subtotal !== undefined) rule.min_subtotal = optionalNumber(body.min_subtotal);
+    if (body.cep_start !== undefined) rule.cep_start = digits(body.cep_start) || null;
+    if (body.cep_end !== undefined) rule.cep_end = digits(body.cep_end) || null;
+    if (body.delivery_days !== undefined) rule.delivery_days = optionalNumber(body.delivery_days);
+    if (body.active !== undefined) rule.active = body.active === true || body.active === 'true';
+
+    const states = optionalList(body.states, v => v.toUpperCase());
+    if (states !== undefined) rule.states = states;
+    const serviceCodes = optionalList(body.service_codes);
+    if (serviceCodes !== undefined) rule.service_codes = serviceCodes;
+
+    return rule;
+  }
+}
+
+module.exports = new ShippingRulesService();
@@ -0,0 +1,191 @@
+const supabase = require('../db/supabaseClient');
+
+// Erro lançado pelas funções SQL quando falta estoque (raise exception ... using errcode = 'P0001')
+const INSUFFICIENT_STOCK = 'P0001';
+
+function stockError(message, error) {
+  const err = new Error(message);
+  if (error.code === INSUFFICIENT_STOCK) err.code = 'insufficient_stock';
+  return err;
+}
+
+/**
+ * Serviço de reserva de estoque
+ * As operações são executadas por funções SQL (ver sql/add_stock_reservations.sql)
+ * para que a verificação e a reserva aconteçam na mesma transação.
+ */
+
+class StockReservationService {
+  /**
+   * Reserva o estoque de todos os itens de um pedido pendente
+   * Lança erro se qualquer item não tiver estoque disponível (nada é reservado nesse caso)
+   * @param {String} pendingOrderId - ID do pedido pendente
+   * @param {Array} items - Itens do pedido [{ product_id, variation_id, qty }]
+   * @param {String} expiresAt - Data de expiração da reserva (ISO)
+   */
+  async reserve(pendingOrderId, items, expiresAt) {
+    const payload = items.map(item => ({
+      product_id: item.product_id,
+      variation_id: item.variation_id || null,
+      qty: Number(item.qty || 1)
+    }));
+
+    const { error } = await supabase.rpc('reserve_stock', {
+      p_pending_order_id: pendingOrderId,
+      p_items: payload,
+      p_expires_at: expiresAt
+    });
+
+    if (error) {
+      throw new Error(error.message || 'Erro ao reservar estoque');
+    }
+  }
+
+  /**
+   * Unidades reservadas por checkouts em andamento (mesma conta do reserve_stock:
+   * reservas ativas e ainda não vencidas)
+   * @param {Array} productIds - IDs dos produtos
+   * @returns {Object} - Quantidade por chave `${product_id}:${variation_id || ''}`
+   */
+  async reservedQuantities(productIds) {
+    if (!productIds || !productIds.length) return {};
+
+    const { data, error } = await supabase
+      .from('stock_reservations')
+      .select('product_id, variation_id, qty')
+      .in('product_id', productIds)
+      .eq('status', 'active')
+      .gt('expires_at', new Date().toISOString());
+
+    if (error) {
+      throw new Error(`Erro ao consultar reservas de estoque: ${error.message}`);
+    }
+
+    const reserved = {};
+    (data || []).forEach(r => {
+      const key = `${r.product_id}:${r.variation_id || ''}`;
+      reserved[key] = (reserved[key] || 0) + Number(r.qty || 0);
+    });
+    return reserved;
+  }
+
+  /**
+   * Baixa definitivamente o estoque reservado por um pedido pendente
+   * Idempotente: chamadas repetidas não baixam o estoque novamente
+   * Lança erro com code 'insufficient_stock' se o estoque não cobrir mais a reserva
+   * (reserva vencida cedida a outro checkout)
+   * @param {String} pendingOrderId - ID do pedido pendente
+   * @returns {Number} - Quantidade de reservas confirmadas nesta chamada
+   */
+  async commit(pendingOrderId) {
+    const { data, error } = await supabase.rpc('commit_stock_reservations', {
+      p_pending_order_id: pendingOrderId
+    });
+
+    if (error) {
+      throw stockError(`Erro ao confirmar reserva de estoque: ${error.message}`, error);
+    }
+
+    return data || 0;
+  }
+
+  /**
+   * Baixa o estoque de um pedido pago sem reserva ativa (reserva liberada na expiração do checkout)
+   * Confere o estoque disponível agora; idempotente (não baixa de novo se já houve baixa)
+   * Lança erro com code 'insufficient_stock' se faltar estoque (nada é baixado)
+   * @param {String} pendingOrderId - ID do pedido pendente
+   * @param {Array} items - Itens do pedido [{ product_id, variation_id, qty }]
+   * @returns {Number} - Quantidade de itens baixados nesta chamada
+   */
+  async take(pendingOrderId, items) {
+    const payload = items.map(item => ({
+      product_id: item.product_id,
+      variation_id: item.variation_id || null,
+      qty: Number(item.qty || 1)
+    }));
+
+    const { data, error } = await supabase.rpc('take_stock_for_pending_order', {
+      p_pending_order_id: pendingOrderId,
+      p_items: payload
+    });
+
+    if (error) {
+      throw stockError(`Erro ao baixar estoque do pedido: ${error.message}`, error);
+    }
+
+    return data || 0;
+  }
+
+  /**
+   * Libera as reservas ativas de um pedido pendente
+   * @param {String} pendingOrderId - ID do pedido pendente
+   * @returns {Number} - Quantidade de reservas liberadas
+   */
+  async release(pendingOrderId) {
+    const { data, error } = await supabase.rpc('release_stock_reservations', {
+      p_pending_order_id: pendingOrderId
+    });
+
+    if (error) {
+      throw new Error(`Erro ao liberar reserva de estoque: ${error.message}`);
+    }
+
+    return data || 0;
+  }
+
+  /**
+   * Prorroga as reservas ativas de um pedido pendente
+   * @param {String} pendingOrderId - ID do pedido pendente
+   * @param {String} expiresAt - Nova data de expiração (ISO)
+   * @returns {Number} - Quantidade de reservas prorrogadas
+   */
+  async extend(pendingOrderId, expiresAt) {
+    const { data, error } = await supabase.rpc('extend_stock_reservations', {
+      p_pending_order_id: pendingOrderId,
+      p_expires_at: expiresAt
+    });
+
+    if (error) {
+      throw new Error(`Erro ao prorrogar reserva de estoque: ${error.message}`);
+    }
+
+    return data || 0;
+  }
+
+  /**
+   * Devolve itens ao estoque (ex.: pedido devolvido/reembolsado)
+   * @param {Array} items - Itens [{ product_id, variation_id, qty }]
+   * @returns {Number} - Quantidade de itens atualizados
+   */
+  async restock(items) {
+    const payload = items.map(item => ({
+      product_id: item.product_id,
+      variation_id: item.variation_id || null,
+      qty: Number(item.qty || 1)
+    }));
+
+    const { data, error } = await supabase.rpc('restock_items', { p_items: payload });
+
+    if (error) {
+      throw new Error(`Erro ao devolver itens ao estoque: ${error.message}`);
+    }
+
+    return data || 0;
+  }
+
+  /**
+   * Libera todas as reservas cujo prazo já expirou
+   * @returns {Number} - Quantidade de reservas liberadas
+   */
+  async releaseExpired() {
+    const { data, error } = await supabase.rpc('release_expired_stock_reservations');
+
+    if (error) {
+      throw new Error(`Erro ao liberar reservas expiradas: ${error.message}`);
+    }
+
+    return data || 0;
+  }
+}
+
+module.exports = new StockReservationService();
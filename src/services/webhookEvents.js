@@ -0,0 +1,131 @@
+const supabase = require('../db/supabaseClient');
+
+/**
+ * Registro de eventos de webhook (ver sql/add_webhook_events_table.sql)
+ * Cada PIX recebido é identificado pelo endToEndId; o índice único da tabela
+ * garante que o mesmo evento não seja processado duas vezes (replay).
+ * Um evento que ficou em 'processing' por mais de PROCESSING_TIMEOUT_MINUTES (queda ou timeout
+ * da função no meio do processamento) é marcado como 'failed' na próxima tentativa e reprocessado.
+ */
+
+const PROCESSING_TIMEOUT_MINUTES = Number(process.env.WEBHOOK_PROCESSING_TIMEOUT_MINUTES || 5);
+
+class WebhookEventsService {
+  /**
+   * Reserva um evento para processamento
+   * @param {Object} event - { provider, eventId, txid, payload, remoteIp }
+   * @returns {Object} - { id, duplicate } (duplicate = evento já processado ou em processamento)
+   */
+  async claim({ provider = 'efibank', eventId, txid = null, payload = null, remoteIp = null }, { retried = false } = {}) {
+    const { data, error } = await supabase
+      .from('webhook_events')
+      .insert([{
+        provider,
+        event_id: eventId,
+        txid,
+        status: 'processing',
+        payload,
+        remote_ip: remoteIp
+      }])
+      .select('id')
+      .single();
+
+    if (!error) return { id: data.id, duplicate: false };
+
+    // 23505 = unique_violation: o evento já foi recebido
+    if (error.code === '23505') {
+      if (!retried && await this.releaseStale(provider, eventId)) {
+        return this.claim({ provider, eventId, txid, payload, remoteIp }, { retried: true });
+      }
+      await this.log({
+        provider,
+        eventId,
+        txid,
+        status: 'duplicate',
+        reason: 'Evento já recebido (replay)',
+        payload,
+        remoteIp
+      });
+      return { id: null, duplicate: true };
+    }
+
+    throw new Error(`Erro ao registrar evento de webhook: ${error.message}`);
+  }
+
+  /**
+   * Libera o evento preso em 'processing' há mais de PROCESSING_TIMEOUT_MINUTES
+   * O filtro por status e data faz com que só uma das tentativas simultâneas o libere
+   * @returns {Boolean} - true se o evento foi liberado para uma nova reserva
+   */
+  async releaseStale(provider, eventId) {
+    const cutoff = new Date(Date.now() - PROCESSING_TIMEOUT_MINUTES * 60 * 1000).toISOString();
+    const { data, error } = await supabase
+      .from('webhook_events')
+      .update({
+        status: 'failed',
+        reason: `Processamento interrompido (mais de ${PROCESSING_TIMEOUT_MINUTES} min em processing)`,
+        updated_at: new Date().toISOString()
+      })
+      .eq('provider', provider)
+      .eq('event_id', eventId)
+      .eq('status', 'processing')
+      .lt('updated_at', cutoff)
+      .select('id');
+
+    if (error) {
+      console.error(`[Webhook] Erro ao liberar evento ${eventId} preso em processamento:`, error);
+      return false;
+    }
+    if (!data || !data.length) return false;
+
+    console.warn(`[Webhook] Evento ${eventId} estava em processamento desde antes de ${cutoff}; reprocessando`);
+    return true;
+  }
+
+  /**
+   * Finaliza um evento reservado
+   * @param {String} id - ID do evento
+   * @param {String} status - processed, rejected ou failed
+   * @param {Object} details - { reason, orderId }
+   */
+  async finish(id, status, { reason = null, orderId = null } = {}) {
+    if (!id) return;
+
+    const { error } = await supabase
+      .from('webhook_events')
+      .update({
+        status,
+        reason,
+        order_id: orderId,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id);
+
+    if (error) {
+      console.error(`[Webhook] Erro ao atualizar evento ${id}:`, error);
+    }
+  }
+
+  /**
+   * Registra um evento sem reservá-lo (requisições rejeitadas, replays)
+   */
+  async log({ provider = 'efibank', eventId = null, txid = null, status, reason = null, payload = null, remoteIp = null }) {
+    const { error } = await supabase
+      .from('webhook_events')
+      .insert([{
+        provider,
+        event_id: eventId,
+        txid,
+        status,
+        reason,
+        payload,
+        remote_ip: remoteIp
+      }]);
+
+    if (error) {
+      console.error('[Webhook] Erro ao registrar evento:', error);
+    }
+  }
+}
+
+module.exports = new WebhookEventsService();
@@ -0,0 +1,267 @@
+/**
+ * Supabase em memória para os testes
+ * Implementa o subconjunto do query builder usado em src/ (filtros, select, insert, update,
+ * upsert, delete, order, limit, range, single/maybeSingle) e rpc() com funções registradas
+ * pelo próprio teste (fake.functions.nome = (args, fake) => resultado).
+ *
+ * Uso:
+ *   jest.mock('../src/db/supabaseClient', () => require('../tests/helpers/fakeSupabase').create());
+ *   const fake = require('../src/db/supabaseClient');
+ *   fake.reset({ orders: [...] });
+ */
+
+const crypto = require('crypto');
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// Valor de uma coluna, aceitando caminhos JSON (payment->>revision, shipping->service)
+function columnValue(row, column) {
+  const parts = column.split(/(->>?)/);
+  let value = row[parts[0]];
+  for (let i = 1; i < parts.length; i += 2) {
+    if (value === null || value === undefined) return null;
+    value = value[parts[i + 1]];
+    if (parts[i] === '->>' && value !== null && value !== undefined) {
+      value = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+  }
+  return value === undefined ? null : value;
+}
+
+function sameValue(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+  return a === b || String(a) === String(b);
+}
+
+function compare(a, b) {
+  if (typeof a === 'number' || typeof b === 'number') return Number(a) - Number(b);
+  return String(a) < String(b) ? -1 : (String(a) > String(b) ? 1 : 0);
+}
+
+function likeToRegExp(pattern, flags) {
+  const source = String(pattern).replace(/\\([\\%_])|([%_])|([.*+?^${}()|[\]\\/])/g, (m, escaped, wildcard, special) => {
+    if (escaped) return `\\${escaped}`;
+    if (wildcard) return wildcard === '%' ? '.*' : '.';
+    return `\\${special}`;
+  });
+  return new RegExp(`^${source}$`, flags);
+}
+
+const OPERATORS = {
+  eq: (value, arg) => sameValue(value, arg),
+  neq: (value, arg) => !sameValue(value, arg),
+  gt: (value, arg) => value !== null && compare(value, arg) > 0,
+  gte: (value, arg) => value !== null && compare(value, arg) >= 0,
+  lt: (value, arg) => value !== null && compare(value, arg) < 0,
+  lte: (value, arg) => value !== null && compare(value, arg) <= 0,
+  is: (value, arg) => (arg === null ? value === null || value === undefined : value === arg),
+  in: (value, arg) => arg.some(item => sameValue(value, item)),
+  like: (value, arg) => value !== null && likeToRegExp(arg, '').test(String(value)),
+  ilike: (value, arg) => value !== null && likeToRegExp(arg, 'i').test(String(value))
+};
+
+class FakeQuery {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.action = 'select';
+    this.filters = [];
+    this.sorts = [];
+    this.rowLimit = null;
+    this.offset = 0;
+    this.returning = false;
+    this.countOption = null;
+    this.headOnly = false;
+    this.cardinality = null;
+  }
+
+  select(columns, { count = null, head = false } = {}) {
+    if (this.action !== 'select') this.returning = true;
+    this.countOption = count;
+    this.headOnly = head;
+    return this;
+  }
+
+  insert(rows) {
+    this.action = 'insert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  upsert(rows, { onConflict = 'id' } = {}) {
+    this.action = 'upsert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    this.conflictColumns = onConflict.split(',').map(c => c.trim());
+    return this;
+  }
+
+  update(changes) {
+    this.action = 'update';
+    this.payload = changes;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  match(values) {
+    Object.entries(values).forEach(([column, value]) => this.eq(column, value));
+    return this;
+  }
+
+  not(column, operator, value) {
+    this.filters.push(row => !OPERATORS[operator](columnValue(row, column), value));
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.sorts.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.rowLimit = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.offset = from;
+    this.rowLimit = to - from + 1;
+    return this;
+  }
+
+  single() {
+    this.cardinality = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.cardinality = 'maybeSingle';
+    return this;
+  }
+
+  matches(row) {
+    return this.filters.every(filter => filter(row));
+  }
+
+  execute() {
+    const rows = this.db.table(this.table);
+    let result;
+
+    if (this.action === 'insert' || this.action === 'upsert') {
+      result = this.payload.map(input => {
+        const existing = this.action === 'upsert'
+          ? rows.find(row => this.conflictColumns.every(c => sameValue(row[c], input[c])))
+          : null;
+        if (existing) {
+          Object.assign(existing, clone(input));
+          return existing;
+        }
+        const row = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...clone(input) };
+        const conflict = (this.db.uniqueColumns[this.table] || [])
+          .find(column => row[column] !== null && row[column] !== undefined && rows.some(r => sameValue(r[column], row[column])));
+        if (conflict) {
+          throw Object.assign(new Error(`duplicate key value violates unique constraint on ${this.table}.${conflict}`), { code: '23505' });
+        }
+        rows.push(row);
+        return row;
+      });
+      if (!this.returning) result = [];
+    } else {
+      result = rows.filter(row => this.matches(row));
+      if (this.action === 'update') {
+        result.forEach(row => Object.assign(row, clone(this.payload)));
+      } else if (this.action === 'delete') {
+        this.db.tables[this.table] = rows.filter(row => !result.includes(row));
+      }
+      if (this.action !== 'select' && !this.returning) result = [];
+    }
+
+    let data = [...result];
+    this.sorts.slice().reverse().forEach(({ column, ascending }) => {
+      data.sort((a, b) => (ascending ? 1 : -1) * compare(columnValue(a, column), columnValue(b, column)));
+    });
+    const count = data.length;
+    if (this.offset || this.rowLimit !== null) {
+      data = data.slice(this.offset, this.rowLimit === null ? undefined : this.offset + this.rowLimit);
+    }
+    data = clone(data);
+
+    const response = { data: this.headOnly ? null : data, error: null, count: this.countOption ? count : null };
+    if (this.cardinality) {
+      if (data.length > 1 || (this.cardinality === 'single' && !data.length)) {
+        return { data: null, error: { code: 'PGRST116', message: `JSON object requested, ${data.length} rows returned` } };
+      }
+      response.data = data[0] || null;
+    }
+    return response;
+  }
+
+  then(resolve, reject) {
+    let response;
+    try {
+      response = this.execute();
+    } catch (err) {
+      response = { data: null, error: { code: err.code, message: err.message } };
+    }
+    return Promise.resolve(response).then(resolve, reject);
+  }
+}
+
+Object.keys(OPERATORS).forEach(operator => {
+  FakeQuery.prototype[operator] = function filter(column, value) {
+    this.filters.push(row => OPERATORS[operator](columnValue(row, column), value));
+    return this;
+  };
+});
+
+class FakeSupabase {
+  constructor() {
+    this.tables = {};
+    this.functions = {};
+    this.uniqueColumns = {};
+    this.storage = {
+      from: bucket => ({
+        getPublicUrl: key => ({ data: { publicUrl: `http://storage.test/${bucket}/${key}` } })
+      })
+    };
+  }
+
+  /**
+   * Recomeça o banco com as linhas informadas ({ tabela: [linhas] })
+   */
+  reset(tables = {}) {
+    this.tables = clone(tables);
+    this.functions = {};
+    this.uniqueColumns = { orders: ['payment_txid'], users: ['email', 'google_sub'] };
+  }
+
+  table(name) {
+    if (!this.tables[name]) this.tables[name] = [];
+    return this.tables[name];
+  }
+
+  from(table) {
+    return new FakeQuery(this, table);
+  }
+
+  async rpc(name, args = {}) {
+    const fn = this.functions[name];
+    if (!fn) return { data: null, error: { code: '42883', message: `function public.${name} does not exist` } };
+    try {
+      const data = await fn(args, this);
+      return { data: data === undefined ? null : data, error: null };
+    } catch (err) {
+      return { data: null, error: { code: err.code || 'P0001', message: err.message } };
+    }
+  }
+}
+
+module.exports = {
+  create: () => new FakeSupabase(),
+  FakeSupabase
+};
@@ -0,0 +1,36 @@
+const express = require('express');
+
+/**
+ * Servidor HTTP local que faz o papel de uma API externa nos testes (Efí Bank, Melhor Envio, Google)
+ * As rotas são registradas no app Express devolvido; cada requisição recebida fica em `requests`.
+ *
+ *   const mock = await startMockServer(app => {
+ *     app.post('/oauth/token', (req, res) => res.json({ access_token: 'x', expires_in: 3600 }));
+ *   });
+ *   ...
+ *   await mock.close();
+ */
+async function startMockServer(registerRoutes) {
+  const app = express();
+  const requests = [];
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.use((req, res, next) => {
+    requests.push({ method: req.method, path: req.path, query: req.query, headers: req.headers, body: req.body });
+    next();
+  });
+  registerRoutes(app);
+
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { startMockServer };
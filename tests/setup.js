@@ -0,0 +1,13 @@
+// Ambiente dos testes: nenhuma chamada sai para serviços reais.
+// O Supabase é trocado pelo banco em memória (tests/helpers/fakeSupabase.js) em cada teste,
+// e as APIs externas (Efí Bank, Melhor Envio, Google) apontam para servidores HTTP locais.
+
+process.env.NODE_ENV = 'test';
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://127.0.0.1:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.JWT_SECRET = 'test_jwt_secret';
+process.env.EFIBANK_WEBHOOK_SECRET = 'test_webhook_secret';
+
+// SMTP desligado: os emails só são registrados no log
+delete process.env.SMTP_HOST;
+delete process.env.SMTP_USER;